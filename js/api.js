@@ -1,7 +1,7 @@
 /**
  * api.js
  * * Handles all network requests to fetch and save data from Google Apps Script endpoints,
- * * with a session-based in-memory caching layer to improve performance during a single session.
+ * * with a persistent cache (see offlineCache.js) so a refresh does not download every dataset again.
  */
 
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
@@ -32,10 +32,104 @@ import {
     SUPABASE_URL,
     SUPABASE_ANON_KEY
 } from './config.js';
+import { loadCached, peekCache, writeCache, invalidateCache, getCacheTimestamp } from './offlineCache.js';
+import { DELTA_RESOURCES, applySyncResponse } from './deltaSync.js';
+import { createRepository } from './repository.js';
+export { onCacheRefreshed, clearCache } from './offlineCache.js';
 
 // --- ADD THIS LINE RIGHT AFTER THE IMPORTS ---
 export const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
+// --- Supabase tables (see repository.js) ---
+// Loads throw a RepositoryError on failure (see loadOrEmpty); maps are keyed as the app expects
+const dispatcherOverridesRepo = createRepository(supabase, {
+    table: 'dispatcher_overrides',
+    cacheKey: 'dispatcherOverrides',
+    keyOf: row => `${row.driver_name}_${row.date}`, // { "DriverName_Date": "Status" }
+    valueOf: row => row.status,
+    onConflict: 'driver_name, date'
+});
+const weeklyNotesRepo = createRepository(supabase, {
+    table: 'weekly_notes',
+    cacheKey: 'weeklyNotes',
+    keyOf: row => `${row.driver_name}_${row.pay_date}`, // { "DriverName_Date": "Note" }
+    valueOf: row => row.note,
+    onConflict: 'driver_name, pay_date'
+});
+const lockedDataRepo = createRepository(supabase, {
+    table: 'locked_data',
+    cacheKey: 'lockedData',
+    keyOf: row => `${row.driver_id}_${row.pay_date}`, // { "DriverID_Date": "JSONString" }
+    valueOf: row => row.locked_data,
+    onConflict: 'driver_id, pay_date'
+});
+const mpgOverridesRepo = createRepository(supabase, {
+    table: 'mpg_overrides',
+    cacheKey: 'mpgOverrides',
+    keyOf: row => `${row.driver_id}_${row.pay_date}`,
+    valueOf: row => row.source,
+    onConflict: 'driver_id, pay_date'
+});
+const timeOffLedgerRepo = createRepository(supabase, {
+    table: 'time_off_ledger',
+    cacheKey: 'timeOffLedger',
+    groupBy: row => row.driver_name,
+    valueOf: row => {
+        const entry = {
+            payDate: row.pay_date,
+            type: row.entry_type,
+            days: parseFloat(row.days) || 0,
+            balanceAfter: parseFloat(row.balance_after) || 0,
+            reason: row.reason || ''
+        };
+        if (row.amount !== null && row.amount !== undefined) entry.amount = parseFloat(row.amount);
+        return entry;
+    },
+    order: [['pay_date', { ascending: true }], ['seq', { ascending: true }]]
+});
+const toTimeOffAdjustment = (row) => ({ id: row.id, payDate: row.pay_date, days: parseFloat(row.days) || 0, reason: row.reason || '', createdBy: row.created_by || '' });
+const timeOffAdjustmentsRepo = createRepository(supabase, {
+    table: 'time_off_adjustments',
+    cacheKey: 'timeOffAdjustments',
+    groupBy: row => row.driver_name,
+    valueOf: toTimeOffAdjustment,
+    order: [['pay_date', { ascending: true }], ['id', { ascending: true }]]
+});
+const usersRepo = createRepository(supabase, { table: 'users' });
+const feedbackRepo = createRepository(supabase, { table: 'feedback' });
+const notesRepo = createRepository(supabase, { table: 'notes' });
+
+// Tables that failed to load and were treated as empty, until takeLoadWarnings reads them
+let loadWarnings = [];
+
+/**
+ * Loads a table the app can start without. When it cannot be read and no stored copy
+ * exists, the failure is logged and noted for takeLoadWarnings, and an empty map is
+ * returned so one table does not stop the whole app from loading.
+ * @param {Object} repository The table's repository.
+ * @param {string} description Names the data in the warning, e.g. 'dispatcher overrides'.
+ * @returns {Promise<Object>} The map, or {} when the table could not be read.
+ */
+async function loadOrEmpty(repository, description) {
+    try {
+        return await repository.load();
+    } catch (error) {
+        console.error(`Failed to load ${description}:`, error);
+        loadWarnings.push(description);
+        return {};
+    }
+}
+
+/**
+ * Returns the data that failed to load and was treated as empty since the last call.
+ * @returns {Array<string>} Descriptions of the data, e.g. ['weekly notes'].
+ */
+export function takeLoadWarnings() {
+    const warnings = loadWarnings;
+    loadWarnings = [];
+    return warnings;
+}
+
 // --- NEW HELPER FUNCTION ---
 /**
  * Fetches a resource with automatic retries on failure.
@@ -88,56 +182,86 @@ async function fetchWithRetry(url, resourceName, retries = 3) {
 }
 
 // --- Caching & Normalization Solution ---
-const sessionCache = {};
 let backgroundFetchPromise = null;
 
 const normalizeDriverName = (name) => (name || '').trim().toLowerCase();
 
 function getCachedData(key) {
-    return sessionCache[key] || null;
+    return peekCache(key);
 }
 
 function setCachedData(key, data) {
-    sessionCache[key] = data;
+    writeCache(key, data);
 }
-// --- END Caching & Normalization Solution ---
 
+/**
+ * Builds the fetcher the offline cache calls for an Apps Script resource. The stored version
+ * is sent as `ifNoneMatch`; a script that supports it answers { notModified: true }, and one
+ * that versions its data returns an `etag` (or `version`) with it.
+ * @param {string} url The endpoint.
+ * @param {string} resourceName The name used in fetch logs.
+ * @param {Function} [select] Picks the cached data out of the response.
+ * @returns {Function} The fetcher (see loadCached).
+ */
+function versionedFetcher(url, resourceName, select = (result) => result.data) {
+    return async (etag) => {
+        const requestUrl = new URL(url);
+        if (etag) requestUrl.searchParams.set('ifNoneMatch', etag);
+        // fetchWithRetry will try 3 times before failing
+        const result = await fetchWithRetry(requestUrl, resourceName);
+        if (result.notModified) return { notModified: true };
+        return { data: select(result), etag: result.etag ?? result.version ?? null };
+    };
+}
 
-export async function loadSettings() {
-    const cacheKey = 'settings';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
+/**
+ * Builds the fetcher the offline cache calls for a delta-synced resource (see deltaSync.js).
+ * The server time of the last sync is kept as the entry's etag and sent as `since`, along
+ * with the stored rows the delta is merged into.
+ * @param {string} url The endpoint.
+ * @param {string} resourceName The name used in fetch logs.
+ * @param {string} resource The cache key (a key of DELTA_RESOURCES).
+ * @returns {Function} The fetcher (see loadCached).
+ */
+function deltaFetcher(url, resourceName, resource) {
+    return async (syncedAt, storedRows) => {
+        const requestUrl = new URL(url);
+        if (syncedAt && storedRows) requestUrl.searchParams.set('since', syncedAt);
+        const result = await fetchWithRetry(requestUrl, resourceName);
+        const { rows, syncedAt: nextSyncedAt, changed } = applySyncResponse(resource, storedRows, result);
+        if (!changed) return { notModified: true, etag: nextSyncedAt };
+        return { data: rows, etag: nextSyncedAt };
+    };
+}
 
-    // fetchWithRetry will try 3 times before failing
-    const settings = await fetchWithRetry(SETTINGS_SCRIPT_URL, "Settings"); 
-    
-    setCachedData(cacheKey, settings);
-    return settings;
+/**
+ * Returns when each delta-synced dataset was last synced with the server.
+ * @returns {Object} Map of cache key to time (ms since epoch), or null when not loaded yet.
+ */
+export function getLastSynced() {
+    return Object.fromEntries(Object.keys(DELTA_RESOURCES).map(key => [key, getCacheTimestamp(key)]));
 }
+// --- END Caching & Normalization Solution ---
 
-export async function loadMileageData() {
-    const cacheKey = 'mileageData';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
 
-    // fetchWithRetry will try 3 times before failing
-    const result = await fetchWithRetry(MILEAGE_DATA_URL, "Mileage Data"); 
-    
-    setCachedData(cacheKey, result.data);
-    return result.data;
+export async function loadSettings() {
+    return loadCached('settings', versionedFetcher(SETTINGS_SCRIPT_URL, "Settings", result => result));
 }
 
-export async function fetchDriverData() {
-    const cacheKey = 'driverData';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    // fetchWithRetry will try 3 times before failing
-    const result = await fetchWithRetry(DRIVER_DATA_URL, "Driver Data"); 
+// Returned from the cache at once; refreshed in the background with only the rows changed since the last sync
+export async function loadMileageData() {
+    return loadCached('mileageData', deltaFetcher(MILEAGE_DATA_URL, "Mileage Data", 'mileageData'));
+}
 
-    const formattedData = result.data.map(d => ({
-        id: d.contract_id, name: d.driver_name, driver_rep: d.driver_rep || '-', recruiter: d.recruiter || '-', recruiter_team: d.recruiter_team || '-', dispatcher: d.dispatch || '-', team: d.team || '-',
-        franchise: d.franchise || '-', company: d.company || '-', contract_type: d.contract_type || '-',
+/**
+ * Maps the driver feed to the driver records the app works with.
+ * @param {Array<Object>} rows The raw rows.
+ * @returns {Array<Object>} The driver records.
+ */
+function formatDriverData(rows) {
+    return rows.map(d => ({
+        id: d.contract_id, driver_id: d.driver_id ?? null, name: d.driver_name, driver_rep: d.driver_rep || '-', recruiter: d.recruiter || '-', recruiter_team: d.recruiter_team || '-', dispatcher: d.dispatch || '-', team: d.team || '-',
+        franchise: d.franchise || '-', company: d.company || '-', contract_type: d.contract_type || '-', truck_model: d.truck_model || '-',
         weeksOut: 0, milesWeek: d.milesWeek || 0, tenure: d.tenure || 0, gross: d.gross || 0, stubMiles: 0, rpm: d.rpm || 0,
         estimatedNet: d.estimated_net || 0, safetyScore: d.safety_score || 0, speedingAlerts: d.speed_events || 0,
         speeding_over11mph: d.speeding_over11mph || 0, speeding_over16mph: d.speeding_over16mph || 0,
@@ -148,8 +272,11 @@ export async function fetchDriverData() {
         gallons_fictive: d.gallons_fictive || 0,
         pay_delayWks: d.pay_delayWks || 1
     }));
-    setCachedData(cacheKey, formattedData);
-    return formattedData;
+}
+
+// Returned from the cache at once; refreshed in the background when stale
+export async function fetchDriverData() {
+    return loadCached('driverData', versionedFetcher(DRIVER_DATA_URL, "Driver Data", result => formatDriverData(result.data)));
 }
 
 export async function saveSettings(settings) {
@@ -168,7 +295,7 @@ export async function saveSettings(settings) {
         if (result.status !== 'success') {
             throw new Error(result.message);
         }
-        sessionCache['settings'] = null;
+        invalidateCache('settings');
 
     } catch (error) {
         console.error("Failed to save settings:", error);
@@ -230,15 +357,9 @@ export async function fetchFuelHistory(driverName) {
 }
 
 
+// Returned from the cache at once; refreshed in the background with only the rows changed since the last sync
 export async function loadAllSafetyData() {
-    const cacheKey = 'allSafetyData';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    const result = await fetchWithRetry(ALL_SAFETY_DATA_URL, "All Safety Data");
-    
-    setCachedData(cacheKey, result.data);
-    return result.data;
+    return loadCached('allSafetyData', deltaFetcher(ALL_SAFETY_DATA_URL, "All Safety Data", 'allSafetyData'));
 }
 
 export async function fetchPOHistory(driverName) {
@@ -293,15 +414,9 @@ export async function fetchFuelPurchaseHistory(driverName) {
     }
 }
 
+// Returned from the cache at once; refreshed in the background with only the rows changed since the last sync
 export async function fetchDaysTakenHistory() {
-    const cacheKey = 'daysTakenHistory';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    const result = await fetchWithRetry(DAYS_TAKEN_HISTORY_URL, "Days Taken History");
-
-    setCachedData(cacheKey, result.data);
-    return result.data;
+    return loadCached('daysTakenHistory', deltaFetcher(DAYS_TAKEN_HISTORY_URL, "Days Taken History", 'daysTakenHistory'));
 }
 
 export async function fetchChangelogHistory(driverName) {
@@ -330,28 +445,56 @@ export async function fetchChangelogHistory(driverName) {
     }
 }
 
+// Read fresh on every load; the stored copy is only used offline
 export async function loadDistanceOverrides() {
-    const cacheKey = 'distanceOverrides';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
+    return loadCached('distanceOverrides', versionedFetcher(DISTANCE_OVERRIDE_URL, "Distance Overrides"));
+}
 
-    const result = await fetchWithRetry(DISTANCE_OVERRIDE_URL, "Distance Overrides");
+/**
+ * Reads a driver's current distance source for a week from the server, bypassing the cache.
+ * Only that driver and week are asked for; the script answers with the same keyed map as a
+ * full load, holding just that key (a script that ignores the filter sends every override,
+ * which is read the same way).
+ * @param {string|number} driverId The driver id.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @returns {Promise<string|null>} The source, or null when none is set.
+ */
+export async function fetchDistanceOverride(driverId, payDate) {
+    const url = new URL(DISTANCE_OVERRIDE_URL);
+    url.searchParams.append('driverId', driverId);
+    url.searchParams.append('payDate', payDate);
+    const result = await fetchWithRetry(url, `Distance Override ${driverId}_${payDate}`);
+    return (result.data || {})[`${driverId}_${payDate}`] ?? null;
+}
 
-    setCachedData(cacheKey, result.data);
-    return result.data;
+/**
+ * Posts a change to an Apps Script endpoint and waits for the script to confirm it.
+ * @param {string} url The endpoint.
+ * @param {Object} body The request body.
+ * @returns {Promise<Object>} The script's response.
+ * @throws {Error} When the request fails or the script reports an error.
+ */
+async function postToScript(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
+    }
+    const result = await response.json();
+    if (result.status === 'error' || result.success === false) {
+        throw new Error(result.message || 'API returned a failure status');
+    }
+    return result;
 }
 
+// Sent through the mutation queue (see mutationQueue.js), which retries it until the script confirms
 export async function saveDistanceOverride(driverId, distanceSource, payDate) {
-    try {
-        await fetch(DISTANCE_OVERRIDE_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-            body: JSON.stringify({ driverId, distanceSource, payDate })
-        });
-        sessionCache['distanceOverrides'] = null;
-    } catch (error) {
-        console.warn("CORS error is expected here. Assuming script executed successfully.");
-    }
+    const result = await postToScript(DISTANCE_OVERRIDE_URL, { driverId, distanceSource, payDate });
+    invalidateCache('distanceOverrides');
+    return result;
 }
 
 export function cacheAllHistoryDataInBackground() {
@@ -363,12 +506,14 @@ export function cacheAllHistoryDataInBackground() {
     
     backgroundFetchPromise = (async () => {
         try {
-            const response = await fetch(UNIFIED_HISTORY_URL);
-            if (!response.ok) throw new Error('Network response for unified history was not ok.');
-            const result = await response.json();
-            if (!result.success) throw new Error(`API Error: ${result.message}`);
-            
-            const allData = result.data;
+            // Stored whole in the offline cache, then split per driver in memory below
+            const allData = await loadCached('unifiedHistory', async () => {
+                const response = await fetch(UNIFIED_HISTORY_URL);
+                if (!response.ok) throw new Error('Network response for unified history was not ok.');
+                const result = await response.json();
+                if (!result.success) throw new Error(`API Error: ${result.message}`);
+                return { data: result.data, etag: result.etag ?? result.version ?? null };
+            });
 
             // --- START MODIFICATION ---
             // Store the entire objects for global analysis
@@ -408,50 +553,21 @@ export function cacheAllHistoryDataInBackground() {
 
 
 export async function loadDispatcherOverrides() {
-    const cacheKey = 'dispatcherOverrides';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    let allData = [];
-    let from = 0;
-    const step = 1000;
-    let fetchMore = true;
-
-    while (fetchMore) {
-        const { data, error } = await supabase
-            .from('dispatcher_overrides')
-            .select('*')
-            .range(from, from + step - 1);
-
-        if (error) {
-            console.error("Failed to load dispatcher overrides:", error);
-            return {};
-        }
-
-        allData = allData.concat(data);
-        if (data.length < step) {
-            fetchMore = false;
-        } else {
-            from += step;
-        }
-    }
-
-    // Transform into the Map expected by the app: { "DriverName_Date": "Status" }
-    const overrideMap = {};
-    allData.forEach(row => {
-        const key = `${row.driver_name}_${row.date}`;
-        overrideMap[key] = row.status;
-    });
+    return loadOrEmpty(dispatcherOverridesRepo, 'dispatcher overrides');
+}
 
-    setCachedData(cacheKey, overrideMap);
-    return overrideMap;
+/**
+ * Reads a driver's current day status from the server, bypassing the cache.
+ * @param {string} driverName The driver's name.
+ * @param {string} date The day (YYYY-MM-DD).
+ * @returns {Promise<string|null>} The status, or null when none is saved.
+ */
+export async function fetchDispatcherOverride(driverName, date) {
+    return dispatcherOverridesRepo.get({ driver_name: driverName, date });
 }
 
 // --- NEW FUNCTION ---
 export async function saveDispatcherOverrides(overrides) {
-    // Invalidate cache
-    sessionCache['dispatcherOverrides'] = null;
-
     // Format for Supabase
     const records = overrides.map(ov => ({
         driver_name: ov.driverName,
@@ -460,114 +576,49 @@ export async function saveDispatcherOverrides(overrides) {
         updated_at: new Date().toISOString()
     }));
 
-    const { error } = await supabase
-        .from('dispatcher_overrides')
-        .upsert(records, { onConflict: 'driver_name, date' });
-
-    if (error) {
-        console.error("Failed to save dispatcher overrides:", error);
-        throw new Error(error.message);
-    }
+    await dispatcherOverridesRepo.upsert(records);
     return { status: 'success' };
 }
 
 export async function loadWeeklyNotes() {
-    const cacheKey = 'weeklyNotes';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    let allData = [];
-    let from = 0;
-    const step = 1000;
-    let fetchMore = true;
-
-    while (fetchMore) {
-        const { data, error } = await supabase
-            .from('weekly_notes')
-            .select('*')
-            .range(from, from + step - 1);
-
-        if (error) {
-            console.error("Failed to load weekly notes:", error);
-            return {};
-        }
-
-        allData = allData.concat(data);
-        if (data.length < step) {
-            fetchMore = false;
-        } else {
-            from += step;
-        }
-    }
+    return loadOrEmpty(weeklyNotesRepo, 'weekly notes');
+}
 
-    // Transform into the Map expected by the app: { "DriverName_Date": "Note" }
-    const notesMap = {};
-    allData.forEach(row => {
-        const key = `${row.driver_name}_${row.pay_date}`;
-        notesMap[key] = row.note;
-    });
-    
-    setCachedData(cacheKey, notesMap);
-    return notesMap;
+/**
+ * Reads a driver's current note for a week from the server, bypassing the cache.
+ * @param {string} driverName The driver's name.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @returns {Promise<string|null>} The note, or null when there is none.
+ */
+export async function fetchWeeklyNote(driverName, payDate) {
+    return weeklyNotesRepo.get({ driver_name: driverName, pay_date: payDate });
 }
 
 export async function saveWeeklyNote(driverName, payDate, note) {
-    // Invalidate cache
-    sessionCache['weeklyNotes'] = null;
-
     if (!note || note.trim() === '') {
         // If note is empty, delete it
-        const { error } = await supabase
-            .from('weekly_notes')
-            .delete()
-            .eq('driver_name', driverName)
-            .eq('pay_date', payDate);
-            
-        if (error) {
-             console.error("Failed to delete weekly note:", error);
-             return { status: 'error', message: error.message };
-        }
+        await weeklyNotesRepo.remove({ driver_name: driverName, pay_date: payDate });
         return { status: 'success' };
-    } else {
-        // Upsert (Insert or Update)
-        const { data, error } = await supabase
-            .from('weekly_notes')
-            .upsert({ 
-                driver_name: driverName, 
-                pay_date: payDate, 
-                note: note,
-                updated_at: new Date().toISOString()
-            }, { onConflict: 'driver_name, pay_date' });
-
-        if (error) {
-            console.error("Failed to save weekly note:", error);
-            return { status: 'error', message: error.message };
-        }
-        return { status: 'success', data };
     }
+    // Upsert (Insert or Update)
+    const data = await weeklyNotesRepo.upsert({
+        driver_name: driverName,
+        pay_date: payDate,
+        note: note,
+        updated_at: new Date().toISOString()
+    });
+    return { status: 'success', data };
 }
 
 export async function loadFinancialData() {
-    const cacheKey = 'financialData';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    const result = await fetchWithRetry(FINANCIAL_DATA_URL, "Financial Data");
-    
-    setCachedData(cacheKey, result.data);
-    return result.data;
+    return loadCached('financialData', versionedFetcher(FINANCIAL_DATA_URL, "Financial Data"));
 }
 
 export async function loginUser(email, password) {
     try {
-        const { data, error } = await supabase
-            .from('users')
-            .select('*')
-            .eq('email', email)
-            .eq('password', password) // Note: Simple comparison for now
-            .single();
-
-        if (error || !data) {
+        const [data] = await usersRepo.find({ email, password }); // Note: Simple comparison for now
+
+        if (!data) {
             throw new Error('Invalid email or password.');
         }
 
@@ -583,8 +634,7 @@ export async function loginUser(email, password) {
 
 export async function fetchAllUsers() {
     try {
-        const { data, error } = await supabase.from('users').select('*');
-        if (error) throw error;
+        const data = await usersRepo.find({});
         return { status: 'success', users: data };
     } catch (error) {
         console.error("Failed to fetch users:", error);
@@ -594,8 +644,7 @@ export async function fetchAllUsers() {
 
 export async function addUser(userData) {
     try {
-        const { error } = await supabase.from('users').insert(userData);
-        if (error) throw error;
+        await usersRepo.insert(userData);
         return { status: 'success' };
     } catch (error) {
         console.error("Failed to add user:", error);
@@ -605,8 +654,7 @@ export async function addUser(userData) {
 
 export async function deleteUser(email) {
     try {
-        const { error } = await supabase.from('users').delete().eq('email', email);
-        if (error) throw error;
+        await usersRepo.remove({ email });
         return { status: 'success' };
     } catch (error) {
         console.error("Failed to delete user:", error);
@@ -621,12 +669,7 @@ export async function editUser(userData) {
         // Since email is PK, we update based on originalEmail if provided, else email
         const targetEmail = originalEmail || updates.email;
         
-        const { error } = await supabase
-            .from('users')
-            .update(updates)
-            .eq('email', targetEmail);
-
-        if (error) throw error;
+        await usersRepo.update({ email: targetEmail }, updates);
         return { status: 'success' };
     } catch (error) {
         console.error("Failed to edit user:", error);
@@ -634,18 +677,12 @@ export async function editUser(userData) {
     }
 }
 
+// Sent through the mutation queue (see mutationQueue.js), which retries it until the script confirms
 export async function saveEditableData(driverId, payDate, updates) {
-    try {
-        await fetch(EDITABLE_DATA_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
-            // The 'updates' parameter is now an array of changes
-            body: JSON.stringify({ action: 'save', driverId, payDate, updates: updates }),
-            mode: 'no-cors'
-        });
-    } catch (error) {
-        console.warn("CORS error is expected for save. Assuming success.");
-    }
+    // The 'updates' parameter is now an array of changes
+    const result = await postToScript(EDITABLE_DATA_URL, { action: 'save', driverId, payDate, updates: updates });
+    invalidateCache('editableOverrides');
+    return result;
 }
 
 export async function revertToDefault(driverId, payDate) {
@@ -668,99 +705,39 @@ export async function revertToDefault(driverId, payDate) {
     return result;
 }
 
+// Read fresh on every load; the stored copy is only used offline
 export async function loadOverrides() {
-    const cacheKey = 'editableOverrides';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    const result = await fetchWithRetry(EDITABLE_DATA_URL, "Saved Overrides");
-    
-    console.log(`Successfully fetched ${result.data.length} override(s).`);
-    setCachedData(cacheKey, result.data);
-    return result.data;
+    const overrides = await loadCached('editableOverrides', versionedFetcher(EDITABLE_DATA_URL, "Saved Overrides"));
+    console.log(`Loaded ${overrides.length} override(s).`);
+    return overrides;
 }
 
 
+// Read fresh on every load; the stored copy is only used offline
 export async function fetchContracts() {
-    const cacheKey = 'contractsData';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    const result = await fetchWithRetry(CONTRACTS_URL, "Contracts");
-    
-    setCachedData(cacheKey, result.data);
-    return result.data;
+    return loadCached('contractsData', versionedFetcher(CONTRACTS_URL, "Contracts"));
 }
 
 export async function loadLockedData() {
-    const cacheKey = 'lockedData';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    let allData = [];
-    let from = 0;
-    const step = 1000;
-    let fetchMore = true;
-
-    while (fetchMore) {
-        const { data, error } = await supabase
-            .from('locked_data')
-            .select('*')
-            .range(from, from + step - 1);
-
-        if (error) {
-            console.error("Failed to load locked data from Supabase:", error);
-            throw new Error(error.message);
-        }
-
-        allData = allData.concat(data);
-        if (data.length < step) {
-            fetchMore = false;
-        } else {
-            from += step;
-        }
-    }
-
-    // Transform array into the Map expected by the app: { "DriverID_Date": "JSONString" }
-    const lockedMap = {};
-    allData.forEach(row => {
-        const key = `${row.driver_id}_${row.pay_date}`;
-        lockedMap[key] = row.locked_data;
-    });
-    
-    setCachedData(cacheKey, lockedMap);
-    return lockedMap;
+    // Not loaded through loadOrEmpty: without the snapshots, paid weeks would show as live and could be locked again
+    return lockedDataRepo.load();
 }
 
 export async function updateLockedData(driverId, driverName, payDate, action, lockedDataJSON = null) {
-    // Invalidate cache immediately
-    sessionCache['lockedData'] = null;
-
     if (action === 'lock') {
         // UPSERT: Insert or Update if it exists
         // We assume the table has a unique constraint on (driver_id, pay_date)
-        const { data, error } = await supabase
-            .from('locked_data')
-            .upsert({ 
-                driver_id: driverId, 
-                pay_date: payDate, 
-                driver_name: driverName, 
-                locked_data: lockedDataJSON 
-            }, { onConflict: 'driver_id, pay_date' })
-            .select();
-
-        if (error) throw new Error(error.message);
+        const data = await lockedDataRepo.upsert({
+            driver_id: driverId,
+            pay_date: payDate,
+            driver_name: driverName,
+            locked_data: lockedDataJSON
+        }, { returning: true });
         return { status: 'success', data };
 
     } else if (action === 'unlock') {
         // DELETE
-        const { error } = await supabase
-            .from('locked_data')
-            .delete()
-            .eq('driver_id', driverId)
-            .eq('pay_date', payDate);
-
-        if (error) throw new Error(error.message);
+        await lockedDataRepo.remove({ driver_id: driverId, pay_date: payDate });
         return { status: 'success' };
     }
 }
@@ -851,16 +828,8 @@ export async function submitDriverFeedback(driverId, feedbackData, currentUser)
             terms: null 
         };
 
-        // 3. Use the existing 'supabase' client from this file
-        const { data, error } = await supabase
-            .from('feedback')
-            .insert(payload)
-            .select(); // Ask Supabase to return the newly created row
-
-        if (error) {
-            console.error('Supabase error (submitDriverFeedback):', error);
-            throw new Error(error.message);
-        }
+        // 3. Insert through the feedback repository, which returns the newly created row
+        const data = await feedbackRepo.insert(payload);
 
         // 4. Return the new data in the expected format
         return { status: 'success', data: data[0] };
@@ -871,6 +840,30 @@ export async function submitDriverFeedback(driverId, feedbackData, currentUser)
     }
 }
 
+/**
+ * Loads every archive note (the live driver notes in the archive view).
+ * @returns {Promise<Array<Object>>} The note rows.
+ */
+export async function fetchArchiveNotes() {
+    return notesRepo.find({});
+}
+
+/**
+ * Loads every feedback entry, from the public survey and from admins.
+ * @returns {Promise<Array<Object>>} The feedback rows.
+ */
+export async function fetchAllFeedback() {
+    return feedbackRepo.find({});
+}
+
+/**
+ * Adds a note to an archived driver. The live notes subscription picks it up.
+ * @param {object} noteData { driver_id, note, author_email, author_role }.
+ */
+export async function addArchiveNote(noteData) {
+    await notesRepo.insert(noteData);
+    return { status: 'success' };
+}
 
 /**
  * Gets the cached hourly fuel/telematics data.
@@ -889,59 +882,120 @@ export function getCachedPurchaseHistory() {
 }
 
 export async function loadMpgOverrides() {
-    const cacheKey = 'mpgOverrides';
-    const cachedData = getCachedData(cacheKey);
-    if (cachedData) return Promise.resolve(cachedData);
-
-    let allData = [];
-    let from = 0;
-    const step = 1000;
-    let fetchMore = true;
-
-    while (fetchMore) {
-        const { data, error } = await supabase
-            .from('mpg_overrides')
-            .select('*')
-            .range(from, from + step - 1);
-
-        if (error) {
-            console.error("Failed to load MPG overrides:", error);
-            return {};
-        }
+    return loadOrEmpty(mpgOverridesRepo, 'MPG overrides');
+}
 
-        allData = allData.concat(data);
-        if (data.length < step) {
-            fetchMore = false;
-        } else {
-            from += step;
-        }
-    }
+/**
+ * Reads a driver's current MPG source for a week from the server, bypassing the cache.
+ * @param {string|number} driverId The driver id.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @returns {Promise<string|null>} The source, or null when none is set.
+ */
+export async function fetchMpgOverride(driverId, payDate) {
+    return mpgOverridesRepo.get({ driver_id: driverId, pay_date: payDate });
+}
 
-    const overrideMap = {};
-    allData.forEach(row => {
-        const key = `${row.driver_id}_${row.pay_date}`;
-        overrideMap[key] = row.source;
+export async function saveMpgOverride(driverId, source, payDate) {
+    await mpgOverridesRepo.upsert({
+        driver_id: driverId,
+        pay_date: payDate,
+        source: source,
+        updated_at: new Date().toISOString()
     });
+    return { status: 'success' };
+}
 
-    setCachedData(cacheKey, overrideMap);
-    return overrideMap;
+// --- TIME-OFF LEDGER ---
+
+/**
+ * Loads the persisted time-off ledger (written when a week is locked).
+ * @returns {Promise<Object>} Entries grouped by driver name: { "DriverName": [{ payDate, type, days, balanceAfter, reason, amount }] }
+ */
+export async function loadTimeOffLedger() {
+    return loadOrEmpty(timeOffLedgerRepo, 'the time-off ledger');
 }
 
-export async function saveMpgOverride(driverId, source, payDate) {
-    sessionCache['mpgOverrides'] = null; // Invalidate cache
-
-    const { error } = await supabase
-        .from('mpg_overrides')
-        .upsert({ 
-            driver_id: driverId, 
-            pay_date: payDate, 
-            source: source,
-            updated_at: new Date().toISOString()
-        }, { onConflict: 'driver_id, pay_date' });
-
-    if (error) {
-        console.error("Failed to save MPG override:", error);
-        throw new Error(error.message);
+/**
+ * Replaces a driver's ledger entries for one pay date. When the new entries cannot be
+ * written, the week's previous entries are put back and the error is rethrown.
+ * @param {string} driverName The driver's name.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @param {Array<Object>} entries The week's ledger entries.
+ */
+export async function saveTimeOffLedgerEntries(driverName, payDate, entries) {
+    const previousRows = await timeOffLedgerRepo.find({ driver_name: driverName, pay_date: payDate });
+    await deleteTimeOffLedgerEntries(driverName, payDate);
+    if (!entries || entries.length === 0) return { status: 'success' };
+
+    const rows = entries.map((entry, index) => ({
+        driver_name: driverName,
+        pay_date: payDate,
+        seq: index,
+        entry_type: entry.type,
+        days: entry.days,
+        balance_after: entry.balanceAfter,
+        reason: entry.reason,
+        amount: entry.amount ?? null
+    }));
+
+    try {
+        await timeOffLedgerRepo.insert(rows);
+    } catch (error) {
+        if (previousRows.length > 0) {
+            // The ids are the table's, so the restored rows are given new ones
+            await timeOffLedgerRepo.insert(previousRows.map(({ id, ...row }) => row))
+                .catch(restoreError => console.error(`Could not restore the time-off ledger for ${driverName} (${payDate}):`, restoreError));
+        }
+        throw error;
     }
     return { status: 'success' };
 }
+
+/**
+ * Deletes a driver's ledger entries for one pay date (used when a week is unlocked).
+ * @param {string} driverName The driver's name.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ */
+export async function deleteTimeOffLedgerEntries(driverName, payDate) {
+    await timeOffLedgerRepo.remove({ driver_name: driverName, pay_date: payDate });
+    return { status: 'success' };
+}
+
+// --- TIME-OFF ADJUSTMENTS ---
+
+/**
+ * Loads the admin time-off adjustments (grants are positive days, forfeits negative).
+ * @returns {Promise<Object>} Adjustments grouped by driver name: { "DriverName": [{ id, payDate, days, reason, createdBy }] }
+ */
+export async function loadTimeOffAdjustments() {
+    return loadOrEmpty(timeOffAdjustmentsRepo, 'time-off adjustments');
+}
+
+/**
+ * Saves an admin time-off adjustment. It carries forward into every later week.
+ * @param {string} driverName The driver's name.
+ * @param {string} payDate The pay date (YYYY-MM-DD) the adjustment takes effect.
+ * @param {number} days Days granted (positive) or forfeited (negative).
+ * @param {string} reason Why the balance was adjusted.
+ * @param {string} createdBy The email of the admin making the change.
+ * @returns {Promise<Object>} The saved adjustment.
+ */
+export async function saveTimeOffAdjustment(driverName, payDate, days, reason, createdBy) {
+    const [row] = await timeOffAdjustmentsRepo.insert({
+        driver_name: driverName,
+        pay_date: payDate,
+        days: days,
+        reason: reason,
+        created_by: createdBy
+    });
+    return toTimeOffAdjustment(row);
+}
+
+/**
+ * Deletes an admin time-off adjustment.
+ * @param {number} adjustmentId The adjustment's id.
+ */
+export async function deleteTimeOffAdjustment(adjustmentId) {
+    await timeOffAdjustmentsRepo.remove({ id: adjustmentId });
+    return { status: 'success' };
+}
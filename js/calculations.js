@@ -1,525 +1,197 @@
 // TPOG/js/calculations.js
 
-export function getContractStatusForDay(driverName, dayString, allContracts) {
-    const contracts = allContracts ? allContracts[driverName] : null;
-    if (!contracts || contracts.length === 0) return 'ACTIVE'; // Fallback if no contract data exists
-
-    const currentDay = new Date(dayString + 'T12:00:00Z');
-
-    // If before the very first contract
-    const firstStart = new Date(contracts[0].start + 'T12:00:00Z');
-    if (currentDay < firstStart) return 'NOT_STARTED';
-
-    for (let i = 0; i < contracts.length; i++) {
-        const contract = contracts[i];
-        const start = new Date(contract.start + 'T12:00:00Z');
-        
-        let end = null;
-        if (contract.end) {
-            end = new Date(contract.end + 'T12:00:00Z');
-        }
-
-        if (currentDay >= start && (!end || currentDay <= end)) {
-            return 'ACTIVE'; // In an active contract period
-        }
-    }
-
-    // If it's after the first start, but not in any active window, it's ended
-    return 'CONTRACT_ENDED';
-}
+// The scoring engine is DOM-free and lives in its own module; re-exported so callers keep using calc.*
+export { getTieredBonusDetails, getDriverReportData, calculateDriverTPOG, resolveScoringProfile, getProfileSettings, isScoredDriver } from './scoring.js';
+export { getContractStatusForDay } from './contracts.js';
+import { isScoredDriver, getProfileSettings } from './scoring.js';
+import { getPercentileSettings, resolvePercentileCohort, percentileRank } from './percentiles.js';
+import { recordReset, recordStreakAccrual, recordUsage, recordAdjustments, recordBalanceCap, recordExpiry } from './timeOffLedger.js';
+import { getContractStatusForDay, getRehireForDay } from './contracts.js';
+import { DEFAULT_WORK_WEEK, getWorkWeekSettings, getWeekEndingOnOrBefore, getWeekDayLabels, toDateKey } from './workWeek.js';
+import { getRecordsForDay, getRecordsInRange, sumMiles } from './dataIndexes.js';
 
 /**
  * calculations.js
- * * Contains all the core business logic for calculating bonuses, penalties,
- * percentiles, and the final TPOG score.
+ * * Contains the weekly data processing (weeks out, days off, percentiles) that feeds the
+ * scoring engine. Bonus/penalty and final TPOG math lives in scoring.js and is re-exported here.
  */
 
-/**
- * Finds the highest applicable bonus from a set of tiers.
- * @param {number} value The driver's metric value (e.g., MPG percentile).
- * @param {Array<Object>} tiers The array of tiers, each with a 'threshold' and 'bonus'.
- * @returns {{bonus: number, metThreshold: number|null}} The calculated bonus and the threshold that was met.
- */
-export const getTieredBonusDetails = (value, tiers) => {
-    let bonus = 0;
-    let metThreshold = null;
-    if (!tiers || !Array.isArray(tiers)) return { bonus, metThreshold };
-    const applicableTiers = tiers.filter(tier => value >= tier.threshold);
-    if (applicableTiers.length > 0) {
-        const bestTier = applicableTiers.reduce((max, current) => current.threshold > max.threshold ? current : max);
-        bonus = bestTier.bonus;
-        metThreshold = bestTier.threshold;
-    }
-    return { bonus, metThreshold };
+// --- Underperformer Rules ---
+// The rules the underperformer check used before they became configurable.
+export const DEFAULT_UNDERPERFORMER_RULES = {
+    enabled: true,
+    combine: 'AND', // 'AND': sum and median checks must both fail, 'OR': either one
+    windows: [
+        { weeks: 4, minGrossSum: 20000, minMilesSum: 8000 },
+        { weeks: 5, minGrossSum: 25000, minMilesSum: 10000 },
+        { weeks: 6, minGrossSum: 30000, minMilesSum: 12000 }
+    ],
+    maxMedianGross: 6000,
+    maxMedianMiles: 2500
 };
 
 /**
- * Calculates a complete TPOG report for a single driver.
- * @param {Object} driver The driver object.
- * @param {Object} settings The application settings object.
- * @returns {Object} A report containing bonus details and the final TPOG score.
+ * Picks the underperformer rules for a driver. A rule set for the driver's company wins
+ * over one for their contract type; otherwise the default rules apply.
+ * @param {Object} driver The driver being processed.
+ * @param {Object} settings The application settings.
+ * @returns {Object} The rules to apply.
  */
-export function getDriverReportData(driver, settings, driversForDate = []) {
-    const report = { totalBonus: 0, totalPenalties: 0, bonuses: {}, totalTpog: 0, availableOffDays: 0, escrowDeduct: 0 };
-    const grossPay = driver.gross || 0;
-
-    // --- CHECK EXCLUSIONS ---
-    const ignoreAll = driver.ignoreAll === true || driver.ignoreAll === 'true';
-    const ignoreWeeksOut = ignoreAll || (driver.ignoreWeeksOut === true || driver.ignoreWeeksOut === 'true');
-    const ignoreSafety = ignoreAll || (driver.ignoreSafety === true || driver.ignoreSafety === 'true');
-    const ignoreFuel = ignoreAll || (driver.ignoreFuel === true || driver.ignoreFuel === 'true');
-    const ignoreTenure = ignoreAll || (driver.ignoreTenure === true || driver.ignoreTenure === 'true');
-    const ignoreGross = ignoreAll || (driver.ignoreGrossBonus === true || driver.ignoreGrossBonus === 'true');
-
-    // --- NEW CHECK ADDED ---
-    // If gross is zero or non-existent, ignore all bonus/penalty metrics.
-    if (grossPay <= 0) {
-        report.totalTpog = settings.baseRate; // Set TPOG to base rate
-        report.estimatedNet = 0;              // Net pay is 0
-
-        // Check for escrow override (must still run)
-        if (driver.hasOwnProperty('escrowDeduct')) {
-            report.escrowDeduct = parseFloat(driver.escrowDeduct) || 0;
-        }
-
-        // --- Run Time Off & Escrow calculation (it's independent of gross) ---
-        const daysTakenThisWeek = driver.offDays || 0;
-        const balanceAtStartOfWeek = driver.balanceAtStartOfWeek || 0;
-        const streakAtStartOfWeek = driver.streakAtStartOfWeek || 0;
-        // UPDATED: Use peak streak for earning calculation if available
-        const currentStreak = (driver.peakWeeksOut !== undefined) ? driver.peakWeeksOut : (driver.weeksOut || 0);
-
-        let newlyEarnedThisWeek = 0;
-        const startThreshold = settings.timeOffStartAfterWeeks || 3;
-        const weeksPerDay = settings.timeOffWeeksPerDay || 1;
-
-        if (currentStreak >= startThreshold && streakAtStartOfWeek < startThreshold) {
-            newlyEarnedThisWeek += settings.timeOffBaseDays;
-            const additionalFullWeeks = Math.floor(currentStreak) - startThreshold;
-            if (additionalFullWeeks > 0) {
-                newlyEarnedThisWeek += additionalFullWeeks / weeksPerDay;
-            }
-        } else if (currentStreak > streakAtStartOfWeek && currentStreak > startThreshold) {
-            const newFullWeeksEarned = Math.floor(currentStreak) - Math.floor(streakAtStartOfWeek);
-            if (newFullWeeksEarned > 0) {
-                newlyEarnedThisWeek = newFullWeeksEarned / weeksPerDay;
-            }
-        }
-
-        const currentAvailable = balanceAtStartOfWeek + newlyEarnedThisWeek;
-        report.availableOffDays = Math.max(0, currentAvailable);
-
-        if (!driver.hasOwnProperty('escrowDeduct')) {
-            // FIX: Check against 'currentAvailable' (total budget), not just 'balanceAtStartOfWeek'
-            const excessDays = Math.max(0, daysTakenThisWeek - Math.max(0, currentAvailable));
-            report.escrowDeduct = excessDays * (settings.escrowDeductionAmount || 0);
-        }
-        
-        report.totalPositiveBonuses = 0;
-        report.totalPenalties = 0;
-        report.bonuses['Weeks Out'] = { bonus: 0 };
-        report.bonuses['Safety Score'] = { bonus: 0 };
-        report.bonuses['Speeding Penalty'] = { bonus: 0 };
-        report.bonuses['Fuel Efficiency'] = { bonus: 0 };
-        report.bonuses['Tenure'] = { bonus: 0 };
-        report.bonuses['Gross Target'] = { bonus: 0 };
-
-        return report;
-    }
-    // --- END OF NEW CHECK ---
-
-
-    // Check if an override for escrowDeduct exists on the driver object.
-    if (driver.hasOwnProperty('escrowDeduct')) {
-        report.escrowDeduct = parseFloat(driver.escrowDeduct) || 0;
-    }
-
-    // Weeks Out Bonus
-    if (settings.enabledMetrics?.weeksOut ?? true) {
-        const weeksOutDetails = getTieredBonusDetails(driver.weeksOut, settings.weeksOutTiers);
-        const val = weeksOutDetails.bonus;
-        if (ignoreWeeksOut) {
-            report.bonuses['Weeks Out'] = { bonus: 0, potentialBonus: val, ignored: true };
-        } else {
-            report.bonuses['Weeks Out'] = { bonus: val };
-            report.totalBonus += val;
-        }
-    } else {
-        report.bonuses['Weeks Out'] = { bonus: 0 };
-    }
-
-    // Safety Score Bonus & Speeding Penalty
-    if (settings.enabledMetrics?.safety ?? true) {
-        // 1. Calculate Safety Score
-        let safetyBonus = 0;
-        const scoreMet = driver.safetyScore >= settings.safetyScoreThreshold;
-        const milesMet = driver.stubMiles >= settings.safetyScoreMileageThreshold;
-        const hasSpeedingAlerts = driver.speedingAlerts > 0;
-        if (settings.safetyBonusForfeitedOnSpeeding && hasSpeedingAlerts && scoreMet && milesMet) {
-            safetyBonus = 0;
-        } else if (scoreMet && milesMet) {
-            safetyBonus = settings.safetyScoreBonus;
-        }
-
-        // 2. Calculate Speeding Penalty
-        let speedingPenalty = 0;
-        const method = settings.speedingPenaltyMethod || 'percentile';
-
-        switch (method) {
-            case 'percentile':
-                if (driver.speedingAlerts >= 2) {
-                    const penaltyDetails = getTieredBonusDetails(driver.speedingPercentile, settings.speedingPercentileTiers);
-                    speedingPenalty = penaltyDetails.bonus;
-                }
-                break;
-            case 'perEvent':
-                const minEvents = settings.speedingPerEventMinimum || 2;
-                if (driver.speedingAlerts >= minEvents) {
-                    const penaltyPer = settings.speedingPerEventPenalty || -1.0;
-                    const penalizedEvents = driver.speedingAlerts - (minEvents - 1);
-                    speedingPenalty = penalizedEvents * penaltyPer;
-                }
-                break;
-            case 'range':
-                const sortedTiers = (settings.speedingRangeTiers || []).sort((a, b) => a.from - b.from);
-                for (const tier of sortedTiers) {
-                    const from = tier.from;
-                    const to = tier.to || Infinity;
-                    if (driver.speedingAlerts >= from && driver.speedingAlerts <= to) {
-                        speedingPenalty = tier.penalty;
-                        break;
-                    }
-                }
-                break;
-        }
-
-        // 3. Apply or Ignore
-        if (ignoreSafety) {
-            report.bonuses['Safety Score'] = { bonus: 0, potentialBonus: safetyBonus, ignored: true };
-            report.bonuses['Speeding Penalty'] = { bonus: 0, potentialBonus: speedingPenalty, ignored: true };
-        } else {
-            report.bonuses['Safety Score'] = { bonus: safetyBonus };
-            report.totalBonus += safetyBonus;
-            report.bonuses['Speeding Penalty'] = { bonus: speedingPenalty };
-            report.totalBonus += speedingPenalty;
-        }
-
-    } else {
-        report.bonuses['Safety Score'] = { bonus: 0 };
-        report.bonuses['Speeding Penalty'] = { bonus: 0 };
-    }
-
-    // Fuel Efficiency Bonus
-    if (settings.enabledMetrics?.fuel ?? true) {
-        let fuelBonus = 0;
-        let infoText = 'Fuel bonus not applicable.';
-        const fuelMileageThreshold = settings.fuelMileageThreshold || 0;
-        const driverMiles = driver.stubMiles || 0;
-
-        if (driverMiles >= fuelMileageThreshold && driver.mpg > 0) {
-            const percentileDetails = getTieredBonusDetails(driver.mpgPercentile, settings.mpgPercentileTiers);
-            fuelBonus = percentileDetails.bonus;
-
-            // InfoText Calculation
-            const currentMpg = parseFloat(driver.mpg);
-            const sortedTiers = [...settings.mpgPercentileTiers].sort((a, b) => a.threshold - b.threshold);
-            let targetTier = null;
-            
-            if (fuelBonus < 0) {
-                targetTier = sortedTiers.find(t => t.bonus >= 0);
-            } else {
-                targetTier = sortedTiers.find(t => t.bonus > fuelBonus);
-            }
-
-            if (targetTier && driversForDate && driversForDate.length > 0) {
-                const targetPercentile = targetTier.threshold;
-                const allMpgValues = driversForDate.map(d => parseFloat(d.mpg)).filter(mpg => mpg > 0).sort((a, b) => a - b);
-                let targetMpg = 0;
-
-                if (allMpgValues.length > 1) {
-                    const targetIndex = Math.ceil((targetPercentile / 100) * (allMpgValues.length - 1));
-                    targetMpg = allMpgValues[targetIndex];
-                } else if (allMpgValues.length === 1) {
-                    targetMpg = allMpgValues[0];
-                }
-
-                if (targetMpg > 0 && targetMpg > currentMpg) {
-                    if (fuelBonus < 0) {
-                        infoText = `Reach ${targetMpg.toFixed(1)} MPG to remove the penalty.`;
-                    } else {
-                        infoText = `Reach ${targetMpg.toFixed(1)} MPG for a +${targetTier.bonus.toFixed(1)}% bonus.`;
-                    }
-                } else {
-                    infoText = 'Keep up the great work!';
-                }
-            } else if (targetTier) {
-                // Change "percentile" to "Top X%"
-                infoText = fuelBonus < 0 ? 'Improve MPG to remove penalty.' : `Reach the Top ${100 - targetTier.threshold}% of the fleet for the next bonus.`;
-            } else {
-                infoText = 'Maximum fuel bonus reached.';
-            }
-
-        } else if (driverMiles < fuelMileageThreshold) {
-            infoText = `Drive ${fuelMileageThreshold} miles to qualify for fuel bonus.`;
-        } else if (driver.mpg <= 0) {
-            infoText = 'No MPG data available to calculate bonus.';
-        }
-        
-        let shouldIgnoreFuel = ignoreFuel;
-        const userExplicitlyUncheckedFuel = driver.ignoreFuel === false || driver.ignoreFuel === 'false';
-        
-        // Auto-ignore if the week is partial AND the bonus is a penalty (negative)
-        if (driver.hasNotStartedInWeek && fuelBonus < 0 && !userExplicitlyUncheckedFuel) {
-            shouldIgnoreFuel = true;
-            infoText = 'Penalty ignored (partial week).';
-        }
-
-        if (shouldIgnoreFuel) {
-            report.bonuses['Fuel Efficiency'] = { bonus: 0, potentialBonus: fuelBonus, infoText: infoText, ignored: true };
-        } else {
-            report.bonuses['Fuel Efficiency'] = { bonus: fuelBonus, infoText: infoText };
-            report.totalBonus += fuelBonus;
-        }
-    } else {
-        report.bonuses['Fuel Efficiency'] = { bonus: 0, infoText: 'Fuel metric disabled.' };
-    }
-
-    // Tenure Bonus
-    if (settings.enabledMetrics?.tenure ?? true) {
-        let tenureBonus = 0;
-        if (settings.tenureMilestones && Array.isArray(settings.tenureMilestones)) {
-            settings.tenureMilestones.forEach(milestone => {
-                if (driver.tenure >= milestone.threshold) {
-                    tenureBonus += milestone.bonus;
-                }
-            });
-        }
-        
-        if (ignoreTenure) {
-            report.bonuses['Tenure'] = { bonus: 0, potentialBonus: tenureBonus, ignored: true };
-        } else {
-            report.bonuses['Tenure'] = { bonus: tenureBonus };
-            report.totalBonus += tenureBonus;
-        }
-    } else {
-        report.bonuses['Tenure'] = { bonus: 0 };
-    }
-
-    // Gross Target Bonus
-    if (settings.enabledMetrics?.grossTarget ?? true) {
-        let grossBonus = 0;
-        const sortedTiers = (settings.grossTargetTiers || []).sort((a, b) => a.from - b.from);
-        for (const tier of sortedTiers) {
-            const from = tier.from;
-            const to = tier.to || Infinity;
-            if (driver.gross >= from && driver.gross <= to) {
-                grossBonus = tier.bonus;
-                break; 
-            }
-        }
-
-        let shouldIgnoreGross = ignoreGross;
-        const userExplicitlyUncheckedGross = driver.ignoreGrossBonus === false || driver.ignoreGrossBonus === 'false';
-        
-        // Auto-ignore if the week is partial AND the bonus is a penalty (negative)
-        if (driver.hasNotStartedInWeek && grossBonus < 0 && !userExplicitlyUncheckedGross) {
-            shouldIgnoreGross = true;
-        }
+export function resolveUnderperformerRules(driver, settings) {
+    const defaults = { ...DEFAULT_UNDERPERFORMER_RULES, ...(settings.underperformerRules || {}) };
+    const ruleSets = settings.underperformerRuleSets || [];
+    const matches = (scope) => ruleSets.find(set =>
+        set.scope === scope && String(set.value || '').trim() !== '' &&
+        String(set.value).trim().toLowerCase() === String(driver[scope] || '').trim().toLowerCase());
+
+    const ruleSet = matches('company') || matches('contract_type');
+    return ruleSet ? { ...defaults, ...ruleSet, enabled: defaults.enabled && ruleSet.enabled !== false } : defaults;
+}
 
-        if (shouldIgnoreGross) {
-            report.bonuses['Gross Target'] = { bonus: 0, potentialBonus: grossBonus, ignored: true };
-        } else {
-            report.bonuses['Gross Target'] = { bonus: grossBonus };
-            report.totalBonus += grossBonus;
-        }
-    } else {
-        report.bonuses['Gross Target'] = { bonus: 0 };
-    }
+// --- Rolling Windows ---
+// A window of 1 week scores fuel and safety on the current week alone (the original behaviour).
+export const DEFAULT_ROLLING_WINDOWS = { mpgWeeks: 1, safetyWeeks: 1 };
 
-    // Separate Bonuses and Penalties
-    report.totalPositiveBonuses = Object.values(report.bonuses).reduce((sum, { bonus }) => sum + Math.max(0, bonus), 0);
-    report.totalPenalties = Object.values(report.bonuses).reduce((sum, { bonus }) => sum + Math.min(0, bonus), 0);
-    
-    report.bonusesInDollars = (report.totalPositiveBonuses / 100) * grossPay;
-    report.penaltiesInDollars = (report.totalPenalties / 100) * grossPay;
-
-    const daysTakenThisWeek = driver.offDays || 0;
-    const balanceAtStartOfWeek = driver.balanceAtStartOfWeek || 0;
-    const streakAtStartOfWeek = driver.streakAtStartOfWeek || 0;
-    // UPDATED: Use peak streak for earning calculation if available
-    const currentStreak = (driver.peakWeeksOut !== undefined) ? driver.peakWeeksOut : (driver.weeksOut || 0);
-
-    let newlyEarnedThisWeek = 0;
-    const startThreshold = settings.timeOffStartAfterWeeks || 3;
-    const weeksPerDay = settings.timeOffWeeksPerDay || 1;
-
-    // Check if the threshold was crossed during this week
-    if (currentStreak >= startThreshold && streakAtStartOfWeek < startThreshold) {
-        newlyEarnedThisWeek += settings.timeOffBaseDays;
-        const additionalFullWeeks = Math.floor(currentStreak) - startThreshold;
-        if (additionalFullWeeks > 0) {
-            newlyEarnedThisWeek += additionalFullWeeks / weeksPerDay;
-        }
-    } else if (currentStreak > streakAtStartOfWeek && currentStreak > startThreshold) {
-        const newFullWeeksEarned = Math.floor(currentStreak) - Math.floor(streakAtStartOfWeek);
-        if (newFullWeeksEarned > 0) {
-            newlyEarnedThisWeek = newFullWeeksEarned / weeksPerDay;
-        }
-    }
+/**
+ * Resolves a driver's pay delay in weeks. A delay set for the driver's company in
+ * settings.payDelayByCompany overrides the delay on the driver record.
+ * @param {Object} driver The driver record (company, pay_delayWks).
+ * @param {Object} [settings] The application settings object.
+ * @returns {number} The pay delay in weeks (at least 1).
+ */
+export function getPayDelayWeeks(driver, settings) {
+    const companyDelay = parseInt(settings?.payDelayByCompany?.[driver.company], 10);
+    if (companyDelay >= 1) return companyDelay;
+    return Math.max(1, parseInt(driver.pay_delayWks, 10) || 1);
+}
 
-    const currentAvailable = balanceAtStartOfWeek + newlyEarnedThisWeek;
-    report.availableOffDays = Math.max(0, currentAvailable);
+/**
+ * Returns the performance week a pay date pays for. A delay of 1 pays for the work week
+ * ending on or before the pay date; every extra week of delay moves it back 7 days.
+ * @param {string} payDateStr The pay date (YYYY-MM-DD).
+ * @param {number} payDelayWks The pay delay in weeks (see getPayDelayWeeks).
+ * @param {number} [weekStartDay] The day the work week starts on (0 = Sunday, see workWeek.js).
+ * @returns {{performanceDateStr: string, startStr: string, endStr: string, performanceDate: Date, start: Date, end: Date}}
+ */
+export function getPerformanceWeek(payDateStr, payDelayWks, weekStartDay = DEFAULT_WORK_WEEK.weekStartDay) {
+    const performanceDate = new Date(payDateStr + 'T12:00:00Z');
+    const delay = Math.max(1, parseInt(payDelayWks, 10) || 1);
+    performanceDate.setUTCDate(performanceDate.getUTCDate() - (delay - 1) * 7);
+    const performanceDateStr = performanceDate.toISOString().split('T')[0];
 
-    // Only calculate escrow if an override hasn't already set the value.
-    if (!driver.hasOwnProperty('escrowDeduct')) {
-        // FIX: Check against 'currentAvailable' (total budget), not just 'balanceAtStartOfWeek'
-        const excessDays = Math.max(0, daysTakenThisWeek - Math.max(0, currentAvailable));
-        report.escrowDeduct = excessDays * (settings.escrowDeductionAmount || 0);
-    }
-    
-    // Final TPOG
-    report.totalTpog = settings.baseRate + report.totalBonus;
-    report.estimatedNet = (report.totalTpog / 100) * (driver.gross || 0);
-    return report;
+    return { performanceDateStr, performanceDate, ...getWeekEndingOnOrBefore(performanceDateStr, weekStartDay) };
 }
 
 /**
- * Calculates just the final TPOG score for a driver.
- * @param {Object} driver The driver object.
- * @param {Object} settings The application settings object.
- * @returns {number} The final TPOG score.
+ * Formats a performance week as "MM/DD - MM/DD".
+ * @param {{startStr: string, endStr: string}} week A result of getPerformanceWeek.
+ * @returns {string} The formatted range.
  */
-export function calculateDriverTPOG(driver, settings) {
-    return getDriverReportData(driver, settings).totalTpog;
+export function formatPerformanceWeek({ startStr, endStr }) {
+    const short = (dateStr) => `${dateStr.slice(5, 7)}/${dateStr.slice(8, 10)}`;
+    return `${short(startStr)} - ${short(endStr)}`;
 }
 
+/**
+ * Miles-weighted average of weekly values. Weeks without miles or without a value (null)
+ * are skipped; a value of 0 is a real result and counts.
+ * @param {Array<{value: number|null, miles: number}>} weeks The weekly values.
+ * @returns {number|null} The weighted average, or null if no week qualified.
+ */
+function milesWeightedAverage(weeks) {
+    const usable = weeks.filter(isUsableWeek);
+    const totalMiles = usable.reduce((sum, w) => sum + w.miles, 0);
+    if (totalMiles === 0) return null;
+    return usable.reduce((sum, w) => sum + w.value * w.miles, 0) / totalMiles;
+}
 
-
+const isUsableWeek = (w) => w.miles > 0 && w.value !== null;
 
 /**
- * Gathers all values from the settings panel UI and returns a new settings object.
- * @returns {Object|null} The new settings object or null on error.
+ * Returns the distance and MPG a pay week is scored with, after its overrides. The distance
+ * is the ProLogs miles unless the week is overridden to the Samsara distance. The MPG is that
+ * distance over the week's gallons, or the stub MPG when it cannot be calculated or the week
+ * is overridden to it.
+ * @param {Object} record The driver's record for the pay week.
+ * @param {{milesWeek: number, samsaraDistance: number}} miles The week's ProLogs and Samsara miles.
+ * @param {Object} overriddenDistances Distance sources by "DriverID_PayDate".
+ * @param {Object} mpgOverrides MPG sources by "DriverID_PayDate".
+ * @returns {{distanceSource: string, distance: number, mpgSource: string, mpg: number}}
  */
+function getWeekDistanceAndMpg(record, { milesWeek, samsaraDistance }, overriddenDistances, mpgOverrides) {
+    const key = `${record.id}_${record.pay_date.split('T')[0]}`;
+    const distanceSource = (overriddenDistances && overriddenDistances[key]) || 'milesWeek';
+    const distance = distanceSource === 'samsaraDistance' ? samsaraDistance : milesWeek;
+
+    const gallons = parseFloat(record.gallons_fictive);
+    const calculatedMpg = (gallons > 0 && distance > 0) ? (distance / gallons) : 0;
+    // 'mpg' (Samsara) if available, otherwise 'stubMpg', unless overridden
+    const mpgSource = (mpgOverrides && mpgOverrides[key]) || (calculatedMpg > 0 ? 'mpg' : 'stubMpg');
+    const mpg = mpgSource === 'mpg' ? calculatedMpg : (parseFloat(record.stubMpg) || 0);
+
+    return { distanceSource, distance, mpgSource, mpg };
+}
+
 /**
- * Gathers all values from the settings panel UI and returns a new settings object.
- * @returns {Object|null} The new settings object or null on error.
+ * Builds the rolling MPG and safety score for a driver from their previous pay weeks. Every
+ * week is read the way the current week is: the distance and MPG after that week's overrides
+ * (see getWeekDistanceAndMpg), with miles from mileageIndex and the Samsara distance from
+ * safetyIndex, and the safety score from the driver record, weighted by the Samsara distance.
+ * A week without fuel has no MPG; a safety score of 0 counts. A window of N weeks only reads
+ * pay dates within (N - 1) * 7 days before selectedDateStr, so weeks the driver has no record
+ * for shorten the window instead of pulling in older weeks.
+ * @param {Object} driver The driver for the selected week (mpg and distance already set).
+ * @param {number} currentMiles The miles the current week's MPG was calculated from.
+ * @param {Object} context {allDrivers, mileageIndex, safetyIndex, selectedDateStr, windows, settings, overriddenDistances, mpgOverrides}.
+ * @returns {{rollingMpg: number|null, mpgWeeksUsed: number, rollingSafetyScore: number|null, safetyWeeksUsed: number}}
  */
-export function updateSettingsFromUI() {
-    let newSettings = {};
-    try {
-        newSettings.baseRate = parseFloat(document.getElementById('baseRate').value) || 0;
-        
-        newSettings.enabledMetrics = {
-            weeksOut: document.getElementById('metric-toggle-weeksOut').checked,
-            safety: document.getElementById('metric-toggle-safety').checked,
-            fuel: document.getElementById('metric-toggle-fuel').checked,
-            tenure: document.getElementById('metric-toggle-tenure').checked,
-            grossTarget: document.getElementById('metric-toggle-grossTarget').checked,
-        };
-
-        // Weeks Out Policy
-        const weeksOutMethodChecked = document.querySelector('input[name="weeksOutMethod"]:checked');
-        newSettings.weeksOutMethod = weeksOutMethodChecked ? weeksOutMethodChecked.value : 'fullWeeksOnly';
-        newSettings.weeksOutResetOnDaysOff = document.getElementById('weeksOutResetOnDaysOff').checked;
-
-        newSettings.safetyScoreThreshold = parseFloat(document.getElementById('safetyScoreThreshold').value) || 0;
-        newSettings.safetyScoreMileageThreshold = parseFloat(document.getElementById('safetyScoreMileageThreshold').value) || 0;
-        newSettings.safetyScoreBonus = parseFloat(document.getElementById('safetyScoreBonus').value) || 0;
-        newSettings.safetyBonusForfeitedOnSpeeding = document.getElementById('safetyBonusForfeitedOnSpeeding').checked;
-        
-        const checkedSpeedingMethod = document.querySelector('input[name="speedingPenaltyMethod"]:checked');
-        if (checkedSpeedingMethod) {
-            newSettings.speedingPenaltyMethod = checkedSpeedingMethod.value;
+export function calculateRollingMetrics(driver, currentMiles, { allDrivers, mileageIndex, safetyIndex, selectedDateStr, windows, settings, overriddenDistances = {}, mpgOverrides = {} }) {
+    const maxWeeks = Math.max(windows.mpgWeeks, windows.safetyWeeks);
+    const { weekStartDay } = getWorkWeekSettings(settings);
+    const selectedDate = new Date(selectedDateStr + 'T12:00:00Z');
+    const weeksBefore = (record) => Math.round((selectedDate - new Date(record.pay_date.split('T')[0] + 'T12:00:00Z')) / (7 * 24 * 60 * 60 * 1000));
+    const previousWeeks = (allDrivers || [])
+        .filter(d => d.name === driver.name && d.pay_date && d.pay_date.split('T')[0] < selectedDateStr)
+        .map(record => ({ record, weeksAgo: weeksBefore(record) }))
+        .filter(({ weeksAgo }) => weeksAgo <= maxWeeks - 1)
+        .sort((a, b) => b.record.pay_date.localeCompare(a.record.pay_date));
+
+    const mpgValue = (mpg) => (parseFloat(mpg) > 0 ? parseFloat(mpg) : null);
+    const safetyValue = (score) => (score === null || score === undefined || score === '' || isNaN(parseFloat(score)) ? null : parseFloat(score));
+
+    const mpgWeeks = [{ value: mpgValue(driver.mpg), miles: currentMiles }];
+    const safetyWeeks = [{ value: safetyValue(driver.safetyScore), miles: driver.samsaraDistance || currentMiles }];
+
+    previousWeeks.forEach(({ record, weeksAgo }) => {
+        const { performanceDateStr, startStr, endStr } = getPerformanceWeek(record.pay_date.split('T')[0], getPayDelayWeeks(record, settings), weekStartDay);
+        const [safetyRecord] = safetyIndex ? getRecordsForDay(safetyIndex, driver.name, performanceDateStr) : [];
+        const samsaraDistance = safetyRecord && safetyRecord.totalDistance ? Math.round(parseFloat(safetyRecord.totalDistance)) : undefined;
+        const milesWeek = Math.round(sumMiles(mileageIndex, driver.name, startStr, endStr));
+        const { distance, mpg } = getWeekDistanceAndMpg(record, { milesWeek, samsaraDistance }, overriddenDistances, mpgOverrides);
+
+        if (weeksAgo <= windows.mpgWeeks - 1) {
+            mpgWeeks.push({ value: mpgValue(mpg), miles: distance || 0 });
         }
 
-        const includeZerosCheckbox = document.getElementById('include-speeding-zeros');
-        newSettings.includeZerosInSpeedingCalc = includeZerosCheckbox ? includeZerosCheckbox.checked : false;
-
-        // Time Off and Escrow policies.
-        newSettings.timeOffBaseDays = parseInt(document.getElementById('timeOffBaseDays').value, 10) || 0;
-        newSettings.timeOffStartAfterWeeks = parseInt(document.getElementById('timeOffStartAfterWeeks').value, 10) || 0;
-        newSettings.timeOffWeeksPerDay = parseInt(document.getElementById('timeOffWeeksPerDay').value, 10) || 1;
-        newSettings.escrowDeductionAmount = parseFloat(document.getElementById('escrowDeductionAmount').value) || 0;
-
-        newSettings.fuelMileageThreshold = parseFloat(document.getElementById('fuelMileageThreshold').value) || 0;
-
-        // --- MODIFIED: Split standard (threshold) tiers and range tiers ---
-        
-        // 1. Read THRESHOLD tiers
-        const standardTierKeys = ['weeksOutTiers', 'mpgPercentileTiers', 'tenureMilestones', 'speedingPercentileTiers'];
-        standardTierKeys.forEach(key => {
-            // Skip speedingPercentileTiers if method is not 'percentile'
-            if (key === 'speedingPercentileTiers' && newSettings.speedingPenaltyMethod !== 'percentile') return;
-            
-            const section = document.querySelector(`[data-tier-key="${key}"]`);
-            if (section) {
-                const newTiers = [];
-                section.querySelectorAll('.tier-row').forEach(row => {
-                    const thresholdInput = row.querySelector('[data-type="threshold"]');
-                    const bonusInput = row.querySelector('[data-type="bonus"]');
-                    if (thresholdInput && bonusInput) {
-                        const threshold = parseFloat(thresholdInput.value);
-                        const bonus = parseFloat(bonusInput.value);
-                        if (!isNaN(threshold) && !isNaN(bonus)) {
-                            newTiers.push({ threshold, bonus });
-                        }
-                    }
-                });
-                newSettings[key] = newTiers;
-            }
-        });
-
-        // 2. Read GROSS TARGET tiers (Range)
-        const grossSection = document.querySelector('[data-tier-key="grossTargetTiers"]');
-        if (grossSection) {
-            const grossTiers = [];
-            grossSection.querySelectorAll('.tier-row').forEach(row => {
-                const from = parseFloat(row.querySelector('[data-type="from"]').value);
-                const toInput = row.querySelector('[data-type="to"]');
-                const to = toInput && toInput.value ? parseFloat(toInput.value) : Infinity;
-                const bonus = parseFloat(row.querySelector('[data-type="bonus"]').value);
-                if (!isNaN(from) && !isNaN(bonus)) {
-                    grossTiers.push({ from, to, bonus });
-                }
-            });
-            newSettings.grossTargetTiers = grossTiers;
+        if (weeksAgo <= windows.safetyWeeks - 1) {
+            safetyWeeks.push({ value: safetyValue(record.safetyScore), miles: samsaraDistance || distance || 0 });
         }
+    });
 
-        // 3. Read SPEEDING tiers (Range or Per-Event)
-        if (newSettings.speedingPenaltyMethod === 'perEvent') {
-            newSettings.speedingPerEventMinimum = parseInt(document.getElementById('speedingPerEventMinimum').value, 10) || 0;
-            newSettings.speedingPerEventPenalty = parseFloat(document.getElementById('speedingPerEventPenalty').value) || 0;
-        } else if (newSettings.speedingPenaltyMethod === 'range') {
-            const rangeTiers = [];
-            const section = document.querySelector('[data-tier-key="speedingRangeTiers"]');
-            if (section) {
-                section.querySelectorAll('.tier-row').forEach(row => {
-                    const from = parseInt(row.querySelector('[data-type="from"]').value, 10);
-                    const toInput = row.querySelector('[data-type="to"]');
-                    const to = toInput && toInput.value ? parseInt(toInput.value, 10) : Infinity;
-                    const penalty = parseFloat(row.querySelector('[data-type="penalty"]').value);
-                    if (!isNaN(from) && !isNaN(penalty)) {
-                        rangeTiers.push({ from, to, penalty });
-                    }
-                });
-            }
-            newSettings.speedingRangeTiers = rangeTiers;
-        }
-        
-        return newSettings;
-    } catch (error) {
-        console.error("CRITICAL ERROR while gathering settings:", error);
-        alert("A critical error occurred while gathering the settings from the page. The save could not be completed.");
-        return null;
-    }
+    return {
+        rollingMpg: milesWeightedAverage(mpgWeeks),
+        mpgWeeksUsed: mpgWeeks.filter(isUsableWeek).length,
+        rollingSafetyScore: milesWeightedAverage(safetyWeeks),
+        safetyWeeksUsed: safetyWeeks.filter(isUsableWeek).length
+    };
 }
 
 /**
  * Processes driver data for a specific date, calculating weeks out and percentiles.
  * @param {Array<Object>} driversForDate Array of drivers for the selected pay date.
- * @param {Object} mileageIndex Indexed mileage data by driver name.
+ * @param {Object} mileageIndex Mileage data indexed by driver name and day (see dataIndexes.js).
  * @param {Object} settings The application settings.
- * @param {Object} safetyIndex Indexed safety data by driver name.
+ * @param {Object} safetyIndex Safety data indexed by driver name and day (see dataIndexes.js).
  * @param {Object} overriddenDistances Map of distance overrides.
  * @param {Object} daysTakenIndex Indexed days off history by driver name.
  * @param {Object} dispatcherOverrides Map of dispatcher overrides.
@@ -539,10 +211,11 @@ function getMedian(values) {
     return (sorted[half - 1] + sorted[half]) / 2.0; // Even length
 }
 
-export function processDriverDataForDate(driversForDate, mileageIndex, settings, safetyIndex, overriddenDistances, daysTakenIndex, dispatcherOverrides, allDrivers, mpgOverrides, allLockedData = {}, allContracts = {}) {
+export function processDriverDataForDate(driversForDate, mileageIndex, settings, safetyIndex, overriddenDistances, daysTakenIndex, dispatcherOverrides, allDrivers, mpgOverrides, allLockedData = {}, allContracts = {}, timeOffAdjustments = {}) {
     if (driversForDate.length > 0) {
         const formatDate = (date) => date.toISOString().split('T')[0];
         const selectedDateStr = driversForDate[0].pay_date.split('T')[0];
+        const { weekStartDay, operatingTimezone } = getWorkWeekSettings(settings);
 
        driversForDate.forEach(driver => {
         // --- Company Swap Logic ---
@@ -565,15 +238,22 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
         }
         // --------------------------
 
-        // --- Underperformer Logic (Tiered Sums AND Fixed Median) ---
+        // --- Underperformer Logic (Windowed Sums and Medians, see settings.underperformerRules) ---
         // 1. LOCKED WEEKS ONLY
-        // 2. TPOG ONLY
+        // 2. SCORED WEEKS ONLY (TPOG, or a contract type with a scoring profile, see isScoredDriver)
         // 3. EXCLUDE INACTIVE
         // 4. USE SNAPSHOT DATA (Important!)
-        if (allDrivers && allLockedData) {
+        // A driver's scoring profile also sets their weeks out, time off and underperformer rules
+        const driverSettings = getProfileSettings(driver, settings);
+        const underperformerRules = resolveUnderperformerRules(driver, driverSettings);
+        const ruleWindows = (underperformerRules.windows || [])
+            .filter(w => w.weeks > 0)
+            .sort((a, b) => a.weeks - b.weeks);
+
+        if (allDrivers && allLockedData && underperformerRules.enabled && ruleWindows.length > 0) {
             
-            // Get all records for this driver (by name, for TPOG)
-            const driverHistory = allDrivers.filter(d => d.name === driver.name && d.contract_type === 'TPOG');
+            // Get all scored records for this driver (by name), so rule sets for other contract types apply
+            const driverHistory = allDrivers.filter(d => d.name === driver.name && isScoredDriver(d, settings));
             
             const validHistorySnapshots = [];
 
@@ -614,29 +294,20 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
 
             const count = validHistorySnapshots.length;
 
-            // 3. Minimum 4 valid locked weeks required
-            if (count >= 4) {
+            // 3. The smallest window sets the minimum number of valid locked weeks
+            // Use the largest window the driver has enough history for
+            const activeWindow = ruleWindows.filter(w => w.weeks <= count).pop();
+
+            if (activeWindow) {
                 // Sort descending by date
                 validHistorySnapshots.sort((a, b) => new Date(b.pay_date) - new Date(a.pay_date));
 
                 // Determine Thresholds
-                let weeksToCheck = 0;
-                let minGrossSum = 0;
-                let minMilesSum = 0;
-
-                if (count >= 6) {
-                    weeksToCheck = 6;
-                    minGrossSum = 30000;
-                    minMilesSum = 12000;
-                } else if (count === 5) {
-                    weeksToCheck = 5;
-                    minGrossSum = 25000;
-                    minMilesSum = 10000;
-                } else { 
-                    weeksToCheck = 4;
-                    minGrossSum = 20000;
-                    minMilesSum = 8000;
-                }
+                const weeksToCheck = activeWindow.weeks;
+                const minGrossSum = activeWindow.minGrossSum || 0;
+                const minMilesSum = activeWindow.minMilesSum || 0;
+                const maxMedianGross = underperformerRules.maxMedianGross || 0;
+                const maxMedianMiles = underperformerRules.maxMedianMiles || 0;
 
                 // Slice the SNAPSHOTS
                 const recentHistory = validHistorySnapshots.slice(0, weeksToCheck);
@@ -654,10 +325,14 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                 const medianGross = getMedian(grossValues);
                 const medianMiles = getMedian(milesValues);
 
-                const isMedianFailing = (medianGross <= 6000 || medianMiles <= 2500);
+                const isMedianFailing = (medianGross <= maxMedianGross || medianMiles <= maxMedianMiles);
 
                 // --- Final Decision ---
-                if (isSumFailing && isMedianFailing) {
+                const isFailing = underperformerRules.combine === 'OR'
+                    ? (isSumFailing || isMedianFailing)
+                    : (isSumFailing && isMedianFailing);
+
+                if (isFailing) {
                     driver.isUnderperformer = true;
                     let reasons = [];
                     
@@ -666,8 +341,8 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                     if (sumGross < minGrossSum) reasons.push(`Sum Gross $${Math.round(sumGross)} < $${minGrossSum}`);
                     if (sumMiles < minMilesSum) reasons.push(`Sum Miles ${Math.round(sumMiles)} < ${minMilesSum}`);
                     
-                    if (medianGross <= 6000) reasons.push(`Median Gross $${Math.round(medianGross)} <= $6000`);
-                    if (medianMiles <= 2500) reasons.push(`Median Miles ${Math.round(medianMiles)} <= 2500`);
+                    if (medianGross <= maxMedianGross) reasons.push(`Median Gross $${Math.round(medianGross)} <= $${maxMedianGross}`);
+                    if (medianMiles <= maxMedianMiles) reasons.push(`Median Miles ${Math.round(medianMiles)} <= ${maxMedianMiles}`);
 
                     driver.underperformerReason = `Underperformer:\n` + reasons.join('\n');
                 }
@@ -675,32 +350,17 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
         }
         // ----------------------------
 
-        const performanceDate = new Date(selectedDateStr + 'T12:00:00Z');
-        if (driver.pay_delayWks === 2) {
-            performanceDate.setUTCDate(performanceDate.getUTCDate() - 7);
-        }
-
-        const dayOfWeek = performanceDate.getUTCDay();
-        const daysToSubtract = (dayOfWeek + 6) % 7;
-        const monday = new Date(performanceDate);
-        monday.setUTCDate(performanceDate.getUTCDate() - daysToSubtract);
-        monday.setUTCHours(23, 59, 59, 999);
-
-        const tuesday = new Date(monday);
-        tuesday.setUTCDate(monday.getUTCDate() - 6);
-        tuesday.setUTCHours(0, 0, 0, 0);
-
-        const tuesdayStr = formatDate(tuesday);
-        const mondayStr = formatDate(monday);
+        const performanceWeek = getPerformanceWeek(selectedDateStr, getPayDelayWeeks(driver, driverSettings), weekStartDay);
+        const { performanceDate, start: weekStart, startStr: weekStartStr, endStr: weekEndStr } = performanceWeek;
+        driver.performanceWeek = formatPerformanceWeek(performanceWeek);
 
         // --- OPTIMIZATION: Use Index ---
-        const driverMileageRecords = mileageIndex[driver.name] || [];
         const driverDaysOffHistory = daysTakenIndex[driver.name] || [];
         // -------------------------------
 
         const allDaysOffHistory = [];
         const allPossibleDates = [...new Set([
-            ...driverDaysOffHistory.map(h => formatDate(new Date(h.date))),
+            ...driverDaysOffHistory.map(h => toDateKey(h.date, operatingTimezone)),
             ...Object.keys(dispatcherOverrides).filter(k => k.startsWith(driver.name)).map(k => k.split('_')[1])
         ])];
 
@@ -717,7 +377,7 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                 isDayOff = false;
             } else {
                 const systemDayOff = driverDaysOffHistory.some(h =>
-                    formatDate(new Date(h.date)) === dateStr &&
+                    toDateKey(h.date, operatingTimezone) === dateStr &&
                     h.activity_status === 'DAY_OFF'
                 );
                 if (systemDayOff) {
@@ -733,25 +393,16 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
         const uniqueDaysOff = [...new Map(allDaysOffHistory.map(item => [item['date'], item])).values()];
 
         // Filter using strict string comparison for YYYY-MM-DD
-        const daysTakenThisWeek = uniqueDaysOff.filter(h => {
-            const dateStr = formatDate(new Date(h.date));
-            return dateStr >= tuesdayStr && dateStr <= mondayStr;
-        }).length;
+        const daysTakenThisWeek = uniqueDaysOff.filter(h => h.date >= weekStartStr && h.date <= weekEndStr).length;
         
-        const daysTakenPreviously = uniqueDaysOff.filter(h => {
-            const dateStr = formatDate(new Date(h.date));
-            return dateStr < tuesdayStr;
-        }).length;
+        const daysTakenPreviously = uniqueDaysOff.filter(h => h.date < weekStartStr).length;
         
         driver.offDays = daysTakenThisWeek;
         driver.totalDaysTakenPreviously = daysTakenPreviously;
         driver.fullDaysOffHistory = uniqueDaysOff;
         
         // --- FIX 1: Normalize dates for milesWeek calculation ---
-        const weeklyMileageRecords = driverMileageRecords.filter(m => {
-            const mDateStr = m.date.split('T')[0]; 
-            return mDateStr >= tuesdayStr && mDateStr <= mondayStr;
-        });
+        const weeklyMileageRecords = getRecordsInRange(mileageIndex, driver.name, weekStartStr, weekEndStr);
 
         // Calculate total miles
         driver.milesWeek = Math.round(weeklyMileageRecords.reduce((total, record) => total + (record.movement || 0), 0));
@@ -760,13 +411,16 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
         driver.hasPrologsData = weeklyMileageRecords.length > 0; 
 
         if (safetyIndex) {
-            const driverSafetyRecords = safetyIndex[driver.name] || [];
             const performanceDateStr = formatDate(performanceDate);
-            const safetyRecord = driverSafetyRecords.find(record => record.date.split('T')[0] === performanceDateStr);
+            const [safetyRecord] = getRecordsForDay(safetyIndex, driver.name, performanceDateStr);
             
             if (safetyRecord && safetyRecord.totalDistance) {
                 driver.samsaraDistance = Math.round(parseFloat(safetyRecord.totalDistance));
             }
+            // Inputs for the hard braking and idle time metrics (see metricRegistry.js)
+            driver.harshBrakeEvents = safetyRecord ? (parseInt(safetyRecord.harshBrake, 10) || 0) : null;
+            const idleHours = safetyRecord ? parseFloat(safetyRecord.idleHours) : NaN;
+            driver.idleHours = isNaN(idleHours) ? null : idleHours;
             // NEW: Set flag for Samsara icon (Only true if actual record exists)
             driver.hasSamsaraData = !!safetyRecord;
         } else {
@@ -774,39 +428,36 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
         }
 
         const weeklyActivityData = [];
-        const dayLabels = ['Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Monday'];
-        const dayShortLabels = ['T', 'W', 'T', 'F', 'S', 'S', 'M'];
+        const dayLabels = getWeekDayLabels(weekStartDay);
         
         // --- FIX 2: Normalize keys for mileage map ---
         const mileageMap = new Map();
-        driverMileageRecords.forEach(m => {
+        weeklyMileageRecords.forEach(m => {
             const mDateStr = m.date.split('T')[0];
-            if (mDateStr >= tuesdayStr && mDateStr <= mondayStr) {
-                mileageMap.set(mDateStr, (mileageMap.get(mDateStr) || 0) + (m.movement || 0));
-            }
+            mileageMap.set(mDateStr, (mileageMap.get(mDateStr) || 0) + (m.movement || 0));
         });
 
         let lastKnownStatus = 'NO DATA';
 
         for (let i = 0; i < 7; i++) {
-            const currentDay = new Date(tuesday);
-            currentDay.setUTCDate(tuesday.getUTCDate() + i);
+            const currentDay = new Date(weekStart);
+            currentDay.setUTCDate(weekStart.getUTCDate() + i);
             const dayString = formatDate(currentDay);
             
             // Now map lookup works because keys match
             const mileage = mileageMap.get(dayString) || 0;
             
-            const formattedDate = `${dayLabels[i]}, ${(currentDay.getUTCMonth() + 1).toString().padStart(2, '0')}.${currentDay.getUTCDate().toString().padStart(2, '0')}`;
+            const formattedDate = `${dayLabels[i].long}, ${(currentDay.getUTCMonth() + 1).toString().padStart(2, '0')}.${currentDay.getUTCDate().toString().padStart(2, '0')}`;
             const overrideKey = `${driver.name}_${dayString}`;
             const overrideStatus = dispatcherOverrides[overrideKey];
             const isOverridden = !!overrideStatus;
             
             // Check Contract Status first
-            const contractStatus = getContractStatusForDay(driver.name, dayString, allContracts);
+            const contractStatus = getContractStatusForDay(driver, dayString, allContracts);
 
             // --- FIX: Use strict string comparison (YYYY-MM-DD) for status lookup ---
             let statusesForDay = driverDaysOffHistory
-                .filter(log => formatDate(new Date(log.date)) === dayString)
+                .filter(log => toDateKey(log.date, operatingTimezone) === dayString)
                 .map(log => {
                     let st = log.activity_status;
                     if (st === 'WITHOUT_LOAD' || st === 'WITHOUT LOAD') return 'ACTIVE';
@@ -839,14 +490,14 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                     isChanged = true;
                 }
             }
-            weeklyActivityData.push({ day: dayShortLabels[i], mileage: mileage, fullDate: formattedDate, statuses: finalStatus, tooltipStatus: tooltipStatus, isOverridden: isOverridden, isChanged: isChanged });
+            weeklyActivityData.push({ day: dayLabels[i].letter, mileage: mileage, fullDate: formattedDate, statuses: finalStatus, tooltipStatus: tooltipStatus, isOverridden: isOverridden, isChanged: isChanged });
         }
         driver.weeklyActivity = weeklyActivityData;
         
         let isFullyConfirmed = true;
         for (let i = 0; i < 7; i++) {
-            const currentDay = new Date(tuesday);
-            currentDay.setUTCDate(tuesday.getUTCDate() + i);
+            const currentDay = new Date(weekStart);
+            currentDay.setUTCDate(weekStart.getUTCDate() + i);
             const dayString = formatDate(currentDay);
             const overrideKey = `${driver.name}_${dayString}`;
             if (!dispatcherOverrides[overrideKey]) {
@@ -857,17 +508,14 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
         driver.isDispatcherReviewed = isFullyConfirmed;
     });
         
-    // Weeks Out Calculation
-    if (settings.weeksOutMethod === 'daysOff' || settings.weeksOutMethod === 'dailyAccrual' || settings.weeksOutMethod === 'fullWeeksOnly') {
-        const formatDate = (date) => date.toISOString().split('T')[0];
-        const selectedDateStr = driversForDate[0].pay_date.split('T')[0];
-
+    // Weeks Out Calculation (each driver with the method from their scoring profile)
         driversForDate.forEach(driver => {
+            const driverSettings = getProfileSettings(driver, settings);
+            if (!['daysOff', 'dailyAccrual', 'fullWeeksOnly'].includes(driverSettings.weeksOutMethod)) return;
+
             // Get raw system logs for live checks
             const driverDaysOffHistory = daysTakenIndex[driver.name] || [];
-            
-            // Make mileage records accessible for this loop
-            const driverMileageRecords = mileageIndex[driver.name] || [];
+
             
             const allRecordsForDriver = allDrivers
                 .filter(d => d.name === driver.name && d.pay_date)
@@ -879,16 +527,35 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
             const dailyContribution = 0.1429;
     
             let continuousDayStreak = 0; 
+            const ledger = [];
+            driver.timeOffLedger = ledger;
+            const driverAdjustments = timeOffAdjustments[driver.name] || [];
+            // One entry per week explaining how the streak moved (rendered by the activity history explainer)
+            const weeksOutTrace = [];
+            driver.weeksOutTrace = weeksOutTrace;
 
         for (const record of allRecordsForDriver) {
             const recordPayDateStr = record.pay_date.split('T')[0];
             if (payDatesProcessed.has(recordPayDateStr)) continue;
             payDatesProcessed.add(recordPayDateStr);
             
-            // --- FIX: Ignore weeks where contract is not TPOG ---
-            if (record.contract_type !== 'TPOG') {
-                continuousDayStreak = 0; // Reset streak if they left TPOG
+            // --- FIX: Ignore weeks where contract is not scored (TPOG or a scoring profile) ---
+            if (!isScoredDriver(record, settings)) {
+                weeksOutTrace.push({
+                    payDate: recordPayDateStr,
+                    method: driverSettings.weeksOutMethod,
+                    source: 'skipped',
+                    contractType: record.contract_type,
+                    streakBefore: driverSettings.weeksOutMethod === 'dailyAccrual' ? Math.floor(continuousDayStreak * dailyContribution) : streak,
+                    streakAfter: 0,
+                    days: [],
+                    daysOff: 0,
+                    weekMetCriteria: false,
+                    resetReason: 'NOT_SCORED'
+                });
+                continuousDayStreak = 0; // Reset streak if they left the program
                 streak = 0;
+                runningBalance = recordAdjustments(ledger, recordPayDateStr, runningBalance, driverAdjustments);
                 
                 if (recordPayDateStr === selectedDateStr) {
                     driver.weeksOut = 0;
@@ -902,22 +569,19 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
             }
             // ----------------------------------------------------
             
-            const performanceDate = new Date(recordPayDateStr + 'T12:00:00Z');
-                if (record.pay_delayWks === 2) performanceDate.setUTCDate(performanceDate.getUTCDate() - 7);
-                
-                const monday = new Date(performanceDate);
-                monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
-                const tuesday = new Date(monday);
-                tuesday.setUTCDate(monday.getUTCDate() - 6);
+            const { start: weekStart, startStr: weekStartStr, endStr: weekEndStr } = getPerformanceWeek(recordPayDateStr, getPayDelayWeeks(record, driverSettings), weekStartDay);
 
-                const oldStreakInWeeks = settings.weeksOutMethod === 'dailyAccrual' 
+                const oldStreakInWeeks = driverSettings.weeksOutMethod === 'dailyAccrual' 
                     ? Math.floor(continuousDayStreak * dailyContribution) 
                     : streak;
                 
                 let maxDaysThisWeek = continuousDayStreak;
+                const dayStreakAtStart = continuousDayStreak;
+                const dayTrace = [];
                 let daysOffInWeek = 0;
                 let hasNotStartedInWeek = false;
                 let resetTriggeredThisWeek = false;
+                let hasRehireResetInWeek = false;
 
                 // --- 1. Check for Locked Snapshot ---
                 // FIX: Look at locked data to ensure historical loop matches the UI perfectly
@@ -939,13 +603,16 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                 // --- 2. Process the 7 Days ---
                 let lastKnownHistoryStatus = 'NO DATA';
                 for (let i = 0; i < 7; i++) {
-                    const currentDay = new Date(tuesday);
-                    currentDay.setUTCDate(tuesday.getUTCDate() + i);
+                    const currentDay = new Date(weekStart);
+                    currentDay.setUTCDate(weekStart.getUTCDate() + i);
                     const dayString = formatDate(currentDay);
                     
                     let isDayOff = false;
                     let isNotStarted = false;
                     let isContractEnded = false;
+                    let traceStatus = 'NO DATA';
+                    let traceOverride = null;
+                    let traceMileage = 0;
 
                     if (lockedActivity) {
                         // Trust the snapshot reality so the UI perfectly matches the math
@@ -972,13 +639,15 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                         if (dayAct.mileage > 0 && !combinedStr.includes('DAY_OFF') && !combinedStr.includes('DAY OFF')) {
                             isDayOff = false;
                         }
+                        traceStatus = combinedStr.trim() || 'NO DATA';
+                        traceMileage = dayAct.mileage || 0;
                     } else {
                         // Check Contract
-                        const contractStatus = getContractStatusForDay(driver.name, dayString, allContracts);
+                        const contractStatus = getContractStatusForDay(record, dayString, allContracts);
 
                         // Live Logic - Reading raw system logs directly to avoid missing TIME_OFF
                         let statusesForDay = driverDaysOffHistory
-                            .filter(log => formatDate(new Date(log.date)) === dayString)
+                            .filter(log => toDateKey(log.date, operatingTimezone) === dayString)
                             .map(log => {
                                 let st = (log.activity_status || '').toUpperCase();
                                 if (st === 'WITHOUT_LOAD' || st === 'WITHOUT LOAD') return 'ACTIVE';
@@ -1007,8 +676,7 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                         isContractEnded = overrideStatus === 'CONTRACT_ENDED' || combinedLiveStr.includes('CONTRACT_ENDED');
                         
                         // Get mileage for this historical day
-                        const mileageForDay = driverMileageRecords
-                            .filter(m => m.date.split('T')[0] === dayString)
+                        const mileageForDay = getRecordsForDay(mileageIndex, driver.name, dayString)
                             .reduce((sum, m) => sum + (m.movement || 0), 0);
 
                             if (overrideStatus === 'DAY_OFF') {
@@ -1028,48 +696,118 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                                     isDayOff = false;
                                 }
                             }
+                        traceStatus = combinedLiveStr;
+                        traceOverride = overrideStatus || null;
+                        traceMileage = mileageForDay;
+                    }
+
+                    // Rehire policy: a short gap between contracts pauses the streak, a long one starts it fresh
+                    const rehire = getRehireForDay(record, dayString, allContracts, driverSettings);
+                    let isRehireGap = false;
+                    let isFreshRehire = false;
+                    if (rehire && rehire.continuesStreak && isContractEnded) {
+                        isContractEnded = false;
+                        isRehireGap = true;
+                    } else if (rehire && rehire.startsFresh) {
+                        isFreshRehire = true;
+                        hasRehireResetInWeek = true;
                     }
 
                     if (isDayOff) daysOffInWeek++;
                     if (isNotStarted) hasNotStartedInWeek = true;
-                    if (isNotStarted || isContractEnded) resetTriggeredThisWeek = true;
+                    if (isNotStarted || isContractEnded || isFreshRehire) resetTriggeredThisWeek = true;
 
                     // Daily Accrual Streak Loop Logic
-                    if (settings.weeksOutMethod === 'dailyAccrual') {
-                        if ((settings.weeksOutResetOnDaysOff && isDayOff) || isNotStarted || isContractEnded) {
+                    let resetsStreak = false;
+                    if (driverSettings.weeksOutMethod === 'dailyAccrual') {
+                        if (isFreshRehire) {
+                            // The first day of a fresh contract starts a new streak and counts toward it
+                            continuousDayStreak = isDayOff ? 0 : 1;
+                            resetsStreak = true;
+                        } else if ((driverSettings.weeksOutResetOnDaysOff && isDayOff) || isNotStarted || isContractEnded) {
                             continuousDayStreak = 0;
-                        } else if (!isDayOff) {
+                            resetsStreak = true;
+                        } else if (!isDayOff && !isRehireGap) {
                             continuousDayStreak++;
                         }
                         if (continuousDayStreak > maxDaysThisWeek) maxDaysThisWeek = continuousDayStreak;
+                    } else {
+                        resetsStreak = isNotStarted || isFreshRehire || (driverSettings.weeksOutMethod === 'fullWeeksOnly' && driverSettings.weeksOutResetOnDaysOff && isDayOff);
                     }
+
+                    dayTrace.push({
+                        date: dayString,
+                        status: traceStatus,
+                        override: traceOverride,
+                        mileage: traceMileage,
+                        isDayOff,
+                        isNotStarted,
+                        isContractEnded,
+                        isRehireGap,
+                        isFreshRehire,
+                        counted: !isDayOff && !isNotStarted && !isContractEnded && !isRehireGap,
+                        resetsStreak,
+                        dayStreak: driverSettings.weeksOutMethod === 'dailyAccrual' ? continuousDayStreak : null
+                    });
                 }
 
                 // Full Weeks Only Loop Logic
                 let weekMetCriteria = daysOffInWeek === 0 && !hasNotStartedInWeek;
-                if (settings.weeksOutMethod === 'fullWeeksOnly') {
+                if (driverSettings.weeksOutMethod === 'fullWeeksOnly') {
                     if (hasNotStartedInWeek) {
                         streak = 0;
-                    } else if (settings.weeksOutResetOnDaysOff && !weekMetCriteria) {
+                    } else if (hasRehireResetInWeek) {
+                        // A fresh rehire restarts the count, this week included if it met the criteria
+                        streak = weekMetCriteria ? 1 : 0;
+                    } else if (driverSettings.weeksOutResetOnDaysOff && !weekMetCriteria) {
                         streak = 0;
                     } else if (weekMetCriteria) {
                         streak++;
                     }
                 }
 
+                // Daily accrual forfeits the balance on NOT_STARTED or CONTRACT_ENDED; full weeks only on NOT_STARTED
+                // A fresh rehire (see contracts.js) forfeits it under every method
+                const resetThisWeek = driverSettings.weeksOutMethod === 'dailyAccrual' ? resetTriggeredThisWeek : (hasNotStartedInWeek || hasRehireResetInWeek);
+                const resetDay = dayTrace.find(day => day.resetsStreak);
+                const weekTrace = {
+                    payDate: recordPayDateStr,
+                    method: driverSettings.weeksOutMethod,
+                    source: lockedActivity ? 'locked' : 'live',
+                    performanceWeek: { start: weekStartStr, end: weekEndStr },
+                    streakBefore: oldStreakInWeeks,
+                    streakAfter: driverSettings.weeksOutMethod === 'dailyAccrual' ? Math.floor(continuousDayStreak * dailyContribution) : streak,
+                    dayStreakBefore: driverSettings.weeksOutMethod === 'dailyAccrual' ? dayStreakAtStart : null,
+                    dayStreakAfter: driverSettings.weeksOutMethod === 'dailyAccrual' ? continuousDayStreak : null,
+                    days: dayTrace,
+                    daysOff: daysOffInWeek,
+                    weekMetCriteria,
+                    resetReason: resetDay ? (resetDay.isNotStarted ? 'NOT_STARTED' : resetDay.isFreshRehire ? 'REHIRED' : resetDay.isContractEnded ? 'CONTRACT_ENDED' : 'DAY_OFF') : null
+                };
+                weeksOutTrace.push(weekTrace);
+                if (resetThisWeek) {
+                    runningBalance = recordReset(ledger, recordPayDateStr, runningBalance, hasNotStartedInWeek ? 'NOT_STARTED' : hasRehireResetInWeek ? 'REHIRED' : 'CONTRACT_ENDED');
+                }
+                // Admin grants/forfeits and expiry apply at the start of the week, so they count toward this week's balance
+                runningBalance = recordAdjustments(ledger, recordPayDateStr, runningBalance, driverAdjustments);
+                runningBalance = recordExpiry(ledger, recordPayDateStr, runningBalance, driverSettings);
+
                 // --- 3. Finalize if Target Week ---
                 if (recordPayDateStr === selectedDateStr) {
-                    if (settings.weeksOutMethod === 'dailyAccrual') {
+                    if (driverSettings.weeksOutMethod === 'dailyAccrual') {
                         driver.weeksOut = continuousDayStreak * dailyContribution;
                         driver.peakWeeksOut = maxDaysThisWeek * dailyContribution;
-                        driver.balanceAtStartOfWeek = resetTriggeredThisWeek ? 0 : runningBalance;
+                        driver.balanceAtStartOfWeek = runningBalance;
                         driver.streakAtStartOfWeek = resetTriggeredThisWeek ? 0 : oldStreakInWeeks;
                     } else {
-                        driver.weeksOut = weekMetCriteria ? oldStreakInWeeks + 1 : oldStreakInWeeks;
+                        const streakBase = hasRehireResetInWeek ? 0 : oldStreakInWeeks;
+                        driver.weeksOut = weekMetCriteria ? streakBase + 1 : streakBase;
                         driver.peakWeeksOut = driver.weeksOut;
-                        driver.balanceAtStartOfWeek = hasNotStartedInWeek ? 0 : runningBalance;
-                        driver.streakAtStartOfWeek = hasNotStartedInWeek ? 0 : oldStreakInWeeks;
+                        weekTrace.streakAfter = driver.weeksOut;
+                        driver.balanceAtStartOfWeek = runningBalance;
+                        driver.streakAtStartOfWeek = hasNotStartedInWeek ? 0 : streakBase;
                     }
+                    // The selected week's accrual and usage are added by the scoring engine (calculateTimeOffAndEscrow)
                     // Write live off days count
                     driver.offDays = daysOffInWeek;
                     // Tag the driver if they have NOT_STARTED this week (ignore negative gross/fuel if true)
@@ -1078,113 +816,110 @@ export function processDriverDataForDate(driversForDate, mileageIndex, settings,
                 }
 
                 // --- 4. Process Historical Deductions & Accruals ---
-                if (settings.weeksOutMethod === 'dailyAccrual') {
-                    if (resetTriggeredThisWeek) {
-                        runningBalance = 0;
-                    } else {
-                        const newStreakInWeeks = Math.floor(continuousDayStreak * dailyContribution);
-                        if (newStreakInWeeks > oldStreakInWeeks) {
-                            for (let i = oldStreakInWeeks + 1; i <= newStreakInWeeks; i++) {
-                                if (i === settings.timeOffStartAfterWeeks) {
-                                    runningBalance += settings.timeOffBaseDays;
-                                } else if (i > settings.timeOffStartAfterWeeks) {
-                                    runningBalance += (1 / (settings.timeOffWeeksPerDay || 1));
-                                }
-                            }
-                        }
-                        runningBalance -= daysOffInWeek;
-                        if (runningBalance < 0) runningBalance = 0;
-                    }
-                } else {
-                    if (hasNotStartedInWeek) {
-                        runningBalance = 0;
-                    } else {
-                        if (streak > oldStreakInWeeks) {
-                            for (let i = oldStreakInWeeks + 1; i <= streak; i++) {
-                                if (i === settings.timeOffStartAfterWeeks) {
-                                    runningBalance += settings.timeOffBaseDays;
-                                } else if (i > settings.timeOffStartAfterWeeks) {
-                                    runningBalance += (1 / (settings.timeOffWeeksPerDay || 1));
-                                }
-                            }
-                        }
-                        runningBalance -= daysOffInWeek;
-                        if (runningBalance < 0) runningBalance = 0;
-                    }
+                if (!resetThisWeek) {
+                    const newStreakInWeeks = driverSettings.weeksOutMethod === 'dailyAccrual'
+                        ? Math.floor(continuousDayStreak * dailyContribution)
+                        : streak;
+                    runningBalance = recordStreakAccrual(ledger, recordPayDateStr, runningBalance, oldStreakInWeeks, newStreakInWeeks, driverSettings);
+                    runningBalance = recordBalanceCap(ledger, recordPayDateStr, runningBalance, driverSettings);
+                    runningBalance = recordUsage(ledger, recordPayDateStr, runningBalance, daysOffInWeek, driverSettings);
                 }
             }
         });
-    }
 
         // Percentile & MPG Calculations
         driversForDate.forEach(driver => {
-            const payDate = driver.pay_date.split('T')[0];
-            const overrideKey = `${driver.id}_${payDate}`;
-            const mpgKey = `${driver.id}_${payDate}`;
-
-            // 1. Distance Calculation
-            const distanceSource = overriddenDistances[overrideKey] || 'milesWeek';
-            driver.distanceSource = distanceSource; 
-            const distance = distanceSource === 'samsaraDistance' ? driver.samsaraDistance : driver.milesWeek;
-            
-            // 2. MPG Source Calculation
-            const gallons = parseFloat(driver.gallons_fictive);
-            // Calculate what the "Samsara" MPG would be
-            const calculatedMpg = (gallons > 0 && distance > 0) ? (distance / gallons) : 0;
-            
-            // Determine Default Source: 'mpg' (Samsara) if available, otherwise 'stubMpg'
-            let defaultMpgSource = (calculatedMpg > 0) ? 'mpg' : 'stubMpg';
-            
-            // Check for Override
-            let activeMpgSource = defaultMpgSource;
-            if (mpgOverrides && mpgOverrides[mpgKey]) {
-                activeMpgSource = mpgOverrides[mpgKey];
-            }
-            driver.mpgSource = activeMpgSource;
-
-            // 3. Set the final MPG value used for percentiles
-            if (activeMpgSource === 'mpg') {
-                driver.mpg = calculatedMpg;
-            } else {
-                driver.mpg = parseFloat(driver.stubMpg) || 0;
+            const driverSettings = getProfileSettings(driver, settings);
+            const rollingWindows = { ...DEFAULT_ROLLING_WINDOWS, ...(driverSettings.rollingWindows || {}) };
+
+            // 1-3. Distance and MPG sources (with this week's overrides), and the MPG used for percentiles
+            const { distanceSource, distance, mpgSource, mpg } = getWeekDistanceAndMpg(driver, driver, overriddenDistances, mpgOverrides);
+            driver.distanceSource = distanceSource;
+            driver.mpgSource = mpgSource;
+            driver.mpg = mpg;
+
+            // 4. Rolling windows: score fuel and safety on a miles-weighted N-week average
+            if (rollingWindows.mpgWeeks > 1 || rollingWindows.safetyWeeks > 1) {
+                const rolling = calculateRollingMetrics(driver, distance, { allDrivers, mileageIndex, safetyIndex, selectedDateStr, windows: rollingWindows, settings: driverSettings, overriddenDistances, mpgOverrides });
+                if (rollingWindows.mpgWeeks > 1 && rolling.rollingMpg !== null) {
+                    driver.weeklyMpg = driver.mpg;
+                    driver.rollingMpg = rolling.rollingMpg;
+                    driver.rollingMpgWeeks = rolling.mpgWeeksUsed;
+                    driver.mpg = rolling.rollingMpg;
+                }
+                if (rollingWindows.safetyWeeks > 1 && rolling.rollingSafetyScore !== null) {
+                    driver.weeklySafetyScore = driver.safetyScore;
+                    driver.rollingSafetyScore = Math.round(rolling.rollingSafetyScore * 10) / 10;
+                    driver.rollingSafetyWeeks = rolling.safetyWeeksUsed;
+                    driver.safetyScore = driver.rollingSafetyScore;
+                }
             }
         });
 
-        const driversWithMpg = driversForDate.filter(d => d.mpg > 0);
-        const speedingPopulation = settings.includeZerosInSpeedingCalc ? [...driversForDate] : driversForDate.filter(d => d.speedingAlerts > 0);
-        
-        driversForDate.forEach(driver => {
+        rankFleetPercentiles(driversForDate, settings);
+    }
+    return driversForDate;
+}
+
+/**
+ * Ranks every driver for a pay date against the fleet: the MPG and speeding percentiles and
+ * the cohort each was ranked in. These are the only values that depend on other drivers, so
+ * after recalculating some drivers the whole date is re-ranked with this alone.
+ * @param {Array<Object>} driversForDate All processed drivers for the pay date.
+ * @param {Object} settings The application settings object.
+ * @param {{mpg: boolean, speeding: boolean}} [aggregates] Which percentiles to re-rank.
+ * @returns {Array<Object>} The same drivers, ranked.
+ */
+export function rankFleetPercentiles(driversForDate, settings, aggregates = { mpg: true, speeding: true }) {
+    const driversWithMpg = driversForDate.filter(d => d.mpg > 0);
+    const driversSpeeding = driversForDate.filter(d => d.speedingAlerts > 0);
+    const describeCohort = ({ cohort, value, members }) => ({ cohort, value, size: members.length });
+
+    driversForDate.forEach(driver => {
+        // A driver's scoring profile can set their own cohort, method and zero-inclusion rule
+        const driverSettings = getProfileSettings(driver, settings);
+        const { method } = getPercentileSettings(driverSettings);
+        const speedingPopulation = driverSettings.includeZerosInSpeedingCalc ? driversForDate : driversSpeeding;
+
+        // Rank against the configured cohort (falls back to a larger cohort when too small)
+        if (aggregates.mpg) {
             if (driver.mpg > 0 && driversWithMpg.length > 0) {
-                const rank = driversWithMpg.filter(d => d.mpg < driver.mpg).length;
-                driver.mpgPercentile = Math.round((rank / (driversWithMpg.length -1 || 1)) * 100);
+                const mpgCohort = resolvePercentileCohort(driver, driversWithMpg, driverSettings);
+                driver.mpgPercentile = percentileRank(driver.mpg, mpgCohort.members.map(d => d.mpg), method);
+                driver.mpgCohort = describeCohort(mpgCohort);
             } else {
                 driver.mpgPercentile = 0;
+                driver.mpgCohort = null;
             }
+        }
 
-            if (speedingPopulation.length > 0) {
-                if (!settings.includeZerosInSpeedingCalc && driver.speedingAlerts === 0) {
-                    driver.speedingPercentile = 0;
-                } else {
-                    const rank = speedingPopulation.filter(d => d.speedingAlerts < driver.speedingAlerts).length;
-                    driver.speedingPercentile = Math.round((rank / (speedingPopulation.length - 1 || 1)) * 100);
-                }
+        if (aggregates.speeding) {
+            if (speedingPopulation.length > 0 && (driverSettings.includeZerosInSpeedingCalc || driver.speedingAlerts !== 0)) {
+                const speedingCohort = resolvePercentileCohort(driver, speedingPopulation, driverSettings);
+                driver.speedingPercentile = percentileRank(driver.speedingAlerts, speedingCohort.members.map(d => d.speedingAlerts), method);
+                driver.speedingCohort = describeCohort(speedingCohort);
             } else {
                 driver.speedingPercentile = 0;
+                driver.speedingCohort = null;
             }
-        });
-    }
+        }
+    });
     return driversForDate;
 }
 
 /**
  * Calculates the percentile rank for a given MPG value against a set of drivers.
+ * Uses the same cohort and method settings as processDriverDataForDate.
  * @param {number} mpgValue The MPG value to rank.
  * @param {Array<Object>} drivers The array of driver data to rank against.
+ * @param {Object} [settings] The application settings (percentile cohort and method).
+ * @param {Object} [driver] The driver being ranked, used to pick their cohort (and their scoring profile's settings).
  * @returns {number} The calculated percentile (0-100).
  */
-export function calculateMpgPercentile(mpgValue, drivers) {
+export function calculateMpgPercentile(mpgValue, drivers, settings = {}, driver = null) {
     if (isNaN(mpgValue) || mpgValue <= 0) return 0;
-    const driversWithMpg = drivers.filter(d => parseFloat(d.mpg) > 0);
+    if (driver) settings = getProfileSettings(driver, settings);
+    const driversWithMpg = resolvePercentileCohort(driver, drivers.filter(d => parseFloat(d.mpg) > 0), settings).members;
     if (driversWithMpg.length === 0) return 100; // If they are the only one with MPG, they are the best.
 
     const highestMpg = Math.max(...driversWithMpg.map(d => parseFloat(d.mpg)));
@@ -1192,22 +927,23 @@ export function calculateMpgPercentile(mpgValue, drivers) {
         return 100;
     }
 
-    const populationCount = driversWithMpg.length;
-    const rank = driversWithMpg.filter(d => parseFloat(d.mpg) < mpgValue).length;
-    const denominator = populationCount > 1 ? populationCount - 1 : 1;
-    return Math.round((rank / denominator) * 100);
+    return percentileRank(mpgValue, driversWithMpg.map(d => parseFloat(d.mpg)), getPercentileSettings(settings).method);
 }
 
 /**
  * Calculates the percentile rank for a given number of speeding alerts.
+ * Uses the same cohort and method settings as processDriverDataForDate.
  * @param {number} speedingValue The number of alerts to rank.
  * @param {Array<Object>} drivers The array of driver data to rank against.
- * @param {Object} settings The application settings to check for zero-inclusion rule.
+ * @param {Object} settings The application settings (zero-inclusion rule, percentile cohort and method).
+ * @param {Object} [driver] The driver being ranked, used to pick their cohort (and their scoring profile's settings).
  * @returns {number} The calculated percentile (0-100).
  */
-export function calculateSpeedingPercentile(speedingValue, drivers, settings) {
+export function calculateSpeedingPercentile(speedingValue, drivers, settings, driver = null) {
     if (isNaN(speedingValue)) return 0;
-    const speedingPopulation = settings.includeZerosInSpeedingCalc ? [...drivers] : drivers.filter(d => d.speedingAlerts > 0);
+    if (driver) settings = getProfileSettings(driver, settings);
+    const eligible = settings.includeZerosInSpeedingCalc ? [...drivers] : drivers.filter(d => d.speedingAlerts > 0);
+    const speedingPopulation = resolvePercentileCohort(driver, eligible, settings).members;
     if (speedingPopulation.length === 0) return 0;
     
     if (!settings.includeZerosInSpeedingCalc && speedingValue === 0) {
@@ -1219,8 +955,5 @@ export function calculateSpeedingPercentile(speedingValue, drivers, settings) {
         return 100;
     }
 
-    const populationCount = speedingPopulation.length;
-    const rank = speedingPopulation.filter(d => d.speedingAlerts < speedingValue).length;
-    const denominator = populationCount > 1 ? populationCount - 1 : 1;
-    return Math.round((rank / denominator) * 100);
+    return percentileRank(speedingValue, speedingPopulation.map(d => d.speedingAlerts), getPercentileSettings(settings).method);
 }
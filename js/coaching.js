@@ -0,0 +1,94 @@
+// TPOG/js/coaching.js
+
+/**
+ * coaching.js
+ * * "How to earn more next week": turns each metric's calculation trace (see
+ * traceMetric in metricRegistry.js) into a forward-looking target with the
+ * percentage and dollar gain of reaching the next tier. No DOM dependencies.
+ */
+
+import { METRIC_REGISTRY, targetMpgForPercentile } from './metricRegistry.js';
+
+const formatDollars = (value) => `$${Math.round(value).toLocaleString()}`;
+const formatAmount = (value) => parseFloat(Number(value).toFixed(1)).toString();
+
+/**
+ * Wording for one target: what the driver has to do to reach the next tier.
+ * @param {Object} metric The registry entry.
+ * @param {Object} nextTier The trace's next tier ({ field, direction, target, bonus }).
+ * @param {Object} driver The driver object.
+ * @param {Array<Object>} driversForDate All drivers for the pay date (used for the target MPG).
+ * @returns {string}
+ */
+function describeTarget(metric, nextTier, driver, driversForDate) {
+    const current = parseFloat(driver[nextTier.field]) || 0;
+    const { target } = nextTier;
+
+    switch (nextTier.field) {
+        case 'weeksOut': {
+            const remaining = Math.max(0, target - current);
+            return `Stay out ${formatAmount(remaining)} more week${remaining === 1 ? '' : 's'} to reach ${target} weeks out`;
+        }
+        case 'gross':
+            return `Gross ${formatDollars(target - current)} more (reach ${formatDollars(target)})`;
+        case 'tenure':
+            return `Reach ${target} weeks of tenure (${formatAmount(target - current)} weeks away)`;
+        case 'speedingAlerts':
+            return target === 0 ? 'Have no speeding alerts' : `Keep speeding alerts to ${target} or fewer`;
+        case 'safetyScore':
+            return `Raise your safety score to ${target}%`;
+        case 'stubMiles':
+            return `Drive at least ${target.toLocaleString()} miles`;
+        case 'mpgPercentile': {
+            const targetMpg = targetMpgForPercentile(target, driversForDate);
+            return targetMpg > (parseFloat(driver.mpg) || 0)
+                ? `Reach ${targetMpg.toFixed(1)} MPG (top ${100 - target}% of the fleet)`
+                : `Reach the top ${100 - target}% of the fleet for MPG`;
+        }
+        default: {
+            const unit = metric.card.unitLabel || metric.label;
+            return nextTier.direction === 'up' ? `Reach ${target} ${unit}` : `Keep ${unit} to ${target} or fewer`;
+        }
+    }
+}
+
+/**
+ * Builds the coaching targets for a report: one per applied metric that has a better tier
+ * within reach, with the percentage and dollar gain, biggest gain first.
+ * Dollar gains use this week's gross (the gross target uses the target gross instead).
+ * @param {Object} reportData The report from getDriverReportData.
+ * @param {Object} driver The driver object.
+ * @param {Array<Object>} [driversForDate] All drivers for the pay date.
+ * @returns {Array<{metric: string, label: string, field: string, target: number, percentGain: number, dollarGain: number, action: string, text: string}>}
+ */
+export function buildCoachingTargets(reportData, driver, driversForDate = []) {
+    const gross = parseFloat(driver.gross) || 0;
+    const targets = [];
+
+    METRIC_REGISTRY.forEach(metric => {
+        const trace = reportData.bonuses?.[metric.label]?.trace;
+        if (!trace || trace.status !== 'applied' || !trace.nextTier) return;
+
+        const { nextTier } = trace;
+        const percentGain = nextTier.bonus - trace.bonus;
+        if (percentGain <= 0) return;
+
+        const dollarBasis = metric.key === 'grossTarget' ? nextTier.target : gross;
+        const dollarGain = (percentGain / 100) * dollarBasis;
+        const action = describeTarget(metric, nextTier, driver, driversForDate);
+        const gainText = trace.bonus < 0 && nextTier.bonus === 0 ? `to clear the ${formatAmount(trace.bonus)}% penalty` : `for +${formatAmount(percentGain)}%`;
+
+        targets.push({
+            metric: metric.key,
+            label: metric.label,
+            field: nextTier.field,
+            target: nextTier.target,
+            percentGain,
+            dollarGain,
+            action,
+            text: `${metric.label}: ${action} ${gainText}${dollarGain > 0 ? ` (about ${formatDollars(dollarGain)})` : ''}.`
+        });
+    });
+
+    return targets.sort((a, b) => b.dollarGain - a.dollarGain || b.percentGain - a.percentGain);
+}
@@ -61,6 +61,7 @@ export const columnConfig = {
     company: { title: 'Company', type: 'text', class: 'text-center' },
     contract_type: { title: 'Contract Type', type: 'text', class: 'text-center' },
     pay_delayWks: { title: 'Pay Delay', type: 'number', class: 'text-center' },
+    performanceWeek: { title: 'Performance Week', type: 'text', class: 'text-center' },
     gross: { title: 'Gross', type: 'number', class: 'text-center' },
     stubMiles: { title: 'Stub Miles', type: 'number', class: 'text-center' },
     weeklyActivity: { title: 'Weekly Activity', type: 'custom', class: 'text-center' },
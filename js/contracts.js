@@ -0,0 +1,176 @@
+// TPOG/js/contracts.js
+
+/**
+ * contracts.js
+ * * Contract history: the contract periods a driver has worked under, keyed by driver id
+ * (or by name for data without ids). Each period carries its contract type, company and
+ * termination reason. Periods may overlap, run back to back or leave a gap before a rehire;
+ * the rehire policy decides whether a rehire within N days continues the previous streak or
+ * starts fresh. No DOM dependencies.
+ */
+
+// Disabled keeps the original behaviour: gap days read as CONTRACT_ENDED and nothing extra resets on a rehire.
+export const DEFAULT_REHIRE_POLICY = { enabled: false, continueWithinDays: 14 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const atNoon = (dateStr) => new Date(dateStr + 'T12:00:00Z');
+const toDateStr = (value) => (value ? String(value).split('T')[0] : null);
+const daysBetween = (fromStr, toStr) => Math.round((atNoon(toStr) - atNoon(fromStr)) / DAY_MS);
+
+/**
+ * Returns the rehire policy with defaults filled in.
+ * @param {Object} settings The application settings object.
+ * @returns {{enabled: boolean, continueWithinDays: number}}
+ */
+export function getRehirePolicy(settings) {
+    return { ...DEFAULT_REHIRE_POLICY, ...((settings && settings.rehirePolicy) || {}) };
+}
+
+/**
+ * Returns the key a driver's contract history is stored under: the driver id when known,
+ * otherwise the name.
+ * @param {Object|string} driver A driver record or a driver name.
+ * @returns {string} The key.
+ */
+export function getDriverKey(driver) {
+    if (typeof driver === 'string') return driver;
+    const id = driver.driver_id;
+    return id !== undefined && id !== null && id !== '' ? String(id) : driver.name;
+}
+
+/**
+ * Normalizes a contract period from the contracts feed.
+ * @param {Object} row The raw period.
+ * @param {string} [fallbackName] The driver name the period was grouped under.
+ * @returns {Object} { contractId, driverId, driverName, start, end, contractType, company, terminationReason }
+ */
+function normalizePeriod(row, fallbackName) {
+    return {
+        contractId: row.contract_id ?? row.contractId ?? null,
+        driverId: row.driver_id ?? row.driverId ?? null,
+        driverName: row.driver_name || row.driverName || fallbackName || null,
+        start: toDateStr(row.start || row.start_date),
+        end: toDateStr(row.end || row.end_date),
+        contractType: row.contract_type || row.contractType || null,
+        company: row.company || null,
+        terminationReason: row.termination_reason || row.terminationReason || null
+    };
+}
+
+/**
+ * Builds the contract history from the contracts feed. Accepts either a list of periods or the
+ * older map of driver name to periods. Each driver's periods are sorted by start date.
+ * @param {Array<Object>|Object} rawContracts The contracts feed.
+ * @returns {Object} Map of driver key to contract periods.
+ */
+export function normalizeContractHistory(rawContracts) {
+    const rows = Array.isArray(rawContracts)
+        ? rawContracts.map(row => normalizePeriod(row))
+        : Object.entries(rawContracts || {}).flatMap(([name, periods]) => (periods || []).map(row => normalizePeriod(row, name)));
+
+    const history = {};
+    rows.filter(period => period.start).forEach(period => {
+        const key = getDriverKey({ driver_id: period.driverId, name: period.driverName });
+        if (!key) return;
+        (history[key] = history[key] || []).push(period);
+    });
+    Object.values(history).forEach(periods => periods.sort((a, b) => a.start.localeCompare(b.start)));
+    return history;
+}
+
+// Name lookups for histories keyed by id, built once per history object
+const nameIndexes = new WeakMap();
+
+/**
+ * Returns a driver's contract periods, oldest first.
+ * @param {Object|string} driver A driver record or a driver name.
+ * @param {Object} history The contract history (see normalizeContractHistory).
+ * @returns {Array<Object>} The periods (empty when the driver has no contract data).
+ */
+export function getContractPeriods(driver, history) {
+    if (!history || !driver) return [];
+    const byKey = history[getDriverKey(driver)];
+    if (byKey) return byKey;
+
+    if (!nameIndexes.has(history)) {
+        const index = {};
+        Object.values(history).forEach(periods => periods.forEach(period => {
+            if (period.driverName) (index[period.driverName] = index[period.driverName] || []).push(period);
+        }));
+        Object.values(index).forEach(periods => periods.sort((a, b) => a.start.localeCompare(b.start)));
+        nameIndexes.set(history, index);
+    }
+    const name = typeof driver === 'string' ? driver : driver.name;
+    return nameIndexes.get(history)[name] || [];
+}
+
+const covers = (period, dayString) => dayString >= period.start && (!period.end || dayString <= period.end);
+
+/**
+ * Returns the contract in force on a day. When periods overlap, the one that started last wins.
+ * @param {Object|string} driver A driver record or a driver name.
+ * @param {string} dayString The day (YYYY-MM-DD).
+ * @param {Object} history The contract history.
+ * @returns {Object|null} The period, or null if no contract covers the day.
+ */
+export function getContractForDay(driver, dayString, history) {
+    const periods = getContractPeriods(driver, history);
+    for (let i = periods.length - 1; i >= 0; i--) {
+        if (covers(periods[i], dayString)) return periods[i];
+    }
+    return null;
+}
+
+/**
+ * Returns ACTIVE, NOT_STARTED (before the first contract) or CONTRACT_ENDED (after a contract,
+ * outside any other) for a day. Drivers without contract data are always ACTIVE.
+ * @param {Object|string} driver A driver record or a driver name.
+ * @param {string} dayString The day (YYYY-MM-DD).
+ * @param {Object} history The contract history.
+ * @returns {string} The contract status.
+ */
+export function getContractStatusForDay(driver, dayString, history) {
+    const periods = getContractPeriods(driver, history);
+    if (periods.length === 0) return 'ACTIVE'; // Fallback if no contract data exists
+    if (dayString < periods[0].start) return 'NOT_STARTED';
+    return periods.some(period => covers(period, dayString)) ? 'ACTIVE' : 'CONTRACT_ENDED';
+}
+
+/**
+ * Applies the rehire policy to a day. A gap between two contracts of at most `continueWithinDays`
+ * days continues the streak (the gap days pause it instead of ending it); a longer gap starts the
+ * streak fresh on the first day of the new contract. Returns null when the policy is disabled or
+ * the day is not affected.
+ * @param {Object|string} driver A driver record or a driver name.
+ * @param {string} dayString The day (YYYY-MM-DD).
+ * @param {Object} history The contract history.
+ * @param {Object} settings The application settings object (rehirePolicy).
+ * @returns {{continuesStreak: boolean, startsFresh: boolean, gapDays: number, previous: Object, rehire: Object}|null}
+ */
+export function getRehireForDay(driver, dayString, history, settings) {
+    const policy = getRehirePolicy(settings);
+    if (!policy.enabled) return null;
+
+    const periods = getContractPeriods(driver, history);
+    // Furthest end date reached by the periods before each rehire, so overlapping contracts are handled
+    let coveredUntil = null;
+    for (let i = 0; i < periods.length; i++) {
+        const period = periods[i];
+        if (i > 0 && coveredUntil) {
+            const gapDays = daysBetween(coveredUntil, period.start) - 1;
+            if (gapDays > 0) {
+                const previous = periods.slice(0, i).reverse().find(p => p.end === coveredUntil) || periods[i - 1];
+                const continuesStreak = gapDays <= policy.continueWithinDays;
+                if (continuesStreak && dayString > coveredUntil && dayString < period.start) {
+                    return { continuesStreak: true, startsFresh: false, gapDays, previous, rehire: period };
+                }
+                if (!continuesStreak && dayString === period.start) {
+                    return { continuesStreak: false, startsFresh: true, gapDays, previous, rehire: period };
+                }
+            }
+        }
+        if (!period.end) return null; // An open-ended contract covers every later day
+        if (!coveredUntil || period.end > coveredUntil) coveredUntil = period.end;
+    }
+    return null;
+}
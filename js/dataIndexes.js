@@ -0,0 +1,130 @@
+// TPOG/js/dataIndexes.js
+
+/**
+ * dataIndexes.js
+ * * Hash indexes over the history datasets, keyed by driver and then by calendar date
+ * (YYYY-MM-DD), so looking up a driver's day or week costs the same whether the history
+ * holds one month or several years of ProLogs mileage. Built once per load by the
+ * ingestion worker (see ingestion.js). No DOM dependencies.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDay = (value) => String(value || '').split('T')[0];
+
+/**
+ * Returns the key a driver's pay-date record is stored under in the financial index.
+ * @param {string} driverName The driver name.
+ * @param {string} payDate The pay date as it appears in the feed.
+ * @returns {string} The key.
+ */
+export function driverDateKey(driverName, payDate) {
+    return `${driverName}_${payDate}`;
+}
+
+/**
+ * Groups rows by driver and then by day.
+ * @param {Array<Object>} rows The rows.
+ * @param {Function} getName Returns a row's driver name.
+ * @returns {Object} Map of driver name to map of day to rows, in feed order.
+ */
+function indexByDriverAndDay(rows, getName) {
+    const index = {};
+    (rows || []).forEach(row => {
+        const name = getName(row);
+        const day = toDay(row.date);
+        const byDay = index[name] || (index[name] = {});
+        (byDay[day] || (byDay[day] = [])).push(row);
+    });
+    return index;
+}
+
+/**
+ * Groups rows by driver name.
+ * @param {Array<Object>} rows The rows.
+ * @param {Function} getName Returns a row's driver name.
+ * @returns {Object} Map of driver name to rows, in feed order.
+ */
+function indexByDriver(rows, getName) {
+    const index = {};
+    (rows || []).forEach(row => {
+        const name = getName(row);
+        (index[name] || (index[name] = [])).push(row);
+    });
+    return index;
+}
+
+/**
+ * Builds the indexes the calculations read and merges the weekly financial figures into the
+ * driver records (gross, stub miles and RPM) through a driver and pay-date index.
+ * @param {Object} data { drivers, financialData, mileageData, safetyData, daysTakenHistory }.
+ * @returns {{drivers: Array<Object>, mileageIndex: Object, safetyIndex: Object, daysTakenIndex: Object}}
+ * mileageIndex and safetyIndex are keyed by driver then day; daysTakenIndex is keyed by driver
+ * (its days depend on the operating timezone, see workWeek.js).
+ */
+export function buildDataIndexes({ drivers, financialData, mileageData, safetyData, daysTakenHistory }) {
+    const financialIndex = new Map();
+    (financialData || []).forEach(fin => {
+        const key = driverDateKey(fin.driver_name, fin.pay_date);
+        if (!financialIndex.has(key)) financialIndex.set(key, fin); // The first record wins, as before
+    });
+
+    (drivers || []).forEach(driver => {
+        const payDate = driver.pay_date.split('T')[0];
+        const financialRecord = financialIndex.get(driverDateKey(driver.name, payDate));
+        if (financialRecord) {
+            driver.gross = financialRecord.weekly_gross || driver.gross;
+            driver.stubMiles = financialRecord.weekly_miles || 0;
+            driver.rpm = financialRecord.weekly_rpm || driver.rpm;
+        }
+    });
+
+    return {
+        drivers,
+        mileageIndex: indexByDriverAndDay(mileageData, m => m.driver_name || m.name),
+        safetyIndex: indexByDriverAndDay(safetyData, s => s.name),
+        daysTakenIndex: indexByDriver(daysTakenHistory, h => h.driver_name)
+    };
+}
+
+/**
+ * Returns a driver's rows for one day.
+ * @param {Object} index A driver and day index (mileageIndex or safetyIndex).
+ * @param {string} driverName The driver name.
+ * @param {string} dayString The day (YYYY-MM-DD).
+ * @returns {Array<Object>} The rows (empty when there are none).
+ */
+export function getRecordsForDay(index, driverName, dayString) {
+    return (index && index[driverName] && index[driverName][dayString]) || [];
+}
+
+/**
+ * Returns a driver's rows for an inclusive range of days, oldest first.
+ * @param {Object} index A driver and day index (mileageIndex or safetyIndex).
+ * @param {string} driverName The driver name.
+ * @param {string} startStr The first day (YYYY-MM-DD).
+ * @param {string} endStr The last day (YYYY-MM-DD).
+ * @returns {Array<Object>} The rows.
+ */
+export function getRecordsInRange(index, driverName, startStr, endStr) {
+    const byDay = index && index[driverName];
+    if (!byDay) return [];
+    const records = [];
+    const end = new Date(endStr + 'T12:00:00Z');
+    for (let day = new Date(startStr + 'T12:00:00Z'); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+        const dayRecords = byDay[day.toISOString().split('T')[0]];
+        if (dayRecords) records.push(...dayRecords);
+    }
+    return records;
+}
+
+/**
+ * Sums the miles moved by a driver over an inclusive range of days.
+ * @param {Object} mileageIndex The mileage index.
+ * @param {string} driverName The driver name.
+ * @param {string} startStr The first day (YYYY-MM-DD).
+ * @param {string} endStr The last day (YYYY-MM-DD).
+ * @returns {number} The miles.
+ */
+export function sumMiles(mileageIndex, driverName, startStr, endStr) {
+    return getRecordsInRange(mileageIndex, driverName, startStr, endStr).reduce((total, m) => total + (m.movement || 0), 0);
+}
@@ -0,0 +1,72 @@
+// TPOG/js/deltaSync.js
+
+/**
+ * deltaSync.js
+ * * Delta sync for the history datasets that grow every day: ProLogs mileage, Samsara safety
+ * and the days-taken log. The client keeps the rows it has with the server time they were
+ * synced at, and a sync sends that time as `since`. An endpoint that supports it answers
+ * { delta: true, data, deleted, syncedAt }: only the rows added or changed since then, and
+ * the keys of rows removed. Those are merged into the stored rows by row key. An endpoint
+ * that ignores `since` answers with the full history, which replaces the stored rows.
+ * No DOM dependencies.
+ */
+
+const toDay = (value) => String(value || '').split('T')[0];
+
+// How a row is matched between syncs: the row id when the feed has one, otherwise the
+// driver and the day (days-taken rows keep their full timestamp, a driver can log twice a day)
+export const DELTA_RESOURCES = {
+    mileageData: { keyOf: row => String(row.id ?? `${row.driver_name || row.name}|${toDay(row.date)}`) },
+    allSafetyData: { keyOf: row => String(row.id ?? `${row.name}|${toDay(row.date)}`) },
+    daysTakenHistory: { keyOf: row => String(row.id ?? `${row.driver_name}|${row.date}`) }
+};
+
+/**
+ * Merges a delta into the stored rows. Changed rows replace the stored row with the same key
+ * in place, new rows are appended, and removed keys are dropped.
+ * @param {Array<Object>} rows The stored rows.
+ * @param {Array<Object>} changedRows Rows added or changed since the last sync.
+ * @param {Array<string>} deletedKeys Keys of rows removed since the last sync.
+ * @param {Function} keyOf Returns a row's key (see DELTA_RESOURCES).
+ * @returns {Array<Object>} The merged rows (a new array).
+ */
+export function mergeDelta(rows, changedRows, deletedKeys, keyOf) {
+    const changed = new Map((changedRows || []).map(row => [keyOf(row), row]));
+    const deleted = new Set((deletedKeys || []).map(String));
+    const replaced = new Set();
+    const merged = [];
+
+    (rows || []).forEach(row => {
+        const key = keyOf(row);
+        if (deleted.has(key) && !changed.has(key)) return;
+        if (!changed.has(key)) return merged.push(row);
+        // Rows sharing a key collapse into the changed row
+        if (!replaced.has(key)) merged.push(changed.get(key));
+        replaced.add(key);
+    });
+    changed.forEach((row, key) => {
+        if (!replaced.has(key)) merged.push(row);
+    });
+    return merged;
+}
+
+/**
+ * Applies a sync response to the stored rows.
+ * @param {string} resource The resource (a key of DELTA_RESOURCES).
+ * @param {Array<Object>|null} storedRows The stored rows, or null on a first sync.
+ * @param {Object} response The endpoint's answer: { delta, data, deleted, syncedAt }.
+ * @returns {{rows: Array<Object>, syncedAt: string|null, changed: boolean}} changed is false
+ * when a delta had nothing new.
+ */
+export function applySyncResponse(resource, storedRows, response) {
+    const syncedAt = response.syncedAt ?? null;
+    if (!response.delta || !storedRows) {
+        return { rows: response.data || [], syncedAt, changed: true };
+    }
+    const changedRows = response.data || [];
+    const deletedKeys = response.deleted || [];
+    if (changedRows.length === 0 && deletedKeys.length === 0) {
+        return { rows: storedRows, syncedAt, changed: false };
+    }
+    return { rows: mergeDelta(storedRows, changedRows, deletedKeys, DELTA_RESOURCES[resource].keyOf), syncedAt, changed: true };
+}
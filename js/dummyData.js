@@ -1,7 +1,9 @@
 // TPOG/js/dummyData.js
 
-// Generates a consistent set of dummy data for the tutorial
-export function generateDummyData() {
+import { getWeekDates, getWeekEndingOnOrBefore } from './workWeek.js';
+
+// Generates a consistent set of dummy data for the tutorial (one work week starting on weekStartDay)
+export function generateDummyData(weekStartDay = 2) {
     const dummyDriverName = "Dummy Driver";
     const dummyDispatcher = "Dummy Dispatcher";
 
@@ -15,23 +17,15 @@ export function generateDummyData() {
     };
 
     const allPayDates = ["2025-09-25"]; // A fixed date for the tutorial
-    const payDate = new Date("2025-09-25T12:00:00Z");
 
     // --- Generate Activity for the Dummy Week ---
-    const dayOfWeek = payDate.getUTCDay();
-    const daysToSubtract = (dayOfWeek + 6) % 7;
-    const monday = new Date(payDate);
-    monday.setUTCDate(payDate.getUTCDate() - daysToSubtract);
-    const tuesday = new Date(monday);
-    tuesday.setUTCDate(monday.getUTCDate() - 6);
+    const weekDates = getWeekDates(getWeekEndingOnOrBefore(allPayDates[0], weekStartDay).startStr);
 
     const statuses = ["NO DATA", "NO DATA", "NO DATA", "ACTIVE", "ACTIVE", "WITHOUT LOAD", "ACTIVE"];
     const miles = [0, 1, 73, 750, 641, 545, 442];
 
     for (let i = 0; i < 7; i++) {
-        const currentDay = new Date(tuesday);
-        currentDay.setUTCDate(tuesday.getUTCDate() + i);
-        const dayString = currentDay.toISOString().split('T')[0];
+        const dayString = weekDates[i];
         
         allDriverData[dummyDriverName].activity[dayString] = {
             date: dayString,
@@ -4,9 +4,11 @@
  */
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { SUPABASE_URL, SUPABASE_ANON_KEY } from './config.js';
+import { createRepository } from './repository.js';
 
 // 1. Create a Supabase client just for this page
 const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+const feedbackRepo = createRepository(supabase, { table: 'feedback' });
 
 /**
  * Submits the feedback from the public survey to Supabase.
@@ -15,18 +17,9 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
  */
 export async function submitPublicFeedback(feedbackData) {
     
-    // 2. Insert the data into the 'feedback' table you just created
-    const { data, error } = await supabase
-        .from('feedback')
-        .insert(feedbackData)
-        .select(); // .select() asks Supabase to return the new row
+    // 2. Insert the data into the 'feedback' table; a failure throws a RepositoryError
+    const data = await feedbackRepo.insert(feedbackData);
 
-    if (error) {
-        // 3. If it fails, throw an error
-        console.error('Supabase error:', error);
-        throw new Error(error.message);
-    }
-    
-    // 4. If it succeeds, return the new data
+    // 3. If it succeeds, return the new data
     return { status: 'success', data: data[0] };
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+// TPOG/js/ingestion.js
+
+/**
+ * ingestion.js
+ * * Moves data ingestion off the UI thread. The loaded datasets are posted to
+ * ingestionWorker.js, which merges the financial figures into the drivers and builds the
+ * driver and day indexes (see dataIndexes.js). The messages are typed below; anything that
+ * does not match the protocol is rejected. Falls back to the main thread where workers
+ * are unavailable. No DOM dependencies.
+ */
+
+import { buildDataIndexes } from './dataIndexes.js';
+
+export const INGESTION_MESSAGES = Object.freeze({
+    INGEST: 'ingest',
+    INDEXED: 'indexed',
+    FAILED: 'failed'
+});
+
+/**
+ * @typedef {Object} IngestionPayload
+ * @property {Array<Object>} drivers Driver records from fetchDriverData.
+ * @property {Array<Object>} financialData Weekly financial records.
+ * @property {Array<Object>} mileageData ProLogs mileage rows.
+ * @property {Array<Object>} safetyData Samsara safety rows.
+ * @property {Array<Object>} daysTakenHistory Days-taken log rows.
+ */
+
+/**
+ * @typedef {Object} IngestMessage Main thread to worker.
+ * @property {'ingest'} type
+ * @property {number} id Matches the reply to the request.
+ * @property {IngestionPayload} payload
+ */
+
+/**
+ * @typedef {Object} IndexedMessage Worker to main thread, on success.
+ * @property {'indexed'} type
+ * @property {number} id
+ * @property {{drivers: Array<Object>, mileageIndex: Object, safetyIndex: Object, daysTakenIndex: Object}} result
+ * @property {number} durationMs Time spent indexing in the worker.
+ */
+
+/**
+ * @typedef {Object} FailedMessage Worker to main thread, on failure.
+ * @property {'failed'} type
+ * @property {number} id
+ * @property {string} error
+ */
+
+const PAYLOAD_ARRAYS = ['drivers', 'financialData', 'mileageData', 'safetyData', 'daysTakenHistory'];
+
+/**
+ * Checks a message against the protocol.
+ * @param {Object} message The message.
+ * @returns {string|null} What is wrong with it, or null if it is valid.
+ */
+export function validateIngestionMessage(message) {
+    if (!message || typeof message !== 'object') return 'Message is not an object.';
+    if (!Number.isInteger(message.id)) return 'Message has no numeric id.';
+    switch (message.type) {
+        case INGESTION_MESSAGES.INGEST: {
+            const payload = message.payload || {};
+            const invalid = PAYLOAD_ARRAYS.find(key => payload[key] !== undefined && payload[key] !== null && !Array.isArray(payload[key]));
+            return invalid ? `Payload field "${invalid}" must be an array.` : null;
+        }
+        case INGESTION_MESSAGES.INDEXED:
+            return message.result && typeof message.result === 'object' ? null : 'Indexed message has no result.';
+        case INGESTION_MESSAGES.FAILED:
+            return typeof message.error === 'string' ? null : 'Failed message has no error.';
+        default:
+            return `Unknown message type "${message.type}".`;
+    }
+}
+
+/**
+ * Handles an ingest message. Shared by the worker and the main-thread fallback.
+ * @param {IngestMessage} message The request.
+ * @returns {IndexedMessage|FailedMessage} The reply.
+ */
+export function handleIngestionMessage(message) {
+    const id = Number.isInteger(message?.id) ? message.id : -1;
+    const invalid = validateIngestionMessage(message) || (message.type !== INGESTION_MESSAGES.INGEST ? 'Only ingest messages are handled.' : null);
+    if (invalid) return { type: INGESTION_MESSAGES.FAILED, id, error: invalid };
+    try {
+        const startedAt = Date.now();
+        const result = buildDataIndexes(message.payload);
+        return { type: INGESTION_MESSAGES.INDEXED, id, result, durationMs: Date.now() - startedAt };
+    } catch (error) {
+        return { type: INGESTION_MESSAGES.FAILED, id, error: error.message };
+    }
+}
+
+let nextId = 0;
+
+/**
+ * Ingests the loaded datasets in a worker. The worker is started for the one request and
+ * terminated when it answers.
+ * @param {IngestionPayload} payload The datasets.
+ * @returns {Promise<{drivers: Array<Object>, mileageIndex: Object, safetyIndex: Object, daysTakenIndex: Object}>}
+ */
+export function ingestData(payload) {
+    const request = { type: INGESTION_MESSAGES.INGEST, id: ++nextId, payload };
+    const ingestOnMainThread = () => {
+        const reply = handleIngestionMessage(request);
+        return reply.type === INGESTION_MESSAGES.INDEXED ? Promise.resolve(reply.result) : Promise.reject(new Error(reply.error));
+    };
+
+    let worker;
+    try {
+        if (typeof Worker === 'undefined') return ingestOnMainThread();
+        worker = new Worker(new URL('./ingestionWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Ingestion worker unavailable, indexing on the main thread:', error);
+        return ingestOnMainThread();
+    }
+
+    return new Promise((resolve, reject) => {
+        worker.onmessage = ({ data }) => {
+            const invalid = validateIngestionMessage(data);
+            if (invalid || data.id !== request.id) return console.warn('Ignoring ingestion message:', invalid || `unexpected id ${data.id}`);
+            worker.terminate();
+            if (data.type === INGESTION_MESSAGES.INDEXED) resolve(data.result);
+            else reject(new Error(data.error));
+        };
+        worker.onerror = (event) => {
+            console.warn('Ingestion worker failed, indexing on the main thread:', event.message);
+            event.preventDefault();
+            worker.terminate();
+            ingestOnMainThread().then(resolve, reject);
+        };
+        worker.postMessage(request);
+    });
+}
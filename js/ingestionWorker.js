@@ -0,0 +1,12 @@
+// TPOG/js/ingestionWorker.js
+
+/**
+ * ingestionWorker.js
+ * * Web Worker entry for data ingestion (see ingestion.js for the message protocol).
+ */
+
+import { handleIngestionMessage } from './ingestion.js';
+
+self.onmessage = ({ data }) => {
+    self.postMessage(handleIngestionMessage(data));
+};
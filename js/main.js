@@ -8,7 +8,16 @@ import * as api from './api.js';
 import { supabase } from './api.js'; // <-- ADD THIS LINE
 import { getCachedFuelHistory, getCachedPurchaseHistory } from './api.js';
 import { runTruckFuelAnalysis } from './fuelTankAnalysis.js';
+import { comparePolicies, backtestLockedWeeks } from './policySimulator.js';
+import { normalizeSettingsVersions, getSettingsForPayDate, addSettingsVersion, buildSettingsPayload } from './settingsVersions.js';
 import * as calc from './calculations.js';
+import { getMetricToggles, DEFAULT_HARD_BRAKING_MINIMUM } from './metricRegistry.js';
+import { buildCoachingTargets } from './coaching.js';
+import { normalizeContractHistory } from './contracts.js';
+import { createRecalcQueue } from './recalculation.js';
+import { ingestData } from './ingestion.js';
+import { registerMutationType, enqueueMutation, restoreMutations, retryMutation, retryFailedMutations, resolveConflict, resumeMutations, onMutationsChanged, getMutations, clearMutations, MutationConflictError } from './mutationQueue.js';
+import { getWorkWeekSettings, getWeekEndingOnOrBefore, getWeekDates, getDayLabel, toDateKey, isLockDay, describeLockDays } from './workWeek.js';
 import * as ui from './ui.js'; 
 import { showCustomAlert, showCustomConfirm } from './ui.js';
 import { startTutorial } from './tutorial.js';
@@ -37,7 +46,9 @@ let currentEditingUserEmail = null;
 let currentUser = null;
 let sessionToken = null;
 let dataLoadingPromise = null;
-let settings = {};
+let refreshDispatcherView = null; // Set once the verification view is initialized
+let settings = {}; // The settings version in force for the selected pay date
+let settingsVersions = []; // All effective-dated settings versions
 let allDrivers = [];
 let mileageData = [];
 let mileageIndex = {}; // <-- NEW
@@ -61,7 +72,10 @@ let mpgOverrides = {}; // <-- NEW
 let savedOverrides = [];
 let allWeeklyNotes = {};
 let allLockedData = {};
-let allContracts = {}; // <-- NEW
+let allTimeOffLedger = {}; // Persisted time-off ledger entries, by driver name
+let allTimeOffAdjustments = {}; // Admin time-off grants/forfeits, by driver name
+let allContracts = {}; // Contract history keyed by driver id (see contracts.js)
+let unavailableData = []; // Data that failed to load and was treated as empty (see api.takeLoadWarnings)
 
 // --- DOM ELEMENT REFERENCES ---
 const searchInput = document.getElementById('search-input');
@@ -175,6 +189,8 @@ function filterAndRenderTable() {
     };
 
     // All filtering logic now runs on the 'processedDriversForDate' array.
+    // Reps, recruiters and All TPOG View see every scored driver (TPOG, or a contract type with a scoring profile)
+    const isScored = (d) => calc.isScoredDriver(d, settings);
     let filteredDrivers = processedDriversForDate.filter(d => {
         if (currentUser && currentUser.role && currentUser.role.trim() !== 'Admin') {
             const userAccessList = String(currentUser.access || '').split(',').map(item => item.trim());
@@ -183,11 +199,11 @@ function filterAndRenderTable() {
             if (userRole === 'Dispatcher' && userAccessList.includes(d.dispatcher)) hasAccess = true;
             else if (userRole === 'Team' && userAccessList.includes(d.team)) hasAccess = true;
             else if (userRole === 'Franchise' && userAccessList.includes(d.franchise)) hasAccess = true;
-            else if (userRole === 'Driver Rep' && userAccessList.includes(d.driver_rep) && d.contract_type === 'TPOG') hasAccess = true;
-            else if (userRole === 'Driver Rep Lead' && d.contract_type === 'TPOG') hasAccess = true;
-            else if (userRole === 'Recruiter' && userAccessList.includes(d.recruiter) && d.contract_type === 'TPOG') hasAccess = true;
-            else if (userRole === 'Recruiter Team' && userAccessList.includes(d.recruiter_team) && d.contract_type === 'TPOG') hasAccess = true;
-            else if (userRole === 'All TPOG View' && d.contract_type === 'TPOG') hasAccess = true;
+            else if (userRole === 'Driver Rep' && userAccessList.includes(d.driver_rep) && isScored(d)) hasAccess = true;
+            else if (userRole === 'Driver Rep Lead' && isScored(d)) hasAccess = true;
+            else if (userRole === 'Recruiter' && userAccessList.includes(d.recruiter) && isScored(d)) hasAccess = true;
+            else if (userRole === 'Recruiter Team' && userAccessList.includes(d.recruiter_team) && isScored(d)) hasAccess = true;
+            else if (userRole === 'All TPOG View' && isScored(d)) hasAccess = true;
             else if (userRole === 'Marketing' && userAccessList.includes(d.name)) hasAccess = true;
             if (!hasAccess) return false;
         }
@@ -227,8 +243,8 @@ function filterAndRenderTable() {
     }
 
     filteredDrivers.sort((a, b) => {
-        if (a.contract_type === 'TPOG' && b.contract_type !== 'TPOG') return -1;
-        if (a.contract_type !== 'TPOG' && b.contract_type === 'TPOG') return 1;
+        if (isScored(a) && !isScored(b)) return -1;
+        if (!isScored(a) && isScored(b)) return 1;
         return 0;
     });
 
@@ -316,11 +332,9 @@ function generateMarketingHelpContent(currentSettings) {
     // Enabled Metrics
     html += '<div><strong class="text-slate-200">Enabled Metrics:</strong><ul>';
     const metrics = currentSettings.enabledMetrics || {};
-    html += `<li>Performance (Weeks Out): <span class="${metrics.weeksOut ? 'text-green-400' : 'text-red-400'}">${metrics.weeksOut ? 'ON' : 'OFF'}</span></li>`;
-    html += `<li>Safety (Score & Speeding): <span class="${metrics.safety ? 'text-green-400' : 'text-red-400'}">${metrics.safety ? 'ON' : 'OFF'}</span></li>`;
-    html += `<li>Fuel Efficiency: <span class="${metrics.fuel ? 'text-green-400' : 'text-red-400'}">${metrics.fuel ? 'ON' : 'OFF'}</span></li>`;
-    html += `<li>Tenure: <span class="${metrics.tenure ? 'text-green-400' : 'text-red-400'}">${metrics.tenure ? 'ON' : 'OFF'}</span></li>`;
-    html += `<li>Gross Target: <span class="${metrics.grossTarget ? 'text-green-400' : 'text-red-400'}">${metrics.grossTarget ? 'ON' : 'OFF'}</span></li>`;
+    getMetricToggles().forEach(({ toggle, label }) => {
+        html += `<li>${label}: <span class="${metrics[toggle] ? 'text-green-400' : 'text-red-400'}">${metrics[toggle] ? 'ON' : 'OFF'}</span></li>`;
+    });
     html += '</ul></div>';
 
     // Performance
@@ -381,6 +395,24 @@ function generateMarketingHelpContent(currentSettings) {
         html += '</ul></div>';
     }
 
+    // Additional registry metrics
+    if (metrics.rpm) {
+        html += `<div><strong class="text-slate-200">RPM Target Tiers:</strong><ul>`;
+        html += formatTiers(currentSettings.rpmTiers, ' RPM');
+        html += `<li>Minimum miles: ${currentSettings.rpmMileageThreshold || 0}</li>`;
+        html += '</ul></div>';
+    }
+    if (metrics.idleTime) {
+        html += `<div><strong class="text-slate-200">Idle Time Tiers:</strong><ul>`;
+        html += formatRangeTiers(currentSettings.idleTimeTiers, 'idle hours', 'penalty');
+        html += '</ul></div>';
+    }
+    if (metrics.hardBraking) {
+        html += `<div><strong class="text-slate-200">Hard Braking Penalty:</strong><ul>`;
+        html += `<li>${currentSettings.hardBrakingPenaltyPerEvent || 0}% per event from ${currentSettings.hardBrakingMinimum || DEFAULT_HARD_BRAKING_MINIMUM} events</li>`;
+        html += '</ul></div>';
+    }
+
     html += '</div>';
     return html;
 }
@@ -452,17 +484,15 @@ userProfilesTableBody.addEventListener('click', async (e) => {
 
     const debouncedFilterAndRender = debounce(filterAndRenderTable, 300);
     searchInput.addEventListener('input', debouncedFilterAndRender);
-    payDateSelect.addEventListener('change', () => {
+    payDateSelect.addEventListener('change', async () => {
         ui.showLoadingOverlay();
-
-        // Use setTimeout to allow the browser to render the loading overlay
-        // before the heavy processing task blocks the main thread.
-        setTimeout(() => {
-            processDataForSelectedDate(); // Run the slow calculations.
-            filterAndRenderTable();     // Then run the fast filtering and rendering.
+        try {
+            await processDataForSelectedDate(); // Runs in the recalculation worker
+            filterAndRenderTable();
             checkMissingDataAndAlert(); // Check if ProLogs or Samsara data is missing
-            ui.hideLoadingOverlay();    // Hide the overlay once done.
-        }, 50); // A small timeout is enough to yield to the browser's event loop.
+        } finally {
+            ui.hideLoadingOverlay();
+        }
     });
 
     rowFilterBtn.addEventListener('click', (e) => {
@@ -489,6 +519,24 @@ userProfilesTableBody.addEventListener('click', async (e) => {
     
     columnToggleBtn.addEventListener('click', () => columnToggleOptions.classList.toggle('hidden'));
     generalFilterBtn.addEventListener('click', () => generalFilterPanel.classList.toggle('hidden'));
+    document.getElementById('pending-saves-btn').addEventListener('click', () => document.getElementById('pending-saves-panel').classList.toggle('hidden'));
+    document.getElementById('pending-saves-panel').addEventListener('click', async (e) => {
+        const retryBtn = e.target.closest('[data-retry-mutation]');
+        const resolveBtn = e.target.closest('[data-resolve-mutation]');
+        if (retryBtn) retryMutation(retryBtn.dataset.retryMutation);
+        else if (e.target.closest('[data-retry-all-mutations]')) retryFailedMutations();
+        else if (resolveBtn) {
+            const resolved = resolveConflict(resolveBtn.dataset.resolveMutation, resolveBtn.dataset.keep);
+            if (!resolved || resolveBtn.dataset.keep !== 'theirs') return;
+            // Show the other user's value in place of the dropped change
+            applyMutationValue(resolved.type, { ...resolved.args, [MUTATION_VALUE_ARGS[resolved.type]]: resolved.serverValue });
+            if (refreshDispatcherView) refreshDispatcherView();
+            if (payDateSelect.value) {
+                await processDataForSelectedDate();
+                filterAndRenderTable();
+            }
+        }
+    });
     addFilterBtn.addEventListener('click', () => ui.addFilterRow(filterRowsContainer, allDrivers));
     const setDefaultTpogFilter = () => {
         // Clear any existing filters to ensure a clean slate.
@@ -550,7 +598,7 @@ userProfilesTableBody.addEventListener('click', async (e) => {
     });
 
     document.getElementById('open-settings-btn').addEventListener('click', () => {
-        ui.renderSettingsContent(settings);
+        ui.renderSettingsContent(settings, 0, getSettingsVersionContext(payDateSelect.value));
         ui.openSettings();
     });
     document.getElementById('create-manual-report-btn').addEventListener('click', () => {
@@ -574,6 +622,63 @@ userProfilesTableBody.addEventListener('click', async (e) => {
         pinInput.focus();
     });
 
+    // --- Policy Simulation (What-If) ---
+    // Scores the selected pay date under the saved settings and the draft in the panel.
+    // Nothing is saved; accepting the draft goes through the normal PIN save flow.
+    document.getElementById('simulate-settings-btn').addEventListener('click', () => {
+        const draftSettings = ui.updateSettingsFromUI();
+        if (!draftSettings) return;
+
+        ui.showLoadingOverlay();
+        setTimeout(() => {
+            try {
+                const selectedDate = payDateSelect.value;
+                const currentRun = buildDriversForDate(selectedDate, settings);
+                const draftRun = buildDriversForDate(selectedDate, draftSettings);
+                const comparison = comparePolicies(currentRun, draftRun, settings, draftSettings, allLockedData);
+                ui.openSimulationModal(comparison, selectedDate);
+            } catch (error) {
+                console.error("Policy simulation failed:", error);
+                showCustomAlert(`The simulation could not be run: ${error.message}.`, 'Error');
+            } finally {
+                ui.hideLoadingOverlay();
+            }
+        }, 50);
+    });
+
+    const simulationModal = document.getElementById('simulation-modal');
+    document.getElementById('close-simulation-btn').addEventListener('click', ui.closeSimulationModal);
+    document.getElementById('discard-simulation-btn').addEventListener('click', ui.closeSimulationModal);
+    simulationModal.addEventListener('click', (e) => { if (e.target === simulationModal) ui.closeSimulationModal(); });
+    document.getElementById('accept-simulation-btn').addEventListener('click', () => {
+        ui.closeSimulationModal();
+        // The draft is still in the settings panel, so the regular save picks it up.
+        document.getElementById('save-settings-btn').click();
+    });
+
+    // --- Policy Backtest ---
+    // Replays every locked week under the draft settings and compares it with what was paid.
+    document.getElementById('backtest-settings-btn').addEventListener('click', () => {
+        const draftSettings = ui.updateSettingsFromUI();
+        if (!draftSettings) return;
+
+        ui.showLoadingOverlay();
+        setTimeout(() => {
+            try {
+                ui.openBacktestModal(backtestLockedWeeks(allLockedData, draftSettings));
+            } catch (error) {
+                console.error("Policy backtest failed:", error);
+                showCustomAlert(`The backtest could not be run: ${error.message}.`, 'Error');
+            } finally {
+                ui.hideLoadingOverlay();
+            }
+        }, 50);
+    });
+
+    const backtestModal = document.getElementById('backtest-modal');
+    document.getElementById('close-backtest-btn').addEventListener('click', ui.closeBacktestModal);
+    backtestModal.addEventListener('click', (e) => { if (e.target === backtestModal) ui.closeBacktestModal(); });
+
     document.getElementById('nav-fuel-tank').addEventListener('click', (e) => {
         e.preventDefault();
         if (currentUser && currentUser.role.trim() === 'Admin') {
@@ -593,20 +698,25 @@ userProfilesTableBody.addEventListener('click', async (e) => {
 
             // Use setTimeout to allow the UI to update before the heavy work
             setTimeout(async () => {
-                const newSettings = calc.updateSettingsFromUI();
+                const newSettings = ui.updateSettingsFromUI();
                 if (newSettings) {
-                    settings = newSettings;
                     const btn = document.getElementById('save-settings-btn');
                     btn.disabled = true;
                     btn.innerHTML = 'Saving...';
-                    
-                    await api.saveSettings(settings);
+
+                    // Save as a new version effective from the chosen pay date
+                    const effectiveFrom = ui.getSettingsEffectiveFrom() || payDateSelect.value;
+                    const updatedVersions = addSettingsVersion(settingsVersions, newSettings, {
+                        effectiveFrom,
+                        changedBy: currentUser ? currentUser.email : null
+                    });
+                    await api.saveSettings(buildSettingsPayload(updatedVersions));
                     
                     // Fetch the latest settings to ensure we have the most up-to-date version
-                    settings = await api.loadSettings(); 
+                    settingsVersions = normalizeSettingsVersions(await api.loadSettings());
                     
                     // Re-process all data with the new calculation rules
-                    processDataForSelectedDate(); 
+                    await processDataForSelectedDate();
                     filterAndRenderTable();
                     
                     btn.disabled = false;
@@ -635,21 +745,87 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             let openAccordionIndex = allAccordions.findIndex(item => item === openAccordion);
             if (openAccordionIndex === -1) openAccordionIndex = 0; // Fallback
 
-            // 2. Get settings and update the tier list
-            const tempSettings = calc.updateSettingsFromUI();
+            // 2. Get settings and update the tier list (the fleet-wide one or a scoring profile's)
+            const tempSettings = ui.updateSettingsFromUI();
             const section = e.target.closest('[data-tier-key]');
             const key = section.dataset.tierKey;
+            const profileBlock = section.closest('[data-scoring-profile]');
+            const tierOwner = profileBlock ? tempSettings.scoringProfiles[parseInt(profileBlock.dataset.scoringProfile, 10)].settings : tempSettings;
             
             if (e.target.closest('.add-tier-btn')) {
-                const newTier = key === 'speedingRangeTiers' ? {from: 0, to: 0, penalty: 0} : { threshold: 0, bonus: 0 };
-                tempSettings[key] = [...(tempSettings[key] || []), newTier];
+                const newTier = (key === 'speedingRangeTiers' || key === 'idleTimeTiers') ? {from: 0, to: 0, penalty: 0} : { threshold: 0, bonus: 0 };
+                tierOwner[key] = [...(tierOwner[key] || []), newTier];
             } else {
                 const index = parseInt(e.target.closest('.tier-row').dataset.tierIndex, 10);
-                tempSettings[key].splice(index, 1);
+                tierOwner[key].splice(index, 1);
             }
 
             // 3. Re-render the whole panel, passing the open index
-            ui.renderSettingsContent(tempSettings, openAccordionIndex);
+            ui.renderSettingsContent(tempSettings, openAccordionIndex, getSettingsVersionContext(ui.getSettingsEffectiveFrom() || payDateSelect.value));
+        }
+
+        // Scoring profiles: a new profile starts as a copy of the fleet-wide scoring rules
+        const profileButton = e.target.closest('.add-scoring-profile-btn, .remove-scoring-profile-btn');
+        if (profileButton) {
+            const allAccordions = Array.from(settingsContent.querySelectorAll('.accordion-item'));
+            const openAccordionIndex = Math.max(0, allAccordions.findIndex(item => item === e.target.closest('.accordion-item')));
+
+            const tempSettings = ui.updateSettingsFromUI();
+            if (profileButton.classList.contains('add-scoring-profile-btn')) {
+                const { baseRate, enabledMetrics, weeksOutTiers, mpgPercentileTiers, tenureMilestones, grossTargetTiers } = tempSettings;
+                tempSettings.scoringProfiles.push({
+                    name: `Profile ${tempSettings.scoringProfiles.length + 1}`,
+                    scope: 'contract_type',
+                    value: '',
+                    settings: JSON.parse(JSON.stringify({ baseRate, enabledMetrics, weeksOutTiers, mpgPercentileTiers, tenureMilestones, grossTargetTiers }))
+                });
+            } else {
+                tempSettings.scoringProfiles.splice(parseInt(profileButton.closest('[data-scoring-profile]').dataset.scoringProfile, 10), 1);
+            }
+
+            ui.renderSettingsContent(tempSettings, openAccordionIndex, getSettingsVersionContext(ui.getSettingsEffectiveFrom() || payDateSelect.value));
+        }
+
+        // Per-company pay delay overrides
+        const payDelayButton = e.target.closest('.add-pay-delay-btn, .remove-pay-delay-btn');
+        if (payDelayButton) {
+            const allAccordions = Array.from(settingsContent.querySelectorAll('.accordion-item'));
+            const openAccordionIndex = Math.max(0, allAccordions.findIndex(item => item === e.target.closest('.accordion-item')));
+
+            const tempSettings = ui.updateSettingsFromUI();
+            if (payDelayButton.classList.contains('add-pay-delay-btn')) {
+                tempSettings.payDelayByCompany[''] = 2;
+            } else {
+                const company = payDelayButton.closest('.pay-delay-row').querySelector('[data-type="company"]').value.trim();
+                delete tempSettings.payDelayByCompany[company];
+            }
+
+            ui.renderSettingsContent(tempSettings, openAccordionIndex, getSettingsVersionContext(ui.getSettingsEffectiveFrom() || payDateSelect.value));
+        }
+
+        // Underperformer rule sets and their week windows
+        const underperformerButton = e.target.closest('.add-up-window-btn, .remove-up-window-btn, .add-up-rule-set-btn, .remove-up-rule-set-btn');
+        if (underperformerButton) {
+            const allAccordions = Array.from(settingsContent.querySelectorAll('.accordion-item'));
+            const openAccordionIndex = Math.max(0, allAccordions.findIndex(item => item === e.target.closest('.accordion-item')));
+
+            const tempSettings = ui.updateSettingsFromUI();
+            const ruleBlock = underperformerButton.closest('[data-underperformer-rules]');
+            const ruleIndex = ruleBlock ? ruleBlock.dataset.underperformerRules : null;
+            const rules = ruleIndex === 'default' ? tempSettings.underperformerRules : tempSettings.underperformerRuleSets[parseInt(ruleIndex, 10)];
+
+            if (underperformerButton.classList.contains('add-up-window-btn')) {
+                rules.windows.push({ weeks: 0, minGrossSum: 0, minMilesSum: 0 });
+            } else if (underperformerButton.classList.contains('remove-up-window-btn')) {
+                rules.windows.splice(parseInt(underperformerButton.closest('.up-window-row').dataset.windowIndex, 10), 1);
+            } else if (underperformerButton.classList.contains('add-up-rule-set-btn')) {
+                const { enabled, ...defaultRules } = tempSettings.underperformerRules;
+                tempSettings.underperformerRuleSets.push({ scope: 'company', value: '', ...JSON.parse(JSON.stringify(defaultRules)) });
+            } else {
+                tempSettings.underperformerRuleSets.splice(parseInt(ruleIndex, 10), 1);
+            }
+
+            ui.renderSettingsContent(tempSettings, openAccordionIndex, getSettingsVersionContext(ui.getSettingsEffectiveFrom() || payDateSelect.value));
         }
     });
 
@@ -745,42 +921,17 @@ userProfilesTableBody.addEventListener('click', async (e) => {
                 const updates = Object.entries(fieldsToUpdate).map(([fieldName, newValue]) => {
                     return { fieldName, newValue };
                 });
-                await api.saveEditableData(driverForDate.id, payDate, updates);
-
-                // Update the local cache of overrides
-                // Update the local cache of overrides
-                updates.forEach(update => {
-                    const { fieldName, newValue } = update;
-                    const existingOverrideIndex = savedOverrides.findIndex(ov => String(ov.driverId) === String(driverForDate.id) && ov.payDate?.split('T')[0] === payDate && ov.fieldName === fieldName);
-                    if (existingOverrideIndex > -1) {
-                        savedOverrides[existingOverrideIndex].newValue = newValue;
-                    } else {
-                        savedOverrides.push({ driverId: driverForDate.id, payDate: payDate, fieldName: fieldName, newValue: newValue });
-                    }
-                });
-
-                // --- START: HIGH-PERFORMANCE UPDATE ---
-                // 1. Find the single driver we just edited in our processed data list
-                const driverToUpdate = processedDriversForDate.find(d => d.id == driverForDate.id);
-
-                if (driverToUpdate) {
-                    // 2. Apply the manually edited values to this driver object
-                    // This correctly adds manual overrides as own properties (e.g., escrowDeduct)
-                    updates.forEach(update => {
-                        const numericValue = parseFloat(update.newValue);
-                        driverToUpdate[update.fieldName] = isNaN(numericValue) ? update.newValue : numericValue;
-                    });
-
-                    // 3. Now, just re-render the table. This will be instant.
-                    // The table dynamically calculates final report data, so we don't stamp it here.
-                    filterAndRenderTable();
-
-                } else {
-                    // Fallback to the old (slow) method if the driver wasn't found
-                    processDataForSelectedDate();
-                    filterAndRenderTable();
-                }
-                // --- END: HIGH-PERFORMANCE UPDATE ---
+                // Update the local cache of overrides at once; the mutation queue sends the save
+                // and retries it until the script confirms (failures show in the pending saves bar)
+                applyOverrideUpdates(driverForDate.id, payDate, updates);
+                const label = `Overrides for ${driverForDate.name} (${payDate})`;
+                enqueueMutation('editableData', { driverId: driverForDate.id, payDate, updates }, { label })
+                    .catch(error => reportQueuedSaveFailure(label, error));
+
+                // Overrides sit on top of the calculated values and never feed the fleet ranking,
+                // so only this driver is rebuilt (the table dynamically calculates final report data)
+                await processDataForSelectedDate({ type: 'fieldOverrides', driverId: driverForDate.id });
+                filterAndRenderTable();
 
                 ui.hideLoadingOverlay();
                 ui.showToast('Changes saved and table updated!');
@@ -837,11 +988,9 @@ userProfilesTableBody.addEventListener('click', async (e) => {
                         return !(String(ov.driverId) === String(driverForDate.id) && overridePayDate === payDate);
                     });
 
-                    // [snippet from 1. TPOG/js/main.js]
-                    // 3. (THE FIX)
-                    // We must re-run the calculation for ALL drivers
-                    // on this date to correctly rebuild the percentile context.
-                    processDataForSelectedDate();
+                    // 3. Rebuild this driver from their calculated values; overrides never
+                    // feed the percentile context, so the rest of the fleet is unchanged
+                    await processDataForSelectedDate({ type: 'revertOverrides', driverId: driverForDate.id });
                     filterAndRenderTable();
 
                     // 10. Hide overlay and close panel
@@ -873,8 +1022,10 @@ userProfilesTableBody.addEventListener('click', async (e) => {
     const lockDriverWeek = async (driver) => {
         const payDate = driver.pay_date.split('T')[0];
         const finalReportData = calc.getDriverReportData(driver, settings, driversForDate);
+        // The ledger history is persisted per week below and the weeks-out trace is rebuilt live, so both are kept out of the snapshot
+        const { timeOffLedger = [], weeksOutTrace, ...driverFields } = driver;
         const driverWithCalculations = {
-            ...driver,
+            ...driverFields,
             ...finalReportData,
             lockedSettings: settings 
         };
@@ -884,6 +1035,22 @@ userProfilesTableBody.addEventListener('click', async (e) => {
         
         allLockedData[`${driver.id}_${payDate}`] = driverSnapshotJSON;
 
+        // Persist this week's time-off ledger entries (any reset, then accrual, usage and escrow)
+        // The snapshot is already saved, so a failed ledger write leaves the week locked with its previous entries
+        const weekEntries = [...timeOffLedger.filter(entry => entry.payDate === payDate), ...(finalReportData.timeOffEntries || [])];
+        let ledgerError = null;
+        try {
+            await api.saveTimeOffLedgerEntries(driver.name, payDate, weekEntries);
+            allTimeOffLedger[driver.name] = [
+                ...(allTimeOffLedger[driver.name] || []).filter(entry => entry.payDate !== payDate),
+                ...weekEntries
+            ];
+        } catch (error) {
+            console.error(`Failed to save the time-off ledger for ${driver.name}:`, error);
+            ledgerError = new Error(`${driver.name}'s week was locked, but its time-off ledger could not be saved (${error.message}). Unlock and lock the week again to retry`);
+            ledgerError.weekLocked = true;
+        }
+
         const driverToUpdate = processedDriversForDate.find(d => d.id == driver.id);
         if (driverToUpdate) {
             const lockedData = JSON.parse(driverSnapshotJSON);
@@ -894,6 +1061,7 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             driverToUpdate.weeklyNote = originalNote;
             driverToUpdate.isDispatcherReviewed = originalReviewed;
         }
+        if (ledgerError) throw ledgerError;
         return result;
     };
 
@@ -938,8 +1106,15 @@ userProfilesTableBody.addEventListener('click', async (e) => {
                 let explanation = `${driver.name} - FINAL %: ${reportData.totalTpog.toFixed(1)}%\n\n` +
                                   `Base Rate: ${settings.baseRate.toFixed(1)}%\n` +
                                   Object.entries(reportData.bonuses).map(([key, value]) =>
-                                      `${key}: ${value.bonus >= 0 ? '+' : ''}${value.bonus.toFixed(1)}%`
+                                      `${key}: ${value.bonus >= 0 ? '+' : ''}${value.bonus.toFixed(1)}%` + (value.trace ? ` (${value.trace.reason})` : '')
                                   ).join('\n');
+                if (reportData.capAdjustments && reportData.capAdjustments.length > 0) {
+                    explanation += `\n\nCaps Applied:\n` + reportData.capAdjustments.map(ui.formatCapAdjustment).join('\n');
+                }
+                const coachingTargets = buildCoachingTargets(reportData, driver, driversForDate);
+                if (coachingTargets.length > 0) {
+                    explanation += `\n\nHow to earn more next week:\n` + coachingTargets.map(target => target.text).join('\n');
+                }
                 navigator.clipboard.writeText(explanation).then(() => ui.showToast());
             }
             return;
@@ -947,10 +1122,7 @@ userProfilesTableBody.addEventListener('click', async (e) => {
         if (e.target.closest('.show-history-btn')) {
             e.stopPropagation();
             const driver = driversForDate.find(d => d.id == targetElement.dataset.driverId);
-            if (driver) {
-                // Pass allWeeklyNotes and allContracts
-                ui.openActivityHistoryModal(driver, mileageData, settings, daysTakenHistory, dispatcherOverrides, allLockedData, allWeeklyNotes, allContracts);
-            }
+            if (driver) openDriverActivityHistory(driver);
             return;
         }
 
@@ -992,11 +1164,8 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             e.stopPropagation();
             
             const isAdmin = currentUser && currentUser.role.trim() === 'Admin';
-            const currentDayOfWeek = new Date().getDay(); // 0=Sun, 1=Mon, 2=Tue, etc.
-            const isLockDay = currentDayOfWeek === 1 || currentDayOfWeek === 2;
-            
-            if (!isAdmin && !isLockDay) {
-                ui.showCustomAlert('Locking is only permitted on Mondays and Tuesdays once the pay week is over.', 'Action Not Allowed');
+            if (!isAdmin && !isLockDay(new Date(), settings)) {
+                ui.showCustomAlert(`Locking is only permitted on ${describeLockDays(settings)} once the pay week is over.`, 'Action Not Allowed');
                 return;
             }
 
@@ -1018,6 +1187,11 @@ userProfilesTableBody.addEventListener('click', async (e) => {
                     } catch (error) {
                         console.error("Failed to lock week:", error);
                         ui.hideLoadingOverlay();
+                        if (error.weekLocked) {
+                            filterAndRenderTable();
+                            ui.showCustomAlert(`${error.message}.`, 'Ledger Not Saved');
+                            return;
+                        }
                         ui.showCustomAlert(`Failed to lock week: ${error.message}. The save was aborted. Please check your connection and try again.`, 'Save Failed');
                     }
                 }
@@ -1048,9 +1222,16 @@ userProfilesTableBody.addEventListener('click', async (e) => {
                     ui.showLoadingOverlay();
                     const payDate = driver.pay_date.split('T')[0];
                     
-                    api.updateLockedData(driver.id, null, payDate, 'unlock').then(() => {
+                    api.updateLockedData(driver.id, null, payDate, 'unlock')
+                    .then(() => api.deleteTimeOffLedgerEntries(driver.name, payDate))
+                    .then(() => {
                         delete allLockedData[`${driver.id}_${payDate}`];
-                        processDataForSelectedDate();
+                        if (allTimeOffLedger[driver.name]) {
+                            allTimeOffLedger[driver.name] = allTimeOffLedger[driver.name].filter(entry => entry.payDate !== payDate);
+                        }
+                        return processDataForSelectedDate();
+                    })
+                    .then(() => {
                         filterAndRenderTable();
                         ui.hideLoadingOverlay();
                         ui.showToast('Week unlocked! Live data is now active.', 'success');
@@ -1070,24 +1251,26 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             const driver = processedDriversForDate.find(d => d.id == e.target.closest('tr').dataset.driverId);
             if (!driver || driver.isLocked) return;
             
-            ui.showLoadingOverlay();
-            setTimeout(() => {
-                const payDate = driver.pay_date.split('T')[0];
-                const overrideKey = `${driver.id}_${payDate}`;
-                const distanceType = e.target.closest('td').dataset.key;
+            const payDate = driver.pay_date.split('T')[0];
+            const overrideKey = `${driver.id}_${payDate}`;
+            const distanceType = e.target.closest('td').dataset.key;
+            const previousSource = overriddenDistances[overrideKey] ?? null;
 
-                if (distanceType === 'samsaraDistance') {
-                    if (overriddenDistances[overrideKey] === 'samsaraDistance') delete overriddenDistances[overrideKey];
-                    else overriddenDistances[overrideKey] = 'samsaraDistance';
-                } else {
-                    if (overriddenDistances[overrideKey]) delete overriddenDistances[overrideKey];
-                }
+            if (distanceType === 'samsaraDistance') {
+                if (overriddenDistances[overrideKey] === 'samsaraDistance') delete overriddenDistances[overrideKey];
+                else overriddenDistances[overrideKey] = 'samsaraDistance';
+            } else {
+                if (overriddenDistances[overrideKey]) delete overriddenDistances[overrideKey];
+            }
 
-                api.saveDistanceOverride(driver.id, overriddenDistances[overrideKey] || null, payDate);
-                processDataForSelectedDate();
-                filterAndRenderTable();
-                ui.hideLoadingOverlay();
-            }, 50); 
+            const label = `Distance source for ${driver.name} (${payDate})`;
+            enqueueMutation('distanceOverride', { driverId: driver.id, distanceSource: overriddenDistances[overrideKey] || null, payDate }, {
+                key: overrideKey,
+                label,
+                expected: previousSource
+            }).catch(error => reportQueuedSaveFailure(label, error));
+            // Recalculates this driver and re-ranks the fleet MPG percentiles
+            recalculateAfterSourceToggle({ type: 'distanceSource', driverId: driver.id });
             return;
         }
 
@@ -1097,32 +1280,33 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             const driver = processedDriversForDate.find(d => d.id == e.target.closest('tr').dataset.driverId);
             if (!driver || driver.isLocked) return;
 
-            ui.showLoadingOverlay();
-            setTimeout(async () => {
-                const payDate = driver.pay_date.split('T')[0];
-                const clickedType = e.target.closest('td').dataset.key; // 'mpg' or 'stubMpg'
-                
-                // Toggle Logic: If clicking the one that is NOT active, set it as active.
-                // If clicking the one that IS active, do nothing (or reset to default if logic requires).
-                // Here we simply force the clicked source to be the active one.
-                
-                // We update the local state immediately for the UI
-                const overrideKey = `${driver.id}_${payDate}`;
-                mpgOverrides[overrideKey] = clickedType;
-
-                await api.saveMpgOverride(driver.id, clickedType, payDate);
-                
-                processDataForSelectedDate();
-                filterAndRenderTable();
-                ui.hideLoadingOverlay();
-            }, 50);
+            const payDate = driver.pay_date.split('T')[0];
+            const clickedType = e.target.closest('td').dataset.key; // 'mpg' or 'stubMpg'
+            
+            // Toggle Logic: If clicking the one that is NOT active, set it as active.
+            // If clicking the one that IS active, do nothing (or reset to default if logic requires).
+            // Here we simply force the clicked source to be the active one.
+            
+            // We update the local state immediately for the UI
+            const overrideKey = `${driver.id}_${payDate}`;
+            const previousSource = mpgOverrides[overrideKey] ?? null;
+            mpgOverrides[overrideKey] = clickedType;
+
+            const label = `MPG source for ${driver.name} (${payDate})`;
+            enqueueMutation('mpgOverride', { driverId: driver.id, source: clickedType, payDate }, {
+                key: overrideKey,
+                label,
+                expected: previousSource
+            }).catch(error => reportQueuedSaveFailure(label, error));
+            // Recalculates this driver and re-ranks the fleet MPG percentiles
+            recalculateAfterSourceToggle({ type: 'mpgSource', driverId: driver.id });
             return;
         }
         const row = e.target.closest('tr[data-driver-id]');
         if (row) {
             const driver = driversForDate.find(d => d.id == row.dataset.driverId);
             if (driver) {
-                ui.openHistoryModal(driver, () => api.fetchSafetyHistory(driver.name), () => api.fetchFuelHistory(driver.name), () => api.fetchPOHistory(driver.name), () => api.fetchFuelPurchaseHistory(driver.name), () => api.fetchChangelogHistory(driver.name), mileageData);
+                ui.openHistoryModal(driver, () => api.fetchSafetyHistory(driver.name), () => api.fetchFuelHistory(driver.name), () => api.fetchPOHistory(driver.name), () => api.fetchFuelPurchaseHistory(driver.name), () => api.fetchChangelogHistory(driver.name), mileageData, settings);
             }
         }
     });
@@ -1130,6 +1314,7 @@ userProfilesTableBody.addEventListener('click', async (e) => {
     tooltipHandler(event, tableBody);
     tooltipHandler(event, activityHistoryContent);
     tooltipHandler(event, settingsContent);
+    tooltipHandler(event, document.getElementById('simulation-content'));
     tooltipHandler(event, document.getElementById('dispatcher-view'));
     
     tableHead.addEventListener('click', async e => {
@@ -1146,11 +1331,8 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             e.stopPropagation();
             
             const isAdmin = currentUser && currentUser.role.trim() === 'Admin';
-            const currentDayOfWeek = new Date().getDay(); // 0=Sun, 1=Mon, 2=Tue, etc.
-            const isLockDay = currentDayOfWeek === 1 || currentDayOfWeek === 2;
-            
-            if (!isAdmin && !isLockDay) {
-                ui.showCustomAlert('Locking is only permitted on Mondays and Tuesdays once the pay week is over.', 'Action Not Allowed');
+            if (!isAdmin && !isLockDay(new Date(), settings)) {
+                ui.showCustomAlert(`Locking is only permitted on ${describeLockDays(settings)} once the pay week is over.`, 'Action Not Allowed');
                 return;
             }
 
@@ -1160,7 +1342,7 @@ userProfilesTableBody.addEventListener('click', async (e) => {
             if (selectedIds.length === 0) return;
 
             const driversToLock = processedDriversForDate.filter(d => 
-                selectedIds.includes(String(d.id)) && !d.isLocked && d.contract_type === 'TPOG'
+                selectedIds.includes(String(d.id)) && !d.isLocked && calc.isScoredDriver(d, settings)
             );
 
             if (driversToLock.length === 0) {
@@ -1293,7 +1475,7 @@ userProfilesTableBody.addEventListener('click', async (e) => {
     tableHead.addEventListener('dragend', () => { draggedColumnKey = null; });
 
     document.addEventListener('click', e => { if (!e.target.closest('#general-filter-container, .menu-button, #column-toggle-filter')) { generalFilterPanel.classList.add('hidden'); columnToggleOptions.classList.add('hidden'); document.querySelectorAll('.column-menu').forEach(m => m.classList.add('hidden')); } });
-    document.addEventListener('keydown', (e) => { if (e.key === 'Escape') { ui.closeSettings(); ui.closeEditPanel(); ui.closeHistoryModal(); } });
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape') { ui.closeSettings(); ui.closeEditPanel(); ui.closeHistoryModal(); ui.closeSimulationModal(); ui.closeBacktestModal(); } });
 
     const historyModal = document.getElementById('history-modal');
     document.getElementById('close-history-btn').addEventListener('click', ui.closeHistoryModal);
@@ -1308,9 +1490,47 @@ userProfilesTableBody.addEventListener('click', async (e) => {
 
     const activityHistoryModal = document.getElementById('activity-history-modal');
     document.getElementById('close-activity-history-btn').addEventListener('click', ui.closeActivityHistoryModal);
-    activityHistoryModal.addEventListener('click', (e) => { 
+    activityHistoryModal.addEventListener('click', async (e) => { 
         if (e.target === activityHistoryModal) ui.closeActivityHistoryModal(); 
 
+        // --- Time-Off Adjustments (Admin) ---
+        const saveAdjustmentBtn = e.target.closest('.time-off-adjust-save-btn');
+        const deleteAdjustmentBtn = e.target.closest('.time-off-adjustment-delete-btn');
+        if (saveAdjustmentBtn || deleteAdjustmentBtn) {
+            e.stopPropagation();
+            const driverName = (saveAdjustmentBtn || deleteAdjustmentBtn).dataset.driverName;
+            try {
+                if (saveAdjustmentBtn) {
+                    const form = saveAdjustmentBtn.closest('.time-off-adjust-form');
+                    const days = parseFloat(form.querySelector('.time-off-adjust-days').value);
+                    const payDate = form.querySelector('.time-off-adjust-date').value;
+                    const reason = form.querySelector('.time-off-adjust-reason').value.trim();
+                    if (!(days > 0) || !payDate || !reason) {
+                        showCustomAlert('Enter the number of days, the effective pay date and a reason.', 'Missing Details');
+                        return;
+                    }
+                    const signedDays = form.querySelector('.time-off-adjust-type').value === 'forfeit' ? -days : days;
+                    const saved = await api.saveTimeOffAdjustment(driverName, payDate, signedDays, reason, currentUser ? currentUser.email : null);
+                    allTimeOffAdjustments[driverName] = [...(allTimeOffAdjustments[driverName] || []), saved];
+                } else {
+                    const confirmed = await showCustomConfirm('Delete Adjustment', 'Remove this time-off adjustment? Balances for this and later weeks will be recalculated.', { confirmText: 'Delete', isDanger: true });
+                    if (!confirmed) return;
+                    const adjustmentId = deleteAdjustmentBtn.dataset.adjustmentId;
+                    await api.deleteTimeOffAdjustment(adjustmentId);
+                    allTimeOffAdjustments[driverName] = (allTimeOffAdjustments[driverName] || []).filter(a => String(a.id) !== adjustmentId);
+                }
+                await processDataForSelectedDate();
+                filterAndRenderTable();
+                const refreshedDriver = driversForDate.find(d => d.name === driverName);
+                if (refreshedDriver) openDriverActivityHistory(refreshedDriver);
+                ui.showToast('Time-off balance updated.', 'success');
+            } catch (error) {
+                console.error("Failed to update time-off adjustment:", error);
+                showCustomAlert(`Failed to update time-off adjustment: ${error.message}.`, 'Error');
+            }
+            return;
+        }
+
         // --- NEW: Handle History View/Download Buttons ---
         const viewBtn = e.target.closest('.history-view-report-btn');
         const downloadBtn = e.target.closest('.history-download-btn');
@@ -1646,15 +1866,28 @@ if (newUserRoleSelect && newUserAccessInput && addAccessBtn && accessTagsContain
 }
 
 async function logout() {
-    const confirmed = await showCustomConfirm('Logout', 'Are you sure you want to log out?', { confirmText: 'Logout' });
+    const unsent = getMutations().length;
+    const message = unsent > 0
+        ? `${unsent} change${unsent === 1 ? ' has' : 's have'} not been saved yet and will be discarded. Are you sure you want to log out?`
+        : 'Are you sure you want to log out?';
+    const confirmed = await showCustomConfirm('Logout', message, { confirmText: 'Logout' });
     if (confirmed) {
         localStorage.removeItem('sessionToken');
         localStorage.removeItem('user');
         localStorage.removeItem('loginTimestamp');
+        await clearSessionData();
         window.location.reload();
     }
 }
 
+/**
+ * Removes the data a session keeps on the device beyond the login: the cached datasets
+ * (payroll, financial and driver data included) and the queued saves, in IndexedDB.
+ */
+async function clearSessionData() {
+    await Promise.all([api.clearCache(), clearMutations()]);
+}
+
 function switchView(viewName) {
     // Hide all main view containers first
     document.querySelector('main > header').classList.add('hidden');
@@ -1770,7 +2003,9 @@ async function initializeApp() {
         logPerformance('Weekly Notes', api.loadWeeklyNotes()),
         logPerformance('Locked Data', api.loadLockedData()),
         logPerformance('MPG Overrides', api.loadMpgOverrides()),
-        logPerformance('Contracts', api.fetchContracts())
+        logPerformance('Contracts', api.fetchContracts()),
+        logPerformance('Time-Off Ledger', api.loadTimeOffLedger()),
+        logPerformance('Time-Off Adjustments', api.loadTimeOffAdjustments())
     ];
 
     let completedTasks = 0;
@@ -1801,11 +2036,14 @@ async function initializeApp() {
         weeklyNotesData,
         weeklyLocksData,
         mpgOverridesData,
-        contractsData
+        contractsData,
+        timeOffLedgerData,
+        timeOffAdjustmentsData
     ] = await Promise.all(progressTasks);
 
     // Assign results to state variables once all promises are resolved
-    settings = settingsData;
+    settingsVersions = normalizeSettingsVersions(settingsData);
+    settings = settingsVersions[settingsVersions.length - 1].settings; // Replaced per week in processDataForSelectedDate
     mileageData = mileage;
     allDrivers = drivers;
     allSafetyData = safetyData;
@@ -1817,66 +2055,189 @@ async function initializeApp() {
     allWeeklyNotes = weeklyNotesData;
     allLockedData = weeklyLocksData;
     mpgOverrides = mpgOverridesData; 
-    allContracts = contractsData; // <--- Assign contracts
-
-    // --- CREATE INDEXES (The Speed Fix) ---
-    // 1. Mileage Index
-    mileageIndex = {};
-    if (mileageData) {
-        mileageData.forEach(m => {
-            const name = m.driver_name || m.name; 
-            if (!mileageIndex[name]) mileageIndex[name] = [];
-            mileageIndex[name].push(m);
-        });
-    }
+    allContracts = normalizeContractHistory(contractsData); // Contract periods keyed by driver id
+    allTimeOffLedger = timeOffLedgerData;
+    allTimeOffAdjustments = timeOffAdjustmentsData;
+    unavailableData = api.takeLoadWarnings(); // Shown by checkMissingDataAndAlert
 
-    // 2. Safety Index
-    safetyIndex = {};
-    if (allSafetyData) {
-        allSafetyData.forEach(s => {
-            if (!safetyIndex[s.name]) safetyIndex[s.name] = [];
-            safetyIndex[s.name].push(s);
-        });
-    }
+    // Saves still queued from an earlier session go back on top of what the server returned
+    applyQueuedMutations(await restoreMutations());
 
-    // 3. Days Taken Index
-    daysTakenIndex = {};
-    if (daysTakenHistory) {
-        daysTakenHistory.forEach(h => {
-            const name = h.driver_name;
-            if (!daysTakenIndex[name]) daysTakenIndex[name] = [];
-            daysTakenIndex[name].push(h);
-        });
-    }
-    // ---------------------------------------
+    await ingestLoadedData();
+    ui.renderLastSynced(api.getLastSynced());
 
     ui.updateLoadingProgress('80%');
 
-    if (allDrivers) {
-        allDrivers.forEach(driver => {
-            const payDate = driver.pay_date.split('T')[0];
-            const financialRecord = financialData.find(fin => fin.driver_name === driver.name && fin.pay_date === payDate);
-            if (financialRecord) {
-                driver.gross = financialRecord.weekly_gross || driver.gross;
-                driver.stubMiles = financialRecord.weekly_miles || 0;
-                driver.rpm = financialRecord.weekly_rpm || driver.rpm;
-            }
-        });
-    }
-
     // Quietly cache detailed history data in the background after the app is interactive
     setTimeout(api.cacheAllHistoryDataInBackground, 1000);
 }
 
-function checkMissingDataAndAlert() {
-    if (!processedDriversForDate || processedDriversForDate.length === 0) return;
+// The arg holding the value each keyed save sets, for conflicts (see mutationQueue.js)
+const MUTATION_VALUE_ARGS = {
+    distanceOverride: 'distanceSource',
+    mpgOverride: 'source',
+    dispatcherOverride: 'status',
+    weeklyNote: 'note'
+};
 
-    const hasAnyPrologs = processedDriversForDate.some(d => d.hasPrologsData);
-    const hasAnySamsara = processedDriversForDate.some(d => d.hasSamsaraData);
+/**
+ * Registers how each kind of queued save is sent (see mutationQueue.js), and for the keyed
+ * ones how to read the key's value on the server to detect someone else's change.
+ */
+function registerMutationTypes() {
+    const valueOf = (type) => (args) => args[MUTATION_VALUE_ARGS[type]] || null; // An empty value clears the key
+    registerMutationType('editableData', ({ driverId, payDate, updates }) => api.saveEditableData(driverId, payDate, updates));
+    registerMutationType('distanceOverride', ({ driverId, distanceSource, payDate }) => api.saveDistanceOverride(driverId, distanceSource, payDate), {
+        readCurrent: ({ driverId, payDate }) => api.fetchDistanceOverride(driverId, payDate),
+        valueOf: valueOf('distanceOverride')
+    });
+    registerMutationType('mpgOverride', ({ driverId, source, payDate }) => api.saveMpgOverride(driverId, source, payDate), {
+        readCurrent: ({ driverId, payDate }) => api.fetchMpgOverride(driverId, payDate),
+        valueOf: valueOf('mpgOverride')
+    });
+    registerMutationType('dispatcherOverride', ({ driverName, date, status }) => api.saveDispatcherOverrides([{ driverName, date, status }]), {
+        readCurrent: ({ driverName, date }) => api.fetchDispatcherOverride(driverName, date),
+        valueOf: valueOf('dispatcherOverride')
+    });
+    registerMutationType('weeklyNote', ({ driverName, payDate, note }) => api.saveWeeklyNote(driverName, payDate, note), {
+        readCurrent: ({ driverName, payDate }) => api.fetchWeeklyNote(driverName, payDate),
+        valueOf: ({ note }) => (note && note.trim() !== '' ? note : null)
+    });
+}
+
+/**
+ * Applies edit-panel field changes to the local copy of the saved overrides.
+ * @param {string|number} driverId The driver id.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @param {Array<Object>} updates [{ fieldName, newValue }].
+ */
+function applyOverrideUpdates(driverId, payDate, updates) {
+    updates.forEach(({ fieldName, newValue }) => {
+        const existingOverrideIndex = savedOverrides.findIndex(ov => String(ov.driverId) === String(driverId) && ov.payDate?.split('T')[0] === payDate && ov.fieldName === fieldName);
+        if (existingOverrideIndex > -1) {
+            savedOverrides[existingOverrideIndex].newValue = newValue;
+        } else {
+            savedOverrides.push({ driverId: driverId, payDate: payDate, fieldName: fieldName, newValue: newValue });
+        }
+    });
+}
+
+/**
+ * Applies a save's value to the loaded state.
+ * @param {string} type The mutation type.
+ * @param {Object} args The mutation args.
+ */
+function applyMutationValue(type, args) {
+    const setOrClear = (map, key, value) => {
+        if (value) map[key] = value;
+        else delete map[key];
+    };
+    if (type === 'editableData') applyOverrideUpdates(args.driverId, args.payDate, args.updates);
+    else if (type === 'distanceOverride') setOrClear(overriddenDistances, `${args.driverId}_${args.payDate}`, args.distanceSource);
+    else if (type === 'mpgOverride') setOrClear(mpgOverrides, `${args.driverId}_${args.payDate}`, args.source);
+    else if (type === 'dispatcherOverride') setOrClear(dispatcherOverrides, `${args.driverName}_${args.date}`, args.status);
+    else if (type === 'weeklyNote') setOrClear(allWeeklyNotes, `${args.driverName}_${args.payDate}`, args.note && args.note.trim() !== '' ? args.note : null);
+}
+
+/**
+ * Tells the user a queued save failed for good. The change stays in the pending saves bar
+ * for a retry, and the table keeps showing it. Conflicts are left to the bar, which asks
+ * which change to keep.
+ * @param {string} label The save's label.
+ * @param {Error} error Why it failed.
+ */
+function reportQueuedSaveFailure(label, error) {
+    if (error instanceof MutationConflictError) return;
+    showCustomAlert(`${label} could not be saved: ${error.message}. It is kept in the pending saves bar; retry it from there.`, 'Save Failed');
+}
+
+/**
+ * Recalculates the table after a distance or MPG source toggle, behind the loading overlay.
+ * @param {Object} change The change (see processDataForSelectedDate).
+ */
+function recalculateAfterSourceToggle(change) {
+    ui.showLoadingOverlay();
+    processDataForSelectedDate(change)
+        .then(filterAndRenderTable)
+        .catch(error => {
+            console.error('Failed to recalculate after the source change:', error);
+            showCustomAlert(`The table could not be recalculated: ${error.message}. Please refresh the page.`, 'Error');
+        })
+        .finally(() => ui.hideLoadingOverlay());
+}
+
+/**
+ * Applies queued saves to the loaded state, so the table shows them while they are sent.
+ * @param {Array<Object>} mutations The queued mutations.
+ */
+function applyQueuedMutations(mutations) {
+    mutations.forEach(({ type, args }) => applyMutationValue(type, args));
+}
+
+/**
+ * Builds the indexes from the loaded datasets and hands them to the recalculation engine.
+ */
+async function ingestLoadedData() {
+    // --- CREATE INDEXES (in the ingestion worker) ---
+    // Merges the financial figures into the drivers and indexes mileage and safety by driver and day
+    ({ drivers: allDrivers, mileageIndex, safetyIndex, daysTakenIndex } = await ingestData({
+        drivers: allDrivers,
+        financialData,
+        mileageData,
+        safetyData: allSafetyData,
+        daysTakenHistory
+    }));
+
+    recalcQueue.load({ allDrivers, mileageIndex, safetyIndex, daysTakenIndex, allContracts });
+}
+
+/**
+ * Takes in a dataset the offline cache served stale and has since refreshed in the background
+ * (for mileage, safety and days taken, the stored rows with the synced delta merged in), then
+ * rebuilds the indexes and recalculates the table.
+ * @param {string} key The cache key (see offlineCache.js).
+ * @param {any} data The refreshed data.
+ * @param {boolean} changed False when the server confirmed the cached copy.
+ */
+async function applyRefreshedDataset(key, data, changed) {
+    try {
+        await dataLoadingPromise;
+    } catch (error) {
+        return; // The initial load failed and was reported by the session setup
+    }
+    ui.renderLastSynced(api.getLastSynced());
+    if (!changed) return;
+    if (key === 'driverData') allDrivers = data;
+    else if (key === 'mileageData') mileageData = data;
+    else if (key === 'allSafetyData') allSafetyData = data;
+    else if (key === 'daysTakenHistory') daysTakenHistory = data;
+    else return;
 
+    try {
+        await ingestLoadedData();
+        if (!payDateSelect.value) return; // The table has not been shown yet
+        await processDataForSelectedDate();
+        filterAndRenderTable();
+        console.log(`Refreshed ${key} in the background.`);
+    } catch (error) {
+        console.error(`Failed to apply the refreshed ${key}:`, error);
+    }
+}
+
+function checkMissingDataAndAlert() {
     let messages = [];
-    if (!hasAnyPrologs) messages.push("No ProLogs data found for this week.");
-    if (!hasAnySamsara) messages.push("No Samsara data found for this week.");
+    // Tables that failed to load are reported once, with the first check after loading
+    if (unavailableData.length > 0) {
+        messages.push(`Could not load ${unavailableData.join(', ')}; they are shown as empty.`);
+        unavailableData = [];
+    }
+
+    if (processedDriversForDate && processedDriversForDate.length > 0) {
+        const hasAnyPrologs = processedDriversForDate.some(d => d.hasPrologsData);
+        const hasAnySamsara = processedDriversForDate.some(d => d.hasSamsaraData);
+        if (!hasAnyPrologs) messages.push("No ProLogs data found for this week.");
+        if (!hasAnySamsara) messages.push("No Samsara data found for this week.");
+    }
 
     if (messages.length > 0) {
         const combinedMessage = messages.join(" ") + " Please refresh the page or contact Mick if the issue persists.";
@@ -1884,11 +2245,13 @@ function checkMissingDataAndAlert() {
     }
 }
 
-function showMainApp() {
+async function showMainApp() {
     const mainAppContainer = document.getElementById('main-app-container');
     const loadingOverlay = document.getElementById('loading-overlay');
 
     if (allDrivers) {
+        // A driver row counts when it is scored under the settings in effect for its pay week
+        const isScoredForWeek = (d) => calc.isScoredDriver(d, getSettingsForPayDate(settingsVersions, d.pay_date && d.pay_date.split('T')[0]));
         let driversForUser = allDrivers;
         if (currentUser && currentUser.role && currentUser.role.trim() !== 'Admin') {
             const userAccessList = String(currentUser.access || '').split(',').map(item => item.trim());
@@ -1901,7 +2264,7 @@ function showMainApp() {
                 if (userRole === 'Driver Rep Lead') return true;
                 if (userRole === 'Recruiter' && userAccessList.includes(driver.recruiter)) return true;
                 if (userRole === 'Recruiter Team' && userAccessList.includes(driver.recruiter_team)) return true;
-                if (userRole === 'All TPOG View' && driver.contract_type === 'TPOG') return true;
+                if (userRole === 'All TPOG View' && isScoredForWeek(driver)) return true;
                 if (userRole === 'Marketing' && userAccessList.includes(driver.name)) return true;
                 return false;
             });
@@ -1909,14 +2272,14 @@ function showMainApp() {
 
         let payDates = [...new Set(driversForUser.map(d => d.pay_date && d.pay_date.split('T')[0]))].filter(Boolean).sort().reverse();
         
-        // Filter out dates that have no locked TPOG drivers for roles that only see locked data
+        // Filter out dates that have no locked scored drivers for roles that only see locked data
         if (currentUser) {
             const lockedOnlyRoles = ['Driver Rep', 'Driver Rep Lead', 'Recruiter', 'Recruiter Team', 'All TPOG View', 'Team', 'Franchise'];
             if (lockedOnlyRoles.includes(currentUser.role.trim())) {
                 payDates = payDates.filter(date => {
                     return driversForUser.some(d => {
-                        // Check if there is at least one TPOG driver for this user on this date that is LOCKED
-                        if (d.pay_date && d.pay_date.split('T')[0] === date && d.contract_type === 'TPOG') {
+                        // Check if there is at least one scored driver for this user on this date that is LOCKED
+                        if (d.pay_date && d.pay_date.split('T')[0] === date && isScoredForWeek(d)) {
                             const lockKey = `${d.id}_${date}`;
                             return !!allLockedData[lockKey];
                         }
@@ -1929,9 +2292,9 @@ function showMainApp() {
         if (payDates.length > 0) {
             payDateSelect.innerHTML = payDates.map(date => `<option value="${date}">${date}</option>`).join('');
             
-            // --- NEW: Default to the most recent date with a TPOG driver ---
+            // --- NEW: Default to the most recent date with a scored driver ---
             const defaultDate = payDates.find(date => {
-                return driversForUser.some(d => d.pay_date && d.pay_date.split('T')[0] === date && d.contract_type === 'TPOG');
+                return driversForUser.some(d => d.pay_date && d.pay_date.split('T')[0] === date && isScoredForWeek(d));
             });
             
             if (defaultDate) {
@@ -1947,7 +2310,7 @@ function showMainApp() {
             filterAndRenderTable();
         }, visibleColumnKeys);
 
-        processDataForSelectedDate(); 
+        await processDataForSelectedDate();
         filterAndRenderTable();
         checkMissingDataAndAlert(); // Check if ProLogs or Samsara data is missing
 
@@ -1969,7 +2332,16 @@ function showMainApp() {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    dataLoadingPromise = initializeApp(); 
+    api.onCacheRefreshed(applyRefreshedDataset);
+    registerMutationTypes();
+    onMutationsChanged(ui.renderPendingSaves);
+    // Saves queued while offline are replayed when the network returns
+    ui.renderConnectionStatus(navigator.onLine);
+    window.addEventListener('online', () => {
+        ui.renderConnectionStatus(true);
+        resumeMutations();
+    });
+    window.addEventListener('offline', () => ui.renderConnectionStatus(false));
     initializeEventListeners();
 
     const loginBtn = document.getElementById('login-btn');
@@ -1984,6 +2356,8 @@ document.addEventListener('DOMContentLoaded', () => {
     async function setupSession(user, token) {
         currentUser = user;
         sessionToken = token;
+        // Nothing is read from the cache or the server until someone is logged in
+        if (!dataLoadingPromise) dataLoadingPromise = initializeApp();
 
         // 1. Persist session (2 Hours)
         localStorage.setItem('sessionToken', sessionToken);
@@ -2073,6 +2447,7 @@ document.addEventListener('DOMContentLoaded', () => {
         } else {
             // Session expired
             localStorage.clear();
+            clearSessionData();
         }
     }
 
@@ -2163,31 +2538,18 @@ function openUserModal(isEdit = false, userData = {}) {
     modal.classList.add('flex');
 }
 
-function processDataForSelectedDate() {
-    const selectedDate = payDateSelect.value;
-    
-    // --- THIS IS THE FIX ---
-    // Create a "deep copy" of the drivers for this date.
-    // This stops the original 'allDrivers' list from being permanently changed
-    // when overrides are applied.
-    driversForDate = allDrivers
-        .filter(d => d.pay_date && d.pay_date.split('T')[0] === selectedDate)
-        .map(d => JSON.parse(JSON.stringify(d))); // <-- This deep copy is the fix
-    // --- END OF FIX ---
-
-    // The rest of the function remains identical
-    // We now pass the INDEXES (mileageIndex, safetyIndex, daysTakenIndex) instead of the raw arrays
-    // Added mpgOverrides to the call
-    // ADDED: Passed allLockedData for underperformer history check
-    processedDriversForDate = calc.processDriverDataForDate(driversForDate, mileageIndex, settings, safetyIndex, overriddenDistances, daysTakenIndex, dispatcherOverrides, allDrivers, mpgOverrides, allLockedData, allContracts);
-
-    // --- START: APPLY OVERRIDES ---
-    // Apply saved overrides AFTER all calculations are done to prevent them from being overwritten.
-    if (processedDriversForDate.length > 0 && savedOverrides.length > 0) {
+/**
+ * Applies the saved edit-panel overrides to processed drivers. Runs AFTER all calculations
+ * so the overrides are never overwritten.
+ * @param {Array<Object>} drivers Processed drivers for the pay date.
+ * @param {string} selectedDate The pay date (YYYY-MM-DD).
+ */
+function applySavedOverrides(drivers, selectedDate) {
+    if (drivers.length > 0 && savedOverrides.length > 0) {
         const overridesForThisDate = savedOverrides.filter(ov => ov.payDate && ov.payDate.split('T')[0] === selectedDate);
 
         overridesForThisDate.forEach(override => {
-            const driverToUpdate = processedDriversForDate.find(d => {
+            const driverToUpdate = drivers.find(d => {
                 const idMatch = String(d.id || '').trim() === String(override.driverId || '').trim();
                 const driverPayDate = d.pay_date ? d.pay_date.split('T')[0] : null;
                 const overridePayDate = override.payDate ? override.payDate.split('T')[0] : null;
@@ -2201,10 +2563,111 @@ function processDataForSelectedDate() {
             }
         });
     }
-    // --- END: APPLY OVERRIDES ---
+}
+
+/**
+ * Deep-copies and processes the drivers for a pay date under the given settings,
+ * then applies the saved edit-panel overrides. Does not touch any module state,
+ * so it can also be used to score a draft settings object. Runs on the main thread;
+ * the table itself is recalculated through recalcQueue.
+ * @param {string} selectedDate The pay date (YYYY-MM-DD).
+ * @param {Object} settingsToUse The settings object to process with.
+ * @returns {Array<Object>} The processed drivers for the date.
+ */
+function buildDriversForDate(selectedDate, settingsToUse) {
+    // --- THIS IS THE FIX ---
+    // Create a "deep copy" of the drivers for this date.
+    // This stops the original 'allDrivers' list from being permanently changed
+    // when overrides are applied.
+    const drivers = allDrivers
+        .filter(d => d.pay_date && d.pay_date.split('T')[0] === selectedDate)
+        .map(d => JSON.parse(JSON.stringify(d))); // <-- This deep copy is the fix
+    // --- END OF FIX ---
+
+    // We now pass the INDEXES (mileageIndex, safetyIndex, daysTakenIndex) instead of the raw arrays (see dataIndexes.js)
+    // Added mpgOverrides to the call
+    // ADDED: Passed allLockedData for underperformer history check
+    const processed = calc.processDriverDataForDate(drivers, mileageIndex, settingsToUse, safetyIndex, overriddenDistances, daysTakenIndex, dispatcherOverrides, allDrivers, mpgOverrides, allLockedData, allContracts, allTimeOffAdjustments);
+
+    applySavedOverrides(processed, selectedDate);
+
+    return processed;
+}
 
+/**
+ * Gathers what the settings panel needs for its version picker and history.
+ * @param {string} effectiveFrom The pay date preselected in the "Applies From" picker.
+ * @returns {{versions: Array<Object>, payDates: Array<string>, effectiveFrom: string}}
+ */
+function getSettingsVersionContext(effectiveFrom) {
+    const payDates = Array.from(payDateSelect.options).map(option => option.value);
+    return { versions: settingsVersions, payDates, effectiveFrom };
+}
+
+/**
+ * Opens the weekly activity history modal for a processed driver, with their time-off ledger and adjustments.
+ * @param {Object} driver The driver from driversForDate.
+ */
+function openDriverActivityHistory(driver) {
+    const isAdmin = currentUser && currentUser.role.trim() === 'Admin';
+    ui.openActivityHistoryModal(driver, mileageData, settings, daysTakenHistory, dispatcherOverrides, allLockedData, allWeeklyNotes, allContracts, {
+        ledger: allTimeOffLedger[driver.name] || [],
+        adjustments: allTimeOffAdjustments[driver.name] || [],
+        canAdjust: isAdmin
+    });
+}
+
+// Recalculates the table off the main thread, redoing only what each change affects (see recalculation.js)
+const recalcQueue = createRecalcQueue({
+    getRequest: () => ({
+        payDate: payDateSelect.value,
+        settings,
+        inputs: { overriddenDistances, mpgOverrides, dispatcherOverrides, allLockedData, allTimeOffAdjustments }
+    }),
+    onResult: applyRecalculation
+});
+
+/**
+ * Recalculates the drivers for the selected pay date under the settings version in force
+ * for that week. Resolves once driversForDate holds the result; callers re-render.
+ * @param {Object} [change] What changed, e.g. { type: 'distanceSource', driverId } (see
+ * recalculation.js). Defaults to recalculating every driver.
+ * @returns {Promise<Object>} The recalculation result.
+ */
+function processDataForSelectedDate(change) {
+    // Use the settings version in force for this week
+    settings = getSettingsForPayDate(settingsVersions, payDateSelect.value);
+    return recalcQueue.enqueue(change);
+}
+
+/**
+ * Takes a recalculation result into driversForDate: applies the saved overrides, notes and
+ * locks to the returned drivers and swaps them in (all of them for a full run).
+ * @param {{payDate: string, full: boolean, drivers: Array<Object>}} result The recalculation result.
+ */
+function applyRecalculation({ payDate, full, drivers }) {
+    // A run for a week no longer selected; the change of week is queued behind it
+    if (payDate !== payDateSelect.value) return;
+
+    applySavedOverrides(drivers, payDate);
+    attachWeeklyState(drivers, payDate);
+    if (full) {
+        driversForDate = drivers;
+    } else {
+        const updated = new Map(drivers.map(d => [String(d.id), d]));
+        driversForDate = driversForDate.map(d => updated.get(String(d.id)) || d);
+    }
+    processedDriversForDate = driversForDate;
+}
+
+/**
+ * Attaches the weekly notes and applies the locked snapshots for a pay date.
+ * @param {Array<Object>} drivers Processed drivers for the pay date.
+ * @param {string} selectedDate The pay date (YYYY-MM-DD).
+ */
+function attachWeeklyState(drivers, selectedDate) {
     // --- START: ATTACH NOTES ---
-    processedDriversForDate.forEach(driver => {
+    drivers.forEach(driver => {
         const noteKey = `${driver.name}_${selectedDate}`;
         if (allWeeklyNotes[noteKey]) {
             driver.weeklyNote = allWeeklyNotes[noteKey];
@@ -2215,7 +2678,7 @@ function processDataForSelectedDate() {
     // --- END: ATTACH NOTES ---
 
     // --- START: ATTACH LOCKS ---
-    processedDriversForDate.forEach(driver => {
+    drivers.forEach(driver => {
         const lockKey = `${driver.id}_${selectedDate}`;
         const lockedJSON = allLockedData[lockKey];
 
@@ -2295,6 +2758,13 @@ function initDispatcherView(
     const noteInput = document.getElementById('weekly-note-input');
     const saveNoteBtn = document.getElementById('save-note-btn');
 
+    // Lets the status bar redraw this view after a conflict is resolved in favour of another user
+    refreshDispatcherView = () => {
+        if (isTutorialMode) return;
+        renderDriverList();
+        if (selectedDriverName) renderActivityView();
+    };
+
 
     // --- UI FUNCTIONS ---
     function updateButtonState() {
@@ -2316,6 +2786,7 @@ function initDispatcherView(
         const drivers = {};
         const payDates = new Set();
         const formatDate = date => date ? new Date(date).toISOString().split('T')[0] : null;
+        const { operatingTimezone } = getWorkWeekSettings(settings);
 
         driverList.forEach(row => {
             // --- FIX: Use .name and .dispatcher ---
@@ -2323,7 +2794,7 @@ function initDispatcherView(
             const dispatcher = row.dispatcher;
             // --- END FIX ---
             
-            if (row.contract_type !== 'TPOG') return;
+            if (!calc.isScoredDriver(row, getSettingsForPayDate(settingsVersions, formatDate(row.pay_date)))) return;
             if (!driverName) return;
             // --- FIX: Use dispatcher variable ---
             drivers[driverName] = { name: driverName, dispatcher: dispatcher, team: row.team, activity: {} };
@@ -2335,7 +2806,8 @@ function initDispatcherView(
 
         [...mileageData, ...samsaraData, ...changelogData].forEach(item => {
             const name = item.driver_name || item.name;
-            const date = formatDate(item.date);
+            // Status changes are timestamps, so they are read in the operating timezone
+            const date = item.activity_status ? toDateKey(item.date, operatingTimezone) : formatDate(item.date);
             if (!name || !date || !drivers[name]) return;
             if (!drivers[name].activity[date]) {
                 drivers[name].activity[date] = { date, prologMiles: 0, systemStatus: 'NO DATA' };
@@ -2363,10 +2835,11 @@ function initDispatcherView(
         const searchTerm = searchInput.value.toLowerCase();
         const selectedDateStr = payDateSelect.value;
         
-        // Find which drivers actually exist for this specific pay week and are TPOG
+        // Find which drivers actually exist for this specific pay week and are scored (see isScoredDriver)
+        const weekSettings = getSettingsForPayDate(settingsVersions, selectedDateStr);
         const validDriversForWeek = new Set(
             allDrivers
-                .filter(d => d.pay_date && d.pay_date.split('T')[0] === selectedDateStr && d.contract_type === 'TPOG')
+                .filter(d => d.pay_date && d.pay_date.split('T')[0] === selectedDateStr && calc.isScoredDriver(d, weekSettings))
                 .map(d => d.name)
         );
         
@@ -2398,15 +2871,10 @@ function initDispatcherView(
             return;
         }
 
-        const monday = new Date(selectedDateStr + 'T12:00:00Z');
-        monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+        const weekDates = getWeekDates(getWeekEndingOnOrBefore(selectedDateStr, getWorkWeekSettings(settings).weekStartDay).startStr);
 
         driverListContainer.innerHTML = filteredDrivers.map(driver => {
-            const isWeekConfirmed = Array.from({ length: 7 }).every((_, i) => {
-                const day = new Date(monday);
-                day.setUTCDate(monday.getUTCDate() - i);
-                return !!savedOverrides[`${driver.name}_${day.toISOString().split('T')[0]}`];
-            });
+            const isWeekConfirmed = weekDates.every(dayString => !!savedOverrides[`${driver.name}_${dayString}`]);
             return `
                 <div class="driver-list-item flex justify-between items-center p-2 rounded-md cursor-pointer hover:bg-slate-700 transition-colors ${selectedDriverName === driver.name ? 'active' : ''}" data-driver-name="${driver.name}">
                     <span class="font-medium text-sm flex items-center gap-2">
@@ -2456,16 +2924,9 @@ function initDispatcherView(
         currentOverrides = {};
         const driver = allDriverData[selectedDriverName];
         // const selectedDateStr = payDateSelect.value; // Already defined above
-        const monday = new Date(selectedDateStr + 'T12:00:00Z');
-        monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
-        const tuesday = new Date(monday);
-        tuesday.setUTCDate(monday.getUTCDate() - 6);
-
-        const isWeekVerified = Array.from({ length: 7 }).every((_, i) => {
-            const day = new Date(tuesday);
-            day.setUTCDate(tuesday.getUTCDate() + i);
-            return !!savedOverrides[`${driver.name}_${day.toISOString().split('T')[0]}`];
-        });
+        const weekDates = getWeekDates(getWeekEndingOnOrBefore(selectedDateStr, getWorkWeekSettings(settings).weekStartDay).startStr);
+
+        const isWeekVerified = weekDates.every(dayString => !!savedOverrides[`${driver.name}_${dayString}`]);
 
         // --- NEW: Options without CORRECT ---
         const statusOptions = ['ACTIVE', 'DAY_OFF', 'NOT_STARTED', 'CONTRACT_ENDED'];
@@ -2514,10 +2975,7 @@ function initDispatcherView(
 
        let lastKnownSystemStatus = 'NO_DATA';
 
-       for (let i = 0; i < 7; i++) {
-           const currentDay = new Date(tuesday);
-           currentDay.setUTCDate(tuesday.getUTCDate() + i);
-           const dayString = currentDay.toISOString().split('T')[0];
+       weekDates.forEach(dayString => {
            const dayData = driver.activity[dayString] || { prologMiles: 0, systemStatus: 'NO DATA' };
            
            // Normalize system status
@@ -2525,7 +2983,7 @@ function initDispatcherView(
            if (systemStatusNormalized.includes('WITHOUT_LOAD')) systemStatusNormalized = 'ACTIVE';
 
            // Check Contract Status
-           const contractStatus = calc.getContractStatusForDay(selectedDriverName, dayString, allContracts);
+           const contractStatus = calc.getContractStatusForDay(driverObj || selectedDriverName, dayString, allContracts);
 
            if (contractStatus !== 'ACTIVE') {
                systemStatusNormalized = contractStatus;
@@ -2575,7 +3033,7 @@ function initDispatcherView(
            weekHtml += `
                <div id="day-card-${dayString}" class="day-card ${cardClass} border rounded-xl p-2 sm:p-3 shadow-sm hover:border-blue-500 transition-all flex flex-col">
                    <div class="flex-grow">
-                       <p class="font-bold text-white text-center text-sm lg:text-base">${currentDay.toLocaleDateString(undefined, { weekday: 'long' })}</p>
+                       <p class="font-bold text-white text-center text-sm lg:text-base">${getDayLabel(dayString).long}</p>
                        <p class="text-[11px] text-slate-400 text-center font-medium mt-0.5">${dayString}</p>
                    </div>
                    <div class="mt-auto pt-3 flex-shrink-0">
@@ -2584,7 +3042,7 @@ function initDispatcherView(
                        </select>
                    </div>
                </div>`;
-       }
+       });
        weekHtml += `</div></div>`;
        activityArea.innerHTML = weekHtml;
         
@@ -2638,27 +3096,37 @@ function initDispatcherView(
         }
         
         try {
-            // --- Create both promises (Now both using Supabase) ---
-            // 1. Save Overrides
-            const overridePromise = api.saveDispatcherOverrides(overridesToSave);
-    
-            // 2. Save Note
-            const notePromise = api.saveWeeklyNote(noteData.driverName, noteData.payDate, noteData.noteText);
-            
-            // --- Wait for both to complete ---
-            await Promise.all([overridePromise, notePromise]);
-
-            showToast('Confirmation and note saved successfully!', 'success');
-            
-            // --- Update local override cache ---
+            // --- Queue the day statuses and the note (see mutationQueue.js) ---
+            // They apply locally at once and are saved in order, held while offline, and
+            // reported as conflicts when someone else changed the same day or note meanwhile
             overridesToSave.forEach(ov => {
-                savedOverrides[`${ov.driverName}_${ov.date}`] = ov.status;
-                dispatcherOverrides[`${ov.driverName}_${ov.date}`] = ov.status; // Update global state
+                const key = `${ov.driverName}_${ov.date}`;
+                const label = `${ov.driverName}: status for ${ov.date}`;
+                enqueueMutation('dispatcherOverride', { driverName: ov.driverName, date: ov.date, status: ov.status }, {
+                    key,
+                    label,
+                    expected: dispatcherOverrides[key] ?? null
+                }).catch(error => reportQueuedSaveFailure(label, error));
+
+                // --- Update local override cache ---
+                savedOverrides[key] = ov.status;
+                dispatcherOverrides[key] = ov.status; // Update global state
             });
             currentOverrides = {};
 
-            // --- NEW: Update local and global note cache ---
+            // Only a changed note is saved, so an untouched note never conflicts
             const noteKey = `${noteData.driverName}_${noteData.payDate}`;
+            const previousNote = allWeeklyNotes[noteKey] || null;
+            if ((noteData.noteText || null) !== previousNote) {
+                const label = `${noteData.driverName}: note for ${noteData.payDate}`;
+                enqueueMutation('weeklyNote', { driverName: noteData.driverName, payDate: noteData.payDate, note: noteData.noteText }, {
+                    key: noteKey,
+                    label,
+                    expected: previousNote
+                }).catch(error => reportQueuedSaveFailure(label, error));
+            }
+
+            // --- NEW: Update local and global note cache ---
             if (noteData.noteText) {
                 weeklyNotes[noteKey] = noteData.noteText; // Update view's local cache
                 allWeeklyNotes[noteKey] = noteData.noteText; // Update global cache
@@ -2666,64 +3134,13 @@ function initDispatcherView(
                 delete weeklyNotes[noteKey];
                 delete allWeeklyNotes[noteKey];
             }
-            // --- START: HIGH-PERFORMANCE UPDATE (v2 - Preserves Percentiles) ---
-            // Find the driver in both the "base" list and "processed" list
-            const driverInBaseList = driversForDate.find(d => d.name === noteData.driverName && d.pay_date.split('T')[0] === noteData.payDate);
-            const driverInProcessedList = processedDriversForDate.find(d => d.name === noteData.driverName && d.pay_date.split('T')[0] === noteData.payDate);
-
-            if (driverInBaseList && driverInProcessedList) {
-                
-                // 1. Store the *correct, old* data we need to preserve
-                const originalMpgPercentile = driverInProcessedList.mpgPercentile;
-                const originalSpeedingPercentile = driverInProcessedList.speedingPercentile;
-                const originalSafetyScore = driverInProcessedList.safetyScore;
-                const originalMpg = driverInProcessedList.mpg;
-                const originalSpeedingAlerts = driverInProcessedList.speedingAlerts;
-                // (and any other raw data fields that get reset)
-
-                // 2. Run the "Weeks Out" calculation on the *base* driver.
-                const [recalculatedDriver] = calc.processDriverDataForDate(
-                    [driverInBaseList], 
-                    mileageIndex, 
-                    settings, 
-                    safetyIndex, 
-                    overriddenDistances, 
-                    daysTakenIndex, 
-                    savedOverrides,
-                    allDrivers,
-                    mpgOverrides,
-                    allLockedData,
-                    allContracts
-                );
-
-                // 3. Apply ONLY the activity-related metrics to our live "processed" driver
-                driverInProcessedList.weeksOut = recalculatedDriver.weeksOut;
-                driverInProcessedList.offDays = recalculatedDriver.offDays;
-                driverInProcessedList.balanceAtStartOfWeek = recalculatedDriver.balanceAtStartOfWeek;
-                driverInProcessedList.streakAtStartOfWeek = recalculatedDriver.streakAtStartOfWeek;
-                driverInProcessedList.isDispatcherReviewed = recalculatedDriver.isDispatcherReviewed;
-                driverInProcessedList.weeklyActivity = recalculatedDriver.weeklyActivity;
-                driverInProcessedList.weeklyNote = noteData.noteText; // Add the note
-
-                // 4. Restore the *correct, old* data, overwriting the 0s from step 2
-                driverInProcessedList.mpgPercentile = originalMpgPercentile;
-                driverInProcessedList.speedingPercentile = originalSpeedingPercentile;
-                driverInProcessedList.safetyScore = originalSafetyScore;
-                driverInProcessedList.mpg = originalMpg;
-                driverInProcessedList.speedingAlerts = originalSpeedingAlerts;
-
-                // 5. Re-render the main table. This will be instant and correct.
-                // The table dynamically calculates final report data (like escrowDeduct),
-                // so we MUST NOT stamp the calculated data directly onto the object.
-                filterAndRenderTable();
 
-            } else {
-                // Fallback to the slow method if the driver wasn't found
-                console.warn("Driver not found in lists, falling back to full refresh.");
-                processDataForSelectedDate();
-                filterAndRenderTable();
-            }
-            // --- END: HIGH-PERFORMANCE UPDATE (v2) ---
+            showToast(navigator.onLine ? 'Confirmation and note saved successfully!' : 'Saved offline. Changes will sync when you reconnect.', 'success');
+            // Recalculate this driver's activity; the fleet percentiles are left as ranked.
+            // A driver not on the selected week falls back to recalculating everything.
+            const driverInProcessedList = processedDriversForDate.find(d => d.name === noteData.driverName && d.pay_date.split('T')[0] === noteData.payDate);
+            await processDataForSelectedDate(driverInProcessedList ? { type: 'dispatcherStatus', driverId: driverInProcessedList.id } : undefined);
+            filterAndRenderTable();
 
             // Re-render the local dispatcher view
             renderDriverList();
@@ -2765,7 +3182,7 @@ function initDispatcherView(
         ui.showLoadingOverlay();
 
         if (isTutorialMode) {
-            const dummy = generateDummyData();
+            const dummy = generateDummyData(getWorkWeekSettings(settings).weekStartDay);
             allDriverData = dummy.allDriverData;
             allPayDates = dummy.allPayDates;
             savedOverrides = getDummyOverrides();
@@ -3454,10 +3871,10 @@ async function loadAndRenderAllArchiveData() {
 
     try {
         // 1. Fetch all data from Google Sheets AND Supabase at the same time
-        const [archiveResult, notesResult, feedbackResult] = await Promise.all([
+        const [archiveResult, allNotes, allFeedback] = await Promise.all([
             api.fetchAllArchiveData(),
-            supabase.from('notes').select('*'),
-            supabase.from('feedback').select('*')
+            api.fetchArchiveNotes(),
+            api.fetchAllFeedback()
         ]);
 
         if (archiveResult.status !== 'success') {
@@ -3467,7 +3884,6 @@ async function loadAndRenderAllArchiveData() {
         allArchivedData = archiveResult.data; // This is the base data
 
         // 2. Merge all LIVE NOTES from Supabase
-        const allNotes = notesResult.data || [];
         allNotes.forEach(note => {
             const driver = allArchivedData.find(d => d.id === note.driver_id);
             if (driver) {
@@ -3483,7 +3899,6 @@ async function loadAndRenderAllArchiveData() {
         });
 
         // 3. Merge all LIVE FEEDBACK from Supabase
-        const allFeedback = feedbackResult.data || [];
         allFeedback.forEach(fb => {
             const driver = allArchivedData.find(d => d.id === fb.driver_id);
             if (driver) {
@@ -4482,8 +4897,7 @@ async function sendChatNote(noteText) {
 
     try {
         // 2. Send it to Supabase
-        const { error } = await supabase.from('notes').insert(noteData);
-        if (error) throw new Error(error.message);
+        await api.addArchiveNote(noteData);
 
         // 3. SUCCESS!
         // The realtime listener (`listenForLiveUpdates`) will
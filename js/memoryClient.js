@@ -0,0 +1,128 @@
+// TPOG/js/memoryClient.js
+
+/**
+ * memoryClient.js
+ * * An in-memory stand-in for the Supabase client, covering the part of the query builder
+ * repository.js uses: select with eq, order and range; insert, upsert, update and delete,
+ * each optionally followed by select. Queries resolve with { data, error } like Supabase.
+ * failNext makes a table's next query fail, to exercise error handling. No DOM dependencies.
+ */
+
+const copy = (row) => ({ ...row });
+
+/**
+ * Creates an in-memory client.
+ * @param {Object} [seed] Map of table name to rows.
+ * @returns {{tables: Object, from: Function, failNext: Function}}
+ */
+export function createMemoryClient(seed = {}) {
+    const tables = Object.fromEntries(Object.entries(seed).map(([table, rows]) => [table, rows.map(copy)]));
+    const failures = new Map(); // table -> error for its next query
+    let nextId = 1;
+
+    const rowsOf = (table) => tables[table] || (tables[table] = []);
+
+    const execute = (table, state) => {
+        if (failures.has(table)) {
+            const error = failures.get(table);
+            failures.delete(table);
+            return { data: null, error };
+        }
+        const rows = rowsOf(table);
+        const matches = (row) => state.filters.every(([column, value]) => row[column] === value);
+
+        switch (state.action) {
+            case 'select': {
+                let result = rows.filter(matches);
+                state.orders.forEach(([column, { ascending = true } = {}]) => {
+                    result = [...result].sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+                });
+                if (state.range) result = result.slice(state.range[0], state.range[1] + 1);
+                return { data: result.map(copy), error: null };
+            }
+            case 'insert': {
+                const stored = state.values.map(row => ({ id: nextId++, ...row }));
+                rows.push(...stored);
+                return { data: state.returning ? stored.map(copy) : null, error: null };
+            }
+            case 'upsert': {
+                const columns = (state.onConflict || 'id').split(',').map(column => column.trim());
+                const stored = state.values.map(row => {
+                    const existing = rows.find(candidate => columns.every(column => candidate[column] === row[column]));
+                    if (existing) return Object.assign(existing, row);
+                    const added = { id: nextId++, ...row };
+                    rows.push(added);
+                    return added;
+                });
+                return { data: state.returning ? stored.map(copy) : null, error: null };
+            }
+            case 'update': {
+                const updated = rows.filter(matches).map(row => Object.assign(row, state.values));
+                return { data: state.returning ? updated.map(copy) : null, error: null };
+            }
+            case 'delete': {
+                const removed = rows.filter(matches);
+                tables[table] = rows.filter(row => !matches(row));
+                return { data: state.returning ? removed.map(copy) : null, error: null };
+            }
+            default:
+                return { data: null, error: { message: `Unsupported query on ${table}.` } };
+        }
+    };
+
+    const query = (table) => {
+        const state = { action: null, values: null, onConflict: null, filters: [], orders: [], range: null, returning: false };
+        const builder = {
+            select() {
+                if (state.action) state.returning = true;
+                else state.action = 'select';
+                return builder;
+            },
+            insert(values) {
+                Object.assign(state, { action: 'insert', values: [].concat(values) });
+                return builder;
+            },
+            upsert(values, { onConflict = null } = {}) {
+                Object.assign(state, { action: 'upsert', values: [].concat(values), onConflict });
+                return builder;
+            },
+            update(values) {
+                Object.assign(state, { action: 'update', values });
+                return builder;
+            },
+            delete() {
+                state.action = 'delete';
+                return builder;
+            },
+            eq(column, value) {
+                state.filters.push([column, value]);
+                return builder;
+            },
+            order(column, options) {
+                state.orders.unshift([column, options]); // Sorted last-to-first so the first order wins
+                return builder;
+            },
+            range(from, to) {
+                state.range = [from, to];
+                return builder;
+            },
+            then(resolve, reject) {
+                return Promise.resolve().then(() => execute(table, state)).then(resolve, reject);
+            }
+        };
+        return builder;
+    };
+
+    return {
+        tables,
+        from: query,
+        /**
+         * Makes the next query on a table resolve with an error.
+         * @param {string} table The table.
+         * @param {string} [message] The error message.
+         */
+        failNext(table, message = 'Simulated failure') {
+            failures.set(table, { message, code: 'MEMORY_CLIENT_FAILURE' });
+        }
+    };
+}
@@ -0,0 +1,559 @@
+// TPOG/js/metricRegistry.js
+
+/**
+ * metricRegistry.js
+ * * Every bonus/penalty metric is declared once here: its input field, tier type,
+ * eligibility rules, settings toggle and report card. getDriverReportData walks the
+ * registry, and the report SVG and settings panel build their cards and toggles from it.
+ * Declarative metrics (RPM, idle time, hard braking) need no code beyond their entry.
+ * traceMetric/describeMetricTrace explain each result: the input, the tier matched and
+ * the next tier that would pay more.
+ */
+
+/**
+ * Finds the highest applicable bonus from a set of tiers.
+ * @param {number} value The driver's metric value (e.g., MPG percentile).
+ * @param {Array<Object>} tiers The array of tiers, each with a 'threshold' and 'bonus'.
+ * @returns {{bonus: number, metThreshold: number|null}} The calculated bonus and the threshold that was met.
+ */
+export const getTieredBonusDetails = (value, tiers) => {
+    let bonus = 0;
+    let metThreshold = null;
+    if (!tiers || !Array.isArray(tiers)) return { bonus, metThreshold };
+    const applicableTiers = tiers.filter(tier => value >= tier.threshold);
+    if (applicableTiers.length > 0) {
+        const bestTier = applicableTiers.reduce((max, current) => current.threshold > max.threshold ? current : max);
+        bonus = bestTier.bonus;
+        metThreshold = bestTier.threshold;
+    }
+    return { bonus, metThreshold };
+};
+
+/**
+ * Finds the range tier ({ from, to }) that contains a value.
+ * A missing 'to' means the tier is open-ended ("and up").
+ * @param {number} value The value to look up (e.g., gross or speeding alerts).
+ * @param {Array<Object>} tiers The array of range tiers.
+ * @returns {Object|null} The matching tier, or null if none matched.
+ */
+export const findRangeTier = (value, tiers) => {
+    const sortedTiers = [...(tiers || [])].sort((a, b) => a.from - b.from);
+    for (const tier of sortedTiers) {
+        const to = tier.to || Infinity;
+        if (value >= tier.from && value <= to) {
+            return tier;
+        }
+    }
+    return null;
+};
+
+/**
+ * Penalty for events over a minimum: every event from the minimum up costs `penaltyPer`.
+ * @param {number} events The number of events.
+ * @param {number} minimum The event count where penalties start.
+ * @param {number} penaltyPer The penalty per penalized event (negative).
+ * @returns {number} The penalty (zero or negative).
+ */
+const perEventPenalty = (events, minimum, penaltyPer) =>
+    events >= minimum ? (events - (minimum - 1)) * penaltyPer : 0;
+
+/**
+ * Calculates the speeding penalty using the configured method ('percentile', 'perEvent' or 'range').
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @returns {number} The penalty (zero or negative).
+ */
+export function calculateSpeedingPenalty(driver, settings) {
+    const method = settings.speedingPenaltyMethod || 'percentile';
+
+    switch (method) {
+        case 'percentile':
+            if (driver.speedingAlerts >= 2) {
+                return getTieredBonusDetails(driver.speedingPercentile, settings.speedingPercentileTiers).bonus;
+            }
+            return 0;
+        case 'perEvent':
+            return perEventPenalty(driver.speedingAlerts, settings.speedingPerEventMinimum || 2, settings.speedingPerEventPenalty || -1.0);
+        case 'range': {
+            const tier = findRangeTier(driver.speedingAlerts, settings.speedingRangeTiers);
+            return tier ? tier.penalty : 0;
+        }
+        default:
+            return 0;
+    }
+}
+
+/**
+ * The MPG that sits at a given percentile of the drivers for the pay date.
+ * @param {number} percentile The target percentile (0-100).
+ * @param {Array<Object>} driversForDate All drivers for the pay date.
+ * @returns {number} The MPG at that percentile, or 0 when no driver has MPG data.
+ */
+export function targetMpgForPercentile(percentile, driversForDate) {
+    const allMpgValues = (driversForDate || []).map(d => parseFloat(d.mpg)).filter(mpg => mpg > 0).sort((a, b) => a - b);
+    if (allMpgValues.length > 1) {
+        return allMpgValues[Math.ceil((percentile / 100) * (allMpgValues.length - 1))];
+    }
+    return allMpgValues.length === 1 ? allMpgValues[0] : 0;
+}
+
+/**
+ * Fuel efficiency bonus plus the "how to reach the next tier" hint shown on the report.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @param {Array<Object>} driversForDate All drivers for the pay date (used for the target MPG).
+ * @returns {{bonus: number, infoText: string}}
+ */
+function evaluateFuelEfficiency(driver, settings, driversForDate) {
+    let fuelBonus = 0;
+    let infoText = 'Fuel bonus not applicable.';
+    const fuelMileageThreshold = settings.fuelMileageThreshold || 0;
+    const driverMiles = driver.stubMiles || 0;
+
+    if (driverMiles >= fuelMileageThreshold && driver.mpg > 0) {
+        const percentileDetails = getTieredBonusDetails(driver.mpgPercentile, settings.mpgPercentileTiers);
+        fuelBonus = percentileDetails.bonus;
+
+        // InfoText Calculation
+        const currentMpg = parseFloat(driver.mpg);
+        const sortedTiers = [...settings.mpgPercentileTiers].sort((a, b) => a.threshold - b.threshold);
+        let targetTier = null;
+
+        if (fuelBonus < 0) {
+            targetTier = sortedTiers.find(t => t.bonus >= 0);
+        } else {
+            targetTier = sortedTiers.find(t => t.bonus > fuelBonus);
+        }
+
+        if (targetTier && driversForDate && driversForDate.length > 0) {
+            const targetMpg = targetMpgForPercentile(targetTier.threshold, driversForDate);
+
+            if (targetMpg > 0 && targetMpg > currentMpg) {
+                if (fuelBonus < 0) {
+                    infoText = `Reach ${targetMpg.toFixed(1)} MPG to remove the penalty.`;
+                } else {
+                    infoText = `Reach ${targetMpg.toFixed(1)} MPG for a +${targetTier.bonus.toFixed(1)}% bonus.`;
+                }
+            } else {
+                infoText = 'Keep up the great work!';
+            }
+        } else if (targetTier) {
+            // Change "percentile" to "Top X%"
+            infoText = fuelBonus < 0 ? 'Improve MPG to remove penalty.' : `Reach the Top ${100 - targetTier.threshold}% of the fleet for the next bonus.`;
+        } else {
+            infoText = 'Maximum fuel bonus reached.';
+        }
+
+    } else if (driverMiles < fuelMileageThreshold) {
+        infoText = `Drive ${fuelMileageThreshold} miles to qualify for fuel bonus.`;
+    } else if (driver.mpg <= 0) {
+        infoText = 'No MPG data available to calculate bonus.';
+    }
+
+    return { bonus: fuelBonus, infoText, eligible: driverMiles >= fuelMileageThreshold && driver.mpg > 0 };
+}
+
+/**
+ * Safety score bonus: score and miles thresholds met, optionally forfeited on any speeding.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @returns {{bonus: number}}
+ */
+function evaluateSafetyScore(driver, settings) {
+    const scoreMet = driver.safetyScore >= settings.safetyScoreThreshold;
+    const milesMet = driver.stubMiles >= settings.safetyScoreMileageThreshold;
+    const hasSpeedingAlerts = driver.speedingAlerts > 0;
+    if (settings.safetyBonusForfeitedOnSpeeding && hasSpeedingAlerts && scoreMet && milesMet) {
+        return { bonus: 0 };
+    }
+    return { bonus: (scoreMet && milesMet) ? settings.safetyScoreBonus : 0 };
+}
+
+/**
+ * Scores a declarative metric from its tier type and eligibility rules.
+ * @param {Object} metric The registry entry.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @returns {{bonus: number, infoText: string, value: number|null, eligible: boolean}}
+ */
+function evaluateDeclarativeMetric(metric, driver, settings) {
+    const rawValue = driver[metric.field];
+    const value = parseFloat(rawValue);
+    const { eligibility = {} } = metric;
+
+    if (rawValue === undefined || rawValue === null || rawValue === '' || isNaN(value)) {
+        return { bonus: 0, infoText: `No ${metric.card.unitLabel || metric.label} data this week.`, value: null, eligible: false };
+    }
+    if (eligibility.requiresSamsaraData && driver.hasSamsaraData === false) {
+        return { bonus: 0, infoText: 'No Samsara data this week.', value, eligible: false };
+    }
+    const minMiles = eligibility.minMilesSetting ? (settings[eligibility.minMilesSetting] || 0) : 0;
+    if ((driver.stubMiles || 0) < minMiles) {
+        return { bonus: 0, infoText: `Drive ${minMiles} miles to qualify.`, value, eligible: false };
+    }
+
+    let bonus = 0;
+    if (metric.tierType === 'threshold') {
+        bonus = getTieredBonusDetails(value, settings[metric.tiersSetting]).bonus;
+    } else if (metric.tierType === 'range') {
+        const tier = findRangeTier(value, settings[metric.tiersSetting]);
+        bonus = tier ? (tier.bonus ?? tier.penalty ?? 0) : 0;
+    } else if (metric.tierType === 'perEvent') {
+        const minimum = settings[metric.minimumSetting] || metric.defaultMinimum;
+        bonus = perEventPenalty(value, minimum, settings[metric.penaltySetting] || 0);
+    }
+    return { bonus, infoText: '', value, eligible: true };
+}
+
+// --- Tier positions: the tier a value is in and the nearest tier that pays more ---
+
+const thresholdPosition = (value, tiers, bonus) => {
+    const sorted = [...(tiers || [])].sort((a, b) => a.threshold - b.threshold);
+    const { metThreshold } = getTieredBonusDetails(value, sorted);
+    const tier = metThreshold === null ? null : sorted.find(t => t.threshold === metThreshold);
+    const next = sorted.find(t => t.threshold > value && t.bonus > bonus);
+    return { tier, nextTier: next ? { direction: 'up', target: next.threshold, bonus: next.bonus } : null };
+};
+
+const rangePosition = (value, tiers, bonus) => {
+    const tierValue = (t) => t.bonus ?? t.penalty ?? 0;
+    let nextTier = null;
+    let bestDistance = Infinity;
+    (tiers || []).filter(t => tierValue(t) > bonus).forEach(t => {
+        const to = (t.to === null || t.to === undefined || t.to === '') ? Infinity : t.to;
+        if (t.from > value && t.from - value < bestDistance) {
+            bestDistance = t.from - value;
+            nextTier = { direction: 'up', target: t.from, bonus: tierValue(t) };
+        } else if (to < value && value - to < bestDistance) {
+            bestDistance = value - to;
+            nextTier = { direction: 'down', target: to, bonus: tierValue(t) };
+        }
+    });
+    return { tier: findRangeTier(value, tiers), nextTier };
+};
+
+const perEventPosition = (value, minimum, bonus) => ({
+    tier: value >= minimum ? { minimum, penalizedEvents: value - (minimum - 1) } : null,
+    nextTier: bonus < 0 ? { direction: 'down', target: minimum - 1, bonus: 0 } : null
+});
+
+const cumulativePosition = (value, milestones, bonus) => {
+    const sorted = [...(milestones || [])].sort((a, b) => a.threshold - b.threshold);
+    const passed = sorted.filter(m => value >= m.threshold);
+    const next = sorted.find(m => m.threshold > value);
+    return {
+        tier: passed.length > 0 ? { milestonesPassed: passed.length, threshold: passed[passed.length - 1].threshold } : null,
+        nextTier: next ? { direction: 'up', target: next.threshold, bonus: bonus + next.bonus } : null
+    };
+};
+
+function safetyScorePosition(driver, settings, bonus) {
+    const scoreMet = driver.safetyScore >= settings.safetyScoreThreshold;
+    const milesMet = driver.stubMiles >= settings.safetyScoreMileageThreshold;
+    const tier = scoreMet && milesMet ? { threshold: settings.safetyScoreThreshold, miles: settings.safetyScoreMileageThreshold } : null;
+    if (bonus > 0) return { tier, nextTier: null };
+    const target = settings.safetyScoreBonus;
+    if (!scoreMet) return { tier, nextTier: { direction: 'up', target: settings.safetyScoreThreshold, bonus: target } };
+    if (!milesMet) return { tier, nextTier: { field: 'stubMiles', direction: 'up', target: settings.safetyScoreMileageThreshold, bonus: target } };
+    return { tier, nextTier: { field: 'speedingAlerts', direction: 'down', target: 0, bonus: target } };
+}
+
+function speedingPosition(driver, settings, bonus) {
+    switch (settings.speedingPenaltyMethod || 'percentile') {
+        case 'perEvent':
+            return perEventPosition(driver.speedingAlerts, settings.speedingPerEventMinimum || 2, bonus);
+        case 'range':
+            return rangePosition(driver.speedingAlerts, settings.speedingRangeTiers, bonus);
+        case 'percentile':
+        default: {
+            // Percentile penalties only apply from 2 alerts, so 1 alert or fewer always clears them
+            const { tier } = thresholdPosition(driver.speedingPercentile, settings.speedingPercentileTiers, bonus);
+            return {
+                field: 'speedingPercentile',
+                tier: driver.speedingAlerts >= 2 ? tier : null,
+                nextTier: bonus < 0 ? { field: 'speedingAlerts', direction: 'down', target: 1, bonus: 0 } : null
+            };
+        }
+    }
+}
+
+// How each traced field is written in explanations
+const TRACE_UNITS = {
+    weeksOut: 'weeks out', safetyScore: '% safety score', stubMiles: 'miles', speedingAlerts: 'speeding alerts',
+    speedingPercentile: 'speeding percentile', mpgPercentile: 'MPG percentile', tenure: 'weeks tenure'
+};
+
+const formatTraceValue = (field, value, metric) => {
+    if (value === null || value === undefined || isNaN(value)) return 'no data';
+    if (field === 'gross') return `$${Math.round(value).toLocaleString()}`;
+    const unit = TRACE_UNITS[field] || metric?.card?.unitLabel || '';
+    const decimals = Number.isInteger(value) ? 0 : (field === metric?.field && metric?.card?.decimals !== undefined ? metric.card.decimals : 1);
+    return `${parseFloat(value).toFixed(decimals)}${unit.startsWith('%') ? '' : ' '}${unit}`.trim();
+};
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+/**
+ * Where a driver sits on a metric's tiers: the input value, the tier matched and the nearest
+ * tier that pays more (`nextTier.field` is set when that tier depends on a different input).
+ * @param {Object} metric The registry entry.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @param {{bonus: number, eligible?: boolean}} result The metric's evaluation.
+ * @returns {{field: string, value: number|null, eligible: boolean, tier: Object|null, nextTier: Object|null}}
+ */
+export function traceMetric(metric, driver, settings, result) {
+    const bonus = result.bonus || 0;
+    let field = metric.field;
+    let position;
+
+    switch (metric.key) {
+        case 'safetyScore':
+            position = safetyScorePosition(driver, settings, bonus);
+            break;
+        case 'speeding':
+            position = speedingPosition(driver, settings, bonus);
+            field = position.field || 'speedingAlerts';
+            break;
+        default: {
+            const value = parseFloat(driver[field]);
+            if (metric.tierType === 'threshold') position = thresholdPosition(value, settings[metric.tiersSetting], bonus);
+            else if (metric.tierType === 'range') position = rangePosition(value, settings[metric.tiersSetting], bonus);
+            else if (metric.tierType === 'cumulative') position = cumulativePosition(value, settings[metric.tiersSetting], bonus);
+            else if (metric.tierType === 'perEvent') position = perEventPosition(value, settings[metric.minimumSetting] || metric.defaultMinimum, bonus);
+            else position = { tier: null, nextTier: null };
+        }
+    }
+
+    const rawValue = parseFloat(driver[field]);
+    const value = isNaN(rawValue) ? null : rawValue;
+    if (result.eligible === false) {
+        return { field, value, eligible: false, tier: null, nextTier: null };
+    }
+    const nextTier = position.nextTier ? { field: position.nextTier.field || field, ...position.nextTier } : null;
+    return { field, value, eligible: true, tier: position.tier || null, nextTier };
+}
+
+/**
+ * One-sentence explanation of a traced metric, used by the copy text, edit panel and report.
+ * @param {Object} metric The registry entry.
+ * @param {Object} trace The trace from traceMetric plus status, ignoredReason and bonus fields.
+ * @param {string} [infoText] The metric's own hint (used when the driver is not eligible).
+ * @returns {string}
+ */
+export function describeMetricTrace(metric, trace, infoText = '') {
+    const IGNORED_REASONS = {
+        grossZero: 'Not scored: gross is $0 or less.',
+        ignoreAll: 'Ignored: all metrics excluded for this driver.',
+        ignoreFlag: 'Ignored: excluded in the edit panel.',
+        partialWeek: 'Ignored: penalty dropped for a partial week (NOT_STARTED).',
+        disabled: 'Metric disabled in settings.'
+    };
+    const valueText = formatTraceValue(trace.field, trace.value, metric);
+    if (trace.status === 'disabled' || trace.ignoredReason === 'grossZero') return IGNORED_REASONS[trace.ignoredReason || 'disabled'];
+    if (!trace.eligible) return `${valueText}. ${infoText || 'Not eligible this week.'}`.trim();
+
+    const { tier } = trace;
+    let tierText = 'no tier matched';
+    if (tier) {
+        if (tier.penalizedEvents !== undefined) tierText = `${tier.penalizedEvents} event(s) at or over the minimum of ${tier.minimum}`;
+        else if (tier.milestonesPassed !== undefined) tierText = `${tier.milestonesPassed} milestone(s) passed`;
+        else if (tier.miles !== undefined) tierText = `score ≥ ${tier.threshold}% and ${tier.miles}+ miles`;
+        else if (tier.from !== undefined) tierText = `tier ${formatTraceValue(trace.field, tier.from, metric)}–${tier.to === null || tier.to === undefined || tier.to === '' ? 'up' : formatTraceValue(trace.field, tier.to, metric)}`;
+        else if (tier.threshold !== undefined) tierText = `tier ≥ ${formatTraceValue(trace.field, tier.threshold, metric)}`;
+    }
+
+    const amount = trace.status === 'ignored' ? trace.potentialBonus : trace.bonus;
+    let text = `${valueText} → ${tierText} (${formatPercent(amount || 0)}).`;
+    if (trace.nextTier) {
+        const target = formatTraceValue(trace.nextTier.field, trace.nextTier.target, metric);
+        const gain = trace.nextTier.bonus === 0 && (amount || 0) < 0 ? 'to clear the penalty' : `for ${formatPercent(trace.nextTier.bonus)}`;
+        text += trace.nextTier.direction === 'up' ? ` Next: reach ${target} ${gain}.` : ` Next: ${target} or fewer ${gain}.`;
+    }
+    if (trace.capped) text += ' Capped by payout limits.';
+    if (trace.status === 'ignored') text = `${IGNORED_REASONS[trace.ignoredReason]} ${text}`;
+    return text;
+}
+
+/** Hard braking events below this count are not penalized unless the settings say otherwise. */
+export const DEFAULT_HARD_BRAKING_MINIMUM = 1;
+
+/**
+ * The metric registry. Order is the order of report.bonuses; `card.order` is the order on the report.
+ * - key / label: internal key and the name used in report.bonuses.
+ * - toggle: the enabledMetrics key (several metrics can share one toggle).
+ * - ignoreFlag: the per-driver edit-panel flag that zeroes the metric (ignoreAll always applies).
+ * - partialWeekIgnoresPenalty: penalties are dropped automatically when the driver started mid-week.
+ * - builtIn: always listed in the report, even when disabled (older reports rely on the keys).
+ * - evaluate: custom scoring; declarative metrics use field/tierType/settings keys instead.
+ * - defaultMinimum: the per-event minimum used when minimumSetting is not set.
+ */
+export const METRIC_REGISTRY = [
+    {
+        key: 'weeksOut', label: 'Weeks Out', toggle: 'weeksOut', toggleLabel: 'Performance (Weeks Out)', ignoreFlag: 'ignoreWeeksOut', builtIn: true,
+        field: 'weeksOut', tierType: 'threshold', tiersSetting: 'weeksOutTiers',
+        evaluate: (driver, settings) => ({ bonus: getTieredBonusDetails(driver.weeksOut, settings.weeksOutTiers).bonus }),
+        card: { order: 2, type: 'weeksOut', title: 'Weeks Out', icon: 'M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z',
+            barTiers: (settings) => [...new Set((settings.weeksOutTiers || []).map(t => t.bonus))].sort((a, b) => a - b) }
+    },
+    {
+        key: 'safetyScore', label: 'Safety Score', toggle: 'safety', toggleLabel: 'Safety (Score & Speeding)', ignoreFlag: 'ignoreSafety', builtIn: true,
+        field: 'safetyScore', tierType: 'threshold',
+        evaluate: evaluateSafetyScore,
+        card: { order: 6, type: 'safety', title: 'Safety Score', icon: 'M12 2L4 5v6c0 5.55 3.84 10.74 8 12 4.16-1.26 8-6.45 8-12V5l-8-3z', viewBox: '0 0 24 24',
+            barTiers: (settings) => [0, settings.safetyScoreBonus] }
+    },
+    {
+        key: 'speeding', label: 'Speeding Penalty', toggle: 'safety', ignoreFlag: 'ignoreSafety', builtIn: true,
+        field: 'speedingAlerts', tierType: (settings) => settings.speedingPenaltyMethod || 'percentile',
+        evaluate: (driver, settings) => ({ bonus: calculateSpeedingPenalty(driver, settings) }),
+        card: { order: 5, type: 'speeding', title: 'Speeding', icon: 'M13 10V3L4 14h7v7l9-11h-7z',
+            barTiers: (settings) => {
+                switch (settings.speedingPenaltyMethod || 'percentile') {
+                    case 'range':
+                        return [...new Set([0, ...(settings.speedingRangeTiers || []).map(t => t.penalty)])].sort((a, b) => a - b);
+                    case 'perEvent': {
+                        const penaltyPer = settings.speedingPerEventPenalty || 0;
+                        if (penaltyPer === 0) return [0];
+                        return [0, penaltyPer, penaltyPer * 2, penaltyPer * 3].sort((a, b) => a - b);
+                    }
+                    case 'percentile':
+                    default:
+                        return [...new Set([0, ...(settings.speedingPercentileTiers || []).map(t => t.bonus)])].sort((a, b) => a - b);
+                }
+            } }
+    },
+    {
+        key: 'fuel', label: 'Fuel Efficiency', toggle: 'fuel', toggleLabel: 'Fuel Efficiency', ignoreFlag: 'ignoreFuel', builtIn: true,
+        field: 'mpgPercentile', tierType: 'threshold', tiersSetting: 'mpgPercentileTiers',
+        partialWeekIgnoresPenalty: true, partialWeekInfoText: 'Penalty ignored (partial week).', disabledInfoText: 'Fuel metric disabled.',
+        evaluate: evaluateFuelEfficiency,
+        card: { order: 4, type: 'fuel', title: 'Fuel Efficiency', icon: 'M7 2h6a1 1 0 011 1v15a2 2 0 01-2 2H8a2 2 0 01-2-2V3a1 1 0 011-1zm10 4v12a2 2 0 002 2h1a1 1 0 001-1v-9a2 2 0 00-2-2h-2zM7 7h6',
+            barTiers: (settings) => [...new Set((settings.mpgPercentileTiers || []).map(t => t.bonus))].sort((a, b) => a - b) }
+    },
+    {
+        key: 'tenure', label: 'Tenure', toggle: 'tenure', toggleLabel: 'Tenure', ignoreFlag: 'ignoreTenure', builtIn: true,
+        field: 'tenure', tierType: 'cumulative', tiersSetting: 'tenureMilestones',
+        // Milestones stack: every milestone passed adds its bonus
+        evaluate: (driver, settings) => ({
+            bonus: Array.isArray(settings.tenureMilestones)
+                ? settings.tenureMilestones.reduce((sum, milestone) => driver.tenure >= milestone.threshold ? sum + milestone.bonus : sum, 0)
+                : 0
+        }),
+        card: { order: 1, type: 'tenure', title: 'Tenure', icon: 'M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 002-2H5a2 2 0 00-2 2v12a2 2 0 002 2z',
+            barTiers: (settings) => [0, ...(settings.tenureMilestones || []).map((_, i, milestones) => milestones.slice(0, i + 1).reduce((sum, m) => sum + m.bonus, 0))] }
+    },
+    {
+        key: 'grossTarget', label: 'Gross Target', toggle: 'grossTarget', toggleLabel: 'Gross Target', ignoreFlag: 'ignoreGrossBonus', builtIn: true,
+        field: 'gross', tierType: 'range', tiersSetting: 'grossTargetTiers',
+        partialWeekIgnoresPenalty: true,
+        evaluate: (driver, settings) => {
+            const grossTier = findRangeTier(driver.gross, settings.grossTargetTiers);
+            return { bonus: grossTier ? grossTier.bonus : 0 };
+        },
+        card: { order: 3, type: 'grossTarget', title: 'Gross Target', icon: 'M11.8 10.9c-2.27-.59-3-1.2-3-2.15 0-.9.6-1.6 2.1-1.6 1.4 0 2.4.6 2.4 1.6H16c0-1.7-.9-3.2-3.1-3.6V4h-2v1.7c-2.1.4-3.5 2-3.5 3.9 0 2.2 1.8 3.3 4.5 3.9 2.5.6 3 1.2 3 2.1 0 .9-.6 1.6-2.1 1.6-1.6 0-2.6-.7-2.6-1.8H8c0 1.8 1.1 3.3 3.2 3.7V20h2v-1.7c2.2-.4 3.6-2 3.6-4 0-2.7-2.4-3.8-4.8-4.4z',
+            barTiers: (settings) => [...(settings.grossTargetTiers || [])].sort((a, b) => a.from - b.from) }
+    },
+    // --- Declarative metrics (off until enabled in settings) ---
+    {
+        key: 'rpm', label: 'RPM Target', toggle: 'rpm', toggleLabel: 'RPM Target', defaultEnabled: false,
+        field: 'rpm', tierType: 'threshold', tiersSetting: 'rpmTiers',
+        eligibility: { minMilesSetting: 'rpmMileageThreshold' },
+        card: { order: 7, title: 'RPM Target', unitLabel: 'RPM', decimals: 2, icon: 'M3 17l6-6 4 4 8-8M14 7h7v7' }
+    },
+    {
+        key: 'idleTime', label: 'Idle Time', toggle: 'idleTime', toggleLabel: 'Idle Time', defaultEnabled: false,
+        field: 'idleHours', tierType: 'range', tiersSetting: 'idleTimeTiers',
+        eligibility: { requiresSamsaraData: true },
+        card: { order: 8, title: 'Idle Time', unitLabel: 'idle hours', decimals: 1, icon: 'M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z' }
+    },
+    {
+        key: 'hardBraking', label: 'Hard Braking', toggle: 'hardBraking', toggleLabel: 'Hard Braking', defaultEnabled: false,
+        field: 'harshBrakeEvents', tierType: 'perEvent', minimumSetting: 'hardBrakingMinimum', defaultMinimum: DEFAULT_HARD_BRAKING_MINIMUM, penaltySetting: 'hardBrakingPenaltyPerEvent',
+        eligibility: { requiresSamsaraData: true },
+        card: { order: 9, title: 'Hard Braking', unitLabel: 'hard braking events', decimals: 0, icon: 'M12 9v2m0 4h.01M5.07 19h13.86c1.54 0 2.5-1.67 1.73-3L13.73 4c-.77-1.33-2.69-1.33-3.46 0L3.34 16c-.77 1.33.19 3 1.73 3z' }
+    }
+];
+
+/**
+ * Whether a metric is switched on in the given settings.
+ * @param {Object} metric The registry entry.
+ * @param {Object} settings The application settings object.
+ * @returns {boolean}
+ */
+export function isMetricEnabled(metric, settings) {
+    return settings.enabledMetrics?.[metric.toggle] ?? (metric.defaultEnabled ?? true);
+}
+
+/**
+ * The enabledMetrics toggles in registry order, one per toggle key.
+ * @returns {Array<{toggle: string, label: string, defaultEnabled: boolean}>}
+ */
+export function getMetricToggles() {
+    const seen = new Set();
+    return METRIC_REGISTRY.filter(metric => {
+        if (seen.has(metric.toggle)) return false;
+        seen.add(metric.toggle);
+        return true;
+    }).map(metric => ({ toggle: metric.toggle, label: metric.toggleLabel || metric.label, defaultEnabled: metric.defaultEnabled ?? true }));
+}
+
+/**
+ * Scores one metric for a driver.
+ * @param {Object} metric The registry entry.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @param {Array<Object>} driversForDate All drivers for the pay date.
+ * @returns {{bonus: number, infoText?: string}}
+ */
+export function evaluateMetric(metric, driver, settings, driversForDate) {
+    return metric.evaluate
+        ? metric.evaluate(driver, settings, driversForDate)
+        : evaluateDeclarativeMetric(metric, driver, settings);
+}
+
+/**
+ * The bar segments on a metric's report card: its own definition, or one segment per
+ * distinct tier value for declarative metrics.
+ * @param {Object} metric The registry entry.
+ * @param {Object} settings The application settings object.
+ * @returns {Array<number|Object>}
+ */
+export function getMetricBarTiers(metric, settings) {
+    if (metric.card.barTiers) return metric.card.barTiers(settings);
+    if (metric.tierType === 'perEvent') {
+        const penaltyPer = settings[metric.penaltySetting] || 0;
+        if (penaltyPer === 0) return [0];
+        return [0, penaltyPer, penaltyPer * 2, penaltyPer * 3].sort((a, b) => a - b);
+    }
+    const values = (settings[metric.tiersSetting] || []).map(t => t.bonus ?? t.penalty ?? 0);
+    return [...new Set([0, ...values])].sort((a, b) => a - b);
+}
+
+/**
+ * Report-card wording for a declarative metric: this week's value and the next tier to aim for.
+ * @param {Object} metric The registry entry.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @param {Object} bonusData The metric's entry in report.bonuses.
+ * @returns {{description: string, infoText: string}}
+ */
+export function describeDeclarativeMetric(metric, driver, settings, bonusData = {}) {
+    const result = evaluateDeclarativeMetric(metric, driver, settings);
+    if (!result.eligible) return { description: result.infoText, infoText: '' };
+
+    const { unitLabel = '', decimals = 0 } = metric.card;
+    const bonus = bonusData.bonus || 0;
+    const description = `${result.value.toFixed(decimals)} ${unitLabel} this week.`;
+
+    if (metric.tierType === 'threshold') {
+        const nextTier = [...(settings[metric.tiersSetting] || [])].sort((a, b) => a.threshold - b.threshold).find(t => t.bonus > bonus);
+        return { description, infoText: nextTier ? `Reach ${nextTier.threshold} ${unitLabel} for ${nextTier.bonus >= 0 ? '+' : ''}${nextTier.bonus.toFixed(1)}%.` : `Maximum ${metric.label} bonus reached.` };
+    }
+    if (metric.tierType === 'range') {
+        const cleanTier = [...(settings[metric.tiersSetting] || [])].sort((a, b) => a.from - b.from).find(t => (t.bonus ?? t.penalty ?? 0) >= 0);
+        return { description, infoText: bonus < 0 && cleanTier ? `Stay between ${cleanTier.from} and ${cleanTier.to ?? 'up'} ${unitLabel} to avoid the penalty.` : '' };
+    }
+    const minimum = settings[metric.minimumSetting] || metric.defaultMinimum;
+    return { description, infoText: bonus < 0 ? `Keep it under ${minimum} ${unitLabel} to avoid the penalty.` : 'No penalty applied.' };
+}
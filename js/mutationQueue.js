@@ -0,0 +1,363 @@
+// TPOG/js/mutationQueue.js
+
+/**
+ * mutationQueue.js
+ * * Queue for the changes the app saves (edit-panel overrides, distance and MPG sources,
+ * dispatcher day statuses and weekly notes). A change is stored in IndexedDB before it is
+ * sent, so it survives a reload, and only leaves the queue once the endpoint acknowledges
+ * it. Changes are sent one at a time in the order they were made. A failed send is retried
+ * with exponential backoff; after MAX_ATTEMPTS the change is marked failed and waits for
+ * retryMutation. While the browser is offline nothing is sent and no attempts are used up;
+ * resumeMutations replays the queue when the network returns. Changes with the same key
+ * (e.g. the same driver's distance source for a week) collapse into the latest one while
+ * they wait. A change queued with the value it replaced is checked against the server
+ * before it is sent: when someone else has changed the key since, it is held as a conflict
+ * for resolveConflict instead of overwriting their change. Each type of change registers
+ * how it is sent with registerMutationType. The queue belongs to the logged-in user and is
+ * emptied with clearMutations when they log out. Falls back to memory only where IndexedDB
+ * is unavailable. No DOM dependencies.
+ */
+
+import { isOffline } from './offlineCache.js';
+
+const DB_NAME = 'tpog-mutations';
+const DB_VERSION = 1;
+const STORE = 'mutations';
+
+export const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Opens the queue database, or resolves null when IndexedDB is unavailable.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Mutation store unavailable, queueing in memory only:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs one request against the store.
+ * @param {string} mode 'readonly' or 'readwrite'.
+ * @param {Function} makeRequest Called with the object store, returns an IDBRequest.
+ * @returns {Promise<any>} The request result, or null when IndexedDB is unavailable or fails.
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise(resolve => {
+        try {
+            const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => {
+                console.warn('Mutation store request failed:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('Mutation store request failed:', error);
+            resolve(null);
+        }
+    });
+}
+
+const types = new Map(); // type -> { send, readCurrent, valueOf }
+const queue = []; // Mutations in the order they were made
+const waiters = new Map(); // mutation id -> [{ resolve, reject }]
+const listeners = new Set();
+let sending = false;
+let retryTimer = null;
+let restored = false;
+
+/**
+ * @typedef {Object} Mutation
+ * @property {string} id
+ * @property {string} type A registered type.
+ * @property {Object} args What the type's send function is called with.
+ * @property {string|null} key Mutations of a type with the same key collapse into the latest.
+ * @property {string} label Describes the change in the UI.
+ * @property {'pending'|'sending'|'failed'|'conflict'} status
+ * @property {boolean} checkConflicts Whether `expected` is compared with the server before sending.
+ * @property {any} expected The value the change replaced, as the user saw it.
+ * @property {any} serverValue The value someone else saved, for a conflict.
+ * @property {number} attempts Failed sends since the mutation was queued or last retried.
+ * @property {number} nextAttemptAt When a pending mutation may be sent (ms since epoch).
+ * @property {string|null} lastError
+ * @property {number} createdAt
+ */
+
+const persist = (mutation) => withStore('readwrite', store => store.put(mutation));
+const forget = (mutation) => withStore('readwrite', store => store.delete(mutation.id));
+const notify = () => {
+    const snapshot = getMutations();
+    listeners.forEach(listener => listener(snapshot));
+};
+const settle = (id, outcome, value) => {
+    (waiters.get(id) || []).forEach(waiter => waiter[outcome](value));
+    waiters.delete(id);
+};
+
+/** Someone else changed the key since the mutation was made (see resolveConflict). */
+export class MutationConflictError extends Error {
+    /**
+     * @param {string} label The mutation's label.
+     * @param {any} serverValue The value now on the server.
+     */
+    constructor(label, serverValue) {
+        super(`"${label}" was changed by someone else since it was edited.`);
+        this.name = 'MutationConflictError';
+        this.serverValue = serverValue;
+    }
+}
+
+/**
+ * Registers how a type of mutation is sent.
+ * @param {string} type The type.
+ * @param {Function} send Called with the mutation's args; resolves once the endpoint
+ * acknowledges the change and rejects when it does not.
+ * @param {Object} [conflicts] Needed to check mutations queued with an expected value.
+ * @param {Function} conflicts.readCurrent Called with the args; resolves with the key's value on the server.
+ * @param {Function} conflicts.valueOf Returns the value the args would save.
+ */
+export function registerMutationType(type, send, { readCurrent = null, valueOf = null } = {}) {
+    types.set(type, { send, readCurrent, valueOf });
+}
+
+const sameValue = (a, b) => (a ?? null) === (b ?? null);
+
+/**
+ * Sends a mutation, first checking that nobody else changed its key.
+ * @param {Mutation} mutation The mutation.
+ * @returns {Promise<any>} The send result.
+ * @throws {MutationConflictError} When the server holds neither the expected nor the new value.
+ */
+async function send(mutation) {
+    const type = types.get(mutation.type);
+    if (mutation.checkConflicts && type.readCurrent) {
+        const current = await type.readCurrent(mutation.args);
+        if (!sameValue(current, mutation.expected) && !sameValue(current, type.valueOf(mutation.args))) {
+            throw new MutationConflictError(mutation.label, current);
+        }
+    }
+    return type.send(mutation.args);
+}
+
+/**
+ * Returns a copy of the queued mutations, oldest first.
+ * @returns {Array<Mutation>}
+ */
+export function getMutations() {
+    return queue.map(mutation => ({ ...mutation }));
+}
+
+/**
+ * Registers a listener for queue changes.
+ * @param {Function} listener Called with the queued mutations (see getMutations) whenever they change.
+ * @returns {Function} Unsubscribes the listener.
+ */
+export function onMutationsChanged(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Returns the delay before the next attempt after a number of failed sends.
+ * @param {number} attempts The failed sends so far.
+ * @returns {number} The delay in ms.
+ */
+export function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/** Sends due mutations one at a time, then waits for the earliest retry. */
+async function drain() {
+    if (sending) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (isOffline()) return; // resumeMutations picks up when the network returns
+    sending = true;
+    try {
+        for (;;) {
+            const now = Date.now();
+            const mutation = queue.find(m => m.status === 'pending' && m.nextAttemptAt <= now && types.has(m.type));
+            if (!mutation) break;
+
+            mutation.status = 'sending';
+            notify();
+            try {
+                const result = await send(mutation);
+                queue.splice(queue.indexOf(mutation), 1);
+                forget(mutation);
+                notify();
+                settle(mutation.id, 'resolve', result);
+            } catch (error) {
+                if (error instanceof MutationConflictError) {
+                    Object.assign(mutation, { status: 'conflict', serverValue: error.serverValue, lastError: error.message });
+                    persist(mutation);
+                    notify();
+                    settle(mutation.id, 'reject', error);
+                    continue;
+                }
+                if (isOffline()) {
+                    // The connection dropped mid-send: wait for it without using up an attempt
+                    mutation.status = 'pending';
+                    persist(mutation);
+                    notify();
+                    break;
+                }
+                mutation.attempts += 1;
+                mutation.lastError = error.message || String(error);
+                if (mutation.attempts >= MAX_ATTEMPTS) {
+                    mutation.status = 'failed';
+                    console.error(`Saving "${mutation.label}" failed after ${mutation.attempts} attempts:`, error);
+                    settle(mutation.id, 'reject', error);
+                } else {
+                    mutation.status = 'pending';
+                    mutation.nextAttemptAt = Date.now() + retryDelay(mutation.attempts);
+                    console.warn(`Saving "${mutation.label}" failed (attempt ${mutation.attempts}/${MAX_ATTEMPTS}), retrying:`, error.message);
+                }
+                persist(mutation);
+                notify();
+            }
+        }
+    } finally {
+        sending = false;
+    }
+
+    const waiting = queue.filter(m => m.status === 'pending' && types.has(m.type));
+    if (waiting.length > 0 && !isOffline()) {
+        const nextAt = Math.min(...waiting.map(m => m.nextAttemptAt));
+        retryTimer = setTimeout(drain, Math.max(0, nextAt - Date.now()));
+    }
+}
+
+/**
+ * Queues a change and starts sending it.
+ * @param {string} type A registered type.
+ * @param {Object} args What the type's send function is called with (must survive structuredClone).
+ * @param {Object} [options]
+ * @param {string} [options.key] Replaces a queued, unsent mutation of the type with the same key.
+ * @param {string} [options.label] Describes the change in the UI.
+ * @param {any} [options.expected] The value the change replaces, as the user saw it. When
+ * given, the server is checked for someone else's change before sending (see registerMutationType).
+ * @returns {Promise<any>} Resolves with the send result once acknowledged; rejects when the
+ * mutation is marked failed or conflicting (it stays queued for retryMutation or resolveConflict).
+ */
+export function enqueueMutation(type, args, options = {}) {
+    const { key = null, label = type } = options;
+    const replaced = key === null ? null : queue.find(m => m.type === type && m.key === key && m.status !== 'sending');
+    const mutation = replaced || {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type,
+        key,
+        createdAt: Date.now(),
+        // A collapsed change keeps the value the first one replaced
+        checkConflicts: 'expected' in options,
+        expected: options.expected ?? null
+    };
+    Object.assign(mutation, { args, label, status: 'pending', attempts: 0, nextAttemptAt: 0, lastError: null, serverValue: null });
+    if (!replaced) queue.push(mutation);
+    persist(mutation);
+    notify();
+
+    const settled = new Promise((resolve, reject) => {
+        waiters.set(mutation.id, [...(waiters.get(mutation.id) || []), { resolve, reject }]);
+    });
+    drain();
+    return settled;
+}
+
+/**
+ * Sends a failed mutation again, with a fresh set of attempts.
+ * @param {string} id The mutation id.
+ */
+export function retryMutation(id) {
+    const mutation = queue.find(m => m.id === id);
+    if (!mutation || mutation.status !== 'failed') return;
+    Object.assign(mutation, { status: 'pending', attempts: 0, nextAttemptAt: 0 });
+    persist(mutation);
+    notify();
+    drain();
+}
+
+/** Sends every failed mutation again. */
+export function retryFailedMutations() {
+    queue.filter(m => m.status === 'failed').forEach(m => retryMutation(m.id));
+}
+
+/**
+ * Resolves a conflict: 'mine' sends the change over the other user's, 'theirs' drops it.
+ * @param {string} id The mutation id.
+ * @param {'mine'|'theirs'} keep Which change wins.
+ * @returns {Mutation|null} The mutation as it was resolved (with serverValue), or null when
+ * there is no such conflict. For 'theirs', the caller puts serverValue back in its state.
+ */
+export function resolveConflict(id, keep) {
+    const mutation = queue.find(m => m.id === id);
+    if (!mutation || mutation.status !== 'conflict') return null;
+    const resolved = { ...mutation };
+    if (keep === 'theirs') {
+        queue.splice(queue.indexOf(mutation), 1);
+        forget(mutation);
+        notify();
+        return resolved;
+    }
+    Object.assign(mutation, { status: 'pending', checkConflicts: false, attempts: 0, nextAttemptAt: 0, lastError: null });
+    persist(mutation);
+    notify();
+    drain();
+    return resolved;
+}
+
+/** Replays the queue, e.g. when the network returns. */
+export function resumeMutations() {
+    drain();
+}
+
+/**
+ * Drops every queued mutation, sent or not, from memory and IndexedDB, e.g. on logout, so
+ * they are never replayed under another user's session. Their promises never settle.
+ * @returns {Promise<void>}
+ */
+export async function clearMutations() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    queue.length = 0;
+    waiters.clear();
+    notify();
+    await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Loads the mutations left from an earlier session and starts sending them. Register the
+ * types first; mutations of unregistered types wait until theirs is registered and drained.
+ * @returns {Promise<Array<Mutation>>} The queued mutations.
+ */
+export async function restoreMutations() {
+    if (!restored) {
+        restored = true;
+        const stored = (await withStore('readonly', store => store.getAll())) || [];
+        stored
+            .filter(saved => !queue.some(m => m.id === saved.id))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            // A send interrupted by the reload may or may not have landed; it is sent again
+            .forEach(saved => queue.push({ ...saved, status: saved.status === 'sending' ? 'pending' : saved.status }));
+        queue.sort((a, b) => a.createdAt - b.createdAt);
+        notify();
+    }
+    drain();
+    return getMutations();
+}
@@ -0,0 +1,248 @@
+// TPOG/js/offlineCache.js
+
+/**
+ * offlineCache.js
+ * * Persistent cache for the datasets api.js downloads, so a page refresh does not download
+ * them all again. Entries live in IndexedDB with the time they were stored and the version
+ * (ETag) the server gave them, and are mirrored in memory for the rest of the session. Each
+ * resource has a TTL; within it the cached copy is used as is. Past it, resources marked
+ * stale-while-revalidate are returned at once and refreshed in the background, and the
+ * rest are fetched again before returning. A refetch sends the stored version so the server
+ * can answer "not modified". Resources without a policy are kept in memory only.
+ * When the browser is offline, or the server cannot be reached, the stored copy is
+ * returned whatever its age, so the app still starts from the last data it saw.
+ * Falls back to memory only where IndexedDB is unavailable. No DOM dependencies.
+ */
+
+const DB_NAME = 'tpog-cache';
+const DB_VERSION = 1;
+const STORE = 'resources';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// ttl: how long a stored copy is used without asking the server.
+// staleWhileRevalidate: past the TTL, return the stored copy and refresh in the background.
+export const CACHE_POLICIES = {
+    settings: { ttl: 5 * MINUTE, staleWhileRevalidate: false },
+    driverData: { ttl: 1 * HOUR, staleWhileRevalidate: true },
+    // Delta-synced (see deltaSync.js), so refreshing them is cheap
+    mileageData: { ttl: 15 * MINUTE, staleWhileRevalidate: true },
+    allSafetyData: { ttl: 15 * MINUTE, staleWhileRevalidate: true },
+    financialData: { ttl: 1 * HOUR, staleWhileRevalidate: false },
+    daysTakenHistory: { ttl: 15 * MINUTE, staleWhileRevalidate: true },
+    unifiedHistory: { ttl: 12 * HOUR, staleWhileRevalidate: true },
+    // Edited by other users, so always read fresh; stored only for starting offline
+    distanceOverrides: { ttl: 0, staleWhileRevalidate: false },
+    editableOverrides: { ttl: 0, staleWhileRevalidate: false },
+    contractsData: { ttl: 0, staleWhileRevalidate: false },
+    dispatcherOverrides: { ttl: 0, staleWhileRevalidate: false },
+    weeklyNotes: { ttl: 0, staleWhileRevalidate: false },
+    lockedData: { ttl: 0, staleWhileRevalidate: false },
+    mpgOverrides: { ttl: 0, staleWhileRevalidate: false },
+    timeOffLedger: { ttl: 0, staleWhileRevalidate: false },
+    timeOffAdjustments: { ttl: 0, staleWhileRevalidate: false }
+};
+
+/**
+ * Returns whether the browser reports being offline.
+ * @returns {boolean}
+ */
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+let dbPromise = null;
+
+/**
+ * Opens the cache database, or resolves null when IndexedDB is unavailable.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') return resolve(null);
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Offline cache unavailable, caching in memory only:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs one request against the store.
+ * @param {string} mode 'readonly' or 'readwrite'.
+ * @param {Function} makeRequest Called with the object store, returns an IDBRequest.
+ * @returns {Promise<any>} The request result, or null when IndexedDB is unavailable or fails.
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise(resolve => {
+        try {
+            const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => {
+                console.warn('Offline cache request failed:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('Offline cache request failed:', error);
+            resolve(null);
+        }
+    });
+}
+
+const memory = new Map(); // key -> { key, data, storedAt, etag }
+const inFlight = new Map(); // key -> Promise of data
+const listeners = new Set();
+
+/**
+ * Returns a resource's policy, or null when it is kept in memory only.
+ * @param {string} key The cache key.
+ * @returns {{ttl: number, staleWhileRevalidate: boolean}|null}
+ */
+export function getCachePolicy(key) {
+    return CACHE_POLICIES[key] || null;
+}
+
+/**
+ * Returns the in-memory copy of a resource.
+ * @param {string} key The cache key.
+ * @returns {any|null} The data, or null.
+ */
+export function peekCache(key) {
+    const entry = memory.get(key);
+    return entry ? entry.data : null;
+}
+
+/**
+ * Returns when a resource was last stored or confirmed by the server, from memory.
+ * @param {string} key The cache key.
+ * @returns {number|null} The time (ms since epoch), or null when it is not loaded.
+ */
+export function getCacheTimestamp(key) {
+    const entry = memory.get(key);
+    return entry ? entry.storedAt : null;
+}
+
+/**
+ * Returns the stored copy of a resource whatever its age, from memory or IndexedDB. Used to
+ * start offline from data that would otherwise be read fresh.
+ * @param {string} key The cache key.
+ * @returns {Promise<any|null>} The data, or null when nothing is stored.
+ */
+export async function readStoredCopy(key) {
+    const entry = memory.get(key) || (getCachePolicy(key) ? await withStore('readonly', store => store.get(key)) : null);
+    return entry ? entry.data : null;
+}
+
+/**
+ * Stores a resource in memory and, when it has a policy, in IndexedDB.
+ * @param {string} key The cache key.
+ * @param {any} data The data.
+ * @param {string|null} [etag] The version the server gave the data.
+ */
+export function writeCache(key, data, etag = null) {
+    const entry = { key, data, storedAt: Date.now(), etag };
+    memory.set(key, entry);
+    if (getCachePolicy(key)) withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Drops a resource from memory and IndexedDB, e.g. after saving a change to it.
+ * @param {string} key The cache key.
+ */
+export function invalidateCache(key) {
+    memory.delete(key);
+    if (getCachePolicy(key)) withStore('readwrite', store => store.delete(key));
+}
+
+/**
+ * Drops every resource from memory and IndexedDB, e.g. on logout, so the next session
+ * starts from the server.
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+    memory.clear();
+    await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Registers a listener for background refreshes.
+ * @param {Function} listener Called with (key, data, changed) when a stale resource was refreshed;
+ * changed is false when the server confirmed the cached copy.
+ * @returns {Function} Unsubscribes the listener.
+ */
+export function onCacheRefreshed(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Fetches a resource and stores it. Concurrent calls for a key share one request.
+ * @param {string} key The cache key.
+ * @param {Function} fetcher Called with the stored etag and data (or nulls); resolves with
+ * { data, etag } or { notModified: true, etag }.
+ * @param {Object|null} entry The stored entry, if any.
+ * @returns {Promise<{data: any, changed: boolean}>}
+ */
+function revalidate(key, fetcher, entry) {
+    if (!inFlight.has(key)) {
+        const request = (async () => {
+            try {
+                const response = await fetcher(entry ? entry.etag : null, entry ? entry.data : null);
+                if (response.notModified && entry) {
+                    writeCache(key, entry.data, response.etag ?? entry.etag);
+                    return { data: entry.data, changed: false };
+                }
+                writeCache(key, response.data, response.etag ?? null);
+                return { data: response.data, changed: true };
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+        inFlight.set(key, request);
+    }
+    return inFlight.get(key);
+}
+
+/**
+ * Loads a resource through the cache (see the policies above).
+ * @param {string} key The cache key.
+ * @param {Function} fetcher Called with the stored etag and data (or nulls); resolves with
+ * { data, etag } or { notModified: true, etag }.
+ * @returns {Promise<any>} The data.
+ */
+export async function loadCached(key, fetcher) {
+    const policy = getCachePolicy(key);
+    let entry = memory.get(key) || null;
+    if (!entry && policy) {
+        entry = await withStore('readonly', store => store.get(key));
+        if (entry) memory.set(key, entry);
+    }
+
+    if (entry && (!policy || Date.now() - entry.storedAt < policy.ttl)) return entry.data;
+    if (entry && isOffline()) return entry.data; // Refreshed on a later load once back online
+
+    if (entry && policy.staleWhileRevalidate) {
+        revalidate(key, fetcher, entry)
+            .then(({ data, changed }) => listeners.forEach(listener => listener(key, data, changed)))
+            .catch(error => console.warn(`Background refresh of ${key} failed, keeping the cached copy:`, error));
+        return entry.data;
+    }
+
+    try {
+        const { data } = await revalidate(key, fetcher, entry);
+        return data;
+    } catch (error) {
+        if (!entry) throw error;
+        console.warn(`Could not refresh ${key}, using the stored copy from ${new Date(entry.storedAt).toLocaleString()}:`, error);
+        return entry.data;
+    }
+}
@@ -0,0 +1,90 @@
+// TPOG/js/percentiles.js
+
+/**
+ * percentiles.js
+ * * Fleet-relative percentile ranking for MPG and speeding. A driver can be ranked against
+ * the whole fleet or a cohort (team, franchise, company, truck model); cohorts smaller than
+ * the configured minimum fall back to the next larger cohort. No DOM dependencies.
+ */
+
+// Each cohort names the driver field it groups by and the larger cohort it falls back to.
+export const PERCENTILE_COHORTS = [
+    { key: 'fleet', label: 'Whole Fleet', field: null, fallback: null },
+    { key: 'company', label: 'Company', field: 'company', fallback: 'fleet' },
+    { key: 'franchise', label: 'Franchise', field: 'franchise', fallback: 'company' },
+    { key: 'team', label: 'Team', field: 'team', fallback: 'franchise' },
+    { key: 'truck_model', label: 'Truck Model', field: 'truck_model', fallback: 'fleet' }
+];
+
+export const PERCENTILE_METHODS = [
+    { key: 'exclusive', label: 'Exclusive (below / others)' },
+    { key: 'inclusive', label: 'Inclusive (at or below / all)' },
+    { key: 'midrank', label: 'Midrank (ties count half)' }
+];
+
+export const DEFAULT_PERCENTILE_SETTINGS = { cohort: 'fleet', minCohortSize: 1, method: 'exclusive' };
+
+/**
+ * Returns the percentile settings with defaults filled in.
+ * @param {Object} settings The application settings object.
+ * @returns {{cohort: string, minCohortSize: number, method: string}}
+ */
+export function getPercentileSettings(settings) {
+    return { ...DEFAULT_PERCENTILE_SETTINGS, ...((settings && settings.percentileSettings) || {}) };
+}
+
+const cohortValue = (driver, cohort) => {
+    if (!cohort.field || !driver) return null;
+    const value = String(driver[cohort.field] ?? '').trim();
+    return value && value !== '-' ? value : null;
+};
+
+/**
+ * Picks the population a driver is ranked against. Starts at the configured cohort and
+ * walks up the fallbacks until the cohort has at least `minCohortSize` members.
+ * @param {Object|null} driver The driver being ranked (null ranks against the fleet).
+ * @param {Array<Object>} population Everyone eligible for this percentile.
+ * @param {Object} settings The application settings object.
+ * @returns {{cohort: string, value: string|null, members: Array<Object>}}
+ */
+export function resolvePercentileCohort(driver, population, settings) {
+    const { cohort: cohortKey, minCohortSize } = getPercentileSettings(settings);
+    let cohort = PERCENTILE_COHORTS.find(c => c.key === cohortKey) || PERCENTILE_COHORTS[0];
+
+    while (cohort.field) {
+        const value = cohortValue(driver, cohort);
+        if (value) {
+            const members = population.filter(d => cohortValue(d, cohort) === value);
+            if (members.length >= (minCohortSize || 1)) return { cohort: cohort.key, value, members };
+        }
+        cohort = PERCENTILE_COHORTS.find(c => c.key === cohort.fallback) || PERCENTILE_COHORTS[0];
+    }
+    return { cohort: 'fleet', value: null, members: population };
+}
+
+/**
+ * Percentile rank of a value within a population.
+ * - exclusive: values strictly below / (n - 1). The lowest is 0 and the highest is 100.
+ * - inclusive: values at or below / n.
+ * - midrank: (values below + half the ties) / n.
+ * @param {number} value The value to rank.
+ * @param {Array<number>} values The population's values (including the driver's own).
+ * @param {string} [method='exclusive'] The percentile method.
+ * @returns {number} The percentile (0-100), rounded.
+ */
+export function percentileRank(value, values, method = 'exclusive') {
+    const count = values.length;
+    if (count === 0) return 0;
+    const below = values.filter(v => v < value).length;
+    const ties = values.filter(v => v === value).length;
+
+    switch (method) {
+        case 'inclusive':
+            return Math.round(((below + ties) / count) * 100);
+        case 'midrank':
+            return Math.round(((below + ties / 2) / count) * 100);
+        case 'exclusive':
+        default:
+            return Math.round((below / (count - 1 || 1)) * 100);
+    }
+}
@@ -0,0 +1,192 @@
+// TPOG/js/policySimulator.js
+
+/**
+ * policySimulator.js
+ * * Compares the payout for a pay week under two settings objects (the saved
+ * settings and a draft from the settings panel) without persisting anything,
+ * and backtests a candidate settings object against every locked week.
+ */
+
+import { getDriverReportData, isScoredDriver } from './scoring.js';
+
+/**
+ * Builds the payout figures the scorecard shows for one driver.
+ * Manual escrow overrides from the edit panel are respected, matching the table.
+ * @param {Object} driver The processed driver object.
+ * @param {Object} settings The settings object to score with.
+ * @param {Array<Object>} driversForDate All processed drivers for the pay date.
+ * @returns {Object} Final %, bonus/penalty percentages and dollars, escrow and estimated net.
+ */
+export function summarizeDriverPayout(driver, settings, driversForDate) {
+    const report = getDriverReportData(driver, settings, driversForDate);
+    const escrowDeduct = driver.hasOwnProperty('escrowDeduct') ? (parseFloat(driver.escrowDeduct) || 0) : report.escrowDeduct;
+
+    return {
+        totalTpog: report.totalTpog || 0,
+        bonuses: report.totalPositiveBonuses || 0,
+        penalties: report.totalPenalties || 0,
+        bonusesInDollars: report.bonusesInDollars || 0,
+        penaltiesInDollars: report.penaltiesInDollars || 0,
+        escrowDeduct: escrowDeduct || 0,
+        estimatedNet: report.estimatedNet || 0
+    };
+}
+
+const PAYOUT_FIELDS = ['totalTpog', 'bonuses', 'penalties', 'bonusesInDollars', 'penaltiesInDollars', 'escrowDeduct', 'estimatedNet'];
+
+const emptyPayout = () => Object.fromEntries(PAYOUT_FIELDS.map(field => [field, 0]));
+
+const diffPayouts = (current, draft) => Object.fromEntries(PAYOUT_FIELDS.map(field => [field, draft[field] - current[field]]));
+
+/**
+ * Compares the same pay week processed under the current and the draft settings.
+ * Only scored drivers (TPOG or a scoring profile) are compared, as on the scorecard.
+ * @param {Array<Object>} currentDrivers Drivers processed with the current settings.
+ * @param {Array<Object>} draftDrivers Drivers processed with the draft settings.
+ * @param {Object} currentSettings The saved settings.
+ * @param {Object} draftSettings The draft settings.
+ * @param {Object} [allLockedData] Locked snapshots, used to flag weeks that are already frozen.
+ * @returns {{rows: Array<Object>, totals: Object, changedCount: number}} Per-driver deltas and fleet totals.
+ */
+export function comparePolicies(currentDrivers, draftDrivers, currentSettings, draftSettings, allLockedData = {}) {
+    const draftById = new Map(draftDrivers.map(d => [String(d.id), d]));
+    const totals = { current: emptyPayout(), draft: emptyPayout(), delta: emptyPayout(), driverCount: 0 };
+    const rows = [];
+
+    currentDrivers.forEach(driver => {
+        if (!isScoredDriver(driver, currentSettings) && !isScoredDriver(driver, draftSettings)) return;
+        const draftDriver = draftById.get(String(driver.id));
+        if (!draftDriver) return;
+
+        const current = summarizeDriverPayout(driver, currentSettings, currentDrivers);
+        const draft = summarizeDriverPayout(draftDriver, draftSettings, draftDrivers);
+        const delta = diffPayouts(current, draft);
+        const payDate = driver.pay_date.split('T')[0];
+
+        rows.push({
+            id: driver.id,
+            name: driver.name,
+            dispatcher: driver.dispatcher,
+            isLocked: !!allLockedData[`${driver.id}_${payDate}`],
+            current,
+            draft,
+            delta
+        });
+
+        PAYOUT_FIELDS.forEach(field => {
+            totals.current[field] += current[field];
+            totals.draft[field] += draft[field];
+        });
+        totals.driverCount++;
+    });
+
+    totals.delta = diffPayouts(totals.current, totals.draft);
+
+    // Biggest movers first
+    rows.sort((a, b) => Math.abs(b.delta.estimatedNet) - Math.abs(a.delta.estimatedNet) || a.name.localeCompare(b.name));
+
+    const changedCount = rows.filter(row => PAYOUT_FIELDS.some(field => Math.abs(row.delta[field]) > 0.0001)).length;
+
+    return { rows, totals, changedCount };
+}
+
+/**
+ * Reads what was actually paid from a locked snapshot. Snapshots store the report
+ * fields at lock time; older ones without them are re-scored with their lockedSettings.
+ * @param {Object} snapshot A parsed locked driver snapshot.
+ * @param {Array<Object>} weekSnapshots All snapshots locked for the same pay date.
+ * @returns {Object} The paid payout figures.
+ */
+function getPaidPayout(snapshot, weekSnapshots) {
+    if (typeof snapshot.estimatedNet !== 'number' && snapshot.lockedSettings) {
+        return summarizeDriverPayout(snapshot, snapshot.lockedSettings, weekSnapshots);
+    }
+    return {
+        totalTpog: parseFloat(snapshot.totalTpog) || 0,
+        bonuses: parseFloat(snapshot.totalPositiveBonuses) || 0,
+        penalties: parseFloat(snapshot.totalPenalties) || 0,
+        bonusesInDollars: parseFloat(snapshot.bonusesInDollars) || 0,
+        penaltiesInDollars: parseFloat(snapshot.penaltiesInDollars) || 0,
+        escrowDeduct: parseFloat(snapshot.escrowDeduct) || 0,
+        estimatedNet: parseFloat(snapshot.estimatedNet) || 0
+    };
+}
+
+/**
+ * Replays every locked TPOG week through the scoring engine under a candidate
+ * settings object and compares it with what was actually paid.
+ * Snapshot inputs (weeks out, percentiles, gross, escrow) stay frozen; only the rules change.
+ * @param {Object} allLockedData Locked snapshots keyed by `${driverId}_${payDate}`.
+ * @param {Object} candidateSettings The settings object to backtest.
+ * @returns {{weeks: Array<Object>, dispatchers: Array<Object>, franchises: Array<Object>, totals: Object, skippedCount: number}}
+ *          Paid vs. candidate totals per week, per dispatcher and per franchise.
+ */
+export function backtestLockedWeeks(allLockedData, candidateSettings) {
+    const snapshotsByWeek = new Map();
+    let skippedCount = 0;
+
+    Object.entries(allLockedData || {}).forEach(([lockKey, snapshotJSON]) => {
+        let snapshot;
+        try {
+            snapshot = typeof snapshotJSON === 'string' ? JSON.parse(snapshotJSON) : snapshotJSON;
+        } catch (error) {
+            console.warn(`Backtest: could not parse locked snapshot ${lockKey}`, error);
+            skippedCount++;
+            return;
+        }
+        const payDate = snapshot && snapshot.pay_date
+            ? snapshot.pay_date.split('T')[0]
+            : lockKey.slice(lockKey.lastIndexOf('_') + 1);
+        if (!snapshot || !payDate) {
+            skippedCount++;
+            return;
+        }
+        if (!snapshotsByWeek.has(payDate)) snapshotsByWeek.set(payDate, []);
+        snapshotsByWeek.get(payDate).push(snapshot);
+    });
+
+    const newGroup = (key) => ({ key, driverCount: 0, paid: emptyPayout(), candidate: emptyPayout(), delta: emptyPayout() });
+    const weekGroups = new Map();
+    const dispatcherGroups = new Map();
+    const franchiseGroups = new Map();
+    const totals = newGroup('All');
+
+    const addTo = (groups, key, paid, candidate) => {
+        if (!groups.has(key)) groups.set(key, newGroup(key));
+        const group = groups.get(key);
+        PAYOUT_FIELDS.forEach(field => {
+            group.paid[field] += paid[field];
+            group.candidate[field] += candidate[field];
+        });
+        group.driverCount++;
+    };
+
+    snapshotsByWeek.forEach((weekSnapshots, payDate) => {
+        weekSnapshots.forEach(snapshot => {
+            if (!isScoredDriver(snapshot, snapshot.lockedSettings || candidateSettings) && !isScoredDriver(snapshot, candidateSettings)) return;
+
+            const paid = getPaidPayout(snapshot, weekSnapshots);
+            const candidate = summarizeDriverPayout(snapshot, candidateSettings, weekSnapshots);
+
+            addTo(weekGroups, payDate, paid, candidate);
+            addTo(dispatcherGroups, snapshot.dispatcher || '-', paid, candidate);
+            addTo(franchiseGroups, snapshot.franchise || '-', paid, candidate);
+            PAYOUT_FIELDS.forEach(field => {
+                totals.paid[field] += paid[field];
+                totals.candidate[field] += candidate[field];
+            });
+            totals.driverCount++;
+        });
+    });
+
+    const finish = (groups) => [...groups.values()].map(group => ({ ...group, delta: diffPayouts(group.paid, group.candidate) }));
+    totals.delta = diffPayouts(totals.paid, totals.candidate);
+
+    return {
+        weeks: finish(weekGroups).sort((a, b) => b.key.localeCompare(a.key)),
+        dispatchers: finish(dispatcherGroups).sort((a, b) => Math.abs(b.delta.estimatedNet) - Math.abs(a.delta.estimatedNet) || a.key.localeCompare(b.key)),
+        franchises: finish(franchiseGroups).sort((a, b) => Math.abs(b.delta.estimatedNet) - Math.abs(a.delta.estimatedNet) || a.key.localeCompare(b.key)),
+        totals,
+        skippedCount
+    };
+}
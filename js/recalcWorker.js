@@ -0,0 +1,26 @@
+// TPOG/js/recalcWorker.js
+
+/**
+ * recalcWorker.js
+ * * Web Worker entry for the recalculation engine (see recalculation.js), so processing a
+ * pay date never blocks the table. Messages: { type: 'load', dataset } replaces the dataset;
+ * { type: 'run', id, request } answers with { id, result } or { id, error }.
+ */
+
+import { createRecalcEngine } from './recalculation.js';
+
+const engine = createRecalcEngine();
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'load') {
+        engine.load(data.dataset);
+        return;
+    }
+    if (data.type === 'run') {
+        try {
+            self.postMessage({ id: data.id, result: engine.run(data.request) });
+        } catch (error) {
+            self.postMessage({ id: data.id, error: error.message });
+        }
+    }
+};
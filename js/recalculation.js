@@ -0,0 +1,266 @@
+// TPOG/js/recalculation.js
+
+/**
+ * recalculation.js
+ * * Incremental recalculation of the drivers for a pay date. Each change to the table's
+ * inputs (a distance or MPG source toggle, a dispatcher day status, an edit-panel save or
+ * revert, a new pay date or settings) is described by the drivers it touches and the fleet
+ * aggregates (MPG and speeding percentiles) it moves. Only those drivers are re-run through
+ * processDriverDataForDate and only those percentiles are re-ranked. Changes run one at a
+ * time in the order they were queued; changes queued while a run is in flight are merged
+ * into the next run. The work runs in a Web Worker (recalcWorker.js) where the browser
+ * allows it, otherwise on the main thread. No DOM dependencies.
+ */
+
+import { processDriverDataForDate, rankFleetPercentiles } from './calculations.js';
+
+// What each kind of change invalidates. Edit-panel overrides are applied on top of the
+// calculated drivers and never feed the fleet ranking, so saving or reverting them only
+// needs the driver's calculated values back.
+const CHANGE_IMPACTS = {
+    distanceSource: { recalculate: true, aggregates: ['mpg'] },
+    mpgSource: { recalculate: true, aggregates: ['mpg'] },
+    dispatcherStatus: { recalculate: true, aggregates: [] },
+    fieldOverrides: { recalculate: false, aggregates: [] },
+    revertOverrides: { recalculate: false, aggregates: [] }
+};
+
+// The fields each fleet aggregate writes on a driver (see rankFleetPercentiles)
+const AGGREGATE_FIELDS = {
+    mpg: ['mpgPercentile', 'mpgCohort'],
+    speeding: ['speedingPercentile', 'speedingCohort']
+};
+
+const toPayDate = (driver) => (driver.pay_date || '').split('T')[0];
+
+/**
+ * Describes what a change affects.
+ * @param {Object} change { type, driverId }. Types without a driver impact ('all') recalculate everything.
+ * @returns {{all: boolean, driverIds: Array<string>, recalculateIds: Array<string>, aggregates: Array<string>}}
+ */
+export function describeChange(change) {
+    const impact = CHANGE_IMPACTS[change.type];
+    if (!impact || change.driverId === undefined || change.driverId === null) {
+        return { all: true, driverIds: [], recalculateIds: [], aggregates: Object.keys(AGGREGATE_FIELDS) };
+    }
+    const driverId = String(change.driverId);
+    return {
+        all: false,
+        driverIds: [driverId],
+        recalculateIds: impact.recalculate ? [driverId] : [],
+        aggregates: [...impact.aggregates]
+    };
+}
+
+/**
+ * Merges two impacts into one that covers both.
+ * @param {Object} a An impact (see describeChange).
+ * @param {Object} b An impact.
+ * @returns {Object} The merged impact.
+ */
+export function mergeImpacts(a, b) {
+    const union = (x, y) => [...new Set([...x, ...y])];
+    return {
+        all: a.all || b.all,
+        driverIds: union(a.driverIds, b.driverIds),
+        recalculateIds: union(a.recalculateIds, b.recalculateIds),
+        aggregates: union(a.aggregates, b.aggregates)
+    };
+}
+
+/**
+ * Creates the engine that does the calculation. It keeps the dataset that only changes on a
+ * full reload and the calculated drivers (before edit-panel overrides, notes and locks) of
+ * the last pay date it ran, so later changes to that date only redo what they affect.
+ * @returns {{load: Function, run: Function}}
+ */
+export function createRecalcEngine() {
+    let dataset = null; // { allDrivers, mileageIndex, safetyIndex, daysTakenIndex, allContracts }
+    let calculated = null; // { payDate, drivers }
+
+    const calculate = (drivers, settings, inputs) => processDriverDataForDate(
+        drivers, dataset.mileageIndex, settings, dataset.safetyIndex, inputs.overriddenDistances, dataset.daysTakenIndex,
+        inputs.dispatcherOverrides, dataset.allDrivers, inputs.mpgOverrides, inputs.allLockedData, dataset.allContracts, inputs.allTimeOffAdjustments
+    );
+    const rawDriversFor = (payDate, ids = null) => dataset.allDrivers
+        .filter(d => d.pay_date && toPayDate(d) === payDate && (!ids || ids.has(String(d.id))))
+        .map(d => structuredClone(d));
+
+    return {
+        /**
+         * Replaces the dataset and forgets the calculated drivers.
+         * @param {Object} data { allDrivers, mileageIndex, safetyIndex, daysTakenIndex, allContracts }.
+         */
+        load(data) {
+            dataset = data;
+            calculated = null;
+        },
+
+        /**
+         * Recalculates what an impact covers.
+         * @param {Object} request { payDate, settings, inputs, impact }. The inputs are the maps that
+         * change while the app runs: overriddenDistances, mpgOverrides, dispatcherOverrides,
+         * allLockedData and allTimeOffAdjustments.
+         * @returns {{payDate: string, full: boolean, drivers: Array<Object>}} Every driver for the date
+         * when full, otherwise only the drivers whose calculated values may have changed.
+         */
+        run({ payDate, settings, inputs, impact }) {
+            if (!dataset) throw new Error('Recalculation requested before the data was loaded.');
+
+            if (impact.all || !calculated || calculated.payDate !== payDate) {
+                calculated = { payDate, drivers: calculate(rawDriversFor(payDate), settings, inputs) };
+                return { payDate, full: true, drivers: calculated.drivers };
+            }
+
+            const returnedIds = new Set(impact.driverIds);
+            const recalculateIds = new Set(impact.recalculateIds);
+            if (recalculateIds.size > 0) {
+                const previous = new Map(calculated.drivers.map(d => [String(d.id), d]));
+                const recalculated = new Map(calculate(rawDriversFor(payDate, recalculateIds), settings, inputs).map(d => [String(d.id), d]));
+                const keptFields = Object.keys(AGGREGATE_FIELDS)
+                    .filter(aggregate => !impact.aggregates.includes(aggregate))
+                    .flatMap(aggregate => AGGREGATE_FIELDS[aggregate]);
+
+                // processDriverDataForDate ranked the recalculated drivers among themselves only:
+                // keep their fleet rank for aggregates this change does not move, re-rank the rest below
+                recalculated.forEach((driver, id) => {
+                    keptFields.forEach(field => { driver[field] = previous.get(id)?.[field]; });
+                });
+                calculated.drivers = calculated.drivers.map(d => recalculated.get(String(d.id)) || d);
+            }
+
+            if (impact.aggregates.length > 0) {
+                const rankedFields = impact.aggregates.flatMap(aggregate => AGGREGATE_FIELDS[aggregate]);
+                const before = new Map(calculated.drivers.map(d => [String(d.id), JSON.stringify(rankedFields.map(field => d[field]))]));
+                const aggregates = Object.fromEntries(Object.keys(AGGREGATE_FIELDS).map(aggregate => [aggregate, impact.aggregates.includes(aggregate)]));
+                rankFleetPercentiles(calculated.drivers, settings, aggregates);
+                calculated.drivers.forEach(d => {
+                    const id = String(d.id);
+                    if (before.get(id) !== JSON.stringify(rankedFields.map(field => d[field]))) returnedIds.add(id);
+                });
+            }
+
+            return { payDate, full: false, drivers: calculated.drivers.filter(d => returnedIds.has(String(d.id))) };
+        }
+    };
+}
+
+/**
+ * Runs requests in the recalculation worker, or on the main thread when workers are
+ * unavailable or the worker fails to start.
+ * @returns {{load: Function, run: Function}}
+ */
+function createRunner() {
+    const engine = createRecalcEngine();
+    const inFlight = new Map();
+    let dataset = null;
+    let worker = null;
+    let nextId = 0;
+
+    // Results are copied so the caller never holds the engine's cached drivers (postMessage copies for the worker)
+    const runOnMainThread = (request) => new Promise(resolve => setTimeout(resolve, 0))
+        .then(() => structuredClone(engine.run(request)));
+
+    const fallBack = () => {
+        worker.terminate();
+        worker = null;
+        if (dataset) engine.load(dataset);
+        const calls = [...inFlight.values()];
+        inFlight.clear();
+        calls.forEach(call => runOnMainThread(call.request).then(call.resolve, call.reject));
+    };
+
+    if (typeof Worker !== 'undefined') {
+        try {
+            worker = new Worker(new URL('./recalcWorker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = ({ data }) => {
+                const call = inFlight.get(data.id);
+                if (!call) return;
+                inFlight.delete(data.id);
+                if (data.error) call.reject(new Error(data.error));
+                else call.resolve(data.result);
+            };
+            worker.onerror = (event) => {
+                console.warn('Recalculation worker failed, recalculating on the main thread:', event.message);
+                event.preventDefault();
+                fallBack();
+            };
+        } catch (error) {
+            console.warn('Recalculation worker unavailable, recalculating on the main thread:', error);
+            worker = null;
+        }
+    }
+
+    return {
+        load(data) {
+            dataset = data;
+            if (worker) worker.postMessage({ type: 'load', dataset: data });
+            else engine.load(data);
+        },
+        run(request) {
+            if (!worker) return runOnMainThread(request);
+            return new Promise((resolve, reject) => {
+                const id = ++nextId;
+                inFlight.set(id, { request, resolve, reject });
+                worker.postMessage({ type: 'run', id, request });
+            });
+        }
+    };
+}
+
+/**
+ * Creates the recalculation queue.
+ * @param {Object} handlers
+ * @param {Function} handlers.getRequest Returns { payDate, settings, inputs } as they stand when a run starts.
+ * @param {Function} handlers.onResult Called with (result, impact) for each run, in queue order.
+ * @returns {{load: Function, enqueue: Function}}
+ */
+export function createRecalcQueue({ getRequest, onResult }) {
+    const runner = createRunner();
+    let pending = null; // { impact, waiters }
+    let running = false;
+
+    const drain = async () => {
+        if (running || !pending) return;
+        running = true;
+        const { impact, waiters } = pending;
+        pending = null;
+        try {
+            const result = await runner.run({ ...getRequest(), impact });
+            onResult(result, impact);
+            waiters.forEach(waiter => waiter.resolve(result));
+        } catch (error) {
+            console.error('Recalculation failed:', error);
+            waiters.forEach(waiter => waiter.reject(error));
+        } finally {
+            running = false;
+            drain();
+        }
+    };
+
+    return {
+        /**
+         * Hands the engine the dataset that only changes on a full reload.
+         * @param {Object} data { allDrivers, mileageIndex, safetyIndex, daysTakenIndex, allContracts }.
+         */
+        load(data) {
+            runner.load(data);
+        },
+
+        /**
+         * Queues a change.
+         * @param {Object} [change] { type, driverId } (see describeChange). Defaults to recalculating everything.
+         * @returns {Promise<Object>} Resolves with the result of the run that covered the change, once applied.
+         */
+        enqueue(change = { type: 'all' }) {
+            const impact = describeChange(change);
+            return new Promise((resolve, reject) => {
+                const waiter = { resolve, reject };
+                pending = pending
+                    ? { impact: mergeImpacts(pending.impact, impact), waiters: [...pending.waiters, waiter] }
+                    : { impact, waiters: [waiter] };
+                drain();
+            });
+        }
+    };
+}
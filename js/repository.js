@@ -0,0 +1,212 @@
+// TPOG/js/repository.js
+
+/**
+ * repository.js
+ * * Data access for the Supabase tables. A repository wraps one table: reads page through
+ * the whole table and are turned into the keyed map the app works with, which is kept in
+ * the session cache (see offlineCache.js). Writes patch that map optimistically and put it
+ * back when the write fails, or drop it when the change cannot be applied locally. A load
+ * that fails falls back to the copy stored for offline use, when there is one. Every
+ * failure is thrown as a RepositoryError. The client is passed in, so a repository runs
+ * against the in-memory client in memoryClient.js the same as against Supabase.
+ * No DOM dependencies.
+ */
+
+import { peekCache, writeCache, invalidateCache, readStoredCopy } from './offlineCache.js';
+
+export const PAGE_SIZE = 1000;
+
+/** A failed repository operation. The client's error is kept as `cause`. */
+export class RepositoryError extends Error {
+    /**
+     * @param {string} operation 'load', 'find', 'upsert', 'insert', 'update' or 'remove'.
+     * @param {string} table The table.
+     * @param {Object} cause The client's error.
+     */
+    constructor(operation, table, cause) {
+        super(`Failed to ${operation} ${table}: ${cause?.message || cause}`);
+        this.name = 'RepositoryError';
+        this.operation = operation;
+        this.table = table;
+        this.code = cause?.code ?? null;
+        this.cause = cause;
+    }
+}
+
+const sessionCache = { peek: peekCache, write: writeCache, invalidate: invalidateCache, readStored: readStoredCopy };
+
+/**
+ * @typedef {Object} RepositoryDefinition
+ * @property {string} table The table.
+ * @property {string} [cacheKey] The session cache key of the loaded map. Loads are not cached without one.
+ * @property {Function} [keyOf] Returns a row's key in the map.
+ * @property {Function} [valueOf] Returns what the map holds for a row. Defaults to the row.
+ * @property {Function} [groupBy] When set, the map holds an array of values per group instead
+ * of one value per key (and writes drop the cached map rather than patch it).
+ * @property {string} [onConflict] The columns upserts are matched on.
+ * @property {Array<Array>} [order] [column, options] pairs applied to reads, so pages are stable.
+ * @property {number} [pageSize] Rows per page. Defaults to PAGE_SIZE.
+ */
+
+/**
+ * Creates a repository for a table.
+ * @param {Object} client A Supabase client, or the in-memory client from memoryClient.js.
+ * @param {RepositoryDefinition} definition The table and how its rows map.
+ * @param {Object} [cache] { peek, write, invalidate, readStored? }. Defaults to the session cache.
+ * @returns {Object} { load, find, get, upsert, insert, update, remove, invalidate }.
+ */
+export function createRepository(client, definition, cache = sessionCache) {
+    const { table, cacheKey = null, keyOf = null, valueOf = (row) => row, groupBy = null, onConflict, order = [] } = definition;
+    const pageSize = definition.pageSize || PAGE_SIZE;
+    const patchable = Boolean(cacheKey && keyOf && !groupBy);
+
+    const run = async (operation, makeQuery) => {
+        let result;
+        try {
+            result = await makeQuery();
+        } catch (error) {
+            throw new RepositoryError(operation, table, error);
+        }
+        if (result.error) throw new RepositoryError(operation, table, result.error);
+        return result.data;
+    };
+
+    const filtered = (query, match) => Object.entries(match).reduce((q, [column, value]) => q.eq(column, value), query);
+
+    const fetchAll = async (operation, match) => {
+        let rows = [];
+        for (let from = 0; ; from += pageSize) {
+            const page = await run(operation, () => order
+                .reduce((q, [column, options]) => q.order(column, options), filtered(client.from(table).select('*'), match))
+                .range(from, from + pageSize - 1));
+            rows = rows.concat(page || []);
+            if (!page || page.length < pageSize) return rows;
+        }
+    };
+
+    const toMap = (rows) => {
+        const map = {};
+        rows.forEach(row => {
+            if (!groupBy) {
+                map[keyOf(row)] = valueOf(row);
+                return;
+            }
+            const group = groupBy(row);
+            (map[group] || (map[group] = [])).push(valueOf(row));
+        });
+        return map;
+    };
+
+    /**
+     * Runs a write. When the loaded map is cached and keyed, it is replaced with a copy that
+     * already holds the change, and put back if the write fails; otherwise it is dropped so
+     * the next load reads the table again.
+     */
+    const write = async (operation, patch, makeQuery) => {
+        const cached = patch && patchable ? cache.peek(cacheKey) : null;
+        if (!cached) {
+            if (cacheKey) cache.invalidate(cacheKey);
+            return run(operation, makeQuery);
+        }
+        const patched = { ...cached };
+        patch(patched);
+        cache.write(cacheKey, patched);
+        try {
+            return await run(operation, makeQuery);
+        } catch (error) {
+            if (cache.peek(cacheKey) === patched) cache.write(cacheKey, cached);
+            throw error;
+        }
+    };
+
+    return {
+        /**
+         * Loads the whole table as a map (see keyOf, valueOf and groupBy), from the cache when
+         * it holds it. When the table cannot be read, the stored offline copy is returned instead.
+         * @returns {Promise<Object>} The map.
+         */
+        async load() {
+            const cached = cacheKey ? cache.peek(cacheKey) : null;
+            if (cached) return cached;
+            let rows;
+            try {
+                rows = await fetchAll('load', {});
+            } catch (error) {
+                const stored = cacheKey && cache.readStored ? await cache.readStored(cacheKey) : null;
+                if (!stored) throw error;
+                console.warn(`Could not load ${table}, using the stored copy:`, error.message);
+                return stored;
+            }
+            const map = toMap(rows);
+            if (cacheKey) cache.write(cacheKey, map);
+            return map;
+        },
+
+        /**
+         * Reads the rows matching every column in a match.
+         * @param {Object} match Column to value, e.g. { email }.
+         * @returns {Promise<Array<Object>>} The rows.
+         */
+        find(match) {
+            return fetchAll('find', match);
+        },
+
+        /**
+         * Reads one key's current value from the table, bypassing the cache.
+         * @param {Object} match The key columns, e.g. { driver_name, date }.
+         * @returns {Promise<any|null>} What the map would hold for the row, or null when there is none.
+         */
+        async get(match) {
+            const [row] = await fetchAll('find', match);
+            return row ? valueOf(row) : null;
+        },
+
+        /**
+         * Inserts or updates rows, matched on the onConflict columns.
+         * @param {Object|Array<Object>} rows The rows.
+         * @param {Object} [options] { returning: true } to resolve with the stored rows.
+         * @returns {Promise<Array<Object>|null>}
+         */
+        upsert(rows, { returning = false } = {}) {
+            const list = [].concat(rows);
+            return write('upsert', (map) => list.forEach(row => { map[keyOf(row)] = valueOf(row); }), () => {
+                const query = client.from(table).upsert(list, { onConflict });
+                return returning ? query.select() : query;
+            });
+        },
+
+        /**
+         * Inserts rows. The cached map is dropped, since the table may fill in ids and defaults.
+         * @param {Object|Array<Object>} rows The rows.
+         * @returns {Promise<Array<Object>>} The stored rows.
+         */
+        insert(rows) {
+            return write('insert', null, () => client.from(table).insert([].concat(rows)).select());
+        },
+
+        /**
+         * Updates the rows matching every column in a match. The cached map is dropped.
+         * @param {Object} match Column to value.
+         * @param {Object} values The columns to set.
+         * @returns {Promise<null>}
+         */
+        update(match, values) {
+            return write('update', null, () => filtered(client.from(table).update(values), match));
+        },
+
+        /**
+         * Deletes the rows matching every column in a match. A match that holds a row's key
+         * columns is removed from the cached map at once.
+         * @param {Object} match Column to value.
+         * @returns {Promise<null>}
+         */
+        remove(match) {
+            return write('remove', (map) => { delete map[keyOf(match)]; }, () => filtered(client.from(table).delete(), match));
+        },
+
+        /** Drops the cached map, so the next load reads the table again. */
+        invalidate() {
+            if (cacheKey) cache.invalidate(cacheKey);
+        }
+    };
+}
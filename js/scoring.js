@@ -0,0 +1,268 @@
+// TPOG/js/scoring.js
+
+/**
+ * scoring.js
+ * * The payout scoring engine: tier lookups, speeding penalty methods, time-off
+ * accrual, escrow and the final TPOG score. This module has no DOM dependencies,
+ * so the payout math can be run headlessly against saved driver/settings JSON.
+ */
+
+import { METRIC_REGISTRY, isMetricEnabled, evaluateMetric, traceMetric, describeMetricTrace, getTieredBonusDetails, findRangeTier, calculateSpeedingPenalty } from './metricRegistry.js';
+import { recordAccrual, recordUsage, recordBalanceCap } from './timeOffLedger.js';
+
+// The tier helpers moved to the metric registry; re-exported so existing imports keep working.
+export { getTieredBonusDetails, findRangeTier, calculateSpeedingPenalty };
+
+/**
+ * Calculates the off days earned this week and the resulting available balance and escrow deduction.
+ * Uses the peak streak (if available) so that a mid-week reset does not erase days earned earlier in the week.
+ * @param {Object} driver The driver object (needs offDays, balanceAtStartOfWeek, streakAtStartOfWeek, weeksOut/peakWeeksOut).
+ * @param {Object} settings The application settings object.
+ * @returns {{newlyEarned: number, availableOffDays: number, escrowDeduct: number, ledgerEntries: Array<Object>}}
+ */
+export function calculateTimeOffAndEscrow(driver, settings) {
+    const daysTakenThisWeek = driver.offDays || 0;
+    const balanceAtStartOfWeek = driver.balanceAtStartOfWeek || 0;
+    const streakAtStartOfWeek = driver.streakAtStartOfWeek || 0;
+    const currentStreak = (driver.peakWeeksOut !== undefined) ? driver.peakWeeksOut : (driver.weeksOut || 0);
+
+    let newlyEarned = 0;
+    const startThreshold = settings.timeOffStartAfterWeeks || 3;
+    const weeksPerDay = settings.timeOffWeeksPerDay || 1;
+
+    // Check if the threshold was crossed during this week
+    if (currentStreak >= startThreshold && streakAtStartOfWeek < startThreshold) {
+        newlyEarned += settings.timeOffBaseDays;
+        const additionalFullWeeks = Math.floor(currentStreak) - startThreshold;
+        if (additionalFullWeeks > 0) {
+            newlyEarned += additionalFullWeeks / weeksPerDay;
+        }
+    } else if (currentStreak > streakAtStartOfWeek && currentStreak > startThreshold) {
+        const newFullWeeksEarned = Math.floor(currentStreak) - Math.floor(streakAtStartOfWeek);
+        if (newFullWeeksEarned > 0) {
+            newlyEarned = newFullWeeksEarned / weeksPerDay;
+        }
+    }
+
+    // This week's ledger entries; earlier weeks (and this week's reset, adjustments and expiry) are on driver.timeOffLedger
+    const ledgerEntries = [];
+    const payDate = (driver.pay_date || '').split('T')[0];
+    const streakReason = `Weeks out ${Math.floor(streakAtStartOfWeek)} → ${Math.floor(currentStreak)}`;
+    let currentAvailable = recordAccrual(ledgerEntries, payDate, balanceAtStartOfWeek, newlyEarned, streakReason);
+    currentAvailable = recordBalanceCap(ledgerEntries, payDate, currentAvailable, settings);
+
+    // Check against 'currentAvailable' (total budget), not just 'balanceAtStartOfWeek'
+    const excessDays = Math.max(0, daysTakenThisWeek - Math.max(0, currentAvailable));
+    recordUsage(ledgerEntries, payDate, currentAvailable, daysTakenThisWeek, settings);
+
+    return {
+        newlyEarned,
+        availableOffDays: Math.max(0, currentAvailable),
+        escrowDeduct: excessDays * (settings.escrowDeductionAmount || 0),
+        ledgerEntries
+    };
+}
+
+// Profile assignments from most to least specific.
+const PROFILE_SCOPES = ['franchise', 'company', 'contract_type'];
+
+/**
+ * Finds the scoring profile assigned to a driver. A franchise assignment wins over
+ * a company one, which wins over a contract type one.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object (profiles live in settings.scoringProfiles).
+ * @returns {Object|null} The matching profile, or null if the fleet-wide settings apply.
+ */
+export function resolveScoringProfile(driver, settings) {
+    const profiles = (settings && settings.scoringProfiles) || [];
+    if (!driver || profiles.length === 0) return null;
+
+    for (const scope of PROFILE_SCOPES) {
+        const driverValue = String(driver[scope] || '').trim().toLowerCase();
+        if (!driverValue) continue;
+        const profile = profiles.find(p => p.scope === scope && String(p.value || '').trim().toLowerCase() === driverValue);
+        if (profile) return profile;
+    }
+    return null;
+}
+
+/**
+ * Returns the settings a driver is scored with: the fleet-wide settings with their
+ * profile's base rate, enabled metrics and tiers laid over the top.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @returns {Object} The effective settings for this driver.
+ */
+export function getProfileSettings(driver, settings) {
+    const profile = resolveScoringProfile(driver, settings);
+    return profile ? { ...settings, ...(profile.settings || {}) } : settings;
+}
+
+/**
+ * Whether a driver takes part in a scoring program: TPOG drivers always do,
+ * other contract types only when a scoring profile is assigned to them.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @returns {boolean}
+ */
+export function isScoredDriver(driver, settings) {
+    return driver.contract_type === 'TPOG' || resolveScoringProfile(driver, settings) !== null;
+}
+
+const hasLimit = (value) => value !== null && value !== undefined && value !== '' && !isNaN(value);
+
+/**
+ * Clamps a value to an optional floor and ceiling. Any clipping is recorded on
+ * report.capAdjustments so the scorecard and report can show what was cut.
+ * @param {Object} report The report being built.
+ * @param {{scope: string, label: string}} source What is being capped ('metric', 'totalBonus', 'totalPenalty' or 'final').
+ * @param {number} value The uncapped value.
+ * @param {{min?: number, max?: number}} [limits] The floor and ceiling; either may be left empty.
+ * @returns {number} The capped value.
+ */
+function applyCap(report, source, value, limits = {}) {
+    let capped = value;
+    let bound = null;
+    if (hasLimit(limits.max) && capped > parseFloat(limits.max)) {
+        capped = parseFloat(limits.max);
+        bound = 'max';
+    }
+    if (hasLimit(limits.min) && capped < parseFloat(limits.min)) {
+        capped = parseFloat(limits.min);
+        bound = 'min';
+    }
+    if (bound) {
+        report.capAdjustments.push({ ...source, bound, limit: capped, before: value, after: capped, clipped: capped - value });
+    }
+    return capped;
+}
+
+/**
+ * Calculates a complete TPOG report for a single driver.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @param {Array<Object>} [driversForDate] All drivers for the pay date (used for the fuel target MPG).
+ * @returns {Object} A report containing bonus details and the final TPOG score.
+ */
+export function getDriverReportData(driver, settings, driversForDate = []) {
+    // Score with the driver's profile, if one is assigned
+    const profile = resolveScoringProfile(driver, settings);
+    settings = getProfileSettings(driver, settings);
+
+    const report = { totalBonus: 0, totalPenalties: 0, bonuses: {}, totalTpog: 0, availableOffDays: 0, escrowDeduct: 0, timeOffEntries: [], scoringProfile: profile ? profile.name : null, capAdjustments: [] };
+    const grossPay = driver.gross || 0;
+
+    // --- CHECK EXCLUSIONS ---
+    const ignoreAll = driver.ignoreAll === true || driver.ignoreAll === 'true';
+    const isFlagSet = (flag) => driver[flag] === true || driver[flag] === 'true';
+    const isFlagCleared = (flag) => driver[flag] === false || driver[flag] === 'false';
+
+    // Check if an override for escrowDeduct exists on the driver object.
+    const hasEscrowOverride = driver.hasOwnProperty('escrowDeduct');
+    if (hasEscrowOverride) {
+        report.escrowDeduct = parseFloat(driver.escrowDeduct) || 0;
+    }
+
+    const caps = settings.payoutCaps || {};
+
+    // If gross is zero or non-existent, ignore all bonus/penalty metrics.
+    if (grossPay <= 0) {
+        // Base rate, still held to the final TPOG floor and ceiling
+        report.totalTpog = applyCap(report, { scope: 'final', label: 'Final TPOG' }, settings.baseRate, { min: caps.minTpog, max: caps.maxTpog });
+        report.estimatedNet = 0;              // Net pay is 0
+
+        // --- Run Time Off & Escrow calculation (it's independent of gross) ---
+        const timeOff = calculateTimeOffAndEscrow(driver, settings);
+        report.availableOffDays = timeOff.availableOffDays;
+        report.timeOffEntries = timeOff.ledgerEntries;
+        if (!hasEscrowOverride) {
+            report.escrowDeduct = timeOff.escrowDeduct;
+        }
+
+        report.totalPositiveBonuses = 0;
+        report.totalPenalties = 0;
+        METRIC_REGISTRY.forEach(metric => {
+            if (metric.builtIn || isMetricEnabled(metric, settings)) {
+                const value = parseFloat(driver[metric.field]);
+                const trace = { metric: metric.key, field: metric.field, value: isNaN(value) ? null : value, eligible: false, tier: null, nextTier: null, status: 'ignored', ignoredReason: 'grossZero', bonus: 0 };
+                trace.reason = describeMetricTrace(metric, trace);
+                report.bonuses[metric.label] = { bonus: 0, trace };
+            }
+        });
+
+        return report;
+    }
+
+    // Score every metric in the registry
+    const metricCaps = caps.metrics || {};
+    METRIC_REGISTRY.forEach(metric => {
+        if (!isMetricEnabled(metric, settings)) {
+            // Built-in metrics keep their key so reports and the edit panel always find them
+            if (metric.builtIn) {
+                const trace = { metric: metric.key, field: metric.field, value: null, eligible: false, tier: null, nextTier: null, status: 'disabled', ignoredReason: 'disabled', bonus: 0 };
+                trace.reason = describeMetricTrace(metric, trace);
+                report.bonuses[metric.label] = metric.disabledInfoText ? { bonus: 0, infoText: metric.disabledInfoText, trace } : { bonus: 0, trace };
+            }
+            return;
+        }
+
+        const result = evaluateMetric(metric, driver, settings, driversForDate);
+        const value = result.bonus || 0;
+        let infoText = result.infoText;
+        let ignoredReason = ignoreAll ? 'ignoreAll' : ((metric.ignoreFlag && isFlagSet(metric.ignoreFlag)) ? 'ignoreFlag' : null);
+
+        // Auto-ignore if the week is partial AND the bonus is a penalty (negative)
+        if (metric.partialWeekIgnoresPenalty && driver.hasNotStartedInWeek && value < 0 && !isFlagCleared(metric.ignoreFlag)) {
+            ignoredReason = ignoredReason || 'partialWeek';
+            if (metric.partialWeekInfoText) infoText = metric.partialWeekInfoText;
+        }
+
+        const withInfo = infoText ? { infoText } : {};
+        const trace = { metric: metric.key, ...traceMetric(metric, driver, settings, result), status: ignoredReason ? 'ignored' : 'applied', ignoredReason, bonus: 0 };
+        if (ignoredReason) {
+            trace.potentialBonus = value;
+            trace.reason = describeMetricTrace(metric, trace, result.infoText);
+            report.bonuses[metric.label] = { bonus: 0, potentialBonus: value, ...withInfo, ignored: true, trace };
+        } else {
+            const applied = applyCap(report, { scope: 'metric', label: metric.label }, value, metricCaps[metric.key]);
+            trace.bonus = applied;
+            trace.capped = applied !== value;
+            trace.reason = describeMetricTrace(metric, trace, result.infoText);
+            report.bonuses[metric.label] = { bonus: applied, ...withInfo, trace };
+            report.totalBonus += applied;
+        }
+    });
+
+    // Separate Bonuses and Penalties, then apply the total caps (the penalty cap is a magnitude)
+    const positiveBonuses = Object.values(report.bonuses).reduce((sum, { bonus }) => sum + Math.max(0, bonus), 0);
+    const penalties = Object.values(report.bonuses).reduce((sum, { bonus }) => sum + Math.min(0, bonus), 0);
+    report.totalPositiveBonuses = applyCap(report, { scope: 'totalBonus', label: 'Total Bonuses' }, positiveBonuses, { max: caps.maxTotalBonus });
+    report.totalPenalties = applyCap(report, { scope: 'totalPenalty', label: 'Total Penalties' }, penalties, { min: hasLimit(caps.maxTotalPenalty) ? -Math.abs(caps.maxTotalPenalty) : null });
+    report.totalBonus += (report.totalPositiveBonuses - positiveBonuses) + (report.totalPenalties - penalties);
+
+    report.bonusesInDollars = (report.totalPositiveBonuses / 100) * grossPay;
+    report.penaltiesInDollars = (report.totalPenalties / 100) * grossPay;
+
+    // Time Off & Escrow. Only use the calculated escrow if an override hasn't already set the value.
+    const timeOff = calculateTimeOffAndEscrow(driver, settings);
+    report.availableOffDays = timeOff.availableOffDays;
+    report.timeOffEntries = timeOff.ledgerEntries;
+    if (!hasEscrowOverride) {
+        report.escrowDeduct = timeOff.escrowDeduct;
+    }
+
+    // Final TPOG
+    report.totalTpog = applyCap(report, { scope: 'final', label: 'Final TPOG' }, settings.baseRate + report.totalBonus, { min: caps.minTpog, max: caps.maxTpog });
+    report.estimatedNet = (report.totalTpog / 100) * (driver.gross || 0);
+    return report;
+}
+
+/**
+ * Calculates just the final TPOG score for a driver.
+ * @param {Object} driver The driver object.
+ * @param {Object} settings The application settings object.
+ * @returns {number} The final TPOG score.
+ */
+export function calculateDriverTPOG(driver, settings) {
+    return getDriverReportData(driver, settings).totalTpog;
+}
@@ -0,0 +1,110 @@
+// TPOG/js/settingsVersions.js
+
+/**
+ * settingsVersions.js
+ * * Effective-dated settings. Each version applies from its effective pay date until
+ * the next version starts, so editing the rules no longer shifts past unlocked weeks.
+ * Versions are stored inside the settings blob under `settingsVersions`; the top-level
+ * fields mirror the latest version so older readers keep working.
+ */
+
+const byEffectiveDate = (a, b) =>
+    (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '') ||
+    (a.changedAt || '').localeCompare(b.changedAt || '');
+
+/**
+ * Turns the stored settings blob into a sorted list of versions.
+ * A blob saved before versioning becomes a single version that applies to every week.
+ * @param {Object} rawSettings The settings blob as returned by api.loadSettings.
+ * @returns {Array<{effectiveFrom: string|null, changedBy: string|null, changedAt: string|null, changes: Array<string>, settings: Object}>}
+ */
+export function normalizeSettingsVersions(rawSettings) {
+    const raw = rawSettings || {};
+    if (Array.isArray(raw.settingsVersions) && raw.settingsVersions.length > 0) {
+        return raw.settingsVersions
+            .filter(version => version && version.settings)
+            .map(version => ({
+                effectiveFrom: version.effectiveFrom || null,
+                changedBy: version.changedBy || null,
+                changedAt: version.changedAt || null,
+                changes: Array.isArray(version.changes) ? version.changes : [],
+                settings: version.settings
+            }))
+            .sort(byEffectiveDate);
+    }
+
+    const { settingsVersions, ...legacySettings } = raw;
+    return [{ effectiveFrom: null, changedBy: null, changedAt: null, changes: [], settings: legacySettings }];
+}
+
+/**
+ * Finds the version in force for a pay date: the latest version whose effective date
+ * is on or before it. Weeks before the first dated version use the earliest one.
+ * @param {Array<Object>} versions Sorted versions from normalizeSettingsVersions.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @returns {Object|null} The version in force, or null if there are none.
+ */
+export function getVersionForPayDate(versions, payDate) {
+    if (!versions || versions.length === 0) return null;
+    const date = (payDate || '').split('T')[0];
+
+    let inForce = versions[0];
+    versions.forEach(version => {
+        if (!version.effectiveFrom || !date || version.effectiveFrom <= date) inForce = version;
+    });
+    return inForce;
+}
+
+/**
+ * Returns the settings object in force for a pay date.
+ * @param {Array<Object>} versions Sorted versions from normalizeSettingsVersions.
+ * @param {string} payDate The pay date (YYYY-MM-DD).
+ * @returns {Object} The settings to process that week with.
+ */
+export function getSettingsForPayDate(versions, payDate) {
+    const version = getVersionForPayDate(versions, payDate);
+    return version ? version.settings : {};
+}
+
+/**
+ * Lists the top-level settings keys that differ between two settings objects.
+ * @param {Object} previous The settings before the change.
+ * @param {Object} next The settings after the change.
+ * @returns {Array<string>} The changed keys.
+ */
+export function diffSettings(previous, next) {
+    const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+    keys.delete('settingsVersions');
+    return [...keys].filter(key => JSON.stringify((previous || {})[key]) !== JSON.stringify((next || {})[key])).sort();
+}
+
+/**
+ * Adds a new version effective from the given pay date. Versions after that date are
+ * left alone; a second save for the same date supersedes the first but both stay in history.
+ * @param {Array<Object>} versions The existing versions.
+ * @param {Object} newSettings The settings for the new version.
+ * @param {{effectiveFrom: string, changedBy: string}} meta Effective pay date and the user making the change.
+ * @returns {Array<Object>} A new sorted array of versions.
+ */
+export function addSettingsVersion(versions, newSettings, { effectiveFrom, changedBy }) {
+    const previous = getSettingsForPayDate(versions, effectiveFrom);
+    const { settingsVersions, ...cleanSettings } = newSettings || {};
+    const version = {
+        effectiveFrom: effectiveFrom || null,
+        changedBy: changedBy || null,
+        changedAt: new Date().toISOString(),
+        changes: diffSettings(previous, cleanSettings),
+        settings: cleanSettings
+    };
+    return [...versions, version].sort(byEffectiveDate);
+}
+
+/**
+ * Builds the blob to save: the latest version's fields at the top level plus the full history.
+ * @param {Array<Object>} versions The versions to persist.
+ * @returns {Object} The payload for api.saveSettings.
+ */
+export function buildSettingsPayload(versions) {
+    const latest = versions[versions.length - 1];
+    return { ...(latest ? latest.settings : {}), settingsVersions: versions };
+}
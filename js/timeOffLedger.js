@@ -0,0 +1,213 @@
+// TPOG/js/timeOffLedger.js
+
+/**
+ * timeOffLedger.js
+ * * The time-off ledger: one entry per accrual, usage, reset and escrow charge, each
+ * recording the balance it left behind, so a driver's available off days can be
+ * explained line by line. The helpers append to a ledger array and return the new
+ * balance, so the weeks-out loop keeps its own running balance. Admin adjustments,
+ * the maximum banked balance and expiry of unused days are applied here too.
+ * No DOM dependencies.
+ */
+
+export const LEDGER_ENTRY_TYPES = {
+    accrued: 'Accrued',
+    used: 'Used',
+    reset: 'Reset',
+    escrow: 'Escrow Charged',
+    adjustment: 'Adjustment',
+    expired: 'Expired',
+    capped: 'Over Max Balance'
+};
+
+const roundDays = (days) => Math.round(days * 10000) / 10000;
+
+/**
+ * Creates a ledger entry.
+ * @param {string} payDate The pay date (YYYY-MM-DD) the entry belongs to.
+ * @param {string} type One of the LEDGER_ENTRY_TYPES keys.
+ * @param {number} days The change in balance (negative for usage and resets).
+ * @param {number} balanceAfter The balance after this entry.
+ * @param {string} reason A human-readable explanation.
+ * @param {number} [amount] The dollar amount charged (escrow entries only).
+ * @returns {Object} The ledger entry.
+ */
+export function createLedgerEntry(payDate, type, days, balanceAfter, reason, amount) {
+    const entry = { payDate, type, days: roundDays(days), balanceAfter: roundDays(balanceAfter), reason };
+    if (amount !== undefined) entry.amount = amount;
+    return entry;
+}
+
+/**
+ * Records the days earned as the streak grows from `fromWeek` to `toWeek`, one entry per week crossed.
+ * The threshold week earns the base days; every week after it earns 1 / timeOffWeeksPerDay.
+ * @param {Array<Object>} ledger The ledger to append to.
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The balance before accrual.
+ * @param {number} fromWeek The streak (in whole weeks) at the start of the week.
+ * @param {number} toWeek The streak (in whole weeks) at the end of the week.
+ * @param {Object} settings The application settings object.
+ * @returns {number} The new balance.
+ */
+export function recordStreakAccrual(ledger, payDate, balance, fromWeek, toWeek, settings) {
+    for (let week = fromWeek + 1; week <= toWeek; week++) {
+        if (week === settings.timeOffStartAfterWeeks) {
+            balance += settings.timeOffBaseDays;
+            ledger.push(createLedgerEntry(payDate, 'accrued', settings.timeOffBaseDays, balance, `Reached ${week} weeks out (threshold)`));
+        } else if (week > settings.timeOffStartAfterWeeks) {
+            const earned = 1 / (settings.timeOffWeeksPerDay || 1);
+            balance += earned;
+            ledger.push(createLedgerEntry(payDate, 'accrued', earned, balance, `Week ${week} out`));
+        }
+    }
+    return balance;
+}
+
+/**
+ * Records a lump-sum accrual (used for the selected week, where scoring computes the days earned).
+ * @param {Array<Object>} ledger The ledger to append to.
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The balance before accrual.
+ * @param {number} days The days earned.
+ * @param {string} reason Why the days were earned.
+ * @returns {number} The new balance.
+ */
+export function recordAccrual(ledger, payDate, balance, days, reason) {
+    if (days <= 0) return balance;
+    balance += days;
+    ledger.push(createLedgerEntry(payDate, 'accrued', days, balance, reason));
+    return balance;
+}
+
+/**
+ * Records the days off taken in a week. Days beyond the balance are charged to escrow
+ * and the balance never goes below zero.
+ * @param {Array<Object>} ledger The ledger to append to.
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The balance before usage.
+ * @param {number} daysOff The DAY_OFF days taken this week.
+ * @param {Object} settings The application settings object (escrowDeductionAmount).
+ * @returns {number} The new balance.
+ */
+export function recordUsage(ledger, payDate, balance, daysOff, settings) {
+    if (daysOff <= 0) return balance;
+    const available = Math.max(0, balance);
+    const covered = Math.min(daysOff, available);
+    const excess = daysOff - covered;
+
+    if (covered > 0) {
+        ledger.push(createLedgerEntry(payDate, 'used', -covered, available - covered, `${daysOff} day${daysOff === 1 ? '' : 's'} off taken`));
+    }
+    if (excess > 0) {
+        const amount = excess * (settings.escrowDeductionAmount || 0);
+        ledger.push(createLedgerEntry(payDate, 'escrow', 0, 0, `${roundDays(excess)} day${excess === 1 ? '' : 's'} over balance`, amount));
+    }
+    return available - covered;
+}
+
+/**
+ * Records a balance reset (NOT_STARTED or CONTRACT_ENDED during the week).
+ * @param {Array<Object>} ledger The ledger to append to.
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The balance being forfeited.
+ * @param {string} reason The status that triggered the reset.
+ * @returns {number} The new balance (always 0).
+ */
+export function recordReset(ledger, payDate, balance, reason) {
+    ledger.push(createLedgerEntry(payDate, 'reset', balance > 0 ? -balance : 0, 0, reason));
+    return 0;
+}
+
+/**
+ * Records the admin adjustments (grants and forfeits) for a week. A forfeit never takes
+ * the balance below zero.
+ * @param {Array<Object>} ledger The ledger to append to.
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The balance before the adjustments.
+ * @param {Array<Object>} adjustments The driver's adjustments ({ payDate, days, reason }).
+ * @returns {number} The new balance.
+ */
+export function recordAdjustments(ledger, payDate, balance, adjustments = []) {
+    adjustments.filter(adjustment => adjustment.payDate === payDate).forEach(adjustment => {
+        const days = adjustment.days >= 0 ? adjustment.days : -Math.min(-adjustment.days, Math.max(0, balance));
+        balance = Math.max(0, balance + days);
+        const label = adjustment.days >= 0 ? 'Granted' : 'Forfeited';
+        ledger.push(createLedgerEntry(payDate, 'adjustment', days, balance, adjustment.reason ? `${label}: ${adjustment.reason}` : label));
+    });
+    return balance;
+}
+
+/**
+ * Forfeits anything above the maximum banked balance (no limit when unset or 0).
+ * @param {Array<Object>} ledger The ledger to append to.
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The balance after accrual.
+ * @param {Object} settings The application settings object (maxBankedOffDays).
+ * @returns {number} The new balance.
+ */
+export function recordBalanceCap(ledger, payDate, balance, settings) {
+    const max = parseFloat(settings.maxBankedOffDays);
+    if (!(max > 0) || balance <= max) return balance;
+    ledger.push(createLedgerEntry(payDate, 'capped', max - balance, max, `Balance limited to ${max} days`));
+    return max;
+}
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Expires days that have gone unused for `timeOffExpiryWeeks` weeks (no expiry when unset or 0).
+ * Days are spent oldest first, so the remaining days are matched to the entries that earned them
+ * by replaying the ledger.
+ * @param {Array<Object>} ledger The ledger to append to (and replay).
+ * @param {string} payDate The pay date of the week.
+ * @param {number} balance The current balance.
+ * @param {Object} settings The application settings object (timeOffExpiryWeeks).
+ * @returns {number} The new balance.
+ */
+export function recordExpiry(ledger, payDate, balance, settings) {
+    const expiryWeeks = parseInt(settings.timeOffExpiryWeeks, 10);
+    if (!(expiryWeeks > 0) || balance <= 0) return balance;
+
+    // Replay the ledger into lots of earned days, spending from the oldest lot first
+    let lots = [];
+    ledger.forEach(entry => {
+        if (entry.type === 'reset') {
+            lots = [];
+        } else if (entry.days > 0) {
+            lots.push({ payDate: entry.payDate, days: entry.days });
+        } else if (entry.days < 0) {
+            let toSpend = -entry.days;
+            while (toSpend > 0 && lots.length > 0) {
+                const spent = Math.min(toSpend, lots[0].days);
+                lots[0].days -= spent;
+                toSpend -= spent;
+                if (lots[0].days <= 0) lots.shift();
+            }
+        }
+    });
+
+    const weekTime = new Date(payDate + 'T12:00:00Z').getTime();
+    const staleDays = lots
+        .filter(lot => Math.round((weekTime - new Date(lot.payDate + 'T12:00:00Z').getTime()) / WEEK_MS) >= expiryWeeks)
+        .reduce((sum, lot) => sum + lot.days, 0);
+    const expired = Math.min(balance, staleDays);
+    if (expired <= 0.0001) return balance;
+
+    ledger.push(createLedgerEntry(payDate, 'expired', -expired, balance - expired, `Unused for ${expiryWeeks}+ weeks`));
+    return balance - expired;
+}
+
+/**
+ * Merges the computed ledger with the persisted one. Weeks that were locked (and so have
+ * persisted entries) use the persisted entries; every other week uses the computed ones.
+ * @param {Array<Object>} computed Entries from the live calculation.
+ * @param {Array<Object>} persisted Entries saved when weeks were locked.
+ * @returns {Array<Object>} The merged entries, oldest week first, each flagged with `locked`.
+ */
+export function mergeLedgers(computed = [], persisted = []) {
+    const lockedDates = new Set(persisted.map(entry => entry.payDate));
+    return [
+        ...computed.filter(entry => !lockedDates.has(entry.payDate)).map(entry => ({ ...entry, locked: false })),
+        ...persisted.map(entry => ({ ...entry, locked: true }))
+    ].sort((a, b) => a.payDate.localeCompare(b.payDate));
+}
@@ -3,9 +3,15 @@
  * * Contains all functions that directly manipulate the DOM, such as rendering
  * tables, opening/closing panels, and updating UI elements.
  */
-import { calculateMpgPercentile, calculateSpeedingPercentile, getDriverReportData, getContractStatusForDay } from './calculations.js';
+import { calculateMpgPercentile, calculateSpeedingPercentile, getDriverReportData, getContractStatusForDay, DEFAULT_UNDERPERFORMER_RULES, getProfileSettings, isScoredDriver, getPerformanceWeek, getPayDelayWeeks, formatPerformanceWeek } from './calculations.js';
 import { columnConfig } from './config.js';
+import { PERCENTILE_COHORTS, PERCENTILE_METHODS, getPercentileSettings } from './percentiles.js';
+import { METRIC_REGISTRY, DEFAULT_HARD_BRAKING_MINIMUM, isMetricEnabled, getMetricToggles, getMetricBarTiers, describeDeclarativeMetric } from './metricRegistry.js';
 import { mergeFuelData } from './fuelTankAnalysis.js';
+import { LEDGER_ENTRY_TYPES, mergeLedgers } from './timeOffLedger.js';
+import { buildCoachingTargets } from './coaching.js';
+import { getContractForDay, getContractPeriods, getRehirePolicy } from './contracts.js';
+import { WEEK_DAYS, OPERATING_TIMEZONES, DEFAULT_WORK_WEEK, getWorkWeekSettings, getWeekEndingOnOrBefore, getWeekContaining, getWeekDayLabels, getDayLabel, toDateKey } from './workWeek.js';
 
 // Helper function for creating toggle switches
 const createToggleCheckbox = (id, label, isChecked) => {
@@ -39,6 +45,7 @@ let safetyChart = null; // Chart instance for the safety tab
 let poChart = null; // Chart instance for the PO tab
 let fullHistoryData = [];
 let historyModalClickListener = null;
+let historyTimezone = DEFAULT_WORK_WEEK.operatingTimezone; // The operating timezone the history modal renders times in
 
 // This plugin is now defined globally within the module to be accessible by both chart functions.
 const verticalLinePlugin = {
@@ -241,7 +248,7 @@ export function renderTable(data, state, currentUser) {
                 content = `<div class="flex items-center gap-2">${driver.name}${icons}</div>`;
             }
             
-            const isTpogContract = driver.contract_type === 'TPOG';
+            const isTpogContract = isScoredDriver(driver, settings); // TPOG or a scoring profile
         
         // --- FIX: Check if driver is locked. If so, use stored values. If not, calculate new ones. ---
         // The `driver` object for a locked driver already has all the calculated fields from the snapshot.
@@ -335,6 +342,15 @@ export function renderTable(data, state, currentUser) {
                     const tpog = dataToUse.totalTpog || 0; // Get snapshot value
                     const estimatedNet = dataToUse.estimatedNet || 0; // Get snapshot value
                     content = `<span class="font-bold" style="color: #e2b340;">${tpog.toFixed(1)}%</span> <span class="text-xs text-slate-400">($${Math.round(estimatedNet)})</span>`;
+
+                    // Show which caps/floors clipped this week's payout
+                    const capAdjustments = dataToUse.capAdjustments || [];
+                    if (capAdjustments.length > 0) {
+                        const breakdown = capAdjustments.map(formatCapAdjustment).join('|');
+                        content = `<div class="tooltip-container" data-tooltip-type="breakdown" data-tooltip-title="Caps Applied" data-tooltip-breakdown="${breakdown}">
+                                     ${content} <span class="text-xs font-semibold text-amber-400">CAPPED</span>
+                                   </div>`;
+                    }
                 }
             } else if (key === 'actions') {
                 if (!isTpogContract) {
@@ -507,6 +523,9 @@ export function renderTable(data, state, currentUser) {
             }
 
             content = displayVal.toFixed(1);
+            if (driver.rollingMpg !== undefined && source === 'mpg') {
+                content = `<div class="tooltip-container" data-tooltip="Weekly: ${parseFloat(driver.weeklyMpg || 0).toFixed(1)} MPG | Rolling ${driver.rollingMpgWeeks}-wk: ${displayVal.toFixed(1)} MPG">${content}</div>`;
+            }
 
             // FIX: Add styling classes directly to the element classList
             if (source === 'mpg') cell.classList.add('mpg-source-active');
@@ -547,6 +566,8 @@ export function renderTable(data, state, currentUser) {
                     } else {
                        content = `$${Math.round(netValue)}`;
                 }}
+            } else if (key === 'safetyScore' && driver.rollingSafetyScore !== undefined) {
+                content = `<div class="tooltip-container" data-tooltip="Weekly: ${driver.weeklySafetyScore}% | Rolling ${driver.rollingSafetyWeeks}-wk: ${driver.rollingSafetyScore}%">${content}%</div>`;
             } else if (config.type === 'percent') {
                 content = `${content}%`;
             } else if (key === 'speeding_over11mph' || key === 'speeding_over16mph') {
@@ -642,6 +663,14 @@ const createRangeBonusEditor = (key, title, tooltipText, settings) => {
         valuePlaceholder = 'e.g. 2.5';
         fromPlaceholder = 'e.g. 8000';
         toPlaceholder = ''; // Empty for "and up"
+    } else if (key === 'idleTimeTiers') {
+        fromLabel = 'From (Hrs)';
+        toLabel = 'To (Hrs)';
+        valueLabel = 'Penalty (%)';
+        valueField = 'penalty';
+        valuePlaceholder = 'e.g. -0.5';
+        fromPlaceholder = 'e.g. 10';
+        toPlaceholder = ''; // Empty for "and up"
     }
     // --- END: Configuration ---
 
@@ -714,9 +743,424 @@ const createTieredBonusEditor = (key, title, unit, tooltipText, settings) => {
         </div>`;
 };
 
-export function renderSettingsContent(settings, openAccordionIndex = 0) {
+const removeIconSvg = `<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>`;
+
+/**
+ * Builds the editor for one underperformer rule set.
+ * @param {Object} rules The rule set ({combine, windows, maxMedianGross, maxMedianMiles} plus scope/value for overrides).
+ * @param {string|number} ruleIndex 'default' for the fleet-wide rules, otherwise the index in underperformerRuleSets.
+ * @returns {string} The HTML for the rule block.
+ */
+const createUnderperformerRuleEditor = (rules, ruleIndex) => {
+    const isDefault = ruleIndex === 'default';
+    const windows = rules.windows || [];
+
+    const windowRows = windows.map((w, index) => `
+        <div class="up-window-row grid grid-cols-[1fr_1fr_1fr_auto] gap-3 items-center" data-window-index="${index}">
+            <input type="number" class="settings-input" value="${w.weeks ?? ''}" data-type="weeks" placeholder="e.g. 4">
+            <input type="number" class="settings-input" value="${w.minGrossSum ?? ''}" data-type="minGrossSum" placeholder="e.g. 20000">
+            <input type="number" class="settings-input" value="${w.minMilesSum ?? ''}" data-type="minMilesSum" placeholder="e.g. 8000">
+            <button type="button" class="remove-up-window-btn text-slate-500 hover:text-red-500 p-1 rounded-full transition-colors">${removeIconSvg}</button>
+        </div>`).join('');
+
+    const scopeHtml = isDefault ? '' : `
+        <div class="grid grid-cols-[1fr_1fr_auto] gap-3 items-end">
+            <div>
+                <label class="block text-xs text-slate-400 mb-1">Applies To</label>
+                <select class="settings-input up-scope">
+                    <option value="company" ${rules.scope === 'company' ? 'selected' : ''}>Company</option>
+                    <option value="contract_type" ${rules.scope === 'contract_type' ? 'selected' : ''}>Contract Type</option>
+                </select>
+            </div>
+            <div>
+                <label class="block text-xs text-slate-400 mb-1">Value</label>
+                <input type="text" class="settings-input up-scope-value" value="${rules.value || ''}" placeholder="e.g. TPOG">
+            </div>
+            <button type="button" class="remove-up-rule-set-btn text-slate-500 hover:text-red-500 p-1 rounded-full transition-colors" title="Remove rule set">${removeIconSvg}</button>
+        </div>`;
+
+    return `
+        <div class="space-y-3 ${isDefault ? '' : 'border border-slate-700 rounded-lg p-4'}" data-underperformer-rules="${ruleIndex}">
+            ${scopeHtml}
+            <div class="grid grid-cols-3 gap-3">
+                <div>
+                    <label class="block text-xs text-slate-400 mb-1">Flag When</label>
+                    <select class="settings-input up-combine">
+                        <option value="AND" ${rules.combine !== 'OR' ? 'selected' : ''}>Sums AND medians fail</option>
+                        <option value="OR" ${rules.combine === 'OR' ? 'selected' : ''}>Sums OR medians fail</option>
+                    </select>
+                </div>
+                <div><label class="block text-xs text-slate-400 mb-1">Median Gross at or below ($)</label><input type="number" class="settings-input up-median-gross" value="${rules.maxMedianGross ?? ''}"></div>
+                <div><label class="block text-xs text-slate-400 mb-1">Median Miles at or below</label><input type="number" class="settings-input up-median-miles" value="${rules.maxMedianMiles ?? ''}"></div>
+            </div>
+            <div>
+                <div class="grid grid-cols-[1fr_1fr_1fr_auto] gap-3 items-center text-xs font-medium text-slate-400 px-1"><span>Weeks Checked</span><span>Min Gross Sum ($)</span><span>Min Miles Sum</span><span class="w-7"></span></div>
+                <div class="space-y-2 mt-2">${windowRows}</div>
+                <button type="button" class="add-up-window-btn text-sm font-semibold text-blue-500 hover:text-blue-400 mt-2">+ Add Window</button>
+            </div>
+        </div>`;
+};
+
+/**
+ * Reads one underperformer rule block back from the settings panel.
+ * @param {HTMLElement} block The element with the data-underperformer-rules attribute.
+ * @returns {Object} The rule set.
+ */
+const readUnderperformerRuleEditor = (block) => {
+    const windows = [];
+    block.querySelectorAll('.up-window-row').forEach(row => {
+        const weeks = parseInt(row.querySelector('[data-type="weeks"]').value, 10);
+        const minGrossSum = parseFloat(row.querySelector('[data-type="minGrossSum"]').value) || 0;
+        const minMilesSum = parseFloat(row.querySelector('[data-type="minMilesSum"]').value) || 0;
+        if (!isNaN(weeks)) windows.push({ weeks, minGrossSum, minMilesSum });
+    });
+
+    const rules = {
+        combine: block.querySelector('.up-combine').value === 'OR' ? 'OR' : 'AND',
+        windows,
+        maxMedianGross: parseFloat(block.querySelector('.up-median-gross').value) || 0,
+        maxMedianMiles: parseFloat(block.querySelector('.up-median-miles').value) || 0
+    };
+
+    const scopeSelect = block.querySelector('.up-scope');
+    if (scopeSelect) {
+        rules.scope = scopeSelect.value;
+        rules.value = block.querySelector('.up-scope-value').value.trim();
+    }
+    return rules;
+};
+
+// Metrics a scoring profile can switch on or off, matching the fleet-wide toggles.
+const PROFILE_METRICS = getMetricToggles();
+
+/**
+ * Builds the editor for one named scoring profile.
+ * @param {Object} profile The profile ({name, scope, value, settings}).
+ * @param {number} index The index in settings.scoringProfiles.
+ * @returns {string} The HTML for the profile block.
+ */
+const createScoringProfileEditor = (profile, index) => {
+    const profileSettings = profile.settings || {};
+    const scopeOptions = [['contract_type', 'Contract Type'], ['company', 'Company'], ['franchise', 'Franchise']]
+        .map(([value, label]) => `<option value="${value}" ${profile.scope === value ? 'selected' : ''}>${label}</option>`).join('');
+
+    return `
+        <div class="border border-slate-700 rounded-lg p-4 space-y-4" data-scoring-profile="${index}">
+            <div class="grid grid-cols-[1fr_1fr_1fr_auto] gap-3 items-end">
+                <div><label class="block text-xs text-slate-400 mb-1">Profile Name</label><input type="text" class="settings-input profile-name" value="${profile.name || ''}" placeholder="e.g. Lease Program"></div>
+                <div><label class="block text-xs text-slate-400 mb-1">Assign By</label><select class="settings-input profile-scope">${scopeOptions}</select></div>
+                <div><label class="block text-xs text-slate-400 mb-1">Value</label><input type="text" class="settings-input profile-value" value="${profile.value || ''}" placeholder="e.g. LEASE"></div>
+                <button type="button" class="remove-scoring-profile-btn text-slate-500 hover:text-red-500 p-1 rounded-full transition-colors" title="Remove profile">${removeIconSvg}</button>
+            </div>
+            <div><label class="block text-xs text-slate-400 mb-1">Base Rate (%)</label><input type="number" class="settings-input profile-base-rate" value="${profileSettings.baseRate ?? ''}"></div>
+            <div class="space-y-3">
+                ${PROFILE_METRICS.map(({ toggle, label, defaultEnabled }) => createToggleCheckbox(`profile-${index}-metric-${toggle}`, label, profileSettings.enabledMetrics?.[toggle] ?? defaultEnabled)).join('')}
+            </div>
+            ${createTieredBonusEditor('weeksOutTiers', 'Weeks Out Bonus', 'Weeks', '', profileSettings)}
+            ${createTieredBonusEditor('mpgPercentileTiers', 'Fuel Efficiency', '%-ile', '', profileSettings)}
+            ${createTieredBonusEditor('tenureMilestones', 'Retention Milestones', 'Weeks', '', profileSettings)}
+            ${createRangeBonusEditor('grossTargetTiers', 'Bonus by Gross ($)', '', profileSettings)}
+        </div>`;
+};
+
+/**
+ * Finds a tier editor section for the fleet-wide settings, skipping the copies inside scoring profiles.
+ * @param {string} key The tier key (e.g. 'weeksOutTiers').
+ * @param {ParentNode} [root=document] Where to search.
+ * @returns {HTMLElement|null}
+ */
+const findTierSection = (key, root = document) =>
+    Array.from(root.querySelectorAll(`[data-tier-key="${key}"]`)).find(section => root !== document || !section.closest('[data-scoring-profile]')) || null;
+
+/**
+ * Reads threshold tiers ({threshold, bonus}) from a tier editor section.
+ * @param {HTMLElement} section The element with the data-tier-key attribute.
+ * @returns {Array<Object>}
+ */
+const readThresholdTiers = (section) => {
+    const tiers = [];
+    section.querySelectorAll('.tier-row').forEach(row => {
+        const thresholdInput = row.querySelector('[data-type="threshold"]');
+        const bonusInput = row.querySelector('[data-type="bonus"]');
+        if (thresholdInput && bonusInput) {
+            const threshold = parseFloat(thresholdInput.value);
+            const bonus = parseFloat(bonusInput.value);
+            if (!isNaN(threshold) && !isNaN(bonus)) {
+                tiers.push({ threshold, bonus });
+            }
+        }
+    });
+    return tiers;
+};
+
+/**
+ * Reads range tiers ({from, to, bonus} or {from, to, penalty}) from a tier editor section.
+ * @param {HTMLElement} section The element with the data-tier-key attribute.
+ * @param {string} [valueField='bonus'] The tier value field ('bonus' or 'penalty').
+ * @returns {Array<Object>}
+ */
+const readRangeTiers = (section, valueField = 'bonus') => {
+    const tiers = [];
+    section.querySelectorAll('.tier-row').forEach(row => {
+        const from = parseFloat(row.querySelector('[data-type="from"]').value);
+        const toInput = row.querySelector('[data-type="to"]');
+        const to = toInput && toInput.value ? parseFloat(toInput.value) : Infinity;
+        const value = parseFloat(row.querySelector(`[data-type="${valueField}"]`).value);
+        if (!isNaN(from) && !isNaN(value)) {
+            tiers.push({ from, to, [valueField]: value });
+        }
+    });
+    return tiers;
+};
+
+/**
+ * Reads one scoring profile back from the settings panel.
+ * @param {HTMLElement} block The element with the data-scoring-profile attribute.
+ * @returns {Object} The profile.
+ */
+const readScoringProfileEditor = (block) => {
+    const index = block.dataset.scoringProfile;
+    const enabledMetrics = {};
+    PROFILE_METRICS.forEach(({ toggle }) => {
+        enabledMetrics[toggle] = document.getElementById(`profile-${index}-metric-${toggle}`).checked;
+    });
+
+    return {
+        name: block.querySelector('.profile-name').value.trim(),
+        scope: block.querySelector('.profile-scope').value,
+        value: block.querySelector('.profile-value').value.trim(),
+        settings: {
+            baseRate: parseFloat(block.querySelector('.profile-base-rate').value) || 0,
+            enabledMetrics,
+            weeksOutTiers: readThresholdTiers(findTierSection('weeksOutTiers', block)),
+            mpgPercentileTiers: readThresholdTiers(findTierSection('mpgPercentileTiers', block)),
+            tenureMilestones: readThresholdTiers(findTierSection('tenureMilestones', block)),
+            grossTargetTiers: readRangeTiers(findTierSection('grossTargetTiers', block))
+        }
+    };
+};
+
+// Friendly names for the settings keys shown in the version history.
+const SETTINGS_KEY_LABELS = {
+    baseRate: 'Base Rate',
+    enabledMetrics: 'Active Metrics',
+    weeksOutTiers: 'Weeks Out Tiers',
+    weeksOutMethod: 'Weeks Out Method',
+    weeksOutResetOnDaysOff: 'Weeks Out Reset',
+    safetyScoreThreshold: 'Safety Score Threshold',
+    safetyScoreMileageThreshold: 'Safety Mileage Threshold',
+    safetyScoreBonus: 'Safety Bonus',
+    safetyBonusForfeitedOnSpeeding: 'Safety Forfeit on Speeding',
+    speedingPenaltyMethod: 'Speeding Method',
+    speedingPercentileTiers: 'Speeding Percentile Tiers',
+    speedingRangeTiers: 'Speeding Range Tiers',
+    speedingPerEventMinimum: 'Speeding Per-Event Minimum',
+    speedingPerEventPenalty: 'Speeding Per-Event Penalty',
+    includeZerosInSpeedingCalc: 'Speeding Include Zeros',
+    mpgPercentileTiers: 'MPG Percentile Tiers',
+    fuelMileageThreshold: 'Fuel Mileage Threshold',
+    tenureMilestones: 'Tenure Milestones',
+    grossTargetTiers: 'Gross Target Tiers',
+    rpmTiers: 'RPM Tiers',
+    rpmMileageThreshold: 'RPM Minimum Miles',
+    idleTimeTiers: 'Idle Time Tiers',
+    hardBrakingMinimum: 'Hard Braking Minimum',
+    hardBrakingPenaltyPerEvent: 'Hard Braking Penalty',
+    payoutCaps: 'Caps & Floors',
+    percentileSettings: 'Percentile Ranking',
+    rollingWindows: 'Rolling Windows',
+    timeOffBaseDays: 'Base Days Off',
+    timeOffStartAfterWeeks: 'Time Off Start',
+    timeOffWeeksPerDay: 'Weeks per Day Off',
+    payDelayByCompany: 'Pay Delay by Company',
+    weekStartDay: 'Week Start Day',
+    rehirePolicy: 'Rehire Policy',
+    operatingTimezone: 'Operating Timezone',
+    maxBankedOffDays: 'Max Banked Days',
+    timeOffExpiryWeeks: 'Time Off Expiry',
+    escrowDeductionAmount: 'Escrow Deduction',
+    underperformerRules: 'Underperformer Rules',
+    scoringProfiles: 'Scoring Profiles',
+    underperformerRuleSets: 'Underperformer Rule Sets'
+};
+
+/**
+ * Builds the per-company pay delay editor. Companies not listed use the pay delay on the
+ * driver record.
+ * @param {Object} payDelayByCompany The settings.payDelayByCompany object ({ company: weeks }).
+ * @returns {string} The HTML for the editor.
+ */
+const createPayDelayEditor = (payDelayByCompany = {}) => {
+    const rows = Object.entries(payDelayByCompany).map(([company, weeks]) => `
+        <div class="pay-delay-row grid grid-cols-[1fr_6rem_auto] gap-3 items-center">
+            <input type="text" class="settings-input" value="${company}" data-type="company" placeholder="Company">
+            <input type="number" min="1" class="settings-input" value="${weeks}" data-type="weeks">
+            <button class="remove-pay-delay-btn text-red-400 hover:text-red-300 text-xs">Remove</button>
+        </div>`).join('');
+
+    return `
+        <div>
+            <h3 class="text-base font-semibold text-slate-100">Pay Delay</h3>
+            <p class="text-xs text-slate-400 mt-0.5">Weeks between the end of the performance week and the pay date. Companies not listed use the driver's own pay delay.</p>
+            <div class="space-y-2 mt-2">
+                ${rows || '<p class="text-xs text-slate-500">No company overrides.</p>'}
+            </div>
+            <button class="add-pay-delay-btn mt-2 text-xs text-blue-400 hover:text-blue-300">+ Add Company</button>
+        </div>`;
+};
+
+/**
+ * Reads the per-company pay delay editor back into a settings object. Rows without a company are dropped.
+ * @returns {Object} The payDelayByCompany object.
+ */
+const readPayDelayEditor = () => {
+    const payDelayByCompany = {};
+    settingsContent.querySelectorAll('.pay-delay-row').forEach(row => {
+        const company = row.querySelector('[data-type="company"]').value.trim();
+        const weeks = parseInt(row.querySelector('[data-type="weeks"]').value, 10);
+        if (company) payDelayByCompany[company] = Math.max(1, weeks || 1);
+    });
+    return payDelayByCompany;
+};
+
+/**
+ * Builds the caps and floors editor: limits on total bonuses, total penalties,
+ * the final TPOG and each individual metric. Empty inputs mean "no limit".
+ * @param {Object} caps The settings.payoutCaps object.
+ * @returns {string} The HTML for the editor.
+ */
+const createPayoutCapsEditor = (caps = {}) => {
+    const metricCaps = caps.metrics || {};
+    const limitInput = (id, value, placeholder) =>
+        `<input type="number" step="0.1" id="${id}" class="settings-input" value="${value ?? ''}" placeholder="${placeholder}">`;
+    const metricRows = METRIC_REGISTRY.map(metric => `
+        <div class="metric-cap-row grid grid-cols-[1fr_6rem_6rem] gap-3 items-center" data-metric-key="${metric.key}">
+            <span class="text-sm text-slate-300">${metric.label}</span>
+            <input type="number" step="0.1" class="settings-input" value="${metricCaps[metric.key]?.min ?? ''}" data-type="min" placeholder="None">
+            <input type="number" step="0.1" class="settings-input" value="${metricCaps[metric.key]?.max ?? ''}" data-type="max" placeholder="None">
+        </div>`).join('');
+
+    return `
+        <div>
+            <h3 class="text-base font-semibold text-slate-100">Totals</h3>
+            <p class="text-xs text-slate-400 mt-0.5">Leave a field empty for no limit.</p>
+            <div class="grid grid-cols-2 gap-3 mt-2">
+                <div><label class="block text-xs text-slate-400 mb-1">Max Total Bonuses (%)</label>${limitInput('cap-maxTotalBonus', caps.maxTotalBonus, 'e.g. 6')}</div>
+                <div><label class="block text-xs text-slate-400 mb-1">Max Total Penalties (%)</label>${limitInput('cap-maxTotalPenalty', caps.maxTotalPenalty, 'e.g. 5')}</div>
+                <div><label class="block text-xs text-slate-400 mb-1">Final TPOG Floor (%)</label>${limitInput('cap-minTpog', caps.minTpog, 'e.g. 16')}</div>
+                <div><label class="block text-xs text-slate-400 mb-1">Final TPOG Cap (%)</label>${limitInput('cap-maxTpog', caps.maxTpog, 'e.g. 30')}</div>
+            </div>
+        </div>
+        <hr class="border-slate-700">
+        <div>
+            <h3 class="text-base font-semibold text-slate-100">Per Metric</h3>
+            <div class="grid grid-cols-[1fr_6rem_6rem] gap-3 items-center text-xs font-medium text-slate-400 px-1 mt-2"><span>Metric</span><span>Floor (%)</span><span>Cap (%)</span></div>
+            <div class="space-y-2 mt-2">${metricRows}</div>
+        </div>`;
+};
+
+/**
+ * Reads the caps and floors editor back into a settings.payoutCaps object.
+ * @returns {Object} The payout caps; empty limits are stored as null.
+ */
+const readPayoutCapsEditor = () => {
+    const readLimit = (input) => {
+        const value = parseFloat(input ? input.value : '');
+        return isNaN(value) ? null : value;
+    };
+    const metrics = {};
+    document.querySelectorAll('.metric-cap-row').forEach(row => {
+        const min = readLimit(row.querySelector('[data-type="min"]'));
+        const max = readLimit(row.querySelector('[data-type="max"]'));
+        if (min !== null || max !== null) metrics[row.dataset.metricKey] = { min, max };
+    });
+    return {
+        maxTotalBonus: readLimit(document.getElementById('cap-maxTotalBonus')),
+        maxTotalPenalty: readLimit(document.getElementById('cap-maxTotalPenalty')),
+        minTpog: readLimit(document.getElementById('cap-minTpog')),
+        maxTpog: readLimit(document.getElementById('cap-maxTpog')),
+        metrics
+    };
+};
+
+/**
+ * Describes one cap adjustment from report.capAdjustments, e.g. "Weeks Out capped at +2.0% (-1.0% clipped)".
+ * @param {Object} adjustment The adjustment ({label, bound, limit, clipped}).
+ * @returns {string}
+ */
+export function formatCapAdjustment(adjustment) {
+    const sign = (value) => (value > 0 ? '+' : '');
+    const verb = adjustment.bound === 'max' ? 'capped at' : 'floored at';
+    return `${adjustment.label} ${verb} ${sign(adjustment.limit)}${adjustment.limit.toFixed(1)}% (${sign(adjustment.clipped)}${adjustment.clipped.toFixed(1)}% clipped)`;
+}
+
+/**
+ * Builds the "Applies From" picker and the version history accordion for the settings panel.
+ * @param {Object|null} versionContext {versions, payDates, effectiveFrom} or null when versions are unavailable.
+ * @param {string} chevronIcon The accordion chevron markup.
+ * @returns {{pickerHtml: string, historyHtml: string}}
+ */
+const createSettingsVersionSections = (versionContext, chevronIcon) => {
+    if (!versionContext) return { pickerHtml: '', historyHtml: '' };
+    const { versions = [], payDates = [], effectiveFrom } = versionContext;
+
+    const options = payDates.map(date => `<option value="${date}" ${date === effectiveFrom ? 'selected' : ''}>${date}</option>`).join('');
+    const pickerHtml = `
+        <div class="bg-slate-800 rounded-lg shadow-sm border border-slate-700 p-5">
+            <div class="flex items-center justify-between gap-3">
+                <div>
+                    <h2 class="text-base font-bold text-slate-100">Applies From Pay Date</h2>
+                    <p class="text-xs text-slate-400 mt-0.5">Saving creates a new version for this week and every later week until the next version. Earlier weeks keep their rules.</p>
+                </div>
+                <select id="settings-effective-from" class="settings-input w-40">${options}</select>
+            </div>
+        </div>`;
+
+    const formatChanges = (changes) => changes.length === 0
+        ? '<span class="text-slate-500">No changes</span>'
+        : changes.map(key => SETTINGS_KEY_LABELS[key] || key).join(', ');
+
+    const historyRows = [...versions].reverse().map(version => `
+        <tr>
+            <td class="text-left whitespace-nowrap">${version.effectiveFrom || 'Initial'}</td>
+            <td>${version.changedBy || '-'}</td>
+            <td class="whitespace-nowrap">${version.changedAt ? new Date(version.changedAt).toLocaleString() : '-'}</td>
+            <td class="text-left">${version.effectiveFrom ? formatChanges(version.changes) : '<span class="text-slate-500">Rules before versioning</span>'}</td>
+        </tr>`).join('');
+
+    const historyHtml = `
+        <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
+            <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
+                <h2 class="text-lg font-bold text-slate-100">Version History</h2>
+                ${chevronIcon}
+            </button>
+            <div class="accordion-content overflow-hidden" style="max-height: 0;">
+                <div class="p-5 border-t border-slate-700">
+                    <div class="history-table-wrapper">
+                        <table class="history-table">
+                            <thead><tr><th class="text-left">Effective From</th><th>Changed By</th><th>Saved</th><th class="text-left">What Changed</th></tr></thead>
+                            <tbody>${historyRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+
+    return { pickerHtml, historyHtml };
+};
+
+/**
+ * Renders the settings panel.
+ * @param {Object} settings The settings to show.
+ * @param {number} [openAccordionIndex=0] The accordion to open.
+ * @param {Object|null} [versionContext=null] {versions, payDates, effectiveFrom} for the version picker and history.
+ */
+export function renderSettingsContent(settings, openAccordionIndex = 0, versionContext = null) {
     const tooltipText = 'The system applies the bonus/penalty for the highest tier the driver has passed. For example, a percentile of 89% would receive the reward for the 80% tier.';
     const speedingMethod = settings.speedingPenaltyMethod || 'percentile';
+    const percentileSettings = getPercentileSettings(settings);
+    const workWeek = getWorkWeekSettings(settings);
+    const rehirePolicy = getRehirePolicy(settings);
     const daysOffTooltipText = "A day is counted as a DAY_OFF if: Status is TIME_OFF and there is no load, OR Status is DROP_LIKELY and the truck is DROPPED.";
 
     // Chevron SVG for the accordion
@@ -726,7 +1170,12 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
         </svg>
     `;
 
+    const { pickerHtml, historyHtml } = createSettingsVersionSections(versionContext, chevronIcon);
+    const underperformerRules = { ...DEFAULT_UNDERPERFORMER_RULES, ...(settings.underperformerRules || {}) };
+    const underperformerRuleSets = settings.underperformerRuleSets || [];
+
     settingsContent.innerHTML = `
+        ${pickerHtml}
         <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
             <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
                 <h2 class="text-lg font-bold text-slate-100">Base Rate</h2>
@@ -750,11 +1199,7 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
             <div class="accordion-content overflow-hidden" style="max-height: 0;">
                 <div class="p-5 border-t border-slate-700 space-y-4">
                     <p class="text-xs text-slate-400 -mt-2">Uncheck any metric to completely disable it from all calculations and reports.</p>
-                    ${createToggleCheckbox('metric-toggle-weeksOut', 'Performance (Weeks Out)', settings.enabledMetrics?.weeksOut ?? true)}
-                    ${createToggleCheckbox('metric-toggle-safety', 'Safety (Score & Speeding)', settings.enabledMetrics?.safety ?? true)}
-                    ${createToggleCheckbox('metric-toggle-fuel', 'Fuel Efficiency', settings.enabledMetrics?.fuel ?? true)}
-                    ${createToggleCheckbox('metric-toggle-tenure', 'Tenure', settings.enabledMetrics?.tenure ?? true)}
-                    ${createToggleCheckbox('metric-toggle-grossTarget', 'Gross Target', settings.enabledMetrics?.grossTarget ?? true)}
+                    ${getMetricToggles().map(({ toggle, label, defaultEnabled }) => createToggleCheckbox(`metric-toggle-${toggle}`, label, settings.enabledMetrics?.[toggle] ?? defaultEnabled)).join('')}
                 </div>
             </div>
         </div>
@@ -814,6 +1259,7 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
                                 <div><label class="block text-xs text-slate-400 mb-1">Bonus (%)</label><input type="number" step="0.1" id="safetyScoreBonus" class="settings-input" value="${settings.safetyScoreBonus}"></div>
                             </div>
                             <div><label class="block text-xs text-slate-400 mb-1">Min Miles/Wk for Bonus</label><input type="number" id="safetyScoreMileageThreshold" class="settings-input" value="${settings.safetyScoreMileageThreshold}"></div>
+                            <div><label class="block text-xs text-slate-400 mb-1">Rolling Window (Weeks)</label><input type="number" min="1" id="rollingSafetyWeeks" class="settings-input" value="${settings.rollingWindows?.safetyWeeks || 1}"><p class="text-xs text-slate-500 mt-1">1 scores the current week only. Longer windows use a miles-weighted average score.</p></div>
                             <div class="flex items-center mt-2"><input type="checkbox" id="safetyBonusForfeitedOnSpeeding" class="h-4 w-4 rounded border-slate-500 text-blue-600 focus:ring-blue-500" ${settings.safetyBonusForfeitedOnSpeeding ? 'checked' : ''}><label for="safetyBonusForfeitedOnSpeeding" class="ml-2 block text-sm text-slate-300">Forfeit bonus if speeding occurs</label></div>
                         </div>
                     </div>
@@ -854,6 +1300,29 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
                         <p class="text-xs text-slate-400 mt-0.5">Ignore fuel bonus/penalty if weekly miles are below this value.</p>
                         <input type="number" id="fuelMileageThreshold" class="settings-input mt-2" value="${settings.fuelMileageThreshold || 0}">
                     </div>
+                    <hr class="border-slate-700">
+                    <div>
+                        <h3 class="text-base font-semibold text-slate-100">Rolling MPG Window (Weeks)</h3>
+                        <p class="text-xs text-slate-400 mt-0.5">1 scores the current week only. Longer windows rank a miles-weighted average MPG.</p>
+                        <input type="number" min="1" id="rollingMpgWeeks" class="settings-input mt-2" value="${settings.rollingWindows?.mpgWeeks || 1}">
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
+            <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
+                <h2 class="text-lg font-bold text-slate-100">Percentile Ranking</h2>
+                ${chevronIcon}
+            </button>
+            <div class="accordion-content overflow-hidden" style="max-height: 0;">
+                <div class="p-5 border-t border-slate-700 space-y-4">
+                    <p class="text-xs text-slate-400 -mt-2">Who MPG and speeding percentiles are ranked against. Cohorts smaller than the minimum fall back to the next larger cohort (team, franchise, company, fleet).</p>
+                    <div class="grid grid-cols-3 gap-3">
+                        <div><label class="block text-xs text-slate-400 mb-1">Rank Against</label><select id="percentile-cohort" class="settings-input">${PERCENTILE_COHORTS.map(c => `<option value="${c.key}" ${percentileSettings.cohort === c.key ? 'selected' : ''}>${c.label}</option>`).join('')}</select></div>
+                        <div><label class="block text-xs text-slate-400 mb-1">Minimum Cohort Size</label><input type="number" id="percentile-min-cohort" class="settings-input" value="${percentileSettings.minCohortSize}"></div>
+                        <div><label class="block text-xs text-slate-400 mb-1">Method</label><select id="percentile-method" class="settings-input">${PERCENTILE_METHODS.map(m => `<option value="${m.key}" ${percentileSettings.method === m.key ? 'selected' : ''}>${m.label}</option>`).join('')}</select></div>
+                    </div>
                 </div>
             </div>
         </div>
@@ -882,6 +1351,46 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
             </div>
         </div>
 
+        <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
+            <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
+                <h2 class="text-lg font-bold text-slate-100">Additional Metrics</h2>
+                ${chevronIcon}
+            </button>
+            <div class="accordion-content overflow-hidden" style="max-height: 0;">
+                <div class="p-5 border-t border-slate-700 space-y-4">
+                    <p class="text-xs text-slate-400 -mt-2">These metrics are off by default. Switch them on under Active Bonus/Penalty Metrics.</p>
+                    ${createTieredBonusEditor('rpmTiers', 'RPM Target', 'RPM', 'Bonus by the driver\'s weekly rate per mile.', settings)}
+                    <div>
+                        <label class="block text-xs text-slate-400 mb-1">RPM Minimum Miles</label>
+                        <input type="number" id="rpmMileageThreshold" class="settings-input" value="${settings.rpmMileageThreshold || 0}">
+                    </div>
+                    <hr class="border-slate-700">
+                    ${createRangeBonusEditor('idleTimeTiers', 'Idle Time Penalty', 'Penalty by weekly idle hours reported by Samsara.', settings)}
+                    <hr class="border-slate-700">
+                    <div>
+                        <h3 class="text-base font-semibold text-slate-100">Hard Braking Penalty</h3>
+                        <p class="text-xs text-slate-400 mt-0.5">Every hard braking event from the minimum up is penalized.</p>
+                        <div class="grid grid-cols-2 gap-3 mt-2">
+                            <div><label class="block text-xs text-slate-400 mb-1">Minimum Events</label><input type="number" id="hardBrakingMinimum" class="settings-input" value="${settings.hardBrakingMinimum || DEFAULT_HARD_BRAKING_MINIMUM}"></div>
+                            <div><label class="block text-xs text-slate-400 mb-1">Penalty per Event (%)</label><input type="number" step="0.1" id="hardBrakingPenaltyPerEvent" class="settings-input" value="${settings.hardBrakingPenaltyPerEvent ?? -0.5}"></div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
+            <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
+                <h2 class="text-lg font-bold text-slate-100">Caps &amp; Floors</h2>
+                ${chevronIcon}
+            </button>
+            <div class="accordion-content overflow-hidden" style="max-height: 0;">
+                <div class="p-5 border-t border-slate-700 space-y-4">
+                    ${createPayoutCapsEditor(settings.payoutCaps)}
+                </div>
+            </div>
+        </div>
+
         <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
             <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
                 <h2 class="text-lg font-bold text-slate-100">Other Policies</h2>
@@ -889,12 +1398,34 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
             </button>
             <div class="accordion-content overflow-hidden" style="max-height: 0;">
                 <div class="p-5 border-t border-slate-700 space-y-4">
+                    <div>
+                        <h3 class="text-base font-semibold text-slate-100">Work Week</h3>
+                        <p class="text-xs text-slate-400 mt-0.5">Used for the weekly activity, dispatcher verification, the changelog and counting days off. Status timestamps are read in the operating timezone.</p>
+                        <div class="grid grid-cols-2 gap-3 mt-2">
+                            <div><label class="block text-xs text-slate-400 mb-1">Week Starts On</label><select id="weekStartDay" class="settings-input">${WEEK_DAYS.map((day, index) => `<option value="${index}" ${workWeek.weekStartDay === index ? 'selected' : ''}>${day.long}</option>`).join('')}</select></div>
+                            <div><label class="block text-xs text-slate-400 mb-1">Operating Timezone</label><select id="operatingTimezone" class="settings-input">${OPERATING_TIMEZONES.map(tz => `<option value="${tz.key}" ${workWeek.operatingTimezone === tz.key ? 'selected' : ''}>${tz.label} (${tz.key})</option>`).join('')}</select></div>
+                        </div>
+                    </div>
+                    <hr class="border-slate-700">
+                    ${createPayDelayEditor(settings.payDelayByCompany)}
+                    <hr class="border-slate-700">
+                    <div>
+                        <h3 class="text-base font-semibold text-slate-100">Rehires</h3>
+                        <p class="text-xs text-slate-400 mt-0.5">When enabled, a driver rehired within the window keeps their weeks out and banked days (the days between contracts pause the streak); a later rehire starts fresh.</p>
+                        <div class="grid grid-cols-2 gap-3 mt-2 items-end">
+                            <div class="flex items-center"><input type="checkbox" id="rehirePolicyEnabled" class="h-4 w-4 rounded border-slate-500 text-blue-600 focus:ring-blue-500" ${rehirePolicy.enabled ? 'checked' : ''}><label for="rehirePolicyEnabled" class="ml-2 block text-sm text-slate-300">Apply rehire policy</label></div>
+                            <div><label class="block text-xs text-slate-400 mb-1">Continue Streak if Rehired Within (days)</label><input type="number" id="rehireContinueWithinDays" class="settings-input" min="0" value="${rehirePolicy.continueWithinDays}"></div>
+                        </div>
+                    </div>
+                    <hr class="border-slate-700">
                     <div>
                         <h3 class="text-base font-semibold text-slate-100">Down Time</h3>
                         <div class="grid grid-cols-2 gap-3 mt-2">
                             <div><label class="block text-xs text-slate-400 mb-1">Base Days Off</label><input type="number" id="timeOffBaseDays" class="settings-input" value="${settings.timeOffBaseDays || 3}"></div>
                             <div><label class="block text-xs text-slate-400 mb-1">Start After Weeks</label><input type="number" id="timeOffStartAfterWeeks" class="settings-input" value="${settings.timeOffStartAfterWeeks || 3}"></div>
                             <div><label class="block text-xs text-slate-400 mb-1">Weeks per Additional Day</label><input type="number" id="timeOffWeeksPerDay" class="settings-input" value="${settings.timeOffWeeksPerDay || 1}"></div>
+                            <div><label class="block text-xs text-slate-400 mb-1">Max Banked Days (0 = no limit)</label><input type="number" id="maxBankedOffDays" class="settings-input" min="0" step="0.5" value="${settings.maxBankedOffDays || 0}"></div>
+                            <div><label class="block text-xs text-slate-400 mb-1">Unused Days Expire After Weeks (0 = never)</label><input type="number" id="timeOffExpiryWeeks" class="settings-input" min="0" value="${settings.timeOffExpiryWeeks || 0}"></div>
                         </div>
                     </div>
                     <hr class="border-slate-700">
@@ -907,6 +1438,42 @@ export function renderSettingsContent(settings, openAccordionIndex = 0) {
                 </div>
             </div>
         </div>
+
+        <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
+            <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
+                <h2 class="text-lg font-bold text-slate-100">Underperformer Rules</h2>
+                ${chevronIcon}
+            </button>
+            <div class="accordion-content overflow-hidden" style="max-height: 0;">
+                <div class="p-5 border-t border-slate-700 space-y-4">
+                    <p class="text-xs text-slate-400 -mt-2">Checked against locked, active TPOG weeks. The largest window the driver has enough weeks for is used; below the smallest window nobody is flagged.</p>
+                    ${createToggleCheckbox('underperformer-enabled', 'Flag Underperformers', underperformerRules.enabled !== false)}
+                    ${createUnderperformerRuleEditor(underperformerRules, 'default')}
+                    <hr class="border-slate-700">
+                    <div>
+                        <h3 class="text-base font-semibold text-slate-100">Rule Sets by Company or Contract Type</h3>
+                        <p class="text-xs text-slate-400 mt-0.5">A company rule set wins over a contract type rule set. Drivers with no match use the rules above.</p>
+                    </div>
+                    ${underperformerRuleSets.map((ruleSet, index) => createUnderperformerRuleEditor(ruleSet, index)).join('')}
+                    <button type="button" class="add-up-rule-set-btn text-sm font-semibold text-blue-500 hover:text-blue-400">+ Add Rule Set</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="accordion-item bg-slate-800 rounded-lg shadow-sm border border-slate-700 overflow-hidden">
+            <button class="accordion-header flex justify-between items-center w-full p-5 text-left">
+                <h2 class="text-lg font-bold text-slate-100">Scoring Profiles</h2>
+                ${chevronIcon}
+            </button>
+            <div class="accordion-content overflow-hidden" style="max-height: 0;">
+                <div class="p-5 border-t border-slate-700 space-y-4">
+                    <p class="text-xs text-slate-400 -mt-2">A profile replaces the base rate, active metrics and tiers above for the drivers it is assigned to. Franchise assignments win over company, and company over contract type. Other contract types are only scored when a profile is assigned to them.</p>
+                    ${(settings.scoringProfiles || []).map((profile, index) => createScoringProfileEditor(profile, index)).join('')}
+                    <button type="button" class="add-scoring-profile-btn text-sm font-semibold text-blue-500 hover:text-blue-400">+ Add Profile</button>
+                </div>
+            </div>
+        </div>
+        ${historyHtml}
     `;
 
     // --- Add Accordion Event Listeners ---
@@ -988,14 +1555,311 @@ export function closeSettings() {
     settingsOverlay.classList.add('hidden');
 }
 
+/**
+ * Reads the pay date the edited settings should apply from.
+ * @returns {string|null} The selected pay date, or null if the picker isn't shown.
+ */
+export function getSettingsEffectiveFrom() {
+    const select = document.getElementById('settings-effective-from');
+    return select ? select.value : null;
+}
+
+/**
+ * Gathers all values from the settings panel UI and returns a new settings object.
+ * @returns {Object|null} The new settings object or null on error.
+ */
+export function updateSettingsFromUI() {
+    let newSettings = {};
+    try {
+        newSettings.baseRate = parseFloat(document.getElementById('baseRate').value) || 0;
+        
+        newSettings.enabledMetrics = {};
+        getMetricToggles().forEach(({ toggle }) => {
+            newSettings.enabledMetrics[toggle] = document.getElementById(`metric-toggle-${toggle}`).checked;
+        });
+
+        // Weeks Out Policy
+        const weeksOutMethodChecked = document.querySelector('input[name="weeksOutMethod"]:checked');
+        newSettings.weeksOutMethod = weeksOutMethodChecked ? weeksOutMethodChecked.value : 'fullWeeksOnly';
+        newSettings.weeksOutResetOnDaysOff = document.getElementById('weeksOutResetOnDaysOff').checked;
+
+        newSettings.safetyScoreThreshold = parseFloat(document.getElementById('safetyScoreThreshold').value) || 0;
+        newSettings.safetyScoreMileageThreshold = parseFloat(document.getElementById('safetyScoreMileageThreshold').value) || 0;
+        newSettings.safetyScoreBonus = parseFloat(document.getElementById('safetyScoreBonus').value) || 0;
+        newSettings.safetyBonusForfeitedOnSpeeding = document.getElementById('safetyBonusForfeitedOnSpeeding').checked;
+        
+        const checkedSpeedingMethod = document.querySelector('input[name="speedingPenaltyMethod"]:checked');
+        if (checkedSpeedingMethod) {
+            newSettings.speedingPenaltyMethod = checkedSpeedingMethod.value;
+        }
+
+        const includeZerosCheckbox = document.getElementById('include-speeding-zeros');
+        newSettings.includeZerosInSpeedingCalc = includeZerosCheckbox ? includeZerosCheckbox.checked : false;
+
+        // Time Off and Escrow policies.
+        newSettings.timeOffBaseDays = parseInt(document.getElementById('timeOffBaseDays').value, 10) || 0;
+        newSettings.timeOffStartAfterWeeks = parseInt(document.getElementById('timeOffStartAfterWeeks').value, 10) || 0;
+        newSettings.timeOffWeeksPerDay = parseInt(document.getElementById('timeOffWeeksPerDay').value, 10) || 1;
+        newSettings.maxBankedOffDays = Math.max(0, parseFloat(document.getElementById('maxBankedOffDays').value) || 0);
+        newSettings.timeOffExpiryWeeks = Math.max(0, parseInt(document.getElementById('timeOffExpiryWeeks').value, 10) || 0);
+        newSettings.escrowDeductionAmount = parseFloat(document.getElementById('escrowDeductionAmount').value) || 0;
+        newSettings.payDelayByCompany = readPayDelayEditor();
+        newSettings.weekStartDay = parseInt(document.getElementById('weekStartDay').value, 10);
+        newSettings.operatingTimezone = document.getElementById('operatingTimezone').value;
+        newSettings.rehirePolicy = {
+            enabled: document.getElementById('rehirePolicyEnabled').checked,
+            continueWithinDays: Math.max(0, parseInt(document.getElementById('rehireContinueWithinDays').value, 10) || 0)
+        };
+
+        newSettings.fuelMileageThreshold = parseFloat(document.getElementById('fuelMileageThreshold').value) || 0;
+        newSettings.rollingWindows = {
+            mpgWeeks: Math.max(1, parseInt(document.getElementById('rollingMpgWeeks').value, 10) || 1),
+            safetyWeeks: Math.max(1, parseInt(document.getElementById('rollingSafetyWeeks').value, 10) || 1)
+        };
+
+        // Underperformer rules (fleet-wide plus per company / contract type)
+        const defaultRuleBlock = document.querySelector('[data-underperformer-rules="default"]');
+        if (defaultRuleBlock) {
+            newSettings.underperformerRules = {
+                enabled: document.getElementById('underperformer-enabled').checked,
+                ...readUnderperformerRuleEditor(defaultRuleBlock)
+            };
+            newSettings.underperformerRuleSets = Array.from(document.querySelectorAll('[data-underperformer-rules]:not([data-underperformer-rules="default"])'))
+                .map(readUnderperformerRuleEditor);
+        }
+
+        // Scoring profiles (their tier editors are skipped by the fleet-wide readers below)
+        newSettings.scoringProfiles = Array.from(document.querySelectorAll('[data-scoring-profile]')).map(readScoringProfileEditor);
+
+        // --- MODIFIED: Split standard (threshold) tiers and range tiers ---
+        
+        // 1. Read THRESHOLD tiers
+        const standardTierKeys = ['weeksOutTiers', 'mpgPercentileTiers', 'tenureMilestones', 'speedingPercentileTiers', 'rpmTiers'];
+        standardTierKeys.forEach(key => {
+            // Skip speedingPercentileTiers if method is not 'percentile'
+            if (key === 'speedingPercentileTiers' && newSettings.speedingPenaltyMethod !== 'percentile') return;
+            
+            const section = findTierSection(key);
+            if (section) {
+                newSettings[key] = readThresholdTiers(section);
+            }
+        });
+
+        // 2. Read GROSS TARGET tiers (Range)
+        const grossSection = findTierSection('grossTargetTiers');
+        if (grossSection) {
+            newSettings.grossTargetTiers = readRangeTiers(grossSection);
+        }
+
+        // Additional registry metrics (RPM, idle time, hard braking)
+        newSettings.rpmMileageThreshold = parseFloat(document.getElementById('rpmMileageThreshold').value) || 0;
+        const idleSection = findTierSection('idleTimeTiers');
+        if (idleSection) {
+            newSettings.idleTimeTiers = readRangeTiers(idleSection, 'penalty');
+        }
+        newSettings.hardBrakingMinimum = parseInt(document.getElementById('hardBrakingMinimum').value, 10) || DEFAULT_HARD_BRAKING_MINIMUM;
+        newSettings.hardBrakingPenaltyPerEvent = parseFloat(document.getElementById('hardBrakingPenaltyPerEvent').value) || 0;
+
+        newSettings.payoutCaps = readPayoutCapsEditor();
+
+        newSettings.percentileSettings = {
+            cohort: document.getElementById('percentile-cohort').value,
+            minCohortSize: parseInt(document.getElementById('percentile-min-cohort').value, 10) || 1,
+            method: document.getElementById('percentile-method').value
+        };
+
+        // 3. Read SPEEDING tiers (Range or Per-Event)
+        if (newSettings.speedingPenaltyMethod === 'perEvent') {
+            newSettings.speedingPerEventMinimum = parseInt(document.getElementById('speedingPerEventMinimum').value, 10) || 0;
+            newSettings.speedingPerEventPenalty = parseFloat(document.getElementById('speedingPerEventPenalty').value) || 0;
+        } else if (newSettings.speedingPenaltyMethod === 'range') {
+            const rangeTiers = [];
+            const section = findTierSection('speedingRangeTiers');
+            if (section) {
+                section.querySelectorAll('.tier-row').forEach(row => {
+                    const from = parseInt(row.querySelector('[data-type="from"]').value, 10);
+                    const toInput = row.querySelector('[data-type="to"]');
+                    const to = toInput && toInput.value ? parseInt(toInput.value, 10) : Infinity;
+                    const penalty = parseFloat(row.querySelector('[data-type="penalty"]').value);
+                    if (!isNaN(from) && !isNaN(penalty)) {
+                        rangeTiers.push({ from, to, penalty });
+                    }
+                });
+            }
+            newSettings.speedingRangeTiers = rangeTiers;
+        }
+        
+        return newSettings;
+    } catch (error) {
+        console.error("CRITICAL ERROR while gathering settings:", error);
+        alert("A critical error occurred while gathering the settings from the page. The save could not be completed.");
+        return null;
+    }
+}
+
+/**
+ * Opens the policy simulation modal and renders the comparison of current vs. draft settings.
+ * @param {Object} comparison The result of policySimulator.comparePolicies.
+ * @param {string} payDate The simulated pay date (YYYY-MM-DD).
+ */
+export function openSimulationModal(comparison, payDate) {
+    const modal = document.getElementById('simulation-modal');
+    const content = document.getElementById('simulation-content');
+    document.getElementById('simulation-pay-date').textContent = payDate;
+
+    const { rows, totals, changedCount } = comparison;
+
+    const deltaClass = (value) => value > 0.0001 ? 'text-green-400' : (value < -0.0001 ? 'text-red-400' : 'text-slate-500');
+    const formatPercentDelta = (value) => Math.abs(value) < 0.0001 ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+    const formatDollarDelta = (value) => Math.abs(value) < 0.5 ? '-' : `${value > 0 ? '+' : '-'}$${Math.abs(Math.round(value)).toLocaleString()}`;
+    // Escrow is a deduction, so more escrow is shown in red.
+    const escrowClass = (value) => deltaClass(-value);
+
+    const summaryCard = (label, current, draft, delta, formatter, colorClass) => `
+        <div class="bg-slate-800/60 border border-slate-700 rounded-lg p-3">
+            <div class="text-xs text-slate-400 uppercase tracking-wider">${label}</div>
+            <div class="text-sm text-slate-300 mt-1">${current} &rarr; ${draft}</div>
+            <div class="text-lg font-bold ${colorClass}">${formatter(delta)}</div>
+        </div>`;
+
+    const dollars = (value) => `$${Math.round(value).toLocaleString()}`;
+
+    const summaryHtml = `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            ${summaryCard('Fleet Bonuses', dollars(totals.current.bonusesInDollars), dollars(totals.draft.bonusesInDollars), totals.delta.bonusesInDollars, formatDollarDelta, deltaClass(totals.delta.bonusesInDollars))}
+            ${summaryCard('Fleet Penalties', dollars(totals.current.penaltiesInDollars), dollars(totals.draft.penaltiesInDollars), totals.delta.penaltiesInDollars, formatDollarDelta, deltaClass(totals.delta.penaltiesInDollars))}
+            ${summaryCard('Fleet Escrow', dollars(totals.current.escrowDeduct), dollars(totals.draft.escrowDeduct), totals.delta.escrowDeduct, formatDollarDelta, escrowClass(totals.delta.escrowDeduct))}
+            ${summaryCard('Fleet Est. Net', dollars(totals.current.estimatedNet), dollars(totals.draft.estimatedNet), totals.delta.estimatedNet, formatDollarDelta, deltaClass(totals.delta.estimatedNet))}
+        </div>
+        <p class="text-xs text-slate-400 mb-3">${changedCount} of ${totals.driverCount} TPOG drivers change under the draft. Locked weeks are simulated from live data; their paid snapshot is not affected.</p>`;
+
+    const lockIcon = `<svg class="w-3.5 h-3.5 text-blue-400 inline ml-1" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M10 1a4.5 4.5 0 00-4.5 4.5V9H5a2 2 0 00-2 2v6a2 2 0 002 2h10a2 2 0 002-2v-6a2 2 0 00-2-2h-.5V5.5A4.5 4.5 0 0010 1zm3 8V5.5a3 3 0 10-6 0V9h6z" clip-rule="evenodd" /></svg>`;
+
+    const rowsHtml = rows.map(row => `
+        <tr>
+            <td class="text-left">${row.name}${row.isLocked ? `<span class="tooltip-container" data-tooltip="Week is locked">${lockIcon}</span>` : ''}</td>
+            <td>${row.dispatcher || '-'}</td>
+            <td class="whitespace-nowrap">${row.current.totalTpog.toFixed(1)}% &rarr; ${row.draft.totalTpog.toFixed(1)}%</td>
+            <td class="${deltaClass(row.delta.totalTpog)} font-semibold">${formatPercentDelta(row.delta.totalTpog)}</td>
+            <td class="${deltaClass(row.delta.bonuses)}">${formatPercentDelta(row.delta.bonuses)}</td>
+            <td class="${deltaClass(row.delta.penalties)}">${formatPercentDelta(row.delta.penalties)}</td>
+            <td class="${escrowClass(row.delta.escrowDeduct)}">${formatDollarDelta(row.delta.escrowDeduct)}</td>
+            <td class="${deltaClass(row.delta.estimatedNet)} font-semibold">${formatDollarDelta(row.delta.estimatedNet)}</td>
+        </tr>`).join('');
+
+    const tableHtml = rows.length === 0
+        ? '<p class="text-slate-500 text-center py-10">No TPOG drivers for the selected pay date.</p>'
+        : `<div class="history-table-wrapper">
+                <table class="history-table">
+                    <thead>
+                        <tr>
+                            <th class="text-left">Driver</th>
+                            <th>Dispatcher</th>
+                            <th>Final % (Current &rarr; Draft)</th>
+                            <th>&Delta; Final %</th>
+                            <th>&Delta; Bonuses</th>
+                            <th>&Delta; Penalties</th>
+                            <th>&Delta; Escrow</th>
+                            <th>&Delta; Est. Net</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>`;
+
+    content.innerHTML = summaryHtml + tableHtml;
+    modal.classList.remove('hidden');
+}
+
+/** Closes the policy simulation modal. */
+export function closeSimulationModal() {
+    document.getElementById('simulation-modal').classList.add('hidden');
+}
+
+/**
+ * Renders the backtest of a candidate settings object against all locked weeks.
+ * @param {Object} backtest The result of policySimulator.backtestLockedWeeks.
+ */
+export function openBacktestModal(backtest) {
+    const modal = document.getElementById('backtest-modal');
+    const content = document.getElementById('backtest-content');
+    const { weeks, dispatchers, franchises, totals, skippedCount } = backtest;
+
+    const deltaClass = (value) => value > 0.0001 ? 'text-green-400' : (value < -0.0001 ? 'text-red-400' : 'text-slate-500');
+    const formatDollarDelta = (value) => Math.abs(value) < 0.5 ? '-' : `${value > 0 ? '+' : '-'}$${Math.abs(Math.round(value)).toLocaleString()}`;
+    const dollars = (value) => `$${Math.round(value).toLocaleString()}`;
+
+    if (totals.driverCount === 0) {
+        content.innerHTML = '<p class="text-slate-500 text-center py-10">No locked TPOG weeks to backtest.</p>';
+        modal.classList.remove('hidden');
+        return;
+    }
+
+    const summaryCard = (label, paid, candidate, delta) => `
+        <div class="bg-slate-800/60 border border-slate-700 rounded-lg p-3">
+            <div class="text-xs text-slate-400 uppercase tracking-wider">${label}</div>
+            <div class="text-sm text-slate-300 mt-1">${dollars(paid)} &rarr; ${dollars(candidate)}</div>
+            <div class="text-lg font-bold ${deltaClass(delta)}">${formatDollarDelta(delta)}</div>
+        </div>`;
+
+    const summaryHtml = `
+        <div class="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+            ${summaryCard('Bonuses Paid', totals.paid.bonusesInDollars, totals.candidate.bonusesInDollars, totals.delta.bonusesInDollars)}
+            ${summaryCard('Penalties Paid', totals.paid.penaltiesInDollars, totals.candidate.penaltiesInDollars, totals.delta.penaltiesInDollars)}
+            ${summaryCard('Est. Net Paid', totals.paid.estimatedNet, totals.candidate.estimatedNet, totals.delta.estimatedNet)}
+        </div>
+        <p class="text-xs text-slate-400 mb-4">${totals.driverCount} locked TPOG driver-weeks across ${weeks.length} weeks, replayed with their frozen inputs (weeks out, percentiles, gross, escrow) under the draft rules.${skippedCount > 0 ? ` ${skippedCount} snapshot(s) could not be read and were skipped.` : ''}</p>`;
+
+    const groupTable = (title, keyLabel, groups) => `
+        <h3 class="text-sm font-bold text-slate-200 uppercase tracking-wider mt-5 mb-2">${title}</h3>
+        <div class="history-table-wrapper">
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th class="text-left">${keyLabel}</th>
+                        <th>Drivers</th>
+                        <th>Paid Est. Net</th>
+                        <th>Draft Est. Net</th>
+                        <th>&Delta; Bonuses</th>
+                        <th>&Delta; Penalties</th>
+                        <th>&Delta; Est. Net</th>
+                    </tr>
+                </thead>
+                <tbody>${groups.map(group => `
+                    <tr>
+                        <td class="text-left">${group.key}</td>
+                        <td>${group.driverCount}</td>
+                        <td>${dollars(group.paid.estimatedNet)}</td>
+                        <td>${dollars(group.candidate.estimatedNet)}</td>
+                        <td class="${deltaClass(group.delta.bonusesInDollars)}">${formatDollarDelta(group.delta.bonusesInDollars)}</td>
+                        <td class="${deltaClass(group.delta.penaltiesInDollars)}">${formatDollarDelta(group.delta.penaltiesInDollars)}</td>
+                        <td class="${deltaClass(group.delta.estimatedNet)} font-semibold">${formatDollarDelta(group.delta.estimatedNet)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`;
+
+    content.innerHTML = summaryHtml
+        + groupTable('By Week', 'Pay Date', weeks)
+        + groupTable('By Dispatcher', 'Dispatcher', dispatchers)
+        + groupTable('By Franchise', 'Franchise', franchises);
+    modal.classList.remove('hidden');
+}
+
+/** Closes the backtest modal. */
+export function closeBacktestModal() {
+    document.getElementById('backtest-modal').classList.add('hidden');
+}
+
 /**
  * Helper: Generates the SVG string for the driver report.
  */
 function generateReportSVG(driverData, settings, driversForDate) {
     // Check if the driver is locked AND has a 'lockedSettings' snapshot.
-    const settingsToUse = (driverData.isLocked && driverData.lockedSettings) 
+    // The driver's scoring profile (if any) is applied on top so the cards show their tiers.
+    const settingsToUse = getProfileSettings(driverData, (driverData.isLocked && driverData.lockedSettings) 
                            ? driverData.lockedSettings 
-                           : settings;
+                           : settings);
 
     const formatNumber = (num) => (num % 1 === 0 ? num.toFixed(0) : num.toFixed(1));
     const formatCurrency = (num) => {
@@ -1020,55 +1884,31 @@ function generateReportSVG(driverData, settings, driversForDate) {
 
     const reportDate = driverData.pay_date.split('T')[0];
 
-    const getSpeedingBarTiers = (settings) => {
-        const method = settings.speedingPenaltyMethod || 'percentile';
-        switch (method) {
-            case 'range':
-                const rangeTiers = (settings.speedingRangeTiers || []).map(t => t.penalty);
-                return [...new Set([0, ...rangeTiers])].sort((a, b) => a - b);
-            case 'perEvent':
-                const penaltyPer = settings.speedingPerEventPenalty || 0;
-                if (penaltyPer === 0) return [0];
-                return [0, penaltyPer, penaltyPer * 2, penaltyPer * 3].sort((a, b) => a - b);
-            case 'percentile':
-            default:
-                const percentileTiers = (settings.speedingPercentileTiers || []).map(t => t.bonus);
-                return [...new Set([0, ...percentileTiers])].sort((a, b) => a - b);
-        }
+    // "drivers" or e.g. "Team Alpha drivers" when ranked within a cohort
+    const cohortDrivers = (cohort) => {
+        if (!cohort || cohort.cohort === 'fleet' || !cohort.value) return 'drivers';
+        const cohortLabel = PERCENTILE_COHORTS.find(c => c.key === cohort.cohort)?.label || '';
+        return `${cohortLabel} ${cohort.value} drivers`;
     };
 
-    let performanceCards = [
-        { title: 'Tenure', titleIcon: 'M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 002-2H5a2 2 0 00-2 2v12a2 2 0 002 2z', value: reportData.bonuses?.['Tenure']?.bonus || 0, barTiers: [0, ...settingsToUse.tenureMilestones.map((_, i) => settingsToUse.tenureMilestones.slice(0, i + 1).reduce((sum, m) => sum + m.bonus, 0))], type: 'tenure' },
-        { title: 'Weeks Out', titleIcon: 'M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z', value: reportData.bonuses?.['Weeks Out']?.bonus || 0, barTiers: [...new Set(settingsToUse.weeksOutTiers.map(t => t.bonus))].sort((a, b) => a - b), type: 'weeksOut' },
-        { title: 'Gross Target', titleIcon: 'M11.8 10.9c-2.27-.59-3-1.2-3-2.15 0-.9.6-1.6 2.1-1.6 1.4 0 2.4.6 2.4 1.6H16c0-1.7-.9-3.2-3.1-3.6V4h-2v1.7c-2.1.4-3.5 2-3.5 3.9 0 2.2 1.8 3.3 4.5 3.9 2.5.6 3 1.2 3 2.1 0 .9-.6 1.6-2.1 1.6-1.6 0-2.6-.7-2.6-1.8H8c0 1.8 1.1 3.3 3.2 3.7V20h2v-1.7c2.2-.4 3.6-2 3.6-4 0-2.7-2.4-3.8-4.8-4.4z', value: reportData.bonuses?.['Gross Target']?.bonus || 0, barTiers: (settingsToUse.grossTargetTiers || []).sort((a, b) => a.from - b.from), type: 'grossTarget' },
-        { title: 'Fuel Efficiency', titleIcon: 'M7 2h6a1 1 0 011 1v15a2 2 0 01-2 2H8a2 2 0 01-2-2V3a1 1 0 011-1zm10 4v12a2 2 0 002 2h1a1 1 0 001-1v-9a2 2 0 00-2-2h-2zM7 7h6', value: reportData.bonuses?.['Fuel Efficiency']?.bonus || 0, barTiers: [...new Set(settingsToUse.mpgPercentileTiers.map(t => t.bonus))].sort((a, b) => a - b), type: 'fuel' },
-        { title: 'Speeding', titleIcon: 'M13 10V3L4 14h7v7l9-11h-7z', value: reportData.bonuses?.['Speeding Penalty']?.bonus || 0, barTiers: getSpeedingBarTiers(settingsToUse), type: 'speeding' },
-        { title: 'Safety Score', titleIcon: 'M12 2L4 5v6c0 5.55 3.84 10.74 8 12 4.16-1.26 8-6.45 8-12V5l-8-3z', viewBox: '0 0 24 24', value: reportData.bonuses?.['Safety Score']?.bonus || 0, barTiers: [0, settingsToUse.safetyScoreBonus], type: 'safety' }
-    ];
-
-    performanceCards = performanceCards.filter(card => {
-        let isEnabled;
-        const metricsToUse = settingsToUse.enabledMetrics;
-        if (driverData.isLocked && !metricsToUse) {
-            if (card.type === 'tenure') isEnabled = reportData.bonuses?.['Tenure'] !== undefined;
-            else if (card.type === 'weeksOut') isEnabled = reportData.bonuses?.['Weeks Out'] !== undefined;
-            else if (card.type === 'fuel') isEnabled = reportData.bonuses?.['Fuel Efficiency'] !== undefined;
-            else if (card.type === 'speeding') isEnabled = reportData.bonuses?.['Speeding Penalty'] !== undefined;
-            else if (card.type === 'safety') isEnabled = reportData.bonuses?.['Safety Score'] !== undefined;
-            else if (card.type === 'grossTarget') isEnabled = reportData.bonuses?.['Gross Target'] !== undefined;
-            else isEnabled = true;
-        } else if (metricsToUse) {
-            if (card.type === 'tenure') isEnabled = metricsToUse.tenure;
-            else if (card.type === 'weeksOut') isEnabled = metricsToUse.weeksOut;
-            else if (card.type === 'fuel') isEnabled = metricsToUse.fuel;
-            else if (card.type === 'speeding' || card.type === 'safety') isEnabled = metricsToUse.safety;
-            else if (card.type === 'grossTarget') isEnabled = metricsToUse.grossTarget;
-            else isEnabled = true;
-        } else {
-            isEnabled = true;
-        }
-        return isEnabled;
-    });
+    // One card per registry metric; older locked reports without enabledMetrics show the metrics they stored
+    const metricsToUse = settingsToUse.enabledMetrics;
+    let performanceCards = [...METRIC_REGISTRY]
+        .filter(metric => {
+            const hasResult = reportData.bonuses?.[metric.label] !== undefined;
+            if (driverData.isLocked && !metricsToUse) return hasResult;
+            return isMetricEnabled(metric, settingsToUse) && (metric.builtIn || hasResult);
+        })
+        .sort((a, b) => a.card.order - b.card.order)
+        .map(metric => ({
+            title: metric.card.title,
+            titleIcon: metric.card.icon,
+            viewBox: metric.card.viewBox,
+            value: reportData.bonuses?.[metric.label]?.bonus || 0,
+            barTiers: getMetricBarTiers(metric, settingsToUse),
+            type: metric.card.type || metric.key,
+            metric
+        }));
 
     // Create a temporary canvas context to measure text
     const canvas = document.createElement('canvas');
@@ -1077,14 +1917,7 @@ function generateReportSVG(driverData, settings, driversForDate) {
 
     performanceCards.forEach(card => {
         if (!reportData.bonuses) { card.combinedText = "Data unavailable."; return; }
-        let bonusKey;
-        if (card.type === 'weeksOut') bonusKey = 'Weeks Out';
-        else if (card.type === 'tenure') bonusKey = 'Tenure';
-        else if (card.type === 'fuel') bonusKey = 'Fuel Efficiency';
-        else if (card.type === 'grossTarget') bonusKey = 'Gross Target';
-        else if (card.type === 'speeding') bonusKey = 'Speeding Penalty';
-        else if (card.type === 'safety') bonusKey = 'Safety Score';
-        const bonusData = reportData.bonuses[bonusKey];
+        const bonusData = reportData.bonuses[card.metric.label];
 
         switch (card.type) {
              case 'tenure':
@@ -1108,12 +1941,12 @@ function generateReportSVG(driverData, settings, driversForDate) {
                     else { card.infoText = 'Maximum gross target bonus reached.'; }
                 }
                 break;
-             case 'speeding': const speedingMethod = settingsToUse.speedingPenaltyMethod || 'percentile'; const numAlerts = driverData.speedingAlerts; const penaltyBonus = reportData.bonuses['Speeding Penalty']?.bonus || 0; switch (speedingMethod) { case 'perEvent': const minEvents = settingsToUse.speedingPerEventMinimum || 2; if (numAlerts < minEvents) { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}. No penalty applied.`; card.infoText = `Stay below ${minEvents} alerts to avoid penalties.`; } else { const penaltyPer = settingsToUse.speedingPerEventPenalty || -1.0; const penalizedEvents = numAlerts - (minEvents - 1); card.description = `This week, ${penalizedEvents} of your ${numAlerts} alerts were penalized at ${penaltyPer}%.`; card.infoText = `To avoid deductions, keep alerts under ${minEvents}.`; } break; case 'range': if (penaltyBonus === 0) { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}.`; card.infoText = 'Good job, no penalty applied for this range.'; } else { const sortedTiers = (settingsToUse.speedingRangeTiers || []).sort((a, b) => a.from - b.from); let activeTier = null; for (const tier of sortedTiers) { if (numAlerts >= tier.from && numAlerts <= (tier.to || Infinity)) { activeTier = tier; break; } } if (activeTier) { const toValue = activeTier.to; const rangeText = (toValue === null || typeof toValue === 'undefined' || toValue === Infinity) ? `${activeTier.from} or more` : `${activeTier.from}-${toValue}`; card.description = `To clear the penalty you got for ${numAlerts} alerts (${rangeText} tier), keep future alerts to 1 or fewer.`; card.infoText = ''; } else { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}.`; card.infoText = 'No penalty applied for this range.'; } } break; case 'percentile': default: if (penaltyBonus === 0) { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}.`; card.infoText = 'Good job, no speeding penalty applied.'; } else { card.description = `Your ${numAlerts} alerts mean you performed worse than ${driverData.speedingPercentile}% of drivers. To clear this penalty, keep future alerts to 1 or fewer.`; card.infoText = ''; } break; } break;
+             case 'speeding': const speedingMethod = settingsToUse.speedingPenaltyMethod || 'percentile'; const numAlerts = driverData.speedingAlerts; const penaltyBonus = reportData.bonuses['Speeding Penalty']?.bonus || 0; switch (speedingMethod) { case 'perEvent': const minEvents = settingsToUse.speedingPerEventMinimum || 2; if (numAlerts < minEvents) { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}. No penalty applied.`; card.infoText = `Stay below ${minEvents} alerts to avoid penalties.`; } else { const penaltyPer = settingsToUse.speedingPerEventPenalty || -1.0; const penalizedEvents = numAlerts - (minEvents - 1); card.description = `This week, ${penalizedEvents} of your ${numAlerts} alerts were penalized at ${penaltyPer}%.`; card.infoText = `To avoid deductions, keep alerts under ${minEvents}.`; } break; case 'range': if (penaltyBonus === 0) { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}.`; card.infoText = 'Good job, no penalty applied for this range.'; } else { const sortedTiers = (settingsToUse.speedingRangeTiers || []).sort((a, b) => a.from - b.from); let activeTier = null; for (const tier of sortedTiers) { if (numAlerts >= tier.from && numAlerts <= (tier.to || Infinity)) { activeTier = tier; break; } } if (activeTier) { const toValue = activeTier.to; const rangeText = (toValue === null || typeof toValue === 'undefined' || toValue === Infinity) ? `${activeTier.from} or more` : `${activeTier.from}-${toValue}`; card.description = `To clear the penalty you got for ${numAlerts} alerts (${rangeText} tier), keep future alerts to 1 or fewer.`; card.infoText = ''; } else { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}.`; card.infoText = 'No penalty applied for this range.'; } } break; case 'percentile': default: if (penaltyBonus === 0) { card.description = `${numAlerts} speeding ${numAlerts === 1 ? 'alert' : 'alerts'}.`; card.infoText = 'Good job, no speeding penalty applied.'; } else { card.description = `Your ${numAlerts} alerts mean you performed worse than ${driverData.speedingPercentile}% of ${cohortDrivers(driverData.speedingCohort)}. To clear this penalty, keep future alerts to 1 or fewer.`; card.infoText = ''; } break; } break;
              case 'fuel':
                 const currentMpg = parseFloat(driverData.mpg);
                 const fuelBonus = reportData.bonuses['Fuel Efficiency']?.bonus || 0;
-                if (fuelBonus >= 0) { card.description = `${currentMpg.toFixed(1)} MPG puts you better than ${driverData.mpgPercentile}% of drivers.`; } 
-                else { card.description = `${currentMpg.toFixed(1)} MPG puts you worse than ${100 - driverData.mpgPercentile}% of drivers.`; }
+                if (fuelBonus >= 0) { card.description = `${currentMpg.toFixed(1)} MPG puts you better than ${driverData.mpgPercentile}% of ${cohortDrivers(driverData.mpgCohort)}.`; } 
+                else { card.description = `${currentMpg.toFixed(1)} MPG puts you worse than ${100 - driverData.mpgPercentile}% of ${cohortDrivers(driverData.mpgCohort)}.`; }
                 
                 if (reportData.bonuses['Fuel Efficiency']?.infoText) {
                     card.infoText = reportData.bonuses['Fuel Efficiency'].infoText;
@@ -1147,16 +1980,38 @@ function generateReportSVG(driverData, settings, driversForDate) {
                     card.infoText = nextWeeksOutTier ? `Stay out for ${nextWeeksOutTier.threshold} weeks for a +${nextWeeksOutTier.bonus.toFixed(1)}% bonus.` : 'Max weeks out bonus reached.';
                 }
                 break;
+            default: {
+                // Declarative registry metrics (RPM, idle time, hard braking)
+                const { description, infoText } = describeDeclarativeMetric(card.metric, driverData, settingsToUse, bonusData);
+                card.description = description;
+                card.infoText = infoText;
+                break;
+            }
         }
 
         if (bonusData && bonusData.ignored) {
             const potential = bonusData.potentialBonus || 0;
             let suffix = potential > 0 ? ' (no bonus applied)' : (potential < 0 ? ' (no penalty applied)' : '');
+            // Say why it was ignored (locked reports from before the trace existed fall back to the plain suffix)
+            const ignoredWhy = { ignoreAll: 'all metrics excluded', ignoreFlag: 'excluded by your driver rep', partialWeek: 'partial week' }[bonusData.trace?.ignoredReason];
+            if (ignoredWhy && suffix) suffix = suffix.replace(')', ` - ${ignoredWhy})`);
             card.infoText = ''; 
             card.description = (card.description || '') + suffix;
         }
         if (card.type === 'grossTarget') card.combinedText = card.description;
         else card.combinedText = card.combinedText || `${card.description} ${card.infoText}`;
+        // The full calculation trace travels with the card as an SVG tooltip
+        card.traceReason = bonusData?.trace?.reason || '';
+
+        // Rolling windows: show the weekly value next to the rolling value that was scored
+        if (card.type === 'fuel' && driverData.rollingMpg !== undefined) {
+            card.combinedText = `${card.combinedText} ${driverData.rollingMpgWeeks}-week rolling: ${parseFloat(driverData.rollingMpg).toFixed(1)} MPG (this week: ${parseFloat(driverData.weeklyMpg || 0).toFixed(1)} MPG).`;
+        } else if (card.type === 'safety' && driverData.rollingSafetyScore !== undefined) {
+            card.combinedText = `${card.combinedText} ${driverData.rollingSafetyWeeks}-week rolling: ${driverData.rollingSafetyScore}% (this week: ${driverData.weeklySafetyScore}%).`;
+        }
+
+        const metricCap = (reportData.capAdjustments || []).find(adjustment => adjustment.scope === 'metric' && adjustment.label === card.metric.label);
+        if (metricCap) card.combinedText = `${card.combinedText} ${formatCapAdjustment(metricCap)}.`;
     });
 
     const availableDays = reportData.availableOffDays; 
@@ -1195,7 +2050,14 @@ function generateReportSVG(driverData, settings, driversForDate) {
     const timeOffCardYBase = 200 + performanceCards.length * 90;
     const timeOffCardY = timeOffCardYBase - 20;
     const descriptionY = timeOffCardY + 40 + 15;
-    const height = descriptionY + 40;
+    const capAdjustments = reportData.capAdjustments || [];
+    const capsY = descriptionY + 45;
+    const capsHeight = capAdjustments.length > 0 ? 30 + capAdjustments.length * 16 : 0;
+    // "How to earn more next week": the biggest coaching targets, at most four
+    const coachingTargets = buildCoachingTargets(reportData, driverData, driversForDate).slice(0, 4);
+    const coachingY = capsY + capsHeight;
+    const coachingHeight = coachingTargets.length > 0 ? 30 + coachingTargets.length * 16 : 0;
+    const height = descriptionY + 40 + capsHeight + coachingHeight;
     const statusBarY = timeOffCardYBase - 12;
     let dayBlocksHtml = '', outlineHtml = '';
     const greenShades = ['#375D4A', '#44715A', '#52856A', '#619A7B', '#70AC8D'];
@@ -1276,7 +2138,7 @@ function generateReportSVG(driverData, settings, driversForDate) {
                 lines.push(currentLine); 
                 const descriptionHtml = lines.map((line, i) => `<tspan x="60" dy="${i === 0 ? 0 : '1.4em'}">${line}</tspan>`).join('');
 
-                return `<g><rect x="40" y="${card_y}" width="${width - 80}" height="${card_height}" fill="#1e293b" fill-opacity="0.5" /><g transform="translate(55, ${y_base})"><path d="${card.titleIcon}" stroke="#94a3b8" stroke-width="1.5" fill="none" transform="scale(0.8) translate(0, -14)"/><text x="26" y="0" dominant-baseline="middle" font-size="15" font-weight="600" fill="#ffffff">${card.title}</text></g>${barHtml}<text x="${width - 55}" y="${y_base}" dominant-baseline="middle" font-size="18" font-weight="700" fill="${valueDisplayColor}" text-anchor="end">${card.value > 0 ? '+' : ''}${formatNumber(card.value)}%</text><text y="${card_y + card_height + 15}" font-size="10" fill="#60a5fa" dominant-baseline="middle">${descriptionHtml}</text>${barLabelsHtml}</g>`;
+                return `<g>${card.traceReason ? `<title>${card.traceReason.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</title>` : ''}<rect x="40" y="${card_y}" width="${width - 80}" height="${card_height}" fill="#1e293b" fill-opacity="0.5" /><g transform="translate(55, ${y_base})"><path d="${card.titleIcon}" stroke="#94a3b8" stroke-width="1.5" fill="none" transform="scale(0.8) translate(0, -14)"/><text x="26" y="0" dominant-baseline="middle" font-size="15" font-weight="600" fill="#ffffff">${card.title}</text></g>${barHtml}<text x="${width - 55}" y="${y_base}" dominant-baseline="middle" font-size="18" font-weight="700" fill="${valueDisplayColor}" text-anchor="end">${card.value > 0 ? '+' : ''}${formatNumber(card.value)}%</text><text y="${card_y + card_height + 15}" font-size="10" fill="#60a5fa" dominant-baseline="middle">${descriptionHtml}</text>${barLabelsHtml}</g>`;
             }).join('')}
 
             <g>
@@ -1291,6 +2153,16 @@ function generateReportSVG(driverData, settings, driversForDate) {
                     <tspan x="60" dy="0">${timeOffCard.description}</tspan>
                 </text>
             </g>
+            ${capAdjustments.length > 0 ? `
+            <g>
+                <text x="40" y="${capsY}" dominant-baseline="middle" font-size="13" font-weight="600" fill="#fbbf24">Caps Applied</text>
+                ${capAdjustments.map((adjustment, index) => `<text x="60" y="${capsY + 20 + index * 16}" dominant-baseline="middle" font-size="10" fill="#cbd5e1">${formatCapAdjustment(adjustment)}</text>`).join('')}
+            </g>` : ''}
+            ${coachingTargets.length > 0 ? `
+            <g>
+                <text x="40" y="${coachingY}" dominant-baseline="middle" font-size="13" font-weight="600" fill="${brightGreenColor}">How to earn more next week</text>
+                ${coachingTargets.map((target, index) => `<text x="60" y="${coachingY + 20 + index * 16}" dominant-baseline="middle" font-size="10" fill="#cbd5e1">${target.text}</text>`).join('')}
+            </g>` : ''}
         </svg>
     `;
     return svg;
@@ -1376,7 +2248,7 @@ export function openEditPanel(driverId, state) {
             </div>`;
     }
     
-    const fieldsToExclude = ['id', 'name', 'totalTpog', 'actions', 'contract_type', 'dispatcher', 'team', 'franchise', 'company', 'rpm', 'estimatedNet', 'bonuses', 'penalties', 'speeding_over11mph', 'speeding_over16mph', 'samsaraDistance', 'availableOffDays', 'escrowDeduct', 'offDays'];
+    const fieldsToExclude = ['id', 'name', 'totalTpog', 'actions', 'contract_type', 'dispatcher', 'team', 'franchise', 'company', 'rpm', 'estimatedNet', 'bonuses', 'penalties', 'speeding_over11mph', 'speeding_over16mph', 'samsaraDistance', 'availableOffDays', 'escrowDeduct', 'offDays', 'performanceWeek'];
 
     const orderedKeys = [
         'tenure',
@@ -1424,6 +2296,25 @@ export function openEditPanel(driverId, state) {
         <div><label class="block text-sm font-medium text-slate-400 mb-1">Escrow Deduct</label><input type="number" id="edit-escrowDeduct" class="edit-input" value="${reportData.escrowDeduct}"></div>
     `;
 
+    // --- CALCULATION TRACE SECTION (read-only: why each metric scored what it did) ---
+    const traceRows = Object.entries(reportData.bonuses || {}).filter(([, data]) => data.trace).map(([label, data]) => {
+        const amountClass = data.trace.status !== 'applied' ? 'text-slate-500' : (data.bonus > 0 ? 'text-green-400' : (data.bonus < 0 ? 'text-red-400' : 'text-slate-300'));
+        return `
+            <div class="flex items-start justify-between gap-3 py-1.5 border-b border-slate-700/50 last:border-0">
+                <div class="min-w-0">
+                    <div class="text-xs font-semibold text-slate-300">${label}</div>
+                    <div class="text-[11px] text-slate-400">${data.trace.reason}</div>
+                </div>
+                <span class="text-xs font-bold whitespace-nowrap ${amountClass}">${data.bonus >= 0 ? '+' : ''}${data.bonus.toFixed(1)}%</span>
+            </div>`;
+    }).join('');
+    const traceFieldsHtml = traceRows ? `
+        <div class="mt-2 border-t border-slate-700 pt-4">
+            <h3 class="text-sm font-bold text-slate-300 mb-2">Calculation Trace</h3>
+            <div class="bg-slate-800/60 rounded border border-slate-700 px-3">${traceRows}</div>
+        </div>
+    ` : '';
+
     // --- METRIC EXCLUSIONS SECTION ---
     const isTrue = (val) => val === true || val === 'true';
     const isFalse = (val) => val === false || val === 'false';
@@ -1471,7 +2362,7 @@ export function openEditPanel(driverId, state) {
         </div>
     `;
 
-    editContent.innerHTML = `<div class="grid grid-cols-1 gap-4">${formHtml}${formFieldsHtml}${timeOffFieldsHtml}${exclusionFieldsHtml}</div>`;
+    editContent.innerHTML = `<div class="grid grid-cols-1 gap-4">${formHtml}${formFieldsHtml}${timeOffFieldsHtml}${traceFieldsHtml}${exclusionFieldsHtml}</div>`;
 
     const editFooter = document.querySelector('#edit-panel footer');
     if (isNew) {
@@ -1524,7 +2415,7 @@ export function openEditPanel(driverId, state) {
     if (mpgInput && mpgPercentileInput) {
         mpgInput.addEventListener('input', () => {
             const mpg = parseFloat(mpgInput.value);
-            const percentile = calculateMpgPercentile(mpg, driversForDate);
+            const percentile = calculateMpgPercentile(mpg, driversForDate, settings, driver);
             mpgPercentileInput.value = percentile;
         });
     }
@@ -1532,7 +2423,7 @@ export function openEditPanel(driverId, state) {
     if (speedingInput && speedingPercentileInput) {
         speedingInput.addEventListener('input', () => {
             const alerts = parseInt(speedingInput.value, 10);
-            const percentile = calculateSpeedingPercentile(alerts, driversForDate, settings);
+            const percentile = calculateSpeedingPercentile(alerts, driversForDate, settings, driver);
             speedingPercentileInput.value = percentile;
         });
     }
@@ -1579,7 +2470,143 @@ export function closeEditPanel() {
     editOverlay.classList.add('hidden');
 }
 
-export function openActivityHistoryModal(driver, mileageData, settings, daysTakenHistory, dispatcherOverrides, allLockedData = {}, allWeeklyNotes = {}, allContracts = {}) {
+const WEEKS_OUT_METHOD_LABELS = { fullWeeksOnly: 'Full Weeks Only', dailyAccrual: 'Daily Accrual', daysOff: 'Days Off' };
+const TRACE_SOURCE_LABELS = { locked: 'Locked snapshot', live: 'Live activity data', skipped: 'Not scored' };
+
+const formatTraceStreak = (weeks) => Number.isInteger(weeks) ? String(weeks) : weeks.toFixed(1);
+
+/**
+ * Renders the day-by-day Weeks Out explanation for one week of the streak calculation.
+ * @param {Object} trace One entry of driver.weeksOutTrace.
+ * @param {Object} settings The application settings object.
+ * @returns {string} The explainer HTML.
+ */
+function renderWeeksOutExplainer(trace, settings) {
+    if (trace.source === 'skipped') {
+        return `<div class="text-xs text-slate-400 bg-slate-900/60 border border-slate-700/50 rounded-lg p-3">
+            Contract <span class="text-slate-200">${trace.contractType || 'Unknown'}</span> is not scored, so the streak reset from ${trace.streakBefore} to 0 and this week was skipped.
+        </div>`;
+    }
+
+    const daysHtml = trace.days.map(day => {
+        let color = 'border-green-700 bg-green-900/30 text-green-300';
+        let verdict = 'Counted';
+        if (day.isNotStarted || day.isContractEnded) {
+            color = 'border-slate-600 bg-slate-800 text-slate-400';
+            verdict = day.isNotStarted ? 'Not started' : 'Contract ended';
+        } else if (day.isRehireGap) {
+            color = 'border-slate-600 border-dashed bg-slate-800 text-slate-400';
+            verdict = 'Rehire gap';
+        } else if (day.isDayOff) {
+            color = 'border-red-700 bg-red-900/30 text-red-300';
+            verdict = 'Day off';
+        }
+        const details = [
+            `Status: ${day.status}`,
+            day.override ? `Dispatcher override: ${day.override}` : null,
+            day.isRehireGap ? 'Between contracts, rehired within the rehire window: the streak is paused' : null,
+            day.isFreshRehire ? 'First day of a rehire after the rehire window: the streak starts fresh' : null,
+            `Miles: ${Math.round(day.mileage || 0)}`,
+            day.dayStreak !== null ? `Day streak after: ${day.dayStreak}` : null
+        ].filter(Boolean).join(' | ');
+        return `
+            <div class="tooltip-container flex flex-col items-center rounded border px-2 py-1 ${color}" data-tooltip="${details}">
+                <span class="text-[9px] uppercase tracking-wider">${getDayLabel(day.date).short} ${day.date.slice(5)}</span>
+                <span class="text-[10px] font-semibold">${verdict}</span>
+                ${day.resetsStreak ? '<span class="text-[9px] font-bold text-orange-300">Resets streak</span>' : ''}
+            </div>`;
+    }).join('');
+
+    let summary;
+    if (trace.method === 'dailyAccrual') {
+        summary = `Day streak ${trace.dayStreakBefore} → ${trace.dayStreakAfter} (each active day adds 0.1429 weeks), so whole weeks out went ${trace.streakBefore} → ${trace.streakAfter}.`;
+        if (trace.resetReason) summary += ` The streak reset on ${trace.resetReason.replace('_', ' ').toLowerCase()}.`;
+    } else if (trace.weekMetCriteria) {
+        summary = `No days off and no NOT_STARTED days, so the week counted: ${trace.streakBefore} → ${formatTraceStreak(trace.streakAfter)}.`;
+        if (trace.resetReason === 'REHIRED') summary += ' The driver was rehired after the rehire window, so the count restarted.';
+    } else if (trace.resetReason) {
+        summary = `The streak reset to 0 (${trace.resetReason === 'DAY_OFF' ? `${trace.daysOff} day(s) off with reset on days off enabled` : trace.resetReason}).`;
+    } else {
+        summary = `${trace.daysOff} day(s) off, so the week did not count; the streak stayed at ${formatTraceStreak(trace.streakAfter)}.`;
+    }
+
+    return `
+        <div class="bg-slate-900/60 border border-slate-700/50 rounded-lg p-3">
+            <div class="flex items-center gap-3 text-[11px] text-slate-400 mb-2">
+                <span>Method: <span class="text-slate-200">${WEEKS_OUT_METHOD_LABELS[trace.method] || trace.method}</span></span>
+                <span>Source: <span class="${trace.source === 'locked' ? 'text-blue-300' : 'text-slate-200'}">${TRACE_SOURCE_LABELS[trace.source]}</span></span>
+                <span>Performance week: <span class="text-slate-200">${trace.performanceWeek.start} – ${trace.performanceWeek.end}</span></span>
+                ${settings.weeksOutResetOnDaysOff ? '<span class="text-orange-300">Days off reset the streak</span>' : ''}
+            </div>
+            <div class="flex flex-wrap gap-1.5 mb-2">${daysHtml}</div>
+            <p class="text-xs text-slate-300">${summary}</p>
+        </div>`;
+}
+
+/**
+ * Renders the driver's time-off ledger for the activity history modal, newest week first.
+ * Locked weeks show their persisted entries; other weeks are recalculated live.
+ * Admins also get a form to grant or forfeit days, and the list of existing adjustments.
+ * @param {Object} driver The processed driver (carries timeOffLedger up to the selected week).
+ * @param {Object} settings The application settings object.
+ * @param {{ledger: Array<Object>, adjustments: Array<Object>, canAdjust: boolean}} timeOff
+ *   The persisted ledger entries, the admin adjustments and whether the user may add adjustments.
+ * @returns {string} The HTML for the ledger section (empty if there is nothing to show).
+ */
+function renderTimeOffLedger(driver, settings, { ledger = [], adjustments = [], canAdjust = false } = {}) {
+    const currentWeekEntries = driver.isLocked ? driver.timeOffEntries : getDriverReportData(driver, settings, [driver]).timeOffEntries;
+    const entries = mergeLedgers([...(driver.timeOffLedger || []), ...(currentWeekEntries || [])], ledger)
+        .sort((a, b) => b.payDate.localeCompare(a.payDate)); // Newest week first, entries within a week in order
+    if (entries.length === 0 && !canAdjust) return '';
+
+    const adjustHtml = canAdjust ? `
+        <div class="time-off-adjust-form flex flex-wrap items-end gap-2 mb-3 p-3 bg-slate-800/40 border border-slate-700/50 rounded-lg">
+            <div><label class="block text-xs text-slate-400 mb-1">Adjustment</label>
+                <select class="time-off-adjust-type settings-input"><option value="grant">Grant</option><option value="forfeit">Forfeit</option></select></div>
+            <div><label class="block text-xs text-slate-400 mb-1">Days</label><input type="number" min="0" step="0.5" class="time-off-adjust-days settings-input w-20"></div>
+            <div><label class="block text-xs text-slate-400 mb-1">Effective Pay Date</label><input type="date" class="time-off-adjust-date settings-input" value="${driver.pay_date.split('T')[0]}"></div>
+            <div class="flex-grow"><label class="block text-xs text-slate-400 mb-1">Reason</label><input type="text" class="time-off-adjust-reason settings-input w-full" placeholder="e.g. Bereavement leave"></div>
+            <button class="time-off-adjust-save-btn px-3 py-1.5 text-xs font-semibold rounded-md bg-blue-600 hover:bg-blue-500 text-white" data-driver-name="${driver.name}">Save</button>
+        </div>
+        ${adjustments.length > 0 ? `<div class="flex flex-wrap gap-2 mb-3">${adjustments.map(adjustment => `
+            <span class="inline-flex items-center gap-1 text-[11px] text-slate-300 bg-slate-800 border border-slate-600 rounded px-2 py-0.5" title="${adjustment.createdBy ? `Added by ${adjustment.createdBy}` : ''}">
+                ${adjustment.payDate}: ${adjustment.days > 0 ? '+' : ''}${adjustment.days}d ${adjustment.reason}
+                <button class="time-off-adjustment-delete-btn text-slate-500 hover:text-red-400" data-driver-name="${driver.name}" data-adjustment-id="${adjustment.id}" title="Delete adjustment">&times;</button>
+            </span>`).join('')}</div>` : ''}` : '';
+
+    const typeColors = { accrued: 'text-green-400', used: 'text-yellow-400', reset: 'text-slate-400', escrow: 'text-red-400', adjustment: 'text-blue-400', expired: 'text-orange-400', capped: 'text-orange-400' };
+    const formatDays = (days) => `${days > 0 ? '+' : ''}${parseFloat(days.toFixed(2))}`;
+    const rows = entries.map(entry => `
+        <tr>
+            <td>${entry.payDate}${entry.locked ? ' <span class="text-[9px] text-slate-500 uppercase" title="Saved when the week was locked">Locked</span>' : ''}</td>
+            <td class="${typeColors[entry.type] || ''}">${LEDGER_ENTRY_TYPES[entry.type] || entry.type}</td>
+            <td>${entry.type === 'escrow' ? `-$${(entry.amount || 0).toFixed(2)}` : formatDays(entry.days)}</td>
+            <td>${parseFloat(entry.balanceAfter.toFixed(2))}</td>
+            <td class="text-slate-400">${entry.reason}</td>
+        </tr>`).join('');
+
+    return `
+        <div class="mt-6">
+            <h4 class="text-sm font-semibold text-slate-300 mb-2">Time-Off Ledger</h4>
+            ${adjustHtml}
+            ${entries.length > 0 ? `<div class="history-table-wrapper">
+                <table class="history-table">
+                    <thead>
+                        <tr>
+                            <th>Week</th>
+                            <th>Type</th>
+                            <th>Days</th>
+                            <th>Balance</th>
+                            <th>Reason</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>` : ''}
+        </div>`;
+}
+
+export function openActivityHistoryModal(driver, mileageData, settings, daysTakenHistory, dispatcherOverrides, allLockedData = {}, allWeeklyNotes = {}, allContracts = {}, timeOff = {}) {
     const modal = document.getElementById('activity-history-modal');
     const content = document.getElementById('activity-history-content');
     document.getElementById('activity-history-driver-name').textContent = driver.name;
@@ -1613,6 +2640,7 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
     const driverFirstAppearance = new Date(Math.min(...allRecordDates));
 
     const formatDate = (date) => date.toISOString().split('T')[0];
+    const { weekStartDay, operatingTimezone } = getWorkWeekSettings(settings);
     let historyHtml = '';
     // *** FIX 1: Ensure mileage is a number ***
     const driverMileageMap = new Map(driverMileageRecords.map(m => [m.date, parseFloat(m.movement) || 0]));
@@ -1637,23 +2665,21 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
         });
     }
 
+    const weeksOutTraceByPayDate = new Map((driver.weeksOutTrace || []).map(trace => [trace.payDate, trace]));
+
     // --- START: Dynamic Loop Logic ---
     // 5. Loop dynamically without a fixed limit.
     let weekIndex = 0;
     while (true) {
         const payDate = new Date(driver.pay_date);
+        const baseWeekEnd = getWeekEndingOnOrBefore(formatDate(payDate), weekStartDay).end;
     
-        const dayOfWeek = payDate.getUTCDay();
-        const daysToSubtract = (dayOfWeek + 6) % 7;
-        const baseMonday = new Date(payDate);
-        baseMonday.setUTCDate(payDate.getUTCDate() - daysToSubtract);
-    
-        // Calculate the Monday for the current historical week
-        const monday = new Date(baseMonday);
-        monday.setUTCDate(baseMonday.getUTCDate() - (weekIndex * 7));
+        // Calculate the last day of the current historical week
+        const weekEnd = new Date(baseWeekEnd);
+        weekEnd.setUTCDate(baseWeekEnd.getUTCDate() - (weekIndex * 7));
 
         // 6. Stop looping if the current week is before the driver's first appearance.
-        if (monday < driverFirstAppearance) {
+        if (weekEnd < driverFirstAppearance) {
             break;
         }
 
@@ -1730,8 +2756,20 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
             `;
         }
 
-        const tuesday = new Date(monday);
-        tuesday.setUTCDate(monday.getUTCDate() - 6);
+        const performanceWeek = getPerformanceWeek(currentPayDateStr, getPayDelayWeeks(lockedSnapshot || driver, settings), weekStartDay);
+        const { start: weekStart } = performanceWeek;
+
+        // Live weeks take the contract from the contract history; any contract that ended this week is flagged
+        if (!contractInfoHtml) {
+            const contract = getContractForDay(driver, performanceWeek.endStr, allContracts) || getContractForDay(driver, performanceWeek.startStr, allContracts);
+            if (contract) {
+                contractInfoHtml = `<span class="text-[10px] font-semibold text-slate-300 border border-slate-600 bg-slate-800 px-2 py-0.5 rounded shadow-sm" title="Contract & Company">${contract.contractType || driver.contract_type} • ${contract.company || driver.company}</span>`;
+            }
+        }
+        const endedContract = getContractPeriods(driver, allContracts).find(p => p.end && p.end >= performanceWeek.startStr && p.end <= performanceWeek.endStr);
+        if (endedContract) {
+            contractInfoHtml += `<span class="text-[10px] font-semibold text-orange-300 border border-orange-800 bg-orange-900/30 px-2 py-0.5 rounded shadow-sm" title="${endedContract.terminationReason || 'No termination reason recorded'}">Contract ended ${endedContract.end.slice(5).replace('-', '/')}</span>`;
+        }
 
         let weeklyActivityData = [];
         let lastKnownStatus = 'NO DATA';
@@ -1741,24 +2779,23 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
             weeklyActivityData = lockedWeeklyActivity;
         } else {
             // --- USE LIVE CALCULATION ---
-            const dayLabels = ['Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Monday'];
-            const dayShortLabels = ['T', 'W', 'T', 'F', 'S', 'S', 'M'];
+            const dayLabels = getWeekDayLabels(weekStartDay);
 
             for (let j = 0; j < 7; j++) {
-                const currentDay = new Date(tuesday);
-                currentDay.setUTCDate(tuesday.getUTCDate() + j);
+                const currentDay = new Date(weekStart);
+                currentDay.setUTCDate(weekStart.getUTCDate() + j);
                 const dayString = formatDate(currentDay);
                 const mileage = driverMileageMap.get(dayString) || 0;
-                const formattedDate = `${dayLabels[j]}, ${(currentDay.getUTCMonth() + 1).toString().padStart(2, '0')}.${currentDay.getUTCDate().toString().padStart(2, '0')}`;
+                const formattedDate = `${dayLabels[j].long}, ${(currentDay.getUTCMonth() + 1).toString().padStart(2, '0')}.${currentDay.getUTCDate().toString().padStart(2, '0')}`;
 
                 const overrideKey = `${driver.name}_${dayString}`;
                 const overrideStatus = dispatcherOverrides[overrideKey];
                 const isOverridden = !!dispatcherOverrides[overrideKey];
 
-                const contractStatus = getContractStatusForDay(driver.name, dayString, allContracts);
+                const contractStatus = getContractStatusForDay(driver, dayString, allContracts);
 
                 const statusesForDay = driverChangelog
-                    .filter(log => new Date(log.date).toLocaleDateString('en-US', { timeZone: 'America/Chicago' }) === currentDay.toLocaleDateString('en-US', { timeZone: 'America/Chicago' }))
+                    .filter(log => toDateKey(log.date, operatingTimezone) === dayString)
                     .map(log => {
                         let st = log.activity_status;
                         if (st === 'WITHOUT_LOAD' || st === 'WITHOUT LOAD') return 'ACTIVE';
@@ -1791,7 +2828,7 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
                 }
 
                 weeklyActivityData.push({
-                    day: dayShortLabels[j],
+                    day: dayLabels[j].letter,
                     mileage: mileage,
                     fullDate: formattedDate,
                     statuses: finalStatus,
@@ -1803,8 +2840,8 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
 
             // Check confirmation status for live data
             for (let j = 0; j < 7; j++) {
-                const currentDay = new Date(tuesday);
-                currentDay.setUTCDate(tuesday.getUTCDate() + j);
+                const currentDay = new Date(weekStart);
+                currentDay.setUTCDate(weekStart.getUTCDate() + j);
                 const dayString = formatDate(currentDay);
                 const overrideKey = `${driver.name}_${dayString}`;
                 if (!dispatcherOverrides[overrideKey]) {
@@ -1883,14 +2920,21 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
         }
 
         const lockedBadge = isLocked ? '<span class="text-[10px] font-bold text-blue-400 border border-blue-800 bg-blue-900/30 px-2 py-0.5 rounded uppercase tracking-wider shadow-sm">Locked</span>' : '';
+
+        // Weeks Out explainer toggle (only for weeks the streak calculation walked through)
+        const weekTrace = weeksOutTraceByPayDate.get(currentPayDateStr);
+        const weeksOutBadge = weekTrace
+            ? `<button class="weeks-out-explain-btn text-[10px] font-semibold text-emerald-300 border border-emerald-800 bg-emerald-900/30 hover:bg-emerald-900/60 px-2 py-0.5 rounded shadow-sm" data-pay-date="${currentPayDateStr}" title="Explain how Weeks Out changed this week">Weeks Out ${weekTrace.streakBefore} → ${formatTraceStreak(weekTrace.streakAfter)}</button>`
+            : '';
         
         // Only generate the badge row if there are actual badges to show
         let badgesHtml = '';
-        if (lockedBadge || contractInfoHtml) {
+        if (lockedBadge || contractInfoHtml || weeksOutBadge) {
             badgesHtml = `
                 <div class="flex items-center gap-1.5 flex-wrap mt-1">
                     ${lockedBadge}
                     ${contractInfoHtml}
+                    ${weeksOutBadge}
                 </div>
             `;
         }
@@ -1908,6 +2952,7 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
                     <div class="flex items-center gap-1.5 text-slate-300">
                         <svg class="w-4 h-4 text-slate-500" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path></svg>
                         <span class="text-sm font-semibold whitespace-nowrap">${formattedPayDate}</span>
+                        <span class="text-[10px] text-slate-500 whitespace-nowrap" title="Performance week paid on this date">${formatPerformanceWeek(performanceWeek)}</span>
                     </div>
                     ${badgesHtml}
                 </div>
@@ -1923,7 +2968,8 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
                 <div class="flex items-center justify-end min-w-0">
                     ${statsSegment ? `<div class="py-1.5 pr-2">${statsSegment}</div>` : ''}
                 </div>
-            </div>`;
+            </div>
+            ${weekTrace ? `<div class="weeks-out-explainer hidden mb-3 -mt-1" data-pay-date="${currentPayDateStr}">${renderWeeksOutExplainer(weekTrace, settings)}</div>` : ''}`;
         
         historyHtml += weekHtml;
 
@@ -1936,10 +2982,16 @@ export function openActivityHistoryModal(driver, mileageData, settings, daysTake
     }
     // --- END: Dynamic Loop Logic ---
 
-    content.innerHTML = historyHtml || '<p class="text-slate-500 text-center py-10">No historical activity found.</p>';
+    content.innerHTML = (historyHtml + renderTimeOffLedger(driver, settings, timeOff)) || '<p class="text-slate-500 text-center py-10">No historical activity found.</p>';
 
     // Attach click listener for the dynamically rendered action buttons
     content.onclick = (e) => {
+        const explainBtn = e.target.closest('.weeks-out-explain-btn');
+        if (explainBtn) {
+            const panel = content.querySelector(`.weeks-out-explainer[data-pay-date="${explainBtn.dataset.payDate}"]`);
+            if (panel) panel.classList.toggle('hidden');
+            return;
+        }
         const viewBtn = e.target.closest('.history-view-report-btn');
         const downloadBtn = e.target.closest('.history-download-btn');
         if (viewBtn || downloadBtn) {
@@ -2121,6 +3173,110 @@ export function updateLoadingProgress(width, hide = false) {
     }
 }
 
+const SYNCED_DATASET_LABELS = {
+    mileageData: 'ProLogs mileage',
+    allSafetyData: 'Samsara safety',
+    daysTakenHistory: 'Days taken'
+};
+
+/**
+ * Shows when the delta-synced datasets were last synced in the header. The oldest time is
+ * shown; the tooltip lists each dataset.
+ * @param {Object} lastSynced Map of dataset key to time (ms since epoch) or null (see api.getLastSynced).
+ */
+export function renderLastSynced(lastSynced) {
+    const indicator = document.getElementById('last-synced-indicator');
+    if (!indicator) return;
+    const formatTime = (time) => new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const times = Object.values(lastSynced).filter(time => time !== null);
+    indicator.textContent = times.length > 0 ? `Last synced ${formatTime(Math.min(...times))}` : '';
+    indicator.title = Object.entries(lastSynced)
+        .map(([key, time]) => `${SYNCED_DATASET_LABELS[key] || key}: ${time !== null ? formatTime(time) : 'not synced'}`)
+        .join('\n');
+}
+
+/**
+ * Shows or hides the offline badge in the status bar.
+ * @param {boolean} online Whether the browser is online.
+ */
+export function renderConnectionStatus(online) {
+    const indicator = document.getElementById('offline-indicator');
+    if (indicator) indicator.classList.toggle('hidden', online);
+}
+
+/**
+ * Shows the saves still in the mutation queue in the status bar: a button with the count
+ * (red when any failed or conflict) and a panel listing each save, with a retry action for
+ * failed ones and a choice of change for conflicts. Hidden when nothing is queued.
+ * @param {Array<Object>} mutations The queued mutations (see mutationQueue.getMutations).
+ */
+export function renderPendingSaves(mutations) {
+    const container = document.getElementById('pending-saves-container');
+    const button = document.getElementById('pending-saves-btn');
+    const panel = document.getElementById('pending-saves-panel');
+    if (!container || !button || !panel) return;
+
+    container.classList.toggle('hidden', mutations.length === 0);
+    if (mutations.length === 0) panel.classList.add('hidden');
+
+    const failedCount = mutations.filter(m => m.status === 'failed').length;
+    const conflictCount = mutations.filter(m => m.status === 'conflict').length;
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    button.textContent = conflictCount > 0 ? `${plural(conflictCount, 'conflict')} to resolve`
+        : failedCount > 0 ? `${plural(failedCount, 'save')} failed`
+        : `Saving ${plural(mutations.length, 'change')}...`;
+    button.className = `text-xs px-2 py-1 rounded-md border whitespace-nowrap transition-colors shadow-lg ${failedCount + conflictCount > 0
+        ? 'border-red-500/50 bg-red-500/10 text-red-400 hover:bg-red-500/20'
+        : 'border-amber-500/50 bg-amber-500/10 text-amber-400 hover:bg-amber-500/20'}`;
+
+    panel.innerHTML = `
+        <div class="flex justify-between items-center p-3 border-b border-slate-700 sticky top-0 bg-slate-800">
+            <span class="text-sm font-semibold text-slate-200">Unsaved changes</span>
+            ${failedCount > 0 ? '<button data-retry-all-mutations class="text-xs text-blue-400 hover:text-blue-300">Retry all</button>' : ''}
+        </div>
+        <ul class="divide-y divide-slate-700"></ul>`;
+    const list = panel.querySelector('ul');
+    mutations.forEach(mutation => {
+        const item = document.createElement('li');
+        item.className = 'flex justify-between items-start gap-3 p-3';
+
+        const text = document.createElement('div');
+        text.className = 'min-w-0';
+        const label = document.createElement('p');
+        label.className = 'text-sm text-slate-200 truncate';
+        label.textContent = mutation.label;
+        const status = document.createElement('p');
+        status.className = `text-xs ${mutation.status === 'failed' || mutation.status === 'conflict' ? 'text-red-400' : 'text-slate-400'}`;
+        status.textContent = mutation.status === 'failed' ? `Failed: ${mutation.lastError}`
+            : mutation.status === 'conflict' ? `Changed by someone else to "${mutation.serverValue ?? '(cleared)'}"`
+            : mutation.status === 'sending' ? 'Saving...'
+            : mutation.attempts > 0 ? `Retrying (attempt ${mutation.attempts + 1})` : 'Waiting to save';
+        text.append(label, status);
+        item.appendChild(text);
+
+        if (mutation.status === 'failed') {
+            const retry = document.createElement('button');
+            retry.className = 'text-xs text-blue-400 hover:text-blue-300 flex-shrink-0';
+            retry.dataset.retryMutation = mutation.id;
+            retry.textContent = 'Retry';
+            item.appendChild(retry);
+        } else if (mutation.status === 'conflict') {
+            const choices = document.createElement('div');
+            choices.className = 'flex flex-col items-end gap-1 flex-shrink-0';
+            [['mine', 'Keep mine'], ['theirs', 'Use theirs']].forEach(([keep, text]) => {
+                const choice = document.createElement('button');
+                choice.className = 'text-xs text-blue-400 hover:text-blue-300';
+                choice.dataset.resolveMutation = mutation.id;
+                choice.dataset.keep = keep;
+                choice.textContent = text;
+                choices.appendChild(choice);
+            });
+            item.appendChild(choices);
+        }
+        list.appendChild(item);
+    });
+}
+
 /**
  * Renders the safety history table and chart.
  * @param {Array<Object>} data The safety data to render.
@@ -2206,8 +3362,9 @@ function renderSafetyTable(data) {
  * @param {Array<Object>} driverLogs The filtered changelog data for one driver.
  * @param {Array<Object>} mileageData All historical mileage records.
  * @param {string} driverName The name of the driver being viewed.
+ * @param {number} weekStartDay The day the work week starts on; days are grouped under their work week.
  */
-function renderChangelogTable(driverLogs, mileageData, driverName) {
+function renderChangelogTable(driverLogs, mileageData, driverName, weekStartDay) {
     const container = document.getElementById('changelog-content');
 
     if (!driverLogs || driverLogs.length === 0) {
@@ -2222,23 +3379,32 @@ function renderChangelogTable(driverLogs, mileageData, driverName) {
             .map(m => [m.date, m.movement || 0])
     );
 
+    // Group by the calendar day in the operating timezone, so the ProLogs mileage for the same day lines up
     const groupedByDate = driverLogs.reduce((acc, log) => {
-        const dateKey = new Date(log.date).toLocaleDateString('en-US', { timeZone: 'America/Chicago' });
+        const dateKey = toDateKey(log.date, historyTimezone);
         if (!acc[dateKey]) {
             // Initialize with daily mileage from the ProLogs data
-            const yyyyMMdd = new Date(log.date).toISOString().split('T')[0];
-            const dailyMiles = driverMileageMap.get(yyyyMMdd) || 0;
+            const dailyMiles = driverMileageMap.get(dateKey) || 0;
             acc[dateKey] = { logs: [], totalMiles: dailyMiles };
         }
         acc[dateKey].logs.push(log);
         return acc;
     }, {});
 
-    const sortedDates = Object.keys(groupedByDate).sort((a, b) => new Date(b) - new Date(a));
+    const sortedDates = Object.keys(groupedByDate).sort((a, b) => b.localeCompare(a));
+    const formatShortDate = (dateKey) => `${dateKey.slice(5, 7)}/${dateKey.slice(8, 10)}`;
 
     let accordionHtml = '<div class="space-y-2">';
-    sortedDates.forEach((date, index) => {
-        const group = groupedByDate[date];
+    let currentWeekStart = null;
+    sortedDates.forEach((dateKey, index) => {
+        const group = groupedByDate[dateKey];
+        const date = new Date(dateKey + 'T12:00:00Z').toLocaleDateString('en-US', { timeZone: 'UTC' });
+
+        const week = getWeekContaining(dateKey, weekStartDay);
+        if (week.startStr !== currentWeekStart) {
+            currentWeekStart = week.startStr;
+            accordionHtml += `<h4 class="text-xs font-semibold uppercase tracking-wider text-slate-500 pt-2">Week ${formatShortDate(week.startStr)} - ${formatShortDate(week.endStr)}</h4>`;
+        }
         const changeCount = group.logs.length;
         const totalMiles = group.totalMiles.toFixed(0); // This is now the unique daily total
         const contentId = `changelog-content-${index}`;
@@ -2272,7 +3438,7 @@ function renderChangelogTable(driverLogs, mileageData, driverName) {
                         <tbody>
                             ${group.logs.sort((a, b) => new Date(b.date) - new Date(a.date)).map(row => {
                                 const timestamp = new Date(row.date).toLocaleTimeString('en-US', {
-                                    hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'America/Chicago'
+                                    hour: '2-digit', minute: '2-digit', hour12: true, timeZone: historyTimezone
                                 });
                                 return `
                                     <tr>
@@ -2313,7 +3479,7 @@ function renderFuelTable(data, unmatchedPurchases = [], isGrouped = false) {
     if (isGrouped) {
         // --- GROUPED VIEW LOGIC (Unchanged) ---
         const groupedData = data.reduce((acc, row) => {
-            const date = new Date(row.hour_timestamp).toLocaleDateString('en-US', { timeZone: 'America/Chicago' });
+            const date = new Date(row.hour_timestamp).toLocaleDateString('en-US', { timeZone: historyTimezone });
             if (!acc[date]) {
                 acc[date] = {
                     date: date,
@@ -2394,13 +3560,13 @@ function renderFuelTable(data, unmatchedPurchases = [], isGrouped = false) {
         const formatHour = (timestamp) => {
             if (!timestamp) return '-';
             const date = new Date(timestamp);
-            const options = { timeZone: 'America/Chicago', year: '2-digit', month: 'numeric', day: 'numeric', hour: 'numeric', hour12: true };
+            const options = { timeZone: historyTimezone, year: '2-digit', month: 'numeric', day: 'numeric', hour: 'numeric', hour12: true };
             return new Intl.DateTimeFormat('en-US', options).format(date).replace('am', 'AM').replace('pm', 'PM');
         };
         const formatFuelUpTime = (timestamp) => {
             if (!timestamp) return '-';
             const date = new Date(timestamp);
-            const options = { timeZone: 'America/Chicago', year: '2-digit', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true };
+            const options = { timeZone: historyTimezone, year: '2-digit', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true };
             return new Intl.DateTimeFormat('en-US', options).format(date).replace('am', 'AM').replace('pm', 'PM');
         };
 
@@ -2559,7 +3725,7 @@ function renderHistoryChart(fuelData) {
                     callbacks: {
                         title: function(context) {
                             const timestamp = context[0].parsed.x;
-                            return new Date(timestamp).toLocaleString('en-US', { timeZone: 'America/Chicago' });
+                            return new Date(timestamp).toLocaleString('en-US', { timeZone: historyTimezone });
                         }
                     }
                 }
@@ -2637,7 +3803,7 @@ function renderGroupedHistoryChart(groupedData) {
                     callbacks: {
                         title: function(context) {
                             const timestamp = context[0].parsed.x;
-                            return new Date(timestamp).toLocaleDateString('en-US', { timeZone: 'America/Chicago' });
+                            return new Date(timestamp).toLocaleDateString('en-US', { timeZone: historyTimezone });
                         }
                     }
                 }
@@ -2676,13 +3842,15 @@ function filterAndRenderHistory(days, unmatchedPurchases = []) {
  * @param {Function} safetyFetcher The async function to fetch safety data.
  * @param {Function} fuelFetcher The async function to fetch fuel data.
  */
-export async function openHistoryModal(driver, safetyFetcher, fuelFetcher, poFetcher, fuelPurchaseFetcher, changelogFetcher, mileageData) {
+export async function openHistoryModal(driver, safetyFetcher, fuelFetcher, poFetcher, fuelPurchaseFetcher, changelogFetcher, mileageData, settings = {}) {
     const modal = document.getElementById('history-modal');
     const fuelContent = document.getElementById('fuel-content');
     const daysFilter = document.getElementById('history-days-filter');
     const groupToggle = document.getElementById('history-group-toggle');
 
     document.getElementById('history-driver-name').textContent = driver.name;
+    const { weekStartDay, operatingTimezone } = getWorkWeekSettings(settings);
+    historyTimezone = operatingTimezone;
     switchHistoryTab('safety');
     
     const loadingMessage = `<p class="text-slate-500 text-center py-10">Loading data...</p>`;
@@ -2720,7 +3888,7 @@ export async function openHistoryModal(driver, safetyFetcher, fuelFetcher, poFet
     const { mpgData: mergedMpgData, unmatchedPurchases } = mergeFuelData(mpgData, fuelPurchaseData);
     fullHistoryData = mergedMpgData; 
 
-    renderChangelogTable(changelogData, mileageData, driver.name);
+    renderChangelogTable(changelogData, mileageData, driver.name, weekStartDay);
     renderSafetyTable(safetyData);
     renderSafetyChart(safetyData); // Add this line
     renderPOTable(poData);
@@ -2867,7 +4035,7 @@ function renderSafetyChart(safetyData) {
                      callbacks: {
                         title: function(context) {
                             const timestamp = context[0].parsed.x;
-                            return new Date(timestamp).toLocaleDateString('en-US', { timeZone: 'America/Chicago' });
+                            return new Date(timestamp).toLocaleDateString('en-US', { timeZone: historyTimezone });
                         }
                     }
                 }
@@ -0,0 +1,160 @@
+// TPOG/js/workWeek.js
+
+/**
+ * workWeek.js
+ * * Work-week boundaries and the operating timezone. The day a week starts on and the
+ * timezone timestamps are read in are settings (weekStartDay, operatingTimezone), and every
+ * weekly view and the days-off counting go through these helpers so they agree on which
+ * days belong to a week. Calendar dates are YYYY-MM-DD strings handled at noon UTC, so day
+ * arithmetic never crosses a day boundary. No DOM dependencies.
+ */
+
+export const WEEK_DAYS = [
+    { long: 'Sunday', short: 'Sun', letter: 'S' },
+    { long: 'Monday', short: 'Mon', letter: 'M' },
+    { long: 'Tuesday', short: 'Tue', letter: 'T' },
+    { long: 'Wednesday', short: 'Wed', letter: 'W' },
+    { long: 'Thursday', short: 'Thu', letter: 'T' },
+    { long: 'Friday', short: 'Fri', letter: 'F' },
+    { long: 'Saturday', short: 'Sat', letter: 'S' }
+];
+
+export const OPERATING_TIMEZONES = [
+    { key: 'America/New_York', label: 'Eastern' },
+    { key: 'America/Chicago', label: 'Central' },
+    { key: 'America/Denver', label: 'Mountain' },
+    { key: 'America/Los_Angeles', label: 'Pacific' },
+    { key: 'UTC', label: 'UTC' }
+];
+
+// A Tuesday-Monday week read in Central time (the original behaviour).
+export const DEFAULT_WORK_WEEK = { weekStartDay: 2, operatingTimezone: 'America/Chicago' };
+
+/**
+ * Returns the work-week settings with defaults filled in.
+ * @param {Object} settings The application settings object.
+ * @returns {{weekStartDay: number, operatingTimezone: string}}
+ */
+export function getWorkWeekSettings(settings) {
+    const weekStartDay = parseInt(settings?.weekStartDay, 10);
+    return {
+        weekStartDay: weekStartDay >= 0 && weekStartDay <= 6 ? weekStartDay : DEFAULT_WORK_WEEK.weekStartDay,
+        operatingTimezone: settings?.operatingTimezone || DEFAULT_WORK_WEEK.operatingTimezone
+    };
+}
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+const atNoon = (dateStr) => new Date(dateStr + 'T12:00:00Z');
+const dateKeyFormatters = new Map();
+
+/**
+ * Returns the calendar date (YYYY-MM-DD) a value falls on in the operating timezone.
+ * Plain dates are already calendar dates and are returned unchanged; timestamps are
+ * converted.
+ * @param {string|Date} value A YYYY-MM-DD date, a timestamp or a Date.
+ * @param {string} timezone The IANA timezone (e.g. 'America/Chicago').
+ * @returns {string} The date, or '' if the value is not a date.
+ */
+export function toDateKey(value, timezone) {
+    if (!value) return '';
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return '';
+
+    if (!dateKeyFormatters.has(timezone)) {
+        let formatter = null;
+        try {
+            // en-CA formats as YYYY-MM-DD
+            formatter = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+        } catch (e) {
+            console.warn(`Unknown timezone "${timezone}", using UTC.`);
+        }
+        dateKeyFormatters.set(timezone, formatter);
+    }
+    const formatter = dateKeyFormatters.get(timezone);
+    return formatter ? formatter.format(date) : formatDate(date);
+}
+
+/**
+ * Returns the work week that ends on or before a date.
+ * @param {string} dateStr The date (YYYY-MM-DD).
+ * @param {number} weekStartDay The day the week starts on (0 = Sunday).
+ * @returns {{start: Date, end: Date, startStr: string, endStr: string}}
+ */
+export function getWeekEndingOnOrBefore(dateStr, weekStartDay) {
+    const end = atNoon(dateStr);
+    const weekEndDay = (weekStartDay + 6) % 7;
+    end.setUTCDate(end.getUTCDate() - (end.getUTCDay() - weekEndDay + 7) % 7);
+    const start = new Date(end);
+    start.setUTCDate(end.getUTCDate() - 6);
+    return { start, end, startStr: formatDate(start), endStr: formatDate(end) };
+}
+
+/**
+ * Returns the work week a date falls in.
+ * @param {string} dateStr The date (YYYY-MM-DD).
+ * @param {number} weekStartDay The day the week starts on (0 = Sunday).
+ * @returns {{start: Date, end: Date, startStr: string, endStr: string}}
+ */
+export function getWeekContaining(dateStr, weekStartDay) {
+    const start = atNoon(dateStr);
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() - weekStartDay + 7) % 7);
+    const end = new Date(start);
+    end.setUTCDate(start.getUTCDate() + 6);
+    return { start, end, startStr: formatDate(start), endStr: formatDate(end) };
+}
+
+/**
+ * Lists the seven dates of a week.
+ * @param {string} startStr The first day of the week (YYYY-MM-DD).
+ * @returns {Array<string>} The dates, first day first.
+ */
+export function getWeekDates(startStr) {
+    const start = atNoon(startStr);
+    return Array.from({ length: 7 }, (_, i) => {
+        const day = new Date(start);
+        day.setUTCDate(start.getUTCDate() + i);
+        return formatDate(day);
+    });
+}
+
+/**
+ * Returns the day names in week order.
+ * @param {number} weekStartDay The day the week starts on (0 = Sunday).
+ * @returns {Array<{long: string, short: string, letter: string}>}
+ */
+export function getWeekDayLabels(weekStartDay) {
+    return Array.from({ length: 7 }, (_, i) => WEEK_DAYS[(weekStartDay + i) % 7]);
+}
+
+/**
+ * Returns the day name for a date.
+ * @param {string} dateStr The date (YYYY-MM-DD).
+ * @returns {{long: string, short: string, letter: string}}
+ */
+export function getDayLabel(dateStr) {
+    return WEEK_DAYS[atNoon(dateStr).getUTCDay()];
+}
+
+/**
+ * Whether a moment falls on the last or first day of the work week in the operating timezone,
+ * the days a finished pay week may be locked.
+ * @param {Date} date The moment to check (usually now).
+ * @param {Object} settings The application settings object.
+ * @returns {boolean}
+ */
+export function isLockDay(date, settings) {
+    const { weekStartDay, operatingTimezone } = getWorkWeekSettings(settings);
+    const day = atNoon(toDateKey(date, operatingTimezone)).getUTCDay();
+    return day === weekStartDay || day === (weekStartDay + 6) % 7;
+}
+
+/**
+ * Names the lock days for messages, e.g. "Mondays and Tuesdays".
+ * @param {Object} settings The application settings object.
+ * @returns {string}
+ */
+export function describeLockDays(settings) {
+    const { weekStartDay } = getWorkWeekSettings(settings);
+    return `${WEEK_DAYS[(weekStartDay + 6) % 7].long}s and ${WEEK_DAYS[weekStartDay].long}s`;
+}
@@ -0,0 +1,197 @@
+// TPOG/tests/repository.test.js
+
+/**
+ * repository.test.js
+ * * Runs the table repositories against the in-memory client (memoryClient.js) and a
+ * Map-backed cache: paging, the cached map and its optimistic writes, the stored-copy
+ * fallback and RepositoryError.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepository, RepositoryError } from '../js/repository.js';
+import { createMemoryClient } from '../js/memoryClient.js';
+
+const OVERRIDES = [
+    { driver_name: 'Avery Lane', date: '2025-03-10', status: 'HOME' },
+    { driver_name: 'Avery Lane', date: '2025-03-11', status: 'OUT' },
+    { driver_name: 'Blake Moreno', date: '2025-03-10', status: 'OUT' },
+    { driver_name: 'Blake Moreno', date: '2025-03-11', status: 'HOME' },
+    { driver_name: 'Casey Ortiz', date: '2025-03-10', status: 'OUT' }
+];
+
+/**
+ * A cache with the session cache's interface, backed by Maps.
+ * @param {Object} [stored] Stored offline copies by cache key.
+ */
+function createTestCache(stored = {}) {
+    const entries = new Map();
+    return {
+        entries,
+        peek: (key) => entries.get(key) ?? null,
+        write: (key, data) => entries.set(key, data),
+        invalidate: (key) => entries.delete(key),
+        readStored: async (key) => stored[key] ?? null
+    };
+}
+
+/** Wraps a client to count the queries made through it. */
+function countQueries(client) {
+    const counted = { ...client, queries: 0 };
+    counted.from = (table) => {
+        counted.queries++;
+        return client.from(table);
+    };
+    return counted;
+}
+
+const overridesDefinition = {
+    table: 'dispatcher_overrides',
+    cacheKey: 'dispatcherOverrides',
+    keyOf: row => `${row.driver_name}_${row.date}`,
+    valueOf: row => row.status,
+    onConflict: 'driver_name, date',
+    order: [['driver_name', { ascending: true }], ['date', { ascending: true }]],
+    pageSize: 2
+};
+
+test('load pages through the whole table into a keyed map', async () => {
+    const client = countQueries(createMemoryClient({ dispatcher_overrides: OVERRIDES }));
+    const repository = createRepository(client, overridesDefinition, createTestCache());
+
+    const map = await repository.load();
+    assert.equal(Object.keys(map).length, OVERRIDES.length);
+    assert.equal(map['Casey Ortiz_2025-03-10'], 'OUT');
+    assert.equal(client.queries, 3); // 2 + 2 + 1 rows
+});
+
+test('load reads one more page when the table fills the last page exactly', async () => {
+    const client = countQueries(createMemoryClient({ dispatcher_overrides: OVERRIDES.slice(0, 4) }));
+    const repository = createRepository(client, overridesDefinition, createTestCache());
+
+    assert.equal(Object.keys(await repository.load()).length, 4);
+    assert.equal(client.queries, 3); // 2 + 2 + 0 rows
+});
+
+test('load serves the cached map until it is invalidated', async () => {
+    const client = countQueries(createMemoryClient({ dispatcher_overrides: OVERRIDES }));
+    const repository = createRepository(client, overridesDefinition, createTestCache());
+
+    const first = await repository.load();
+    assert.equal(await repository.load(), first);
+    assert.equal(client.queries, 3);
+
+    repository.invalidate();
+    await repository.load();
+    assert.equal(client.queries, 6);
+});
+
+test('groupBy collects ordered values per group', async () => {
+    const client = createMemoryClient({
+        time_off_ledger: [
+            { driver_name: 'Avery Lane', pay_date: '2025-03-14', seq: 1, days: 1 },
+            { driver_name: 'Blake Moreno', pay_date: '2025-03-07', seq: 0, days: 2 },
+            { driver_name: 'Avery Lane', pay_date: '2025-03-07', seq: 0, days: 3 },
+            { driver_name: 'Avery Lane', pay_date: '2025-03-14', seq: 0, days: 4 }
+        ]
+    });
+    const repository = createRepository(client, {
+        table: 'time_off_ledger',
+        cacheKey: 'timeOffLedger',
+        groupBy: row => row.driver_name,
+        valueOf: row => row.days,
+        order: [['pay_date', { ascending: true }], ['seq', { ascending: true }]]
+    }, createTestCache());
+
+    assert.deepEqual(await repository.load(), { 'Avery Lane': [3, 4, 1], 'Blake Moreno': [2] });
+});
+
+test('upsert patches the cached map and the table', async () => {
+    const client = createMemoryClient({ dispatcher_overrides: OVERRIDES });
+    const cache = createTestCache();
+    const repository = createRepository(client, overridesDefinition, cache);
+    const before = await repository.load();
+
+    await repository.upsert({ driver_name: 'Avery Lane', date: '2025-03-10', status: 'OUT' });
+
+    assert.equal(cache.peek('dispatcherOverrides')['Avery Lane_2025-03-10'], 'OUT');
+    assert.equal(before['Avery Lane_2025-03-10'], 'HOME', 'the loaded map is copied, not changed in place');
+    assert.equal(client.tables.dispatcher_overrides.length, OVERRIDES.length);
+    assert.equal(await repository.get({ driver_name: 'Avery Lane', date: '2025-03-10' }), 'OUT');
+});
+
+test('a failed upsert puts the cached map back and throws a RepositoryError', async () => {
+    const client = createMemoryClient({ dispatcher_overrides: OVERRIDES });
+    const cache = createTestCache();
+    const repository = createRepository(client, overridesDefinition, cache);
+    const before = await repository.load();
+
+    client.failNext('dispatcher_overrides', 'permission denied');
+    await assert.rejects(
+        repository.upsert({ driver_name: 'Avery Lane', date: '2025-03-10', status: 'OUT' }),
+        (error) => {
+            assert.ok(error instanceof RepositoryError);
+            assert.equal(error.operation, 'upsert');
+            assert.equal(error.table, 'dispatcher_overrides');
+            assert.equal(error.code, 'MEMORY_CLIENT_FAILURE');
+            assert.match(error.message, /permission denied/);
+            return true;
+        }
+    );
+    assert.equal(cache.peek('dispatcherOverrides'), before);
+});
+
+test('remove drops the key from the cached map; insert drops the map', async () => {
+    const client = createMemoryClient({ dispatcher_overrides: OVERRIDES });
+    const cache = createTestCache();
+    const repository = createRepository(client, overridesDefinition, cache);
+    await repository.load();
+
+    await repository.remove({ driver_name: 'Casey Ortiz', date: '2025-03-10' });
+    assert.equal('Casey Ortiz_2025-03-10' in cache.peek('dispatcherOverrides'), false);
+    assert.equal(client.tables.dispatcher_overrides.length, OVERRIDES.length - 1);
+
+    const [stored] = await repository.insert({ driver_name: 'Devon Price', date: '2025-03-12', status: 'HOME' });
+    assert.ok(stored.id, 'insert resolves with the stored row');
+    assert.equal(cache.peek('dispatcherOverrides'), null);
+});
+
+test('find and get read matching rows, bypassing the cache', async () => {
+    const client = countQueries(createMemoryClient({ dispatcher_overrides: OVERRIDES }));
+    const repository = createRepository(client, overridesDefinition, createTestCache());
+    await repository.load();
+
+    const rows = await repository.find({ driver_name: 'Blake Moreno' });
+    assert.deepEqual(rows.map(row => row.date), ['2025-03-10', '2025-03-11']);
+    assert.equal(await repository.get({ driver_name: 'Devon Price', date: '2025-03-10' }), null);
+    assert.equal(client.queries, 6); // 3 for the load, 2 for find (a full page), 1 for get
+});
+
+test('a failed load throws a RepositoryError when nothing is stored', async () => {
+    const client = createMemoryClient({ dispatcher_overrides: OVERRIDES });
+    const repository = createRepository(client, overridesDefinition, createTestCache());
+
+    client.failNext('dispatcher_overrides');
+    await assert.rejects(repository.load(), { name: 'RepositoryError', operation: 'load', table: 'dispatcher_overrides' });
+});
+
+test('a failed load falls back to the stored copy', async () => {
+    const stored = { 'Avery Lane_2025-03-10': 'HOME' };
+    const client = createMemoryClient({ dispatcher_overrides: OVERRIDES });
+    const repository = createRepository(client, overridesDefinition, createTestCache({ dispatcherOverrides: stored }));
+
+    client.failNext('dispatcher_overrides');
+    assert.deepEqual(await repository.load(), stored);
+});
+
+test('a client that throws is reported as a RepositoryError', async () => {
+    const client = { from: () => { throw new Error('network down'); } };
+    const repository = createRepository(client, { table: 'users' }, createTestCache());
+
+    await assert.rejects(repository.find({ email: 'a@example.com' }), (error) => {
+        assert.ok(error instanceof RepositoryError);
+        assert.equal(error.operation, 'find');
+        assert.equal(error.cause.message, 'network down');
+        return true;
+    });
+});
@@ -0,0 +1,71 @@
+// TPOG/tests/rollingMetrics.test.js
+
+/**
+ * rollingMetrics.test.js
+ * * Checks that the rolling MPG and safety score read previous weeks the way the current
+ * week is read: with that week's distance and MPG overrides, the same safety score source,
+ * and real zeros kept in the average. Only pay dates inside the window are read.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRollingMetrics, getPerformanceWeek } from '../js/calculations.js';
+
+const name = 'Gale Porter';
+const current = { id: 7, name, pay_date: '2025-03-14', mpg: 6, safetyScore: 90, samsaraDistance: 1000 };
+const previous = { id: 7, name, pay_date: '2025-03-07', gallons_fictive: 200, stubMpg: 4, safetyScore: 0 };
+
+// The previous pay week: 1000 ProLogs miles, 1400 Samsara miles and a Samsara score the driver record does not use
+const { performanceDateStr, startStr } = getPerformanceWeek(previous.pay_date, 1);
+const mileageIndex = { [name]: { [startStr]: [{ date: startStr, movement: 1000 }] } };
+const safetyIndex = { [name]: { [performanceDateStr]: [{ safetyScore: 80, totalDistance: 1400 }] } };
+
+const rollingFor = (overrides = {}) => calculateRollingMetrics(current, 1000, {
+    allDrivers: [current, previous],
+    mileageIndex,
+    safetyIndex,
+    selectedDateStr: current.pay_date,
+    windows: { mpgWeeks: 2, safetyWeeks: 2 },
+    settings: {},
+    ...overrides
+});
+
+test('previous weeks are read from ProLogs miles and the driver record by default', () => {
+    const rolling = rollingFor();
+    assert.equal(rolling.rollingMpg, (6 * 1000 + 5 * 1000) / 2000);
+    assert.equal(rolling.mpgWeeksUsed, 2);
+    // A score of 0 is a real week and pulls the average down
+    assert.equal(rolling.rollingSafetyScore, (90 * 1000 + 0 * 1400) / 2400);
+    assert.equal(rolling.safetyWeeksUsed, 2);
+});
+
+test("a previous week's distance override changes its MPG and weight", () => {
+    const rolling = rollingFor({ overriddenDistances: { '7_2025-03-07': 'samsaraDistance' } });
+    assert.equal(rolling.rollingMpg, (6 * 1000 + 7 * 1400) / 2400);
+});
+
+test("a previous week's MPG override uses its stub MPG", () => {
+    const rolling = rollingFor({ mpgOverrides: { '7_2025-03-07': 'stubMpg' } });
+    assert.equal(rolling.rollingMpg, (6 * 1000 + 4 * 1000) / 2000);
+});
+
+test('a previous week without fuel is left out of the rolling MPG', () => {
+    const rolling = rollingFor({ allDrivers: [current, { ...previous, gallons_fictive: 0, stubMpg: 0 }] });
+    assert.equal(rolling.rollingMpg, 6);
+    assert.equal(rolling.mpgWeeksUsed, 1);
+});
+
+test("a gap in the driver's history shortens the window instead of reaching back past it", () => {
+    // Three weeks before the selected week, outside a two-week window
+    const older = { ...previous, pay_date: '2025-02-21' };
+    const olderWeek = getPerformanceWeek(older.pay_date, 1);
+    const rolling = rollingFor({
+        allDrivers: [current, older],
+        mileageIndex: { [name]: { [olderWeek.startStr]: [{ date: olderWeek.startStr, movement: 1000 }] } },
+        safetyIndex: { [name]: { [olderWeek.performanceDateStr]: [{ safetyScore: 80, totalDistance: 1400 }] } }
+    });
+    assert.equal(rolling.rollingMpg, 6);
+    assert.equal(rolling.mpgWeeksUsed, 1);
+    assert.equal(rolling.rollingSafetyScore, 90);
+    assert.equal(rolling.safetyWeeksUsed, 1);
+});
@@ -0,0 +1,111 @@
+// TPOG/tests/scoring.test.js
+
+/**
+ * scoring.test.js
+ * * Runs the scoring engine headlessly against the saved driver and settings fixtures and
+ * checks every driver against the report locked for that week (fixtures/lockedSnapshots.json,
+ * keyed `${driverId}_${payDate}` like the locked_data table). Only the fields a locked
+ * snapshot holds are compared, so fields the engine has gained since (traces, cap
+ * adjustments, ledger entries) do not break the comparison. The per-event and range speeding
+ * methods are checked the same way against fixtures/lockedSnapshotsBySpeedingMethod.json.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { getDriverReportData, calculateDriverTPOG } from '../js/scoring.js';
+import { backtestLockedWeeks } from '../js/policySimulator.js';
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const drivers = readFixture('drivers.json');
+const settings = readFixture('settings.json');
+const lockedSnapshots = readFixture('lockedSnapshots.json');
+const speedingMethods = readFixture('speedingMethods.json');
+const lockedSnapshotsBySpeedingMethod = readFixture('lockedSnapshotsBySpeedingMethod.json');
+
+const lockKey = (driver) => `${driver.id}_${driver.pay_date.split('T')[0]}`;
+
+// Sums are built in a different order than when the week was locked
+const round = (value) => (typeof value === 'number' ? Math.round(value * 1e9) / 1e9 : value);
+
+/**
+ * Projects a report onto the fields of a locked snapshot.
+ * @param {Object} report The engine's report.
+ * @param {Object} locked The locked snapshot.
+ * @returns {Object} The report's values for the snapshot's fields.
+ */
+function pickLockedFields(report, locked) {
+    const picked = {};
+    Object.entries(locked).forEach(([field, lockedValue]) => {
+        if (field !== 'bonuses') {
+            picked[field] = round(report[field]);
+            return;
+        }
+        picked.bonuses = {};
+        Object.entries(lockedValue).forEach(([label, lockedBonus]) => {
+            const bonus = report.bonuses[label] || {};
+            picked.bonuses[label] = Object.fromEntries(Object.keys(lockedBonus).map(key => [key, round(bonus[key])]));
+        });
+    });
+    return picked;
+}
+
+const roundAll = (locked) => JSON.parse(JSON.stringify(locked), (key, value) => round(value));
+
+test('every fixture driver has a locked snapshot', () => {
+    assert.deepEqual(drivers.map(lockKey).sort(), Object.keys(lockedSnapshots).sort());
+});
+
+drivers.forEach(driver => {
+    test(`${driver.name} scores as locked`, () => {
+        const locked = lockedSnapshots[lockKey(driver)];
+        const report = getDriverReportData(driver, settings, drivers);
+        assert.deepEqual(pickLockedFields(report, locked), roundAll(locked));
+        assert.equal(calculateDriverTPOG(driver, settings), report.totalTpog);
+    });
+});
+
+Object.entries(speedingMethods).forEach(([method, overrides]) => {
+    const methodSettings = { ...settings, ...overrides };
+    const methodSnapshots = lockedSnapshotsBySpeedingMethod[method];
+
+    drivers.forEach(driver => {
+        test(`${driver.name} scores as locked with ${method} speeding penalties`, () => {
+            const locked = methodSnapshots[lockKey(driver)];
+            const report = getDriverReportData(driver, methodSettings, drivers);
+            assert.deepEqual(pickLockedFields(report, locked), roundAll(locked));
+            assert.equal(calculateDriverTPOG(driver, methodSettings), report.totalTpog);
+        });
+    });
+});
+
+test('enabled metrics that are not in a locked snapshot pay nothing', () => {
+    drivers.forEach(driver => {
+        const locked = lockedSnapshots[lockKey(driver)];
+        const report = getDriverReportData(driver, settings, drivers);
+        Object.entries(report.bonuses)
+            .filter(([label]) => !(label in locked.bonuses))
+            .forEach(([label, { bonus }]) => assert.equal(bonus, 0, `${driver.name}: ${label}`));
+    });
+});
+
+test('a week without gross pay is held to the final TPOG caps', () => {
+    const zeroGross = drivers.find(driver => !driver.gross);
+    const capped = { ...settings, payoutCaps: { ...settings.payoutCaps, maxTpog: settings.baseRate - 10 } };
+    const report = getDriverReportData(zeroGross, capped, drivers);
+    assert.equal(report.totalTpog, settings.baseRate - 10);
+    assert.deepEqual(report.capAdjustments.map(adjustment => adjustment.scope), ['final']);
+    assert.equal(calculateDriverTPOG(zeroGross, capped), report.totalTpog);
+});
+
+test('backtesting the locked weeks under their own settings changes nothing', () => {
+    const allLockedData = Object.fromEntries(drivers.map(driver => [
+        lockKey(driver),
+        JSON.stringify({ ...driver, ...lockedSnapshots[lockKey(driver)], lockedSettings: settings })
+    ]));
+    const { totals, skippedCount } = backtestLockedWeeks(allLockedData, settings);
+    assert.equal(skippedCount, 0);
+    assert.equal(totals.driverCount, drivers.length);
+    Object.entries(totals.delta).forEach(([field, delta]) => assert.equal(round(delta), 0, field));
+});
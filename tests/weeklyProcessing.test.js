@@ -0,0 +1,85 @@
+// TPOG/tests/weeklyProcessing.test.js
+
+/**
+ * weeklyProcessing.test.js
+ * * Runs processDriverDataForDate over several pay weeks, where weeks out and the time-off
+ * ledger are worked out, and checks that each driver is processed with the settings of
+ * their own scoring profile. fixtures/weeklyHistory.json holds six pay weeks of one driver
+ * with their day-by-day logs, to follow weeks out, the time-off balance and escrow.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { processDriverDataForDate, getDriverReportData } from '../js/calculations.js';
+import { buildDataIndexes } from '../js/dataIndexes.js';
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const payDates = ['2025-02-28', '2025-03-07', '2025-03-14'];
+const selectedDate = payDates[payDates.length - 1];
+
+const history = (id, name, contractType) => payDates.map(pay_date => ({ id, name, contract_type: contractType, pay_date, gross: 6000, company: 'Acme' }));
+
+/**
+ * Processes the selected week for a set of drivers with no day-by-day data, so every day counts.
+ * @param {Array<Object>} allDrivers Every pay week of every driver.
+ * @param {Object} settings The application settings.
+ * @returns {Array<Object>} The processed drivers for the selected week.
+ */
+const processSelectedWeek = (allDrivers, settings) => processDriverDataForDate(
+    allDrivers.filter(d => d.pay_date === selectedDate).map(d => ({ ...d, weeksOut: 9 })),
+    {}, settings, {}, {}, {}, {}, allDrivers, {}
+);
+
+test('each driver counts weeks out with the method of their scoring profile', () => {
+    const settings = {
+        weeksOutMethod: 'fullWeeksOnly',
+        scoringProfiles: [
+            { name: 'Lease Purchase', scope: 'contract_type', value: 'LP', settings: { weeksOutMethod: 'dailyAccrual' } },
+            { name: 'Owner Operator', scope: 'contract_type', value: 'OO', settings: { weeksOutMethod: 'manual' } }
+        ]
+    };
+    const allDrivers = [...history(1, 'Avery Lane', 'TPOG'), ...history(2, 'Blake Moreno', 'LP'), ...history(3, 'Casey Ortiz', 'OO')];
+    const [fleet, lease, owner] = processSelectedWeek(allDrivers, settings);
+
+    assert.equal(fleet.weeksOut, 3);
+    assert.deepEqual(fleet.weeksOutTrace.map(week => week.method), ['fullWeeksOnly', 'fullWeeksOnly', 'fullWeeksOnly']);
+
+    // 21 straight days at 0.1429 of a week each
+    assert.equal(lease.weeksOut, 21 * 0.1429);
+    assert.deepEqual(lease.weeksOutTrace.map(week => week.method), ['dailyAccrual', 'dailyAccrual', 'dailyAccrual']);
+
+    // A method the loop does not calculate keeps the weeks out the driver was loaded with
+    assert.equal(owner.weeksOut, 9);
+    assert.equal(owner.weeksOutTrace, undefined);
+});
+
+test('weeks out, the time-off balance and escrow follow the driver\'s days off across pay weeks', () => {
+    const weeklyHistory = readFixture('weeklyHistory.json');
+    const settings = { ...readFixture('settings.json'), ...weeklyHistory.settings };
+    const { drivers, mileageIndex, safetyIndex, daysTakenIndex } = buildDataIndexes(weeklyHistory);
+    const selected = drivers.filter(d => d.pay_date.startsWith('2025-03-14'));
+    const [driver] = processDriverDataForDate(selected, mileageIndex, settings, safetyIndex, {}, daysTakenIndex, {}, drivers, {});
+
+    // Days off do not reset a full-weeks-only streak, so every week counts
+    assert.equal(driver.weeksOut, 4);
+    assert.equal(driver.offDays, 3);
+
+    // 2 days at the 3-week threshold, 1 more at week 4, then 1 taken in the week of 2025-03-07
+    assert.deepEqual(driver.timeOffLedger.map(({ payDate, type, days, balanceAfter }) => ({ payDate, type, days, balanceAfter })), [
+        { payDate: '2025-02-21', type: 'accrued', days: 2, balanceAfter: 2 },
+        { payDate: '2025-02-28', type: 'accrued', days: 1, balanceAfter: 3 },
+        { payDate: '2025-03-07', type: 'used', days: -1, balanceAfter: 2 }
+    ]);
+    assert.equal(driver.balanceAtStartOfWeek, 2);
+
+    // 3 days off against a balance of 2 puts one day in escrow
+    const report = getDriverReportData(driver, settings, [driver]);
+    assert.equal(report.availableOffDays, 2);
+    assert.equal(report.escrowDeduct, settings.escrowDeductionAmount);
+    assert.deepEqual(report.timeOffEntries.map(({ type, days, balanceAfter }) => ({ type, days, balanceAfter })), [
+        { type: 'used', days: -2, balanceAfter: 0 },
+        { type: 'escrow', days: 0, balanceAfter: 0 }
+    ]);
+});